@@ -1,11 +1,12 @@
 // PMD Java Rules Viewer
-// 290개 룰을 표시하는 한글 UI
+// PMD Java 룰을 표시하는 한글 UI (개수는 RULES_DATA에서)
 
 let rules = [];
 let filteredRules = [];
 let selectedRuleName = null;
 let currentPage = 1;
 const RULES_PER_PAGE = 20;
+const PAGE_WINDOW = 5;
 
 // DOM Elements
 const rulesGrid = document.getElementById('rulesGrid');
@@ -62,12 +63,26 @@ const tierNames = {
   'skip': '\uC2A4\uD0B5'
 };
 
+// Tier profile (tiers/*.json) used for tier badges, counts and filters
+let activeTierProfile = typeof TIER_PROFILES !== 'undefined' ? TIER_PROFILES.primary : null;
+
+function getRuleTier(rule) {
+  const tier = rule.tiers && activeTierProfile in rule.tiers ? rule.tiers[activeTierProfile] : rule.tier;
+  return String(tier || 3);
+}
+
+function getRuleComment(rule) {
+  return (rule.tierComments && rule.tierComments[activeTierProfile]) || rule.claude_comment || '';
+}
+
 // Load rules from embedded data
 async function loadRules() {
   rulesGrid.innerHTML = `
-    <div class="loading">
-      <div class="loading-spinner"></div>
-      <p>\uADDC\uCE59\uC744 \uBD88\uB7EC\uC624\uB294 \uC911...</p>
+    <div class="loading" role="row">
+      <div role="gridcell">
+        <div class="loading-spinner"></div>
+        <p>\uADDC\uCE59\uC744 \uBD88\uB7EC\uC624\uB294 \uC911...</p>
+      </div>
     </div>
   `;
 
@@ -79,67 +94,99 @@ async function loadRules() {
     }
 
     filteredRules = [...rules];
+    document.getElementById('totalCount').textContent = rules.length;
+    filteredCountEl.textContent = filteredRules.length;
+    buildSearchIndex();
     updateCounts();
     renderRules();
     setupFilters();
+    setupBuilder();
+    setupImport();
+    setupReport();
+    setupChanges();
+    setupCompare();
+    setupRelated();
+    setupFileDrop();
+    setupLanguageToggle();
+    setupKeyboard();
+    setupUrlState();
   } catch (error) {
     console.error('Failed to load rules:', error);
     rulesGrid.innerHTML = `
-      <div class="loading">
-        <p>\uADDC\uCE59\uC744 \uBD88\uB7EC\uC624\uB294 \uB370 \uC2E4\uD328\uD588\uC2B5\uB2C8\uB2E4.</p>
-        <p style="font-size: 12px; color: #999;">${error.message}</p>
+      <div class="loading" role="row">
+        <div role="gridcell">
+          <p>\uADDC\uCE59\uC744 \uBD88\uB7EC\uC624\uB294 \uB370 \uC2E4\uD328\uD588\uC2B5\uB2C8\uB2E4.</p>
+          <p style="font-size: 12px; color: #999;">${error.message}</p>
+        </div>
       </div>
     `;
   }
 }
 
-// Update filter counts
-function updateCounts() {
-  const { categories, priorities, tiers } = getActiveFilters();
-
-  const categoryCounts = {};
-  const priorityCounts = {};
-  const tierCounts = {};
-
-  rules.forEach(rule => {
-    const tier = String(rule.tier || 3);
+// Sidebar facets; a facet with nothing selected does not filter
+const facetMatchers = {
+  category: (rule, { categories }) => categories.length === 0 || categories.includes(rule.category),
+  priority: (rule, { priorities }) => priorities.length === 0 || priorities.includes(String(rule.priority)),
+  tier: (rule, { tiers }) => tiers.length === 0 || tiers.includes(getRuleTier(rule)),
+  violations: (rule, { violationsOnly }) => !violationsOnly || hasViolations(rule),
+  version: (rule, filters) => matchesVersionFilters(rule, filters)
+};
 
-    // Tier counts: filtered by categories + priorities
-    if ((categories.length === 0 || categories.includes(rule.category)) &&
-      (priorities.length === 0 || priorities.includes(String(rule.priority)))) {
-      tierCounts[tier] = (tierCounts[tier] || 0) + 1;
-    }
+// Whether a rule passes every sidebar facet, leaving out `except`
+function matchesFacets(rule, filters, except = null) {
+  return Object.entries(facetMatchers).every(([facet, matches]) => facet === except || matches(rule, filters));
+}
 
-    // Category counts: filtered by priorities + tiers
-    if ((priorities.length === 0 || priorities.includes(String(rule.priority))) &&
-      (tiers.length === 0 || tiers.includes(tier))) {
-      categoryCounts[rule.category] = (categoryCounts[rule.category] || 0) + 1;
-    }
+// Sidebar counts. Each facet is counted with the other facets applied but not
+// its own, so every option shows what checking it would add:
+//   { tier: { '1': { rules, violations } }, category: {...}, priority: {...}, violations: n }
+function countFacets(list, filters) {
+  const counts = { tier: {}, category: {}, priority: {}, violations: 0 };
+  const add = (facet, value, violations) => {
+    const entry = counts[facet][value] = counts[facet][value] || { rules: 0, violations: 0 };
+    entry.rules++;
+    entry.violations += violations;
+  };
 
-    // Priority counts: filtered by categories + tiers
-    if ((categories.length === 0 || categories.includes(rule.category)) &&
-      (tiers.length === 0 || tiers.includes(tier))) {
-      priorityCounts[rule.priority] = (priorityCounts[rule.priority] || 0) + 1;
-    }
+  list.forEach(rule => {
+    const violations = getViolations(rule).length;
+    if (matchesFacets(rule, filters, 'tier')) add('tier', getRuleTier(rule), violations);
+    if (matchesFacets(rule, filters, 'category')) add('category', rule.category, violations);
+    if (matchesFacets(rule, filters, 'priority')) add('priority', String(rule.priority), violations);
+    if (violations > 0 && matchesFacets(rule, filters, 'violations')) counts.violations++;
   });
+  return counts;
+}
 
-  // Update DOM - tier counts
-  ['1', '2', '3', 'skip'].forEach(tier => {
-    const el = document.getElementById(`count-tier-${tier}`);
-    if (el) el.textContent = tierCounts[tier] || 0;
-  });
+// Update filter counts
+function updateCounts() {
+  const counts = countFacets(rules, getActiveFilters());
+  const setCount = (id, entry) => setFilterCount(id, entry && entry.rules, entry && entry.violations);
 
-  // Update DOM - category counts
-  Object.keys(categoryNames).forEach(cat => {
-    const el = document.getElementById(`count-${cat}`);
-    if (el) el.textContent = categoryCounts[cat] || 0;
-  });
+  ['1', '2', '3', 'skip'].forEach(tier => setCount(`count-tier-${tier}`, counts.tier[tier]));
+  Object.keys(categoryNames).forEach(cat => setCount(`count-${cat}`, counts.category[cat]));
+  [1, 2, 3, 4, 5].forEach(p => setCount(`count-p${p}`, counts.priority[p]));
+  setFilterCount('count-violations', counts.violations);
+}
 
-  // Update DOM - priority counts
-  [1, 2, 3, 4, 5].forEach(p => {
-    const el = document.getElementById(`count-p${p}`);
-    if (el) el.textContent = priorityCounts[p] || 0;
-  });
+// Set a sidebar rule count, plus the violation total while a report is loaded
+function setFilterCount(id, count, violations) {
+  const el = document.getElementById(id);
+  if (!el) return;
+  el.textContent = count || 0;
+
+  let violationEl = el.parentElement.querySelector('.filter-violations');
+  if (!violationReport || violations === undefined) {
+    if (violationEl) violationEl.remove();
+    return;
+  }
+  if (!violationEl) {
+    violationEl = document.createElement('span');
+    violationEl.className = 'filter-violations';
+    el.before(violationEl);
+  }
+  violationEl.textContent = violations || 0;
+  violationEl.title = `\uC704\uBC18 ${violations || 0}\uAC74`;
 }
 
 // Get active filters
@@ -160,33 +207,128 @@ function getActiveFilters() {
     tiers.push(cb.dataset.tier);
   });
 
-  return { categories, priorities, tiers };
+  const violationsOnly = Boolean(document.querySelector('[data-violations]:checked'));
+
+  const javaVersion = Number(document.getElementById('javaVersion').value) || null;
+  const sinceFrom = document.getElementById('sinceFrom').value || null;
+  const sinceTo = document.getElementById('sinceTo').value || null;
+  const sort = {
+    key: document.getElementById('sortKey').value,
+    descending: document.getElementById('sortDir').dataset.dir === 'desc'
+  };
+
+  const query = parseSearchQuery(searchInput.value);
+
+  return { categories, priorities, tiers, violationsOnly, javaVersion, sinceFrom, sinceTo, sort, query };
+}
+
+// Compare dotted version strings numerically ("5.1" == "5.1.0" < "5.10")
+function compareVersions(a, b) {
+  const pa = String(a).split('.').map(Number);
+  const pb = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// Java language version as a feature release number ("1.8" -> 8, "10" -> 10)
+function javaRelease(version) {
+  const m = String(version).match(/^1\.(\d+)/);
+  return Number(m ? m[1] : version);
+}
+
+// Target Java version and PMD since-range filters
+function matchesVersionFilters(rule, { javaVersion, sinceFrom, sinceTo }) {
+  if (javaVersion) {
+    if (rule.minLanguageVersion && javaVersion < javaRelease(rule.minLanguageVersion)) return false;
+    if (rule.maxLanguageVersion && javaVersion > javaRelease(rule.maxLanguageVersion)) return false;
+  }
+  if (sinceFrom && compareVersions(rule.since, sinceFrom) < 0) return false;
+  if (sinceTo && compareVersions(rule.since, sinceTo) > 0) return false;
+  return true;
+}
+
+const tierOrder = { '1': 1, '2': 2, '3': 3, 'skip': 4 };
+
+// Ascending order per sort key; relevance puts the best search match first
+const sortComparators = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  tier: (a, b) => tierOrder[getRuleTier(a)] - tierOrder[getRuleTier(b)],
+  priority: (a, b) => a.priority - b.priority,
+  since: (a, b) => compareVersions(a.since, b.since),
+  relevance: (a, b) => getSearchScore(b) - getSearchScore(a)
+};
+
+// Sort the filtered list in place. Without a sort key, search results are
+// ranked by relevance; ties keep the catalog order: category, then priority,
+// then name.
+function sortRules(list, { key, descending }) {
+  const compare = sortComparators[key || (searchResults ? 'relevance' : '')];
+  if (!compare) return list;
+
+  const catalogIndex = new Map(rules.map((rule, i) => [rule, i]));
+  const direction = descending ? -1 : 1;
+  return list.sort((a, b) =>
+    direction * compare(a, b) || catalogIndex.get(a) - catalogIndex.get(b));
+}
+
+function setSortDirection(dir) {
+  const button = document.getElementById('sortDir');
+  button.dataset.dir = dir === 'desc' ? 'desc' : 'asc';
+  button.textContent = dir === 'desc' ? '\u2193' : '\u2191';
+  button.title = dir === 'desc' ? '\uB0B4\uB9BC\uCC28\uC21C' : '\uC624\uB984\uCC28\uC21C';
+}
+
+// PMD version range options: every distinct `since` version, oldest first
+function setupVersionFilters() {
+  const versions = [];
+  rules.map(rule => rule.since)
+    .filter(Boolean)
+    .sort(compareVersions)
+    .forEach(v => {
+      if (versions.length === 0 || compareVersions(versions[versions.length - 1], v) !== 0) versions.push(v);
+    });
+
+  const options = versions.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join('');
+  document.getElementById('sinceFrom').insertAdjacentHTML('beforeend', options);
+  document.getElementById('sinceTo').insertAdjacentHTML('beforeend', options);
+
+  ['javaVersion', 'sinceFrom', 'sinceTo', 'sortKey'].forEach(id => {
+    document.getElementById(id).addEventListener('change', applyFilters);
+  });
+
+  const sortDir = document.getElementById('sortDir');
+  sortDir.addEventListener('click', () => {
+    setSortDirection(sortDir.dataset.dir === 'desc' ? 'asc' : 'desc');
+    applyFilters();
+  });
+}
+
+// Rules passing the sidebar facets and the search box (search results must
+// be up to date, see updateSearchResults)
+function filterRules(list, filters) {
+  return list.filter(rule =>
+    matchesFacets(rule, filters) && matchesSearch(rule) && matchesQueryFilters(rule, filters.query));
 }
 
 // Apply filters
 function applyFilters() {
-  const { categories, priorities, tiers } = getActiveFilters();
-  const searchTerm = searchInput.value.toLowerCase().trim();
-
-  filteredRules = rules.filter(rule => {
-    const tier = String(rule.tier || 3);
-    const matchesCategory = categories.length === 0 || categories.includes(rule.category);
-    const matchesPriority = priorities.length === 0 || priorities.includes(String(rule.priority));
-    const matchesTier = tiers.length === 0 || tiers.includes(tier);
-    const matchesSearch = searchTerm === '' ||
-      rule.name.toLowerCase().includes(searchTerm) ||
-      rule.message.toLowerCase().includes(searchTerm) ||
-      rule.description.toLowerCase().includes(searchTerm) ||
-      (rule.categoryName && rule.categoryName.toLowerCase().includes(searchTerm)) ||
-      (rule.claude_comment && rule.claude_comment.toLowerCase().includes(searchTerm));
-
-    return matchesCategory && matchesPriority && matchesTier && matchesSearch;
-  });
+  syncQueryFromSidebar();
+  const filters = getActiveFilters();
+  const searchTerm = filters.query.text.toLowerCase();
+  updateSearchResults(searchTerm);
+
+  filteredRules = filterRules(rules, filters);
+  sortRules(filteredRules, filters.sort);
 
   currentPage = 1;
   filteredCountEl.textContent = filteredRules.length;
   updateCounts();
+  updateBuilderBar();
   renderRules();
+  syncUrlState();
 }
 
 // Setup filter listeners
@@ -202,8 +344,40 @@ function setupFilters() {
   setupToggleAll('toggleTier', '[data-tier]');
   setupToggleAll('toggleCategory', '[data-category]');
   setupToggleAll('togglePriority', '[data-priority]');
+  setupVersionFilters();
+
+  searchInput.addEventListener('input', debounce(() => {
+    applySearchQuery();
+    jumpToAlias();
+  }, 300));
+  searchInput.addEventListener('keydown', e => {
+    if (e.key === 'Enter') jumpToAlias({ again: true });
+  });
+  setupTierProfiles();
+}
 
-  searchInput.addEventListener('input', debounce(applyFilters, 300));
+// Tier profile switcher; hidden when only one profile was built
+function setupTierProfiles() {
+  const select = document.getElementById('tierProfile');
+  if (!select || typeof TIER_PROFILES === 'undefined' || TIER_PROFILES.profiles.length < 2) return;
+
+  select.innerHTML = TIER_PROFILES.profiles.map(p =>
+    `<option value="${escapeHtml(p.name)}" title="${escapeHtml(p.description)}">${escapeHtml(p.label)}</option>`
+  ).join('');
+  select.value = activeTierProfile;
+  select.hidden = false;
+  select.addEventListener('change', () => setTierProfile(select.value));
+}
+
+function setTierProfile(name) {
+  if (typeof TIER_PROFILES === 'undefined' || !TIER_PROFILES.profiles.some(p => p.name === name)) return;
+  activeTierProfile = name;
+
+  const select = document.getElementById('tierProfile');
+  if (select) select.value = name;
+
+  applyFilters();
+  if (selectedRuleName) selectRule(selectedRuleName);
 }
 
 // Setup toggle-all checkbox for a filter section
@@ -266,8 +440,10 @@ function renderRules() {
 
   if (pageRules.length === 0) {
     rulesGrid.innerHTML = `
-      <div class="loading">
-        <p>\uAC80\uC0C9 \uACB0\uACFC\uAC00 \uC5C6\uC2B5\uB2C8\uB2E4</p>
+      <div class="loading" role="row">
+        <div role="gridcell">
+          <p>\uAC80\uC0C9 \uACB0\uACFC\uAC00 \uC5C6\uC2B5\uB2C8\uB2E4</p>
+        </div>
       </div>
     `;
     pagination.innerHTML = '';
@@ -275,20 +451,28 @@ function renderRules() {
   }
 
   rulesGrid.innerHTML = pageRules.map(rule => {
-    const tier = String(rule.tier || 3);
+    const tier = getRuleTier(rule);
     return `
-    <div class="rule-card ${selectedRuleName === rule.name ? 'active' : ''}" data-name="${rule.name}">
+    <div class="rule-card ${selectedRuleName === rule.name ? 'active' : ''} ${builderState.active && builderState.excluded.has(rule.name) ? 'excluded' : ''}" data-name="${rule.name}"
+      role="row" aria-selected="${selectedRuleName === rule.name}" tabindex="${selectedRuleName === rule.name ? 0 : -1}">
+      <div role="gridcell">
       <div class="rule-card-header">
+        ${renderBuilderToggle(rule)}
         <span class="rule-category-icon ${rule.category}">${categoryIcons[rule.category] || '\uD83D\uDCCB'}</span>
-        <span class="rule-id">${rule.name}</span>
+        <span class="rule-id">${highlightMatches(rule, 'name', rule.name)}</span>
+        ${renderViolationBadge(rule)}
+        ${renderCoverageBadge(rule)}
+        ${renderChangeBadges(rule)}
+        ${renderPinToggle(rule)}
         <span class="tier-badge tier-${tier}" title="\uCD94\uCC9C \uB4F1\uAE09: ${tierNames[tier] || tier}">${tier === 'skip' ? '\u2014' : tier}</span>
       </div>
-      <div class="rule-title">${rule.message}</div>
+      ${renderRuleTitle(rule)}
       <div class="rule-meta">
         <span class="category-tag ${rule.category}">${rule.categoryName}</span>
         <span class="priority-badge p${rule.priority}">${priorityLabels[rule.priority]}</span>
         <span class="rule-since">v${rule.since}</span>
       </div>
+      </div>
     </div>
   `;
   }).join('');
@@ -297,10 +481,25 @@ function renderRules() {
   document.querySelectorAll('.rule-card').forEach(card => {
     card.addEventListener('click', () => selectRule(card.dataset.name));
   });
+  bindBuilderToggles();
+  bindPinToggles(rulesGrid);
+  // Keep one card in the tab order (roving tabindex)
+  setTabbableCard(rulesGrid.querySelector('.rule-card[tabindex="0"]') || rulesGrid.querySelector('.rule-card'));
 
   renderPagination();
 }
 
+// Page buttons shown around the current page: PAGE_WINDOW pages, shifted
+// to stay within 1..totalPages
+function pageWindow(page, totalPages) {
+  let startPage = Math.max(1, page - Math.floor(PAGE_WINDOW / 2));
+  const endPage = Math.min(totalPages, startPage + PAGE_WINDOW - 1);
+  if (endPage - startPage + 1 < PAGE_WINDOW) {
+    startPage = Math.max(1, endPage - PAGE_WINDOW + 1);
+  }
+  return { startPage, endPage };
+}
+
 // Render pagination
 function renderPagination() {
   const totalPages = Math.ceil(filteredRules.length / RULES_PER_PAGE);
@@ -312,15 +511,9 @@ function renderPagination() {
 
   let html = '';
 
-  html += `<button ${currentPage === 1 ? 'disabled' : ''} data-page="${currentPage - 1}">\u25C0</button>`;
-
-  const maxVisiblePages = 5;
-  let startPage = Math.max(1, currentPage - Math.floor(maxVisiblePages / 2));
-  let endPage = Math.min(totalPages, startPage + maxVisiblePages - 1);
+  html += `<button ${currentPage === 1 ? 'disabled' : ''} data-page="${currentPage - 1}" aria-label="\uC774\uC804 \uD398\uC774\uC9C0">\u25C0</button>`;
 
-  if (endPage - startPage + 1 < maxVisiblePages) {
-    startPage = Math.max(1, endPage - maxVisiblePages + 1);
-  }
+  const { startPage, endPage } = pageWindow(currentPage, totalPages);
 
   if (startPage > 1) {
     html += `<button data-page="1">1</button>`;
@@ -328,7 +521,7 @@ function renderPagination() {
   }
 
   for (let i = startPage; i <= endPage; i++) {
-    html += `<button class="${i === currentPage ? 'active' : ''}" data-page="${i}">${i}</button>`;
+    html += `<button class="${i === currentPage ? 'active' : ''}" data-page="${i}" ${i === currentPage ? 'aria-current="page"' : ''}>${i}</button>`;
   }
 
   if (endPage < totalPages) {
@@ -336,7 +529,7 @@ function renderPagination() {
     html += `<button data-page="${totalPages}">${totalPages}</button>`;
   }
 
-  html += `<button ${currentPage === totalPages ? 'disabled' : ''} data-page="${currentPage + 1}">\u25B6</button>`;
+  html += `<button ${currentPage === totalPages ? 'disabled' : ''} data-page="${currentPage + 1}" aria-label="\uB2E4\uC74C \uD398\uC774\uC9C0">\u25B6</button>`;
   html += `<span class="page-info">${currentPage} / ${totalPages}</span>`;
 
   pagination.innerHTML = html;
@@ -348,55 +541,117 @@ function renderPagination() {
         currentPage = page;
         renderRules();
         rulesGrid.scrollTop = 0;
+        syncUrlState();
       }
     });
   });
 }
 
+// Find a rule by its name or by one of its alias names (case-insensitive for aliases)
+function findRule(name) {
+  const rule = rules.find(r => r.name === name);
+  if (rule) return { rule, alias: null };
+
+  const lowerName = name.toLowerCase();
+  for (const r of rules) {
+    const alias = (r.aliases || []).find(a => a.name.toLowerCase() === lowerName);
+    if (alias) return { rule: r, alias };
+  }
+  return null;
+}
+
+// Alias the search box last opened, so typing on or changing filters does
+// not open it again
+let jumpedAlias = null;
+
+// Searching for an old rule name lands on the rule it now points to: once
+// when the box first holds the name, and again on Enter
+function jumpToAlias({ again = false } = {}) {
+  const term = parseSearchQuery(searchInput.value).text.toLowerCase();
+  const found = term && findRule(term);
+  const alias = found && found.alias && filteredRules.includes(found.rule) ? found.alias : null;
+  if (alias && (again || alias !== jumpedAlias)) selectRule(alias.name);
+  jumpedAlias = alias;
+}
+
+// Banner of a rule opened by one of its alias names
+function renderAliasBanner(rule, alias) {
+  let label = 'alias';
+  let text = '\uC774 \uADDC\uCE59\uC744 \uAC00\uB9AC\uD0A4\uB294 \uB2E4\uB978 \uC774\uB984\uC785\uB2C8\uB2E4.';
+  if (alias.deprecated) {
+    label = 'deprecated alias';
+    text = '\uB354 \uC774\uC0C1 \uC0AC\uC6A9\uB418\uC9C0 \uC54A\uB294 \uC774\uB984\uC785\uB2C8\uB2E4.';
+  } else if (alias.category !== rule.category) {
+    label = 'moved rule';
+    text = `${categoryNames[alias.category] || alias.category} \uCE74\uD14C\uACE0\uB9AC\uC5D0\uC11C \uC62E\uACA8 \uC628 \uADDC\uCE59\uC758 \uC774\uC804 \uC704\uCE58\uC785\uB2C8\uB2E4.`;
+  }
+  return `
+      <div class="alias-banner">
+        <span class="alias-label">${label}</span>
+        <code>${escapeHtml(alias.name)}</code>\uC740(\uB294) ${text} \uD604\uC7AC \uADDC\uCE59 \uC774\uB984\uC740 <code>${rule.name}</code>\uC785\uB2C8\uB2E4.
+      </div>
+  `;
+}
+
+// Category, priority and tier badges of the detail header
+function renderRuleBadges(rule) {
+  const tier = getRuleTier(rule);
+  return `
+    <div class="rule-card-header">
+      <span class="rule-category-icon ${rule.category}">${categoryIcons[rule.category] || '\uD83D\uDCCB'}</span>
+      <span class="category-tag ${rule.category}">${rule.categoryName}</span>
+      <span class="priority-badge p${rule.priority}">${priorityNames[rule.priority]}</span>
+      <span class="tier-badge tier-${tier}">Tier ${tier === 'skip' ? 'Skip' : tier}</span>
+    </div>
+  `;
+}
+
+function renderClaudeComment(rule) {
+  const tier = getRuleTier(rule);
+  const claudeComment = getRuleComment(rule);
+  if (!claudeComment) return '';
+
+  return `
+    <div class="ai-recommendation tier-${tier}">
+      <div class="ai-recommendation-header">
+        <span class="ai-icon">\uD83E\uDD16</span>
+        <span class="ai-label">Claude Comment</span>
+        <span class="ai-tier">Tier ${tier === 'skip' ? 'Skip' : tier} \u2014 ${tierNames[tier] || tier}</span>
+      </div>
+      <p class="ai-recommendation-text">${claudeComment}</p>
+    </div>
+  `;
+}
+
 // Select and display rule details
 function selectRule(ruleName) {
-  selectedRuleName = ruleName;
-  const rule = rules.find(r => r.name === ruleName);
+  const found = findRule(ruleName);
+  if (!found) return;
 
-  if (!rule) return;
+  const { rule, alias } = found;
+  selectedRuleName = rule.name;
 
   // Update card states
   document.querySelectorAll('.rule-card').forEach(card => {
-    card.classList.toggle('active', card.dataset.name === ruleName);
+    card.classList.toggle('active', card.dataset.name === rule.name);
+    card.setAttribute('aria-selected', card.dataset.name === rule.name);
   });
 
-  // Tier info
-  const tier = String(rule.tier || 3);
-  const tierLabel = tierNames[tier] || tier;
-  const claudeComment = rule.claude_comment || '';
+  // Build properties HTML
+  const propertiesHtml = renderPropertyEditor(rule);
 
-  // Build examples HTML
-  const examplesHtml = rule.examples && rule.examples.length > 0
-    ? rule.examples.map((ex, i) => `<pre><code class="language-java">${escapeHtml(ex)}</code></pre>`).join('\n')
-    : '<p>\uC608\uC81C \uCF54\uB4DC\uAC00 \uC5C6\uC2B5\uB2C8\uB2E4.</p>';
+  // Build violations HTML
+  const violationCount = getViolations(rule).length;
+  const violationsHtml = violationCount > 0 ? renderViolationList(rule) : '';
 
-  // Build properties HTML
-  let propertiesHtml = '';
-  if (rule.properties && rule.properties.length > 0) {
-    propertiesHtml = `
-      <table class="properties-table">
-        <thead>
-          <tr><th>\uC18D\uC131</th><th>\uAE30\uBCF8\uAC12</th><th>\uC124\uBA85</th></tr>
-        </thead>
-        <tbody>
-          ${rule.properties.map(p => `
-            <tr>
-              <td><code>${escapeHtml(p.name)}</code></td>
-              <td><code>${escapeHtml(p.defaultValue)}</code></td>
-              <td>${escapeHtml(p.description)}</td>
-            </tr>
-          `).join('')}
-        </tbody>
-      </table>
-    `;
-  } else {
-    propertiesHtml = '<p>\uC124\uC815 \uAC00\uB2A5\uD55C \uC18D\uC131\uC774 \uC5C6\uC2B5\uB2C8\uB2E4.</p>';
-  }
+  // Build XPath HTML
+  const xpathHtml = rule.xpath ? `
+    <div class="xpath-toolbar">
+      <span class="xpath-version">XPath ${escapeHtml(rule.xpath.version)}</span>
+      <button class="copy-btn" data-copy="xpath">\uBCF5\uC0AC</button>
+    </div>
+    <pre><code class="language-xpath">${escapeHtml(rule.xpath.expression)}</code></pre>
+  ` : '';
 
   // Build info section
   const versionInfo = [];
@@ -409,6 +664,12 @@ function selectRule(ruleName) {
       <h3>\uBC84\uC804 \uC815\uBCF4</h3>
       <ul>${versionInfo.map(v => `<li>${v}</li>`).join('')}</ul>
     </div>
+    ${rule.aliases ? `
+    <div class="info-section">
+      <h3>\uC774\uC804 \uC774\uB984</h3>
+      <ul>${rule.aliases.map(a => `<li><code>${escapeHtml(a.name)}</code>${a.deprecated ? ' (deprecated)' : ''}${a.category !== rule.category ? ` \u2014 ${categoryNames[a.category] || a.category}` : ''}</li>`).join('')}</ul>
+    </div>
+    ` : ''}
     ${rule.ruleClass ? `
     <div class="info-section">
       <h3>\uADDC\uCE59 \uD074\uB798\uC2A4</h3>
@@ -426,46 +687,68 @@ function selectRule(ruleName) {
   // Render detail
   ruleDetail.innerHTML = `
     <div class="detail-header">
-      <div class="rule-card-header">
-        <span class="rule-category-icon ${rule.category}">${categoryIcons[rule.category] || '\uD83D\uDCCB'}</span>
-        <span class="category-tag ${rule.category}">${rule.categoryName}</span>
-        <span class="priority-badge p${rule.priority}">${priorityNames[rule.priority]}</span>
-        <span class="tier-badge tier-${tier}">Tier ${tier === 'skip' ? 'Skip' : tier}</span>
-      </div>
-      <h2>${rule.message}</h2>
+      ${renderRuleBadges(rule)}
+      ${renderBuilderControls(rule)}
+      ${renderCoverageDetail(rule)}
+      ${alias ? renderAliasBanner(rule, alias) : ''}
+      ${renderRuleHeading(rule)}
       <span class="rule-id">${rule.name}</span>
-      ${claudeComment ? `
-      <div class="ai-recommendation tier-${tier}">
-        <div class="ai-recommendation-header">
-          <span class="ai-icon">\uD83E\uDD16</span>
-          <span class="ai-label">Claude Comment</span>
-          <span class="ai-tier">Tier ${tier === 'skip' ? 'Skip' : tier} \u2014 ${tierLabel}</span>
-        </div>
-        <p class="ai-recommendation-text">${claudeComment}</p>
-      </div>
-      ` : ''}
+      ${renderPinToggle(rule)}
+      ${renderClaudeComment(rule)}
     </div>
     <div class="detail-tabs">
       <button class="detail-tab active" data-tab="desc">\uC124\uBA85</button>
       <button class="detail-tab" data-tab="example">\uC608\uC81C \uCF54\uB4DC</button>
       <button class="detail-tab" data-tab="props">\uC18D\uC131</button>
       <button class="detail-tab" data-tab="info">\uCD94\uAC00 \uC815\uBCF4</button>
+      ${rule.xpath ? '<button class="detail-tab" data-tab="xpath">XPath</button>' : ''}
+      ${violationCount > 0 ? `<button class="detail-tab" data-tab="violations">\uC704\uBC18 (${violationCount})</button>` : ''}
     </div>
     <div class="tab-content active" id="tab-desc">
-      <div class="description-content">${formatDescription(rule.description)}</div>
+      ${renderRuleDescription(rule)}
+      ${renderRelatedRules(rule)}
     </div>
-    <div class="tab-content" id="tab-example">${examplesHtml}</div>
+    <div class="tab-content" id="tab-example">${renderExamples(rule)}</div>
     <div class="tab-content" id="tab-props">${propertiesHtml}</div>
     <div class="tab-content" id="tab-info">${infoHtml}</div>
+    ${rule.xpath ? `<div class="tab-content" id="tab-xpath">${xpathHtml}</div>` : ''}
+    ${violationCount > 0 ? `<div class="tab-content" id="tab-violations">${violationsHtml}</div>` : ''}
   `;
 
-  // Add tab listeners
+  // Add tab listeners and tab/tabpanel roles
+  ruleDetail.querySelector('.detail-tabs').setAttribute('role', 'tablist');
   document.querySelectorAll('.detail-tab').forEach(tab => {
+    const panel = document.getElementById(`tab-${tab.dataset.tab}`);
+    tab.id = `tabbtn-${tab.dataset.tab}`;
+    tab.setAttribute('role', 'tab');
+    tab.setAttribute('aria-controls', panel.id);
+    tab.setAttribute('aria-selected', tab.classList.contains('active'));
+    tab.tabIndex = tab.classList.contains('active') ? 0 : -1;
+    panel.setAttribute('role', 'tabpanel');
+    panel.setAttribute('aria-labelledby', tab.id);
     tab.addEventListener('click', () => switchTab(tab.dataset.tab));
   });
 
+  bindBuilderControls(rule);
+  bindPropertyEditor(rule);
+  bindPinToggles(ruleDetail);
+  ruleDetail.querySelectorAll('.related-rules .rule-link').forEach(link => {
+    link.addEventListener('click', e => {
+      e.preventDefault();
+      selectRule(link.dataset.rule);
+    });
+  });
+
+  // Add copy listener
+  const copyBtn = ruleDetail.querySelector('[data-copy="xpath"]');
+  if (copyBtn) {
+    copyBtn.addEventListener('click', () => copyToClipboard(rule.xpath.expression, copyBtn));
+  }
+
   // Apply syntax highlighting
   highlightCodeBlocks();
+
+  syncUrlState();
 }
 
 // Format description text (convert plain text to HTML paragraphs)
@@ -482,24 +765,126 @@ function formatDescription(text) {
     const trimmed = para.trim();
     if (!trimmed) return '';
     // Wrap inline code with <code> tags
-    const withCode = trimmed.replace(/`([^`]+)`/g, '<code>$1</code>');
+    const withCode = escapeHtml(trimmed).replace(/`([^`]+)`/g, '<code>$1</code>');
     return `<p>${withCode}</p>`;
   }).filter(Boolean).join('\n');
 }
 
-// Escape HTML entities
+// Escape HTML entities, quotes included so the result also fits in attribute values
 function escapeHtml(text) {
   if (!text) return '';
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// navigator.clipboard only exists in secure contexts (not on file:// or
+// plain http); elsewhere copy through a selected textarea
+function writeClipboardText(text) {
+  if (navigator.clipboard && navigator.clipboard.writeText) return navigator.clipboard.writeText(text);
+
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  let copied = false;
+  try {
+    copied = document.execCommand('copy');
+  } catch (e) {
+    copied = false;
+  }
+  textarea.remove();
+  return copied ? Promise.resolve() : Promise.reject(new Error('copy command failed'));
+}
+
+// Copy text to the clipboard and flash the result on the button
+function copyToClipboard(text, button) {
+  const original = button.textContent;
+  writeClipboardText(text).then(() => {
+    button.textContent = '\uBCF5\uC0AC\uB428';
+    button.classList.add('copied');
+  }).catch(() => {
+    button.textContent = '\uBCF5\uC0AC \uC2E4\uD328';
+  }).finally(() => {
+    setTimeout(() => {
+      button.textContent = original;
+      button.classList.remove('copied');
+    }, 1500);
+  });
+}
+
+// Dropping a file anywhere on the page loads it as a ruleset or a PMD report
+function setupFileDrop() {
+  document.addEventListener('dragover', e => e.preventDefault());
+  document.addEventListener('drop', e => {
+    e.preventDefault();
+    const file = e.dataTransfer.files[0];
+    if (!file) return;
+    readTextFile(file, text => {
+      if (/<ruleset[\s>]/.test(text)) importRulesetText(file.name, text);
+      else loadReportText(file.name, text);
+    });
+  });
+}
+
+// Read a picked or dropped file; a file that cannot be read is reported like
+// one that cannot be parsed
+function readTextFile(file, onText) {
+  file.text().then(onText, error => {
+    console.error('Failed to read file:', error);
+    alert(`${file.name}: ${error.message}`);
+  });
+}
+
+// Offer text content as a file download
+function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// XPath grammar for highlight.js (PMD XPath 3.1 rule queries)
+function registerXPathLanguage() {
+  hljs.registerLanguage('xpath', () => ({
+    name: 'XPath',
+    keywords: {
+      keyword: 'and or div idiv mod if then else for let in return some every satisfies ' +
+        'instance of treat as castable cast union intersect except is eq ne lt le gt ge to',
+      literal: 'true false'
+    },
+    contains: [
+      { scope: 'comment', begin: /\(:/, end: /:\)/ },
+      { scope: 'string', begin: /"/, end: /"/ },
+      { scope: 'string', begin: /'/, end: /'/ },
+      { scope: 'number', begin: /\b\d+(\.\d+)?\b/ },
+      { scope: 'attr', begin: /@[\w-]+/ },
+      { scope: 'variable', begin: /\$[\w-]+/ },
+      { scope: 'built_in', begin: /\b[\w-]+:[\w-]+(?=\s*\()/ },
+      { scope: 'built_in', begin: /\b[a-z][\w-]*(?=\s*\()/ },
+      { scope: 'symbol', begin: /\b[\w-]+::/ },
+      { scope: 'title', begin: /\b[A-Z]\w*/ },
+      { scope: 'operator', begin: /\/\/?|\||!=|<=|>=|=|<|>/ }
+    ]
+  }));
+}
+
+// highlight.js comes from a CDN; without it code stays plain text
+function highlightCode(el) {
+  if (typeof hljs !== 'undefined') hljs.highlightElement(el);
 }
 
 // Apply syntax highlighting to code blocks
 function highlightCodeBlocks() {
-  ruleDetail.querySelectorAll('pre code').forEach(block => {
-    hljs.highlightElement(block);
-  });
+  ruleDetail.querySelectorAll('pre code:not([data-highlighted])').forEach(highlightCode);
 
   // Also handle bare <pre> blocks
   ruleDetail.querySelectorAll('pre').forEach(pre => {
@@ -509,15 +894,35 @@ function highlightCodeBlocks() {
       codeEl.textContent = pre.textContent;
       pre.textContent = '';
       pre.appendChild(codeEl);
-      hljs.highlightElement(codeEl);
+      highlightCode(codeEl);
     }
   });
+
+  markViolationLines();
+}
+
+// Gutter marker and line highlight for the example lines PMD flags
+// (data-violation-lines="3,5"), placed behind the code so it stays selectable
+function markViolationLines() {
+  ruleDetail.querySelectorAll('pre[data-violation-lines]:not(.has-violations)').forEach(pre => {
+    pre.classList.add('has-violations');
+    pre.dataset.violationLines.split(',').map(Number).forEach(line => {
+      // style.css places the overlays from --line and the padding and line
+      // height of the <pre>. No whitespace between the spans: it would show
+      // inside the <pre>
+      pre.insertAdjacentHTML('afterbegin',
+        `<span class="violation-line" style="--line: ${line - 1}" aria-hidden="true"></span>` +
+        `<span class="violation-marker" style="--line: ${line - 1}" title="PMD \uC704\uBC18 (${line}\uBC88\uC9F8 \uC904)">\u25B6</span>`);
+    });
+  });
 }
 
 // Switch tab
 function switchTab(tabId) {
   document.querySelectorAll('.detail-tab').forEach(tab => {
     tab.classList.toggle('active', tab.dataset.tab === tabId);
+    tab.setAttribute('aria-selected', tab.dataset.tab === tabId);
+    tab.tabIndex = tab.dataset.tab === tabId ? 0 : -1;
   });
   document.querySelectorAll('.tab-content').forEach(content => {
     content.classList.remove('active');
@@ -528,4 +933,5 @@ function switchTab(tabId) {
 }
 
 // Initialize
+if (typeof hljs !== 'undefined') registerXPathLanguage();
 document.addEventListener('DOMContentLoaded', loadRules);
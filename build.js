@@ -3,9 +3,23 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const { parseXml, XmlParseError } = require('./xml_parser');
+const { SCHEMA_FILE, validateRules } = require('./rule_schema');
 
 const RESOURCES_DIR = path.join(__dirname, 'resources');
 const OUTPUT_FILE = path.join(__dirname, 'rules_data.js');
+// Versioned catalog snapshots for the changes view (node build.js --snapshot <version>)
+const SNAPSHOTS_DIR = path.join(__dirname, 'snapshots');
+const SNAPSHOTS_FILE = path.join(__dirname, 'snapshots_data.js');
+// Lines PMD flags in the examples (node mark_violations.js), optional
+const EXAMPLE_VIOLATIONS_FILE = path.join(__dirname, 'example_violations.json');
+// Upstream English rulesets (pmd-java category/java/<category>.xml), optional
+const EN_RESOURCES_DIR = process.env.PMD_EN_RESOURCES_DIR || path.join(RESOURCES_DIR, 'en');
+const RULESET_NS = 'http://pmd.sourceforge.net/ruleset/2.0.0';
+// PMD 7 evaluates XPathRule queries as XPath 3.1 unless a "version" property says otherwise
+const DEFAULT_XPATH_VERSION = '3.1';
 
 const CATEGORY_MAP = {
   'bestpractices_ko.xml': 'bestpractices',
@@ -18,118 +32,730 @@ const CATEGORY_MAP = {
   'security_ko.xml': 'security'
 };
 
-function extractAttr(attrStr, name) {
-  const regex = new RegExp(`${name}\\s*=\\s*"([^"]*)"`, 'i');
-  const m = attrStr.match(regex);
-  return m ? m[1] : '';
+// Elements of a <rule> are collected into small trees while streaming:
+//   { local, uri, attrs, children: [node | string], line, column }
+
+function extractAttr(el, name) {
+  return el.attrs[name] || '';
+}
+
+function textContent(el) {
+  return el.children
+    .map(child => (typeof child === 'string' ? child : textContent(child)))
+    .join('');
+}
+
+function childElements(el, tag) {
+  return el.children.filter(child =>
+    typeof child !== 'string' && child.uri === RULESET_NS && child.local === tag);
+}
+
+function extractFirstElement(el, tag) {
+  const child = childElements(el, tag)[0];
+  return child ? textContent(child).trim() : '';
+}
+
+function extractExamples(el) {
+  return childElements(el, 'example')
+    .map(ex => textContent(ex).trim())
+    .filter(Boolean);
+}
+
+// ---------------------------------------------------------------------------
+// Example segments
+// ---------------------------------------------------------------------------
+
+// Examples mix non-compliant and compliant code. They are split into
+// `{ kind: 'bad' | 'good' | 'neutral', code }` segments by
+//   - methods named bad()/good(), wrong()/correct(), ...
+//   - marker comments (// bad, // violation, // ok, // preferred, // 위반 ...):
+//     a comment on its own line starts a segment, a trailing comment marks
+//     the paragraph (blank-line separated) it is in
+// Unmarked code continues the segment before it; at the start it is taken to
+// be the violation, as that is what PMD examples show by default. Paragraphs
+// marked both ways, or said not to be reported (// not reported, // 보고되지
+// 않음 ...), are 'neutral': code the rule leaves alone is not a fix.
+// Examples without both a violation and a fix stay whole.
+
+// Negated phrases are checked before the plain marker words
+const NEGATED_MARKERS = [
+  [/\b(not good|not ok|not recommended|instead of)\b/i, 'bad'],
+  [/\b(won't trigger|not reported|not flagged)\b|보고되지 않|보고하지 않/i, 'neutral']
+];
+const BAD_MARKERS = /\b(bad|violation|violates|wrong|incorrect|avoid|poor|disallowed|non-?compliant|oops|unnecessary|should be|reported|flagged)\b|위반|나쁜|잘못|피해야/i;
+const GOOD_MARKERS = /\b(good|ok|okay|preferred|prefer|better|correct|compliant|fine|instead|recommended|use this|can be replaced|appropriate|proper|fixed)\b|올바른|좋은|권장|수정|대신/i;
+const EXAMPLE_METHOD = /^\s*(?:(?:public|protected|private|static|final|synchronized)\s+)*[\w<>[\],.? ]+\s+(\w+)\s*\([^)]*\)\s*(?:throws\s+[\w., ]+)?\s*\{\s*$/;
+
+function classifyMarker(text) {
+  const negated = NEGATED_MARKERS.find(([re]) => re.test(text));
+  if (negated) return negated[1];
+  if (BAD_MARKERS.test(text)) return 'bad';
+  if (GOOD_MARKERS.test(text)) return 'good';
+  return null;
+}
+
+function lineComment(line) {
+  const m = line.match(/\/\/(.*)$|\/\*(.*?)\*\/\s*$/);
+  return m ? (m[1] || m[2] || '') : null;
+}
+
+// Top-level methods named after their kind: [{ kind, start, end }] (line indexes)
+function methodSegments(lines) {
+  const found = [];
+  for (let i = 0; i < lines.length; i++) {
+    const m = lines[i].match(EXAMPLE_METHOD);
+    const kind = m && /^(bad|good|wrong|correct|incorrect|ok|violation|compliant|noncompliant)/i.test(m[1]) &&
+      classifyMarker(m[1].replace(/([a-z])([A-Z])/g, '$1 $2'));
+    if (!kind) continue;
+
+    let depth = 0;
+    let end = i;
+    for (; end < lines.length; end++) {
+      depth += (lines[end].match(/\{/g) || []).length - (lines[end].match(/\}/g) || []).length;
+      if (depth <= 0) break;
+    }
+    found.push({ kind, start: i, end: Math.min(end, lines.length - 1) });
+    i = end;
+  }
+  return found;
+}
+
+// Segments split at marker comments; with `ownLine` false only blank lines
+// split, and the markers just label the paragraphs
+function commentSegments(lines, ownLine) {
+  const segments = [];
+  let current = null;
+  const start = kind => {
+    current = { kind, lines: [] };
+    segments.push(current);
+  };
+
+  lines.forEach(line => {
+    const comment = lineComment(line);
+    const kind = comment !== null ? classifyMarker(comment) : null;
+    const isOwnLine = ownLine && /^\s*(\/\/|\/\*)/.test(line);
+
+    if (!line.trim()) {
+      // A blank line ends the paragraph
+      if (current && current.lines.length > 0) start(null);
+      return;
+    }
+    if (kind && isOwnLine) {
+      if (!current || current.lines.some(l => l.trim())) start(kind);
+      else current.kind = kind;
+    } else if (!current) {
+      start(null);
+    }
+    current.lines.push(line);
+    if (kind && !isOwnLine) {
+      if (!current.kind) current.kind = kind;
+      else if (current.kind !== kind) current.mixed = true;
+    }
+  });
+  return segments
+    .filter(seg => seg.lines.some(l => l.trim()))
+    .map(seg => ({ kind: seg.mixed ? 'neutral' : seg.kind, code: seg.lines.join('\n') }));
+}
+
+function isBalanced(code) {
+  return (code.match(/\{/g) || []).length === (code.match(/\}/g) || []).length;
+}
+
+// Body of an example wrapped in a single class, or null
+function classBody(lines) {
+  const first = lines.findIndex(l => l.trim());
+  let last = lines.length - 1;
+  while (last > first && !lines[last].trim()) last--;
+  if (first === -1 || !/\b(class|interface|enum|record)\b.*\{\s*$/.test(lines[first]) || lines[last].trim() !== '}') {
+    return null;
+  }
+  return lines.slice(first + 1, last);
+}
+
+// Kinds for the segments, or null unless both a violation and a fix were found
+function labelSegments(segments) {
+  if (!segments.some(seg => seg.kind === 'good')) return null;
+  // Unmarked paragraphs continue the one before them
+  let previous = 'bad';
+  segments.forEach(seg => {
+    if (!seg.kind) seg.kind = previous;
+    else if (seg.kind !== 'neutral') previous = seg.kind;
+  });
+  if (!segments.some(seg => seg.kind === 'bad')) return null;
+
+  // Adjacent segments of the same kind are one
+  const merged = [];
+  segments.forEach(seg => {
+    const last = merged[merged.length - 1];
+    if (last && last.kind === seg.kind) last.code += `\n\n${seg.code}`;
+    else merged.push({ ...seg });
+  });
+  merged.forEach(seg => { seg.code = dedent(seg.code); });
+  return merged;
+}
+
+// Segments of one example, or null. Splits that would cut a block in half
+// are rejected; a class wrapper is dropped to split between its members.
+function splitExample(code) {
+  const lines = code.split('\n');
+  const methods = methodSegments(lines);
+  if (methods.length > 0) {
+    return labelSegments(methods.map(m => ({ kind: m.kind, code: lines.slice(m.start, m.end + 1).join('\n') })));
+  }
+
+  const body = classBody(lines);
+  const candidates = [
+    ...[true, false].map(ownLine => commentSegments(lines, ownLine)),
+    ...(body ? [true, false].map(ownLine => commentSegments(body, ownLine)) : [])
+  ].filter(segments => segments.every(seg => isBalanced(seg.code)))
+    .map(labelSegments);
+  return candidates.find(Boolean) || null;
+}
+
+// Segments per example, or null when none of the examples could be split
+function splitExamples(examples) {
+  const segments = examples.map(splitExample);
+  return segments.some(Boolean) ? segments : null;
 }
 
-function stripCdata(text) {
-  return text.replace(/<!\[CDATA\[/g, '').replace(/\]\]>/g, '');
+// Remove leading/trailing blank lines and the indentation shared by all lines
+function dedent(text) {
+  const lines = text.replace(/^\s*\n/, '').replace(/\s+$/, '').split('\n');
+  const indents = lines
+    .filter(line => line.trim())
+    .map(line => line.match(/^[ \t]*/)[0].length);
+  const common = indents.length > 0 ? Math.min(...indents) : 0;
+  return lines.map(line => line.slice(common)).join('\n');
 }
 
-function extractFirstElement(xml, tag) {
-  const regex = new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`, 'i');
-  const m = xml.match(regex);
-  if (!m) return '';
-  return stripCdata(m[1]).trim();
+function propertyValue(prop) {
+  return 'value' in prop.attrs ? prop.attrs.value : extractFirstElement(prop, 'value');
 }
 
-function extractExamples(xml) {
-  const examples = [];
-  const regex = /<example>([\s\S]*?)<\/example>/gi;
-  let m;
-  while ((m = regex.exec(xml)) !== null) {
-    const ex = stripCdata(m[1]).trim();
-    if (ex) examples.push(ex);
+function findProperty(el, name) {
+  for (const container of childElements(el, 'properties')) {
+    const prop = childElements(container, 'property').find(p => extractAttr(p, 'name') === name);
+    if (prop) return prop;
   }
-  return examples;
+  return null;
 }
 
-function extractProperties(xml) {
+// XPath source of XPathRule-based rules (the "xpath" and "version" properties)
+function extractXPath(el) {
+  const xpathProp = findProperty(el, 'xpath');
+  if (!xpathProp) return null;
+
+  const valueEl = childElements(xpathProp, 'value')[0];
+  const expression = 'value' in xpathProp.attrs
+    ? xpathProp.attrs.value.trim()
+    : dedent(valueEl ? textContent(valueEl) : '');
+  const versionProp = findProperty(el, 'version');
+
+  return {
+    expression,
+    version: versionProp ? propertyValue(versionProp) : DEFAULT_XPATH_VERSION
+  };
+}
+
+function extractProperties(el) {
   const props = [];
-  const propRegex = /<property\s+name="([^"]*)"[^>]*(?:\/>|>([\s\S]*?)<\/property>)/gi;
-  let m;
-  while ((m = propRegex.exec(xml)) !== null) {
-    const name = m[1];
-    if (name === 'xpath' || name === 'version') continue;
-    let defaultVal = '';
-    const defMatch = m[0].match(/value="([^"]*)"/);
-    if (defMatch) {
-      defaultVal = defMatch[1];
-    } else if (m[2]) {
-      const valEl = m[2].match(/<value>([\s\S]*?)<\/value>/i);
-      if (valEl) defaultVal = stripCdata(valEl[1]).trim();
+  for (const container of childElements(el, 'properties')) {
+    for (const prop of childElements(container, 'property')) {
+      const name = extractAttr(prop, 'name');
+      if (name === 'xpath' || name === 'version') continue;
+      const type = extractAttr(prop, 'type');
+      const min = extractAttr(prop, 'min');
+      const max = extractAttr(prop, 'max');
+      const delimiter = extractAttr(prop, 'delimiter');
+      props.push({
+        name,
+        defaultValue: propertyValue(prop),
+        description: extractAttr(prop, 'description'),
+        ...(type && { type }),
+        ...(min && { min: Number(min) }),
+        ...(max && { max: Number(max) }),
+        ...(delimiter && { delimiter })
+      });
     }
-    const descMatch = m[0].match(/description="([^"]*)"/);
-    props.push({
-      name,
-      defaultValue: defaultVal,
-      description: descMatch ? descMatch[1] : ''
-    });
   }
   return props;
 }
 
+function ruleError(file, el, reason) {
+  return new XmlParseError(reason, file, el.line, el.column);
+}
+
+// A <rule name="Old" ref="..."/> entry in a category file keeps an old rule
+// name working after a rename or a move to another category. The ref is either
+// a bare rule name in the same file or "category/java/<category>.xml/<name>".
+function buildAlias(el, category, file, errors) {
+  const name = extractAttr(el, 'name');
+  const ref = extractAttr(el, 'ref');
+  if (!name) {
+    errors.push(ruleError(file, el, `<rule ref="${ref}"> is missing the "name" attribute`));
+    return null;
+  }
+
+  const m = ref.match(/^category\/java\/(\w+)\.xml\/(\w+)$/) || ref.match(/^()(\w+)$/);
+  if (!m) {
+    errors.push(ruleError(file, el, `Rule ${name} has unsupported ref "${ref}"`));
+    return null;
+  }
+
+  return {
+    name,
+    category,
+    deprecated: extractAttr(el, 'deprecated') === 'true',
+    target: { category: m[1] || category, name: m[2] },
+    file,
+    line: el.line,
+    column: el.column
+  };
+}
+
+function buildRule(el, category, rulesetName, file, errors) {
+  const name = extractAttr(el, 'name');
+  if (!name) {
+    errors.push(ruleError(file, el, '<rule> is missing the "name" attribute'));
+    return null;
+  }
+
+  const ruleClass = extractAttr(el, 'class');
+  if (!ruleClass) {
+    errors.push(ruleError(file, el, `Rule ${name} is missing the "class" attribute`));
+    return null;
+  }
+
+  const since = extractAttr(el, 'since');
+  const message = extractAttr(el, 'message');
+  const externalInfoUrl = extractAttr(el, 'externalInfoUrl')
+    .replace(/\$\{pmd\.website\.baseurl\}/g, 'https://docs.pmd-code.org/latest');
+  const maxLangVersion = extractAttr(el, 'maximumLanguageVersion');
+  const minLangVersion = extractAttr(el, 'minimumLanguageVersion');
+
+  const description = extractFirstElement(el, 'description');
+  const priorityStr = extractFirstElement(el, 'priority');
+  const priority = priorityStr ? Number(priorityStr) : 3;
+  if (!Number.isInteger(priority) || priority < 1 || priority > 5) {
+    const priorityEl = childElements(el, 'priority')[0];
+    errors.push(ruleError(file, priorityEl, `Rule ${name} has invalid priority "${priorityStr}" (expected 1-5)`));
+    return null;
+  }
+  const examples = extractExamples(el);
+  const exampleSegments = splitExamples(examples);
+  const properties = extractProperties(el);
+  const xpath = extractXPath(el);
+  if (xpath && !xpath.expression) {
+    errors.push(ruleError(file, findProperty(el, 'xpath'), `Rule ${name} has an empty "xpath" property`));
+    return null;
+  }
+
+  return {
+    name,
+    category,
+    categoryName: rulesetName,
+    since,
+    message,
+    ruleClass,
+    externalInfoUrl,
+    description,
+    priority,
+    examples,
+    ...(exampleSegments && { exampleSegments }),
+    ...(properties.length > 0 && { properties }),
+    ...(xpath && { xpath }),
+    ...(maxLangVersion && { maxLanguageVersion: maxLangVersion }),
+    ...(minLangVersion && { minLanguageVersion: minLangVersion })
+  };
+}
+
+// Parse one ruleset file into rules and alias (ref) entries. Malformed XML and
+// invalid rules are returned in `errors` (XmlParseError, with file/line/column)
+// rather than dropped.
 function parseXmlFile(filePath, category) {
   const xml = fs.readFileSync(filePath, 'utf-8');
+  const file = path.relative(__dirname, filePath);
   const rules = [];
+  const aliases = [];
+  const errors = [];
+
+  let rulesetName = category;
+  let depth = 0;
+  let open = null; // element stack of the <rule> currently being read
+
+  const appendText = text => {
+    if (open) open[open.length - 1].children.push(text);
+  };
+
+  try {
+    parseXml(xml, {
+      onOpen(tag) {
+        depth++;
+        if (depth === 1) {
+          if (tag.local !== 'ruleset' || tag.uri !== RULESET_NS) {
+            throw ruleError(file, tag, `Root element must be <ruleset> in namespace ${RULESET_NS}`);
+          }
+          rulesetName = tag.attrs.name || category;
+          return;
+        }
+
+        const node = {
+          local: tag.local,
+          uri: tag.uri,
+          attrs: tag.attrs,
+          children: [],
+          line: tag.line,
+          column: tag.column
+        };
+        if (open) {
+          open[open.length - 1].children.push(node);
+          open.push(node);
+        } else if (depth === 2 && tag.uri === RULESET_NS && tag.local === 'rule') {
+          open = [node];
+        }
+      },
+      onClose() {
+        depth--;
+        if (!open) return;
+        const node = open.pop();
+        if (open.length > 0) return;
+        open = null;
+        if ('ref' in node.attrs) {
+          const alias = buildAlias(node, category, file, errors);
+          if (alias) aliases.push(alias);
+        } else {
+          const rule = buildRule(node, category, rulesetName, file, errors);
+          if (rule) rules.push(rule);
+        }
+      },
+      onText: appendText,
+      onCdata: appendText
+    }, file);
+  } catch (err) {
+    if (!(err instanceof XmlParseError)) throw err;
+    errors.push(err);
+  }
+
+  return { rules, aliases, errors };
+}
+
+// Attach each alias to the rule it points to as `aliases: [{ name, category, deprecated }]`
+function linkAliases(rules, aliases, errors) {
+  for (const alias of aliases) {
+    const target = rules.find(r =>
+      r.category === alias.target.category && r.name === alias.target.name);
+    if (!target) {
+      errors.push(new XmlParseError(
+        `Alias ${alias.name} refers to unknown rule ${alias.target.category}/${alias.target.name}`,
+        alias.file, alias.line, alias.column));
+      continue;
+    }
+    if (!target.aliases) target.aliases = [];
+    target.aliases.push({
+      name: alias.name,
+      category: alias.category,
+      deprecated: alias.deprecated
+    });
+  }
+}
+
+// Attach the upstream English message, description and examples as `en`,
+// matching rules by category and name. Without the English directory the
+// catalog is built Korean-only.
+function attachEnglish(rules, errors, enResourcesDir) {
+  if (!fs.existsSync(enResourcesDir)) {
+    console.log(`\nNo English rulesets in ${enResourcesDir}, en fields skipped`);
+    return;
+  }
+
+  const byKey = new Map(rules.map(r => [`${r.category}/${r.name}`, r]));
+  console.log('');
+
+  for (const category of Object.values(CATEGORY_MAP)) {
+    const filePath = path.join(enResourcesDir, `${category}.xml`);
+    const file = path.relative(__dirname, filePath);
+    if (!fs.existsSync(filePath)) {
+      console.warn(`${file}: not found, ${category} rules stay Korean-only`);
+      continue;
+    }
+
+    const { rules: enRules, errors: enErrors } = parseXmlFile(filePath, category);
+    errors.push(...enErrors);
+
+    const unknown = [];
+    for (const en of enRules) {
+      const rule = byKey.get(`${category}/${en.name}`);
+      if (!rule) {
+        unknown.push(en.name);
+        continue;
+      }
+      rule.en = {
+        message: en.message,
+        description: en.description,
+        examples: en.examples,
+        ...(en.exampleSegments && { exampleSegments: en.exampleSegments })
+      };
+    }
+    console.log(`${file}: ${enRules.length} rules` +
+      (unknown.length > 0 ? `, ${unknown.length} not in the Korean catalog: ${unknown.join(', ')}` : ''));
+  }
+
+  const missing = rules.filter(r => !r.en);
+  if (missing.length > 0) {
+    console.warn(`${missing.length} rule(s) without an English original: ${missing.map(r => r.name).join(', ')}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Related rules
+// ---------------------------------------------------------------------------
+
+// Each rule gets `related: [{ name, reasons, score }]`, best first. Reasons:
+//   class        same (non-generic) rule class
+//   mentions     its description names the other rule
+//   mentionedBy  the other rule's description names it
+//   alias        its description names an old (alias) name of the other rule
+//   aliasMentionedBy
+//                the other rule's description names one of its old names
+//   similar      similar name, message and description (TF-IDF cosine)
+const RELATED_LIMIT = 6;
+const RELATED_WEIGHTS = { class: 2, mentions: 3, mentionedBy: 3, alias: 3, aliasMentionedBy: 3 };
+const SIMILARITY_MIN = 0.2;
+// A class shared by more rules than this is a generic implementation (XPathRule)
+const GENERIC_CLASS_MIN = 5;
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'this', 'that', 'with', 'are', 'not', 'use', 'should', 'can',
+  'its', 'from', 'when', 'which', 'than', 'code', 'class', 'method', 'rule', 'java'
+]);
+
+// Name words count twice; Korean text is split into character bigrams so
+// that particles and endings do not keep words apart
+function ruleTerms(rule) {
+  const text = [rule.message, rule.description, rule.en && rule.en.message, rule.en && rule.en.description]
+    .filter(Boolean).join(' ').replace(/<[^>]+>/g, ' ');
+  const nameWords = rule.name.match(/[A-Z]+(?![a-z])|[A-Z][a-z0-9]*|[a-z0-9]+/g).map(w => w.toLowerCase());
+
+  const terms = [...nameWords, ...nameWords];
+  (text.toLowerCase().match(/[a-z][a-z0-9]{2,}/g) || []).forEach(word => {
+    if (!STOP_WORDS.has(word)) terms.push(word);
+  });
+  (text.match(/[가-힣]{2,}/g) || []).forEach(word => {
+    for (let i = 0; i < word.length - 1; i++) terms.push(word.slice(i, i + 2));
+  });
+  return terms;
+}
+
+// Unit-length TF-IDF vectors as Map(term -> weight)
+function tfidfVectors(rules) {
+  const termLists = rules.map(ruleTerms);
+  const documentFrequency = new Map();
+  termLists.forEach(terms => new Set(terms).forEach(t => documentFrequency.set(t, (documentFrequency.get(t) || 0) + 1)));
+
+  return termLists.map(terms => {
+    const vector = new Map();
+    terms.forEach(t => vector.set(t, (vector.get(t) || 0) + 1));
+    let norm = 0;
+    vector.forEach((count, t) => {
+      const weight = count * Math.log(rules.length / documentFrequency.get(t));
+      vector.set(t, weight);
+      norm += weight * weight;
+    });
+    norm = Math.sqrt(norm) || 1;
+    vector.forEach((weight, t) => vector.set(t, weight / norm));
+    return vector;
+  });
+}
+
+function cosine(a, b) {
+  if (a.size > b.size) [a, b] = [b, a];
+  let dot = 0;
+  a.forEach((weight, t) => { if (b.has(t)) dot += weight * b.get(t); });
+  return dot;
+}
+
+function computeRelated(rules) {
+  const links = new Map(rules.map(r => [r.name, new Map()]));
+  const link = (from, to, reason, score) => {
+    if (from === to) return;
+    const entry = links.get(from).get(to) || { name: to, reasons: [], score: 0 };
+    if (!entry.reasons.includes(reason)) entry.reasons.push(reason);
+    entry.score += score;
+    links.get(from).set(to, entry);
+  };
+
+  const byClass = new Map();
+  rules.forEach(r => byClass.set(r.ruleClass, [...(byClass.get(r.ruleClass) || []), r]));
+  byClass.forEach(group => {
+    if (group.length > GENERIC_CLASS_MIN) return;
+    group.forEach(a => group.forEach(b => link(a.name, b.name, 'class', RELATED_WEIGHTS.class)));
+  });
 
-  // Extract ruleset name (Korean)
-  const rulesetNameMatch = xml.match(/<ruleset\s+name="([^"]*)"/);
-  const rulesetName = rulesetNameMatch ? rulesetNameMatch[1] : category;
-
-  // Match each <rule> element (non-greedy, handle nested elements)
-  const ruleRegex = /<rule\s+([^>]*?)>([\s\S]*?)<\/rule>/g;
-  let match;
-
-  while ((match = ruleRegex.exec(xml)) !== null) {
-    const attrs = match[1];
-    const body = match[2];
-
-    // Skip rule references (ref="...")
-    if (/\bref\s*=/.test(attrs)) continue;
-
-    const name = extractAttr(attrs, 'name');
-    if (!name) continue;
-
-    const since = extractAttr(attrs, 'since');
-    const message = extractAttr(attrs, 'message');
-    const ruleClass = extractAttr(attrs, 'class');
-    const externalInfoUrl = extractAttr(attrs, 'externalInfoUrl')
-      .replace(/\$\{pmd\.website\.baseurl\}/g, 'https://docs.pmd-code.org/latest');
-    const maxLangVersion = extractAttr(attrs, 'maximumLanguageVersion');
-    const minLangVersion = extractAttr(attrs, 'minimumLanguageVersion');
-
-    const description = extractFirstElement(body, 'description');
-    const priorityStr = extractFirstElement(body, 'priority');
-    const priority = parseInt(priorityStr) || 3;
-    const examples = extractExamples(body);
-    const properties = extractProperties(body);
-
-    rules.push({
-      name,
-      category,
-      categoryName: rulesetName,
-      since,
-      message,
-      ruleClass,
-      externalInfoUrl,
-      description,
-      priority,
-      examples,
-      ...(properties.length > 0 && { properties }),
-      ...(maxLangVersion && { maxLanguageVersion: maxLangVersion }),
-      ...(minLangVersion && { minLanguageVersion: minLangVersion })
+  // Rule and alias names as whole words in the descriptions
+  const mentionable = rules.flatMap(r => [
+    { name: r.name, rule: r, reason: 'mentions', reverse: 'mentionedBy' },
+    ...(r.aliases || []).filter(a => a.name !== r.name)
+      .map(a => ({ name: a.name, rule: r, reason: 'alias', reverse: 'aliasMentionedBy' }))
+  ]);
+  rules.forEach(rule => {
+    const text = [rule.description, rule.en && rule.en.description].filter(Boolean).join(' ');
+    mentionable.forEach(({ name, rule: target, reason, reverse }) => {
+      if (!new RegExp(`\\b${name}\\b`).test(text)) return;
+      link(rule.name, target.name, reason, RELATED_WEIGHTS[reason]);
+      link(target.name, rule.name, reverse, RELATED_WEIGHTS[reverse]);
     });
+  });
+
+  const vectors = tfidfVectors(rules);
+  for (let i = 0; i < rules.length; i++) {
+    for (let j = i + 1; j < rules.length; j++) {
+      const similarity = cosine(vectors[i], vectors[j]);
+      if (similarity < SIMILARITY_MIN) continue;
+      link(rules[i].name, rules[j].name, 'similar', similarity);
+      link(rules[j].name, rules[i].name, 'similar', similarity);
+    }
   }
 
-  return rules;
+  let count = 0;
+  rules.forEach(rule => {
+    const related = [...links.get(rule.name).values()]
+      .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+      .slice(0, RELATED_LIMIT)
+      .map(entry => ({ ...entry, score: Math.round(entry.score * 100) / 100 }));
+    if (related.length > 0) {
+      rule.related = related;
+      count++;
+    }
+  });
+  console.log(`Related rules: ${count} of ${rules.length} rules linked`);
+}
+
+// ---------------------------------------------------------------------------
+// Example violation lines
+// ---------------------------------------------------------------------------
+
+function exampleHash(code) {
+  return crypto.createHash('sha1').update(code).digest('hex').slice(0, 12);
 }
 
-function main() {
+// Flagged lines of the example, moved onto the segments it was split into
+// (matching line text in order, as segments are dedented and may drop a
+// class wrapper)
+function segmentViolations(code, lines, segments) {
+  const entries = segments.flatMap((seg, index) =>
+    seg.code.split('\n').map((text, i) => ({ index, line: i + 1, text: text.trim() })));
+  const perSegment = segments.map(() => []);
+
+  let cursor = 0;
+  code.split('\n').forEach((text, i) => {
+    if (!text.trim()) return;
+    const found = entries.findIndex((entry, j) => j >= cursor && entry.text === text.trim());
+    if (found === -1) return;
+    cursor = found + 1;
+    if (lines.includes(i + 1)) perSegment[entries[found].index].push(entries[found].line);
+  });
+  return perSegment;
+}
+
+// `exampleViolations: [[line, ...], ...]` per example (and on the example
+// segments as `violations`), for examples PMD flagged
+function attachViolationLines(target, ruleLines) {
+  const perExample = target.examples.map(code => ruleLines[exampleHash(code)] || []);
+  if (!perExample.some(lines => lines.length > 0)) return false;
+
+  target.exampleViolations = perExample;
+  (target.exampleSegments || []).forEach((segments, i) => {
+    if (!segments || perExample[i].length === 0) return;
+    segmentViolations(target.examples[i], perExample[i], segments).forEach((lines, j) => {
+      if (lines.length > 0) segments[j].violations = lines;
+    });
+  });
+  return true;
+}
+
+function attachExampleViolations(rules, violationsFile) {
+  if (!fs.existsSync(violationsFile)) {
+    console.log(`No ${path.basename(violationsFile)}, example violation lines skipped`);
+    return;
+  }
+
+  const { pmdVersion, rules: byRule } = JSON.parse(fs.readFileSync(violationsFile, 'utf-8'));
+  let count = 0;
+  rules.forEach(rule => {
+    const ruleLines = byRule[rule.name] || {};
+    if (attachViolationLines(rule, ruleLines)) count++;
+    if (rule.en) attachViolationLines(rule.en, ruleLines);
+  });
+  console.log(`Example violation lines (PMD ${pmdVersion}): ${count} rules`);
+}
+
+// Compare dotted version strings numerically ("7.9.0" < "7.10.0")
+function compareVersions(a, b) {
+  const pa = a.split('.').map(Number);
+  const pb = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// A snapshot keeps only what the changes view compares: rules with their
+// priority and property defaults, and the (deprecated) aliases pointing to them
+function toSnapshot(rules, version) {
+  return {
+    version,
+    rules: rules.map(rule => ({
+      name: rule.name,
+      category: rule.category,
+      since: rule.since,
+      priority: rule.priority,
+      properties: Object.fromEntries((rule.properties || []).map(p => [p.name, p.defaultValue]))
+    })),
+    aliases: rules.flatMap(rule => (rule.aliases || []).map(alias => ({
+      name: alias.name,
+      category: alias.category,
+      deprecated: alias.deprecated,
+      target: rule.name
+    })))
+  };
+}
+
+function saveSnapshot(rules, version) {
+  if (!/^\d+(\.\d+)*$/.test(version)) {
+    console.error(`Invalid snapshot version "${version}" (expected e.g. 7.21.0)`);
+    process.exit(1);
+  }
+  fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+  const file = path.join(SNAPSHOTS_DIR, `${version}.json`);
+  fs.writeFileSync(file, `${JSON.stringify(toSnapshot(rules, version), null, 2)}\n`, 'utf-8');
+  console.log(`Snapshot ${version} → ${file}`);
+}
+
+// Bundle all snapshots, oldest first, for the browser
+function writeSnapshotsData() {
+  const snapshots = fs.existsSync(SNAPSHOTS_DIR)
+    ? fs.readdirSync(SNAPSHOTS_DIR)
+      .filter(f => f.endsWith('.json'))
+      .map(f => JSON.parse(fs.readFileSync(path.join(SNAPSHOTS_DIR, f), 'utf-8')))
+      .sort((a, b) => compareVersions(a.version, b.version))
+    : [];
+
+  fs.writeFileSync(SNAPSHOTS_FILE, `const RULE_SNAPSHOTS =\n${JSON.stringify(snapshots)};\n`, 'utf-8');
+  console.log(`${snapshots.length} snapshot(s) → ${SNAPSHOTS_FILE}`);
+}
+
+// The catalog written to rules_data.js, before add_tiers.js. Inputs default
+// to the ones of this repository. Returns { rules, errors }; with errors the
+// rules are not sorted or linked as related.
+function buildRulesData({
+  resourcesDir = RESOURCES_DIR,
+  enResourcesDir = EN_RESOURCES_DIR,
+  violationsFile = EXAMPLE_VIOLATIONS_FILE
+} = {}) {
   const allRules = [];
-  const files = fs.readdirSync(RESOURCES_DIR).filter(f => f.endsWith('.xml'));
+  const allAliases = [];
+  const allErrors = [];
+  const files = fs.readdirSync(resourcesDir).filter(f => f.endsWith('.xml')).sort();
 
   for (const file of files) {
     const category = CATEGORY_MAP[file];
@@ -138,22 +764,87 @@ function main() {
       continue;
     }
 
-    const filePath = path.join(RESOURCES_DIR, file);
-    const rules = parseXmlFile(filePath, category);
-    console.log(`${file}: ${rules.length} rules parsed (${category})`);
+    const filePath = path.join(resourcesDir, file);
+    const { rules, aliases, errors } = parseXmlFile(filePath, category);
+    console.log(`${file}: ${rules.length} rules, ${aliases.length} aliases parsed (${category})`);
     allRules.push(...rules);
+    allAliases.push(...aliases);
+    allErrors.push(...errors);
   }
 
+  linkAliases(allRules, allAliases, allErrors);
+  attachEnglish(allRules, allErrors, enResourcesDir);
+  attachExampleViolations(allRules, violationsFile);
+  if (allErrors.length > 0) return { rules: allRules, errors: allErrors };
+
   // Sort: by category, then by priority (ascending), then by name
   allRules.sort((a, b) => {
     if (a.category !== b.category) return a.category.localeCompare(b.category);
     if (a.priority !== b.priority) return a.priority - b.priority;
     return a.name.localeCompare(b.name);
   });
+  computeRelated(allRules);
+  return { rules: allRules, errors: [] };
+}
+
+// Drift between the translations and the upstream rulesets fails the build.
+// check_translations.js exits 2 when nothing drifted but some upstream
+// rulesets were missing or unreadable, which only warns.
+function checkTranslations() {
+  const result = spawnSync(process.execPath, [path.join(__dirname, 'check_translations.js')], { encoding: 'utf-8' });
+  if (result.status === 0) return true;
+  if (result.status === 1) {
+    console.error(`\n${result.stdout.trim()}`);
+    console.error(`\nTranslations drifted from the upstream rulesets (node check_translations.js), ${OUTPUT_FILE} not written`);
+    return false;
+  }
+  console.warn(`Translations not checked against the upstream rulesets in ${EN_RESOURCES_DIR} (node check_translations.js)`);
+  return true;
+}
+
+function main() {
+  const snapshotIndex = process.argv.indexOf('--snapshot');
+  const snapshotVersion = snapshotIndex !== -1 ? process.argv[snapshotIndex + 1] || '' : null;
+
+  const { rules: allRules, errors: allErrors } = buildRulesData();
+  if (allErrors.length > 0) {
+    console.error(`\n${allErrors.length} error(s) found, ${OUTPUT_FILE} not written:`);
+    allErrors.forEach(err => console.error(`  ${err.message}`));
+    process.exit(1);
+  }
+
+  const schemaErrors = validateRules(allRules);
+  if (schemaErrors.length > 0) {
+    console.error(`\n${schemaErrors.length} record(s) do not match ${SCHEMA_FILE}, ${OUTPUT_FILE} not written:`);
+    schemaErrors.forEach(err => console.error(`  ${err}`));
+    process.exit(1);
+  }
+  if (!checkTranslations()) process.exit(1);
 
   const output = `const RULES_DATA =\n${JSON.stringify(allRules, null, 2)};\n`;
   fs.writeFileSync(OUTPUT_FILE, output, 'utf-8');
   console.log(`\nTotal: ${allRules.length} rules → ${OUTPUT_FILE}`);
+
+  if (snapshotVersion !== null) saveSnapshot(allRules, snapshotVersion);
+  writeSnapshotsData();
 }
 
-main();
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  RESOURCES_DIR,
+  EN_RESOURCES_DIR,
+  EXAMPLE_VIOLATIONS_FILE,
+  RULESET_NS,
+  CATEGORY_MAP,
+  extractAttr,
+  extractFirstElement,
+  extractExamples,
+  extractProperties,
+  splitExample,
+  parseXmlFile,
+  buildRulesData,
+  exampleHash
+};
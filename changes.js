@@ -0,0 +1,212 @@
+// 버전 간 변경 내역
+// Diffs two catalog snapshots (snapshots/*.json, bundled into snapshots_data.js
+// by build.js): new, removed, deprecated and re-prioritized rules, and changed
+// property defaults. While a diff is selected the rule cards get badges for it.
+
+const changeTypeLabels = {
+  added: '\uC2E0\uADDC \uADDC\uCE59',
+  removed: '\uC0AD\uC81C\uB41C \uADDC\uCE59',
+  deprecated: 'deprecated (\uC774\uB984 \uBCC0\uACBD)',
+  priority: '\uC6B0\uC120\uC21C\uC704 \uBCC0\uACBD',
+  defaults: '\uC18D\uC131 \uAE30\uBCF8\uAC12 \uBCC0\uACBD'
+};
+
+// Versions being compared, and the diff the cards show badges for
+const changesRange = { from: null, to: null };
+let changesDiff = null;
+
+function getSnapshots() {
+  return typeof RULE_SNAPSHOTS !== 'undefined' ? RULE_SNAPSHOTS : [];
+}
+
+function findSnapshot(version) {
+  return getSnapshots().find(s => s.version === version) || null;
+}
+
+function diffProperties(from, to) {
+  const names = new Set([...Object.keys(from), ...Object.keys(to)]);
+  return [...names]
+    .filter(name => from[name] !== to[name])
+    .map(name => ({ name, from: from[name], to: to[name] }));
+}
+
+// Changes from one snapshot to another. A rule that disappears but is kept as
+// an alias counts as deprecated rather than removed.
+function diffSnapshots(from, to) {
+  const fromRules = new Map(from.rules.map(r => [r.name, r]));
+  const toRules = new Map(to.rules.map(r => [r.name, r]));
+  const toAliases = new Map(to.aliases.map(a => [a.name, a]));
+  const changes = { added: [], removed: [], deprecated: [], priority: [], defaults: [] };
+
+  to.rules.forEach(rule => {
+    const old = fromRules.get(rule.name);
+    if (!old) {
+      changes.added.push({ rule: rule.name, since: rule.since });
+      return;
+    }
+    if (old.priority !== rule.priority) {
+      changes.priority.push({ rule: rule.name, from: old.priority, to: rule.priority });
+    }
+    const properties = diffProperties(old.properties, rule.properties);
+    if (properties.length > 0) changes.defaults.push({ rule: rule.name, properties });
+  });
+
+  from.rules.forEach(rule => {
+    if (toRules.has(rule.name)) return;
+    const alias = toAliases.get(rule.name);
+    if (alias) {
+      changes.deprecated.push({ rule: rule.name, target: alias.target });
+    } else {
+      changes.removed.push({ rule: rule.name });
+    }
+  });
+
+  // Rule name -> changes, for the card badges (renames are shown on the new rule)
+  const byRule = {};
+  Object.entries(changes).forEach(([type, list]) => {
+    list.forEach(change => {
+      const name = type === 'deprecated' ? change.target : change.rule;
+      (byRule[name] = byRule[name] || []).push({ type, ...change });
+    });
+  });
+
+  return { from: from.version, to: to.version, changes, byRule };
+}
+
+function updateChangesDiff() {
+  const from = findSnapshot(changesRange.from);
+  const to = findSnapshot(changesRange.to);
+  changesDiff = from && to && from !== to ? diffSnapshots(from, to) : null;
+}
+
+function formatPropertyValue(value) {
+  return value === undefined ? '\u2014' : `<code>${escapeHtml(value)}</code>`;
+}
+
+// Badges on a rule card for the selected diff
+function renderChangeBadges(rule) {
+  const list = changesDiff && changesDiff.byRule[rule.name];
+  if (!list) return '';
+
+  return list.map(change => {
+    switch (change.type) {
+      case 'added':
+        return `<span class="change-badge added" title="${changesDiff.to}\uC5D0\uC11C \uCD94\uAC00\uB428">${changesDiff.to} \uC2E0\uADDC</span>`;
+      case 'priority':
+        return `<span class="change-badge priority" title="\uC6B0\uC120\uC21C\uC704 \uBCC0\uACBD">P${change.from}\u2192P${change.to}</span>`;
+      case 'defaults':
+        return `<span class="change-badge defaults" title="${change.properties.map(p => escapeHtml(p.name)).join(', ')}">\uAE30\uBCF8\uAC12 \uBCC0\uACBD</span>`;
+      case 'deprecated':
+        return `<span class="change-badge deprecated" title="${escapeHtml(change.rule)}\uC5D0\uC11C \uC774\uB984 \uBCC0\uACBD">\uC774\uB984 \uBCC0\uACBD</span>`;
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+function renderRuleLink(name) {
+  return findRule(name)
+    ? `<a href="#" class="rule-link" data-rule="${name}">${name}</a>`
+    : `<code>${escapeHtml(name)}</code>`;
+}
+
+function renderChangeItem(type, change) {
+  switch (type) {
+    case 'added':
+      return `${renderRuleLink(change.rule)} <span class="rule-since">since ${escapeHtml(change.since)}</span>`;
+    case 'removed':
+      return `<code>${escapeHtml(change.rule)}</code>`;
+    case 'deprecated':
+      return `<code>${escapeHtml(change.rule)}</code> \u2192 ${renderRuleLink(change.target)}`;
+    case 'priority':
+      return `${renderRuleLink(change.rule)} P${change.from} \u2192 P${change.to}`;
+    case 'defaults':
+      return `${renderRuleLink(change.rule)}
+        <ul class="change-properties">
+          ${change.properties.map(p => `<li><code>${escapeHtml(p.name)}</code>: ${formatPropertyValue(p.from)} \u2192 ${formatPropertyValue(p.to)}</li>`).join('')}
+        </ul>`;
+    default:
+      return '';
+  }
+}
+
+function renderVersionSelect(id, selected) {
+  return `
+    <select id="${id}">
+      ${getSnapshots().map(s => `<option value="${escapeHtml(s.version)}" ${s.version === selected ? 'selected' : ''}>${escapeHtml(s.version)}</option>`).join('')}
+    </select>
+  `;
+}
+
+// Changes view in the detail panel
+function showChanges() {
+  const snapshots = getSnapshots();
+
+  let body;
+  if (snapshots.length < 2) {
+    body = `
+      <p>\uBE44\uAD50\uD560 \uC2A4\uB0C5\uC0F7\uC774 2\uAC1C \uC774\uC0C1 \uD544\uC694\uD569\uB2C8\uB2E4 (\uD604\uC7AC ${snapshots.length}\uAC1C).</p>
+      <p><code>node build.js --snapshot &lt;PMD \uBC84\uC804&gt;</code>\uC73C\uB85C \uD604\uC7AC \uCE74\uD0C8\uB85C\uADF8\uB97C \uC2A4\uB0C5\uC0F7\uC73C\uB85C \uC800\uC7A5\uD558\uC138\uC694.</p>
+    `;
+  } else {
+    const { changes } = changesDiff || { changes: {} };
+    body = `
+      <div class="builder-controls changes-range">
+        <label>\uC774\uC804 ${renderVersionSelect('changesFrom', changesRange.from)}</label>
+        <label>\uC774\uD6C4 ${renderVersionSelect('changesTo', changesRange.to)}</label>
+      </div>
+      ${changesDiff ? `
+      <div class="coverage-summary">
+        ${Object.entries(changeTypeLabels).map(([type, label]) => `
+          <div class="coverage-stat"><span class="coverage-stat-value">${changes[type].length}</span><span class="coverage-stat-label">${label}</span></div>
+        `).join('')}
+      </div>
+      ${Object.entries(changeTypeLabels).filter(([type]) => changes[type].length > 0).map(([type, label]) => `
+        <div class="info-section">
+          <h3>${label}</h3>
+          <ul class="change-list">${changes[type].map(change => `<li>${renderChangeItem(type, change)}</li>`).join('')}</ul>
+        </div>
+      `).join('')}
+      ` : '<p>\uC11C\uB85C \uB2E4\uB978 \uB450 \uBC84\uC804\uC744 \uC120\uD0DD\uD558\uC138\uC694.</p>'}
+    `;
+  }
+
+  ruleDetail.innerHTML = `
+    <div class="detail-header">
+      <h2>\uBCC0\uACBD \uB0B4\uC5ED</h2>
+      <span class="rule-id">${changesDiff ? `${changesDiff.from} \u2192 ${changesDiff.to}` : 'PMD \uBC84\uC804 \uBE44\uAD50'}</span>
+    </div>
+    <div class="tab-content active">${body}</div>
+  `;
+
+  ['changesFrom', 'changesTo'].forEach(id => {
+    const select = document.getElementById(id);
+    if (!select) return;
+    select.addEventListener('change', () => {
+      changesRange[id === 'changesFrom' ? 'from' : 'to'] = select.value;
+      updateChangesDiff();
+      renderRules();
+      showChanges();
+    });
+  });
+
+  ruleDetail.querySelectorAll('.rule-link').forEach(link => {
+    link.addEventListener('click', e => {
+      e.preventDefault();
+      selectRule(link.dataset.rule);
+    });
+  });
+}
+
+function setupChanges() {
+  // Default to the two newest snapshots
+  const snapshots = getSnapshots();
+  if (snapshots.length >= 2) {
+    changesRange.from = snapshots[snapshots.length - 2].version;
+    changesRange.to = snapshots[snapshots.length - 1].version;
+    updateChangesDiff();
+    renderRules();
+  }
+
+  document.getElementById('changesToggle').addEventListener('click', showChanges);
+}
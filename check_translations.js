@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+// 번역 XML ↔ PMD 원본 룰셋 비교 스크립트
+//
+// Compares each resources/<category>_ko.xml with the upstream English
+// category/java/<category>.xml it was translated from (see EN_RESOURCES_DIR in
+// build.js) and reports drift:
+//   missing     rule in the upstream ruleset but not in the Korean one
+//   added       rule in the Korean ruleset but not upstream (removed or renamed)
+//   since, class, priority
+//               attribute differs
+//   properties  property names differ (missing/added) or a default value changed
+//   examples    number of <example> blocks differs
+//
+// Usage: node check_translations.js [--json]
+//   --json  print the report as JSON on stdout instead of a summary
+// Exit code: 0 no drift, 1 drift found (also when some rulesets could not be
+// compared), 2 no drift found but some rulesets could not be compared
+// build.js runs this before writing rules_data.js and stops on exit code 1.
+
+const path = require('path');
+const fs = require('fs');
+const { RESOURCES_DIR, EN_RESOURCES_DIR, CATEGORY_MAP, parseXmlFile } = require('./build');
+
+function compareProperties(koRule, enRule) {
+  const koProps = new Map((koRule.properties || []).map(p => [p.name, p]));
+  const enProps = new Map((enRule.properties || []).map(p => [p.name, p]));
+
+  const missing = [...enProps.keys()].filter(name => !koProps.has(name));
+  const added = [...koProps.keys()].filter(name => !enProps.has(name));
+  const changedDefaults = [...enProps.keys()]
+    .filter(name => koProps.has(name) && koProps.get(name).defaultValue !== enProps.get(name).defaultValue)
+    .map(name => ({ name, ko: koProps.get(name).defaultValue, en: enProps.get(name).defaultValue }));
+
+  if (missing.length === 0 && added.length === 0 && changedDefaults.length === 0) return null;
+  return {
+    ...(missing.length > 0 && { missing }),
+    ...(added.length > 0 && { added }),
+    ...(changedDefaults.length > 0 && { changedDefaults })
+  };
+}
+
+// Drift issues for one rule present in both rulesets
+function compareRule(category, koRule, enRule) {
+  const issues = [];
+  const push = (type, details) => issues.push({ category, rule: koRule.name, type, ...details });
+
+  if (koRule.since !== enRule.since) push('since', { ko: koRule.since, en: enRule.since });
+  if (koRule.ruleClass !== enRule.ruleClass) push('class', { ko: koRule.ruleClass, en: enRule.ruleClass });
+  if (koRule.priority !== enRule.priority) push('priority', { ko: koRule.priority, en: enRule.priority });
+
+  const properties = compareProperties(koRule, enRule);
+  if (properties) push('properties', properties);
+
+  if (koRule.examples.length !== enRule.examples.length) {
+    push('examples', { ko: koRule.examples.length, en: enRule.examples.length });
+  }
+  return issues;
+}
+
+function compareCategory(koFile, category, { resourcesDir, enResourcesDir }) {
+  const koPath = path.join(resourcesDir, koFile);
+  const enPath = path.join(enResourcesDir, `${category}.xml`);
+  const result = {
+    category,
+    ko: path.relative(__dirname, koPath),
+    en: path.relative(__dirname, enPath),
+    compared: 0,
+    issues: [],
+    errors: []
+  };
+
+  if (!fs.existsSync(enPath)) {
+    result.errors.push(`${result.en}: upstream ruleset not found`);
+    return result;
+  }
+
+  const ko = parseXmlFile(koPath, category);
+  const en = parseXmlFile(enPath, category);
+  result.errors.push(...ko.errors.map(e => e.message), ...en.errors.map(e => e.message));
+  if (result.errors.length > 0) return result;
+
+  const koRules = new Map(ko.rules.map(r => [r.name, r]));
+  const enRules = new Map(en.rules.map(r => [r.name, r]));
+
+  for (const [name, enRule] of enRules) {
+    const koRule = koRules.get(name);
+    if (!koRule) {
+      result.issues.push({ category, rule: name, type: 'missing', en: { since: enRule.since } });
+      continue;
+    }
+    result.compared++;
+    result.issues.push(...compareRule(category, koRule, enRule));
+  }
+  for (const name of koRules.keys()) {
+    if (!enRules.has(name)) result.issues.push({ category, rule: name, type: 'added' });
+  }
+
+  return result;
+}
+
+// Drift report over all categories; the directories default to the ones
+// build.js reads
+function buildReport({ resourcesDir = RESOURCES_DIR, enResourcesDir = EN_RESOURCES_DIR } = {}) {
+  const categories = Object.entries(CATEGORY_MAP)
+    .map(([file, category]) => compareCategory(file, category, { resourcesDir, enResourcesDir }));
+  const issues = categories.flatMap(c => c.issues);
+  const errors = categories.flatMap(c => c.errors);
+
+  const byType = {};
+  issues.forEach(issue => { byType[issue.type] = (byType[issue.type] || 0) + 1; });
+
+  return {
+    upstreamDir: path.relative(__dirname, enResourcesDir) || '.',
+    summary: {
+      categories: categories.length,
+      comparedRules: categories.reduce((sum, c) => sum + c.compared, 0),
+      driftedRules: new Set(issues.map(i => `${i.category}/${i.rule}`)).size,
+      issues: issues.length,
+      byType,
+      errors: errors.length
+    },
+    categories: categories.map(({ category, ko, en, compared, errors }) => ({ category, ko, en, compared, errors })),
+    issues
+  };
+}
+
+function describeIssue(issue) {
+  switch (issue.type) {
+    case 'missing':
+      return 'not translated (upstream only)';
+    case 'added':
+      return 'not in the upstream ruleset';
+    case 'properties':
+      return [
+        issue.missing && `missing properties ${issue.missing.join(', ')}`,
+        issue.added && `extra properties ${issue.added.join(', ')}`,
+        issue.changedDefaults && issue.changedDefaults.map(d => `${d.name} default "${d.ko}" → "${d.en}"`).join(', ')
+      ].filter(Boolean).join('; ');
+    default:
+      return `${issue.type} ${JSON.stringify(issue.ko)} → ${JSON.stringify(issue.en)} (ko → upstream)`;
+  }
+}
+
+function printSummary(report) {
+  for (const category of report.categories) {
+    const issues = report.issues.filter(i => i.category === category.category);
+    console.log(`${category.ko} ↔ ${category.en}: ${category.compared} rules compared, ${issues.length} issue(s)`);
+    category.errors.forEach(err => console.error(`  ERROR ${err}`));
+    issues.forEach(issue => console.log(`  ${issue.rule}: ${describeIssue(issue)}`));
+  }
+
+  const { comparedRules, driftedRules, issues, errors } = report.summary;
+  console.log(`\nTotal: ${comparedRules} rules compared, ${driftedRules} drifted, ${issues} issue(s), ${errors} error(s)`);
+}
+
+// Drift wins over rulesets that could not be compared: one missing upstream
+// file must not hide drift in the others
+function exitCode(report) {
+  if (report.summary.issues > 0) return 1;
+  if (report.summary.errors > 0) return 2;
+  return 0;
+}
+
+function main() {
+  const report = buildReport();
+
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printSummary(report);
+  }
+
+  process.exit(exitCode(report));
+}
+
+if (require.main === module) main();
+
+module.exports = {
+  buildReport,
+  exitCode
+};
@@ -0,0 +1,192 @@
+// 규칙 비교
+// Rules pinned from the cards (📌) are shown side by side in the detail panel:
+// one column per rule, one row per field. Rows whose values differ between
+// the rules are highlighted; properties are lined up by name.
+
+// Pinned rule names, in the order they were pinned
+let pinnedRules = [];
+
+function isPinned(rule) {
+  return pinnedRules.includes(rule.name);
+}
+
+function setPinned(ruleName, pinned) {
+  pinnedRules = pinnedRules.filter(name => name !== ruleName);
+  if (pinned) pinnedRules.push(ruleName);
+
+  document.querySelectorAll(`.pin-toggle[data-pin="${ruleName}"]`).forEach(btn => {
+    btn.classList.toggle('active', pinned);
+    btn.setAttribute('aria-pressed', pinned);
+  });
+  updateCompareBar();
+  if (ruleDetail.querySelector('.compare-view')) showComparison();
+  syncUrlState();
+}
+
+function togglePinned(ruleName) {
+  setPinned(ruleName, !pinnedRules.includes(ruleName));
+}
+
+// Pin button on the cards and in the detail header
+function renderPinToggle(rule) {
+  const pinned = isPinned(rule);
+  return `<button class="pin-toggle ${pinned ? 'active' : ''}" data-pin="${rule.name}" aria-pressed="${pinned}" title="\uBE44\uAD50\uC5D0 \uCD94\uAC00">\uD83D\uDCCC</button>`;
+}
+
+function bindPinToggles(container) {
+  container.querySelectorAll('.pin-toggle').forEach(btn => {
+    btn.addEventListener('click', e => {
+      e.stopPropagation();
+      togglePinned(btn.dataset.pin);
+    });
+  });
+}
+
+function updateCompareBar() {
+  document.getElementById('compareBar').hidden = pinnedRules.length === 0;
+  document.getElementById('compareNames').textContent = pinnedRules.join(', ');
+  document.getElementById('compareShow').disabled = pinnedRules.length < 2;
+}
+
+function formatTierCell(rule) {
+  const tier = getRuleTier(rule);
+  return `<span class="tier-badge tier-${tier}">${tier === 'skip' ? '\u2014' : tier}</span> ${tierNames[tier] || tier}`;
+}
+
+// Rows of the comparison. `value` is what is compared between the columns;
+// rows without it are free text that always differs.
+const compareRows = [
+  {
+    label: '\uBA54\uC2DC\uC9C0',
+    render: rule => renderRuleHeading(rule)
+  },
+  {
+    label: '\uCE74\uD14C\uACE0\uB9AC',
+    value: rule => rule.category,
+    render: rule => `<span class="category-tag ${rule.category}">${rule.categoryName}</span>`
+  },
+  {
+    label: '\uCD94\uCC9C \uB4F1\uAE09',
+    value: rule => getRuleTier(rule),
+    render: formatTierCell
+  },
+  {
+    label: '\uC6B0\uC120\uC21C\uC704',
+    value: rule => rule.priority,
+    render: rule => `<span class="priority-badge p${rule.priority}">${priorityNames[rule.priority]}</span>`
+  },
+  {
+    label: 'since',
+    value: rule => rule.since,
+    render: rule => `PMD ${escapeHtml(rule.since)}`
+  },
+  {
+    label: 'Claude Comment',
+    render: rule => renderClaudeComment(rule) || '\u2014'
+  },
+  {
+    label: '\uC608\uC81C \uCF54\uB4DC',
+    render: rule => renderExamples(rule)
+  }
+];
+
+function valuesDiffer(values) {
+  return new Set(values.map(v => JSON.stringify(v))).size > 1;
+}
+
+// One row per property name found in any of the rules
+function renderPropertyRows(list) {
+  const names = [];
+  list.forEach(rule => (rule.properties || []).forEach(p => {
+    if (!names.includes(p.name)) names.push(p.name);
+  }));
+  if (names.length === 0) {
+    return `<tr><th scope="row">\uC18D\uC131</th>${list.map(() => '<td>\u2014</td>').join('')}</tr>`;
+  }
+
+  return names.map((name, i) => {
+    const props = list.map(rule => (rule.properties || []).find(p => p.name === name));
+    const differ = valuesDiffer(props.map(p => p ? p.defaultValue : null));
+    return `
+      <tr class="compare-property ${differ ? 'compare-diff' : ''}">
+        <th scope="row">${i === 0 ? '\uC18D\uC131<br>' : ''}<code>${escapeHtml(name)}</code></th>
+        ${props.map(p => p
+          ? `<td title="${escapeHtml(p.description)}"><code>${escapeHtml(p.defaultValue) || '&nbsp;'}</code></td>`
+          : '<td class="compare-missing">\u2014</td>').join('')}
+      </tr>
+    `;
+  }).join('');
+}
+
+// Comparison view in the detail panel
+function showComparison() {
+  const list = pinnedRules.map(name => findRule(name)).filter(Boolean).map(found => found.rule);
+
+  const rows = compareRows.map(row => {
+    const differ = row.value && valuesDiffer(list.map(row.value));
+    return `
+      <tr class="${differ ? 'compare-diff' : ''}">
+        <th scope="row">${row.label}</th>
+        ${list.map(rule => `<td>${row.render(rule)}</td>`).join('')}
+      </tr>
+    `;
+  });
+  // Properties go after since, before the free text rows
+  rows.splice(compareRows.findIndex(row => row.label === 'since') + 1, 0, renderPropertyRows(list));
+
+  ruleDetail.innerHTML = `
+    <div class="detail-header compare-view">
+      <h2>\uADDC\uCE59 \uBE44\uAD50</h2>
+      <span class="rule-id">${list.length}\uAC1C \uADDC\uCE59</span>
+    </div>
+    <div class="tab-content active">
+      ${list.length < 2 ? '<p>\uBE44\uAD50\uD560 \uADDC\uCE59\uC744 2\uAC1C \uC774\uC0C1 \uACE0\uC815(\uD83D\uDCCC)\uD558\uC138\uC694.</p>' : `
+      <div class="compare-scroll">
+        <table class="compare-table">
+          <thead>
+            <tr>
+              <th></th>
+              ${list.map(rule => `
+              <th scope="col">
+                <a href="#" class="rule-link" data-rule="${rule.name}">${rule.name}</a>
+                <button class="compare-unpin" data-unpin="${rule.name}" title="\uBE44\uAD50\uC5D0\uC11C \uC81C\uAC70">\u2715</button>
+              </th>
+              `).join('')}
+            </tr>
+          </thead>
+          <tbody>${rows.join('')}</tbody>
+        </table>
+      </div>
+      `}
+    </div>
+  `;
+
+  ruleDetail.querySelectorAll('.rule-link').forEach(link => {
+    link.addEventListener('click', e => {
+      e.preventDefault();
+      selectRule(link.dataset.rule);
+    });
+  });
+  ruleDetail.querySelectorAll('[data-unpin]').forEach(btn => {
+    btn.addEventListener('click', () => setPinned(btn.dataset.unpin, false));
+  });
+
+  highlightCodeBlocks();
+}
+
+function clearPinned() {
+  [...pinnedRules].forEach(name => setPinned(name, false));
+}
+
+// Pins restored from the URL
+function restorePinned(names) {
+  pinnedRules = names.map(name => findRule(name)).filter(Boolean).map(found => found.rule.name)
+    .filter((name, i, list) => list.indexOf(name) === i);
+  updateCompareBar();
+}
+
+function setupCompare() {
+  document.getElementById('compareShow').addEventListener('click', showComparison);
+  document.getElementById('compareClear').addEventListener('click', clearPinned);
+  updateCompareBar();
+}
@@ -0,0 +1,104 @@
+// 예제 코드: 위반 / 수정 분리
+// build.js splits examples into `exampleSegments` ('bad', 'good', 'neutral').
+// A violation next to its fix is shown as two labeled panes with a line
+// diff; examples that were not split are shown as before.
+// Lines PMD flags in an example (`exampleViolations`, see mark_violations.js)
+// are passed to highlightCodeBlocks as data-violation-lines.
+
+const exampleKindLabels = {
+  bad: '\uC704\uBC18',
+  good: '\uC218\uC815',
+  neutral: '\uCF54\uB4DC'
+};
+
+function renderCodeBlock(code, violationLines) {
+  const lines = violationLines && violationLines.length > 0 ? ` data-violation-lines="${violationLines.join(',')}"` : '';
+  return `<pre${lines}><code class="language-java">${escapeHtml(code)}</code></pre>`;
+}
+
+function renderExamplePane(segment) {
+  return `
+    <div class="example-pane ${segment.kind}">
+      <div class="example-pane-label">${exampleKindLabels[segment.kind]}</div>
+      ${renderCodeBlock(segment.code, segment.violations)}
+    </div>
+  `;
+}
+
+// Line diff (longest common subsequence, ignoring indentation):
+// [{ type: ' ' | '-' | '+', text }]
+function diffLines(from, to) {
+  const a = from.split('\n');
+  const b = to.split('\n');
+  const same = (i, j) => a[i].trim() === b[j].trim();
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = same(i, j) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (same(i, j)) {
+      lines.push({ type: ' ', text: b[j] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ type: '-', text: a[i++] });
+    } else {
+      lines.push({ type: '+', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: '-', text: a[i++] });
+  while (j < b.length) lines.push({ type: '+', text: b[j++] });
+  return lines;
+}
+
+function renderExampleDiff(bad, good) {
+  const lineClasses = { ' ': 'same', '-': 'removed', '+': 'added' };
+  return `
+    <details class="example-diff">
+      <summary>\uBCC0\uACBD \uC0AC\uD56D (diff)</summary>
+      <pre><code class="nohighlight">${diffLines(bad.code, good.code).map(line =>
+        `<span class="diff-line ${lineClasses[line.type]}">${line.type} ${escapeHtml(line.text)}</span>`).join('\n')}</code></pre>
+    </details>
+  `;
+}
+
+// A violation next to its fix pairs up in either order (some examples show
+// the fix first); the pair is shown violation first
+function renderSplitExample(segments) {
+  const rows = [];
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    const next = segments[i + 1];
+    const kinds = next ? `${segment.kind}/${next.kind}` : '';
+    if (kinds === 'bad/good' || kinds === 'good/bad') {
+      const [bad, good] = segment.kind === 'bad' ? [segment, next] : [next, segment];
+      rows.push(`
+        <div class="example-pair">
+          <div class="example-panes">${renderExamplePane(bad)}${renderExamplePane(good)}</div>
+          ${renderExampleDiff(bad, good)}
+        </div>
+      `);
+      i++;
+    } else {
+      rows.push(renderExamplePane(segment));
+    }
+  }
+  return `<div class="example-split">${rows.join('')}</div>`;
+}
+
+// Examples tab content
+function renderExamples(rule) {
+  const examples = getRuleText(rule, 'examples');
+  if (!examples || examples.length === 0) return '<p>\uC608\uC81C \uCF54\uB4DC\uAC00 \uC5C6\uC2B5\uB2C8\uB2E4.</p>';
+
+  const segments = getRuleText(rule, 'exampleSegments') || [];
+  const violations = getRuleText(rule, 'exampleViolations') || [];
+  return examples.map((ex, i) => segments[i] ? renderSplitExample(segments[i]) : renderCodeBlock(ex, violations[i])).join('\n');
+}
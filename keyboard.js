@@ -0,0 +1,249 @@
+// 키보드 탐색 / 명령 팔레트
+//   j / ↓, k / ↑   move the focused card through filteredRules (across pages),
+//                   while the focus is in the list
+//   Enter, Space    open the focused card
+//   p               pin / unpin the focused card for comparison
+//   1-9             switch detail tab
+//   /               focus the search box (Esc returns to the list)
+//   Ctrl+K          command palette: jump to a rule by name
+
+const PALETTE_LIMIT = 10;
+
+const palette = {
+  results: [],
+  active: 0,
+  returnFocus: null
+};
+
+function isTypingTarget(el) {
+  return Boolean(el) && (['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName) || el.isContentEditable);
+}
+
+function getCardIndex(card) {
+  return card ? filteredRules.findIndex(rule => rule.name === card.dataset.name) : -1;
+}
+
+// Roving tabindex of the rule grid: only one card, with its pin button and
+// builder checkbox, is in the tab order; the arrows reach the others
+function setTabbableCard(card) {
+  rulesGrid.querySelectorAll('.rule-card').forEach(c => {
+    const tabIndex = c === card ? 0 : -1;
+    c.tabIndex = tabIndex;
+    c.querySelectorAll('button, input').forEach(control => { control.tabIndex = tabIndex; });
+  });
+}
+
+// Focus the card of filteredRules[index], turning the page when needed
+function focusRuleAt(index) {
+  if (filteredRules.length === 0) return;
+  index = Math.min(Math.max(index, 0), filteredRules.length - 1);
+
+  const page = Math.floor(index / RULES_PER_PAGE) + 1;
+  if (page !== currentPage) {
+    currentPage = page;
+    renderRules();
+    syncUrlState();
+  }
+
+  const card = rulesGrid.querySelector(`.rule-card[data-name="${filteredRules[index].name}"]`);
+  if (!card) return;
+  setTabbableCard(card);
+  card.focus();
+  card.scrollIntoView({ block: 'nearest' });
+}
+
+function moveRuleFocus(delta) {
+  let index = getCardIndex(document.activeElement.closest && document.activeElement.closest('.rule-card'));
+  if (index === -1) index = filteredRules.findIndex(rule => rule.name === selectedRuleName);
+  if (index === -1 || Math.floor(index / RULES_PER_PAGE) + 1 !== currentPage) {
+    // Nothing focused on this page yet: start from its first card
+    focusRuleAt((currentPage - 1) * RULES_PER_PAGE);
+    return;
+  }
+  focusRuleAt(index + delta);
+}
+
+function switchTabByNumber(n) {
+  const tab = ruleDetail.querySelectorAll('.detail-tab')[n - 1];
+  if (tab) switchTab(tab.dataset.tab);
+}
+
+// Left/Right between the detail tabs (ARIA tabs pattern)
+function moveTabFocus(tab, delta) {
+  const tabs = Array.from(ruleDetail.querySelectorAll('.detail-tab'));
+  const next = tabs[(tabs.indexOf(tab) + delta + tabs.length) % tabs.length];
+  switchTab(next.dataset.tab);
+  next.focus();
+}
+
+// ---------------------------------------------------------------------------
+// Command palette
+// ---------------------------------------------------------------------------
+function updatePaletteResults() {
+  const query = document.getElementById('paletteInput').value.trim();
+  const results = searchRules(query);
+
+  palette.results = results
+    ? [...results.entries()]
+      .sort((a, b) => b[1].score - a[1].score || a[0].name.localeCompare(b[0].name))
+      .slice(0, PALETTE_LIMIT)
+      .map(([rule]) => rule)
+    : filteredRules.slice(0, PALETTE_LIMIT);
+  palette.active = 0;
+  renderPaletteResults();
+}
+
+function renderPaletteResults() {
+  const list = document.getElementById('paletteList');
+  const input = document.getElementById('paletteInput');
+
+  list.innerHTML = palette.results.length > 0
+    ? palette.results.map((rule, i) => `
+      <li class="palette-option ${i === palette.active ? 'active' : ''}" id="palette-option-${i}"
+        role="option" aria-selected="${i === palette.active}" data-rule="${rule.name}">
+        <span class="rule-id">${rule.name}</span>
+        <span class="palette-message">${escapeHtml(rule.message)}</span>
+      </li>
+    `).join('')
+    : '<li class="palette-empty" role="presentation">\uC77C\uCE58\uD558\uB294 \uADDC\uCE59\uC774 \uC5C6\uC2B5\uB2C8\uB2E4</li>';
+
+  if (palette.results.length > 0) {
+    input.setAttribute('aria-activedescendant', `palette-option-${palette.active}`);
+  } else {
+    input.removeAttribute('aria-activedescendant');
+  }
+
+  list.querySelectorAll('.palette-option').forEach(option => {
+    option.addEventListener('mousedown', e => {
+      e.preventDefault();
+      openPaletteRule(option.dataset.rule);
+    });
+  });
+}
+
+function movePaletteSelection(delta) {
+  if (palette.results.length === 0) return;
+  palette.active = (palette.active + delta + palette.results.length) % palette.results.length;
+  renderPaletteResults();
+  document.getElementById(`palette-option-${palette.active}`).scrollIntoView({ block: 'nearest' });
+}
+
+function openPalette() {
+  const backdrop = document.getElementById('commandPalette');
+  if (!backdrop.hidden) return;
+
+  palette.returnFocus = document.activeElement;
+  backdrop.hidden = false;
+  const input = document.getElementById('paletteInput');
+  input.value = '';
+  updatePaletteResults();
+  input.focus();
+}
+
+function closePalette() {
+  const backdrop = document.getElementById('commandPalette');
+  if (backdrop.hidden) return;
+
+  backdrop.hidden = true;
+  if (palette.returnFocus && document.contains(palette.returnFocus)) palette.returnFocus.focus();
+  palette.returnFocus = null;
+}
+
+// Show the rule, and move the list to its card when it is among the filtered rules
+function openPaletteRule(name) {
+  const backdrop = document.getElementById('commandPalette');
+  backdrop.hidden = true;
+  palette.returnFocus = null;
+
+  selectRule(name);
+  const index = filteredRules.findIndex(rule => rule.name === selectedRuleName);
+  if (index !== -1) focusRuleAt(index);
+}
+
+function setupPalette() {
+  const backdrop = document.getElementById('commandPalette');
+  const input = document.getElementById('paletteInput');
+
+  input.addEventListener('input', updatePaletteResults);
+  input.addEventListener('keydown', e => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      movePaletteSelection(1);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      movePaletteSelection(-1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (palette.results[palette.active]) openPaletteRule(palette.results[palette.active].name);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      closePalette();
+    } else if (e.key === 'Tab') {
+      // The input is the only focusable element of the dialog
+      e.preventDefault();
+    }
+  });
+
+  backdrop.addEventListener('mousedown', e => {
+    if (e.target === backdrop) closePalette();
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Global shortcuts
+// ---------------------------------------------------------------------------
+function handleKeydown(e) {
+  if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+    e.preventDefault();
+    openPalette();
+    return;
+  }
+  if (!document.getElementById('commandPalette').hidden) return;
+
+  const target = e.target;
+  if (target === searchInput && e.key === 'Escape') {
+    searchInput.blur();
+    moveRuleFocus(0);
+    return;
+  }
+  if (isTypingTarget(target) || e.ctrlKey || e.metaKey || e.altKey) return;
+
+  const card = target.closest && target.closest('.rule-card');
+  const tab = target.closest && target.closest('.detail-tab');
+  // j/k and the arrows move through the list only from inside it (or from nowhere),
+  // so they still scroll the detail panel and the page everywhere else
+  const inList = target === document.body || rulesGrid.contains(target);
+
+  if (tab && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+    e.preventDefault();
+    moveTabFocus(tab, e.key === 'ArrowRight' ? 1 : -1);
+  } else if (inList && (e.key === 'j' || e.key === 'ArrowDown')) {
+    e.preventDefault();
+    moveRuleFocus(1);
+  } else if (inList && (e.key === 'k' || e.key === 'ArrowUp')) {
+    e.preventDefault();
+    moveRuleFocus(-1);
+  } else if (target === card && (e.key === 'Enter' || e.key === ' ')) {
+    // Only on the card itself: its pin button keeps its own Enter/Space
+    e.preventDefault();
+    selectRule(card.dataset.name);
+  } else if (card && e.key === 'p') {
+    togglePinned(card.dataset.name);
+  } else if (/^[1-9]$/.test(e.key)) {
+    switchTabByNumber(Number(e.key));
+  } else if (e.key === '/') {
+    e.preventDefault();
+    searchInput.focus();
+    searchInput.select();
+  }
+}
+
+function setupKeyboard() {
+  setupPalette();
+  document.addEventListener('keydown', handleKeydown);
+  // A clicked or tabbed-to card becomes the one in the tab order
+  rulesGrid.addEventListener('focusin', e => {
+    const card = e.target.closest('.rule-card');
+    if (card && card.tabIndex !== 0) setTabbableCard(card);
+  });
+}
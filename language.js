@@ -0,0 +1,76 @@
+// 한국어 / 영어 원문 전환
+// Rules built with the upstream English rulesets carry `en: { message,
+// description, examples }`. The toolbar toggle shows the Korean text, the
+// English original, or both side by side.
+
+const LANGUAGES = ['ko', 'en', 'both'];
+
+let displayLanguage = 'ko';
+
+function hasEnglishText() {
+  return rules.some(rule => rule.en);
+}
+
+// Message/description/examples in the current language; 'both' and rules
+// without an English original use the Korean text
+function getRuleText(rule, field) {
+  return displayLanguage === 'en' && rule.en ? rule.en[field] : rule[field];
+}
+
+// Card title; side by side adds the English message under the Korean one
+function renderRuleTitle(rule) {
+  const field = displayLanguage === 'en' && rule.en ? 'enMessage' : 'message';
+  const title = `<div class="rule-title">${highlightMatches(rule, field, getRuleText(rule, 'message'))}</div>`;
+  if (displayLanguage !== 'both' || !rule.en) return title;
+  return `${title}<div class="rule-title-en" lang="en">${highlightMatches(rule, 'enMessage', rule.en.message)}</div>`;
+}
+
+function renderRuleHeading(rule) {
+  const heading = `<h2>${escapeHtml(getRuleText(rule, 'message'))}</h2>`;
+  if (displayLanguage !== 'both' || !rule.en) return heading;
+  return `${heading}<p class="rule-heading-en" lang="en">${escapeHtml(rule.en.message)}</p>`;
+}
+
+// Description tab content
+function renderRuleDescription(rule) {
+  if (displayLanguage !== 'both' || !rule.en) {
+    return `<div class="description-content" lang="${displayLanguage === 'en' && rule.en ? 'en' : 'ko'}">${formatDescription(getRuleText(rule, 'description'))}</div>`;
+  }
+  return `
+    <div class="description-columns">
+      <div class="description-content" lang="ko">
+        <h3 class="description-lang">\uD55C\uAD6D\uC5B4</h3>
+        ${formatDescription(rule.description)}
+      </div>
+      <div class="description-content" lang="en">
+        <h3 class="description-lang">English</h3>
+        ${formatDescription(rule.en.description)}
+      </div>
+    </div>
+  `;
+}
+
+function setDisplayLanguage(language) {
+  if (!LANGUAGES.includes(language)) language = 'ko';
+  displayLanguage = language;
+
+  document.querySelectorAll('[data-lang]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.lang === language);
+  });
+}
+
+function setupLanguageToggle() {
+  const toggle = document.getElementById('langToggle');
+  if (!toggle || !hasEnglishText()) return;
+
+  toggle.hidden = false;
+  toggle.querySelectorAll('[data-lang]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (btn.dataset.lang === displayLanguage) return;
+      setDisplayLanguage(btn.dataset.lang);
+      renderRules();
+      if (selectedRuleName) selectRule(selectedRuleName);
+      syncUrlState();
+    });
+  });
+}
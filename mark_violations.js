@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+// 예제 코드 위반 줄 표시용 PMD 실행 스크립트
+//
+// Runs a local PMD distribution over every rule's own examples and records the
+// lines each rule flags in example_violations.json:
+//   { "pmdVersion": "...", "rules": { RuleName: { <example hash>: [line, ...] } } }
+// Lines are 1-based within the example text as stored in rules_data.js;
+// examples are keyed by a hash of their text so stale entries are ignored
+// once an example changes. build.js attaches them as `exampleViolations`.
+//
+// Snippets that are not a compilation unit on their own are retried wrapped
+// in a class, then in a class and a method.
+//
+// PMD is looked up in --pmd <path to bin/pmd>, $PMD_HOME/bin/pmd, the PATH,
+// and pmd-bin-* directories in /opt and the home directory.
+//
+// Usage: node mark_violations.js [--pmd <path>]
+// Exit code: 0 written, 2 PMD not found or failed
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { RESOURCES_DIR, CATEGORY_MAP, EXAMPLE_VIOLATIONS_FILE, parseXmlFile, exampleHash } = require('./build');
+
+const PMD_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Ways to make a snippet parseable; `offset` is the number of lines added above it
+const WRAPPERS = [
+  { name: 'plain', offset: 0, wrap: code => code },
+  { name: 'class', offset: 1, wrap: code => `class Example {\n${code}\n}\n` },
+  { name: 'method', offset: 2, wrap: code => `class Example {\nvoid example() throws Exception {\n${code}\n}\n}\n` }
+];
+
+function isExecutable(file) {
+  try {
+    fs.accessSync(file, fs.constants.X_OK);
+    return fs.statSync(file).isFile();
+  } catch {
+    return false;
+  }
+}
+
+function findPmd() {
+  const argIndex = process.argv.indexOf('--pmd');
+  if (argIndex !== -1) return process.argv[argIndex + 1] || null;
+
+  const candidates = [];
+  if (process.env.PMD_HOME) candidates.push(path.join(process.env.PMD_HOME, 'bin', 'pmd'));
+  (process.env.PATH || '').split(path.delimiter).filter(Boolean).forEach(dir => candidates.push(path.join(dir, 'pmd')));
+  ['/opt', os.homedir()].forEach(dir => {
+    if (!fs.existsSync(dir)) return;
+    fs.readdirSync(dir)
+      .filter(name => name.startsWith('pmd-bin-'))
+      .sort()
+      .reverse()
+      .forEach(name => candidates.push(path.join(dir, name, 'bin', 'pmd')));
+  });
+  return candidates.find(isExecutable) || null;
+}
+
+function pmdVersion(pmd) {
+  const result = spawnSync(pmd, ['--version'], { encoding: 'utf-8' });
+  const m = `${result.stdout}${result.stderr}`.match(/PMD\s+(\d+\.\d+\.\d+\S*)/);
+  return m ? m[1] : 'unknown';
+}
+
+// Every example of every rule: { rule, category, index, code, hash, file }
+function collectExamples() {
+  const examples = [];
+  for (const [file, category] of Object.entries(CATEGORY_MAP)) {
+    const { rules, errors } = parseXmlFile(path.join(RESOURCES_DIR, file), category);
+    errors.forEach(err => console.warn(`  ${err.message}`));
+    rules.forEach(rule => rule.examples.forEach((code, i) => {
+      examples.push({ rule: rule.name, category, index: i, code, hash: exampleHash(code), file: `${rule.name}_${i}.java` });
+    }));
+  }
+  return examples;
+}
+
+// One PMD run over the examples with all Java categories; only a file's own
+// rule counts. Returns { violations: Map(file -> [{ rule, line }]), failed: Set(file) }
+function runPmd(pmd, dir, examples) {
+  const reportFile = path.join(dir, 'report.json');
+  const rulesets = [...new Set(examples.map(e => `category/java/${e.category}.xml`))].join(',');
+  const result = spawnSync(pmd, [
+    'check', '-d', path.join(dir, 'src'), '-R', rulesets, '-f', 'json', '-r', reportFile,
+    '--no-cache', '--no-progress'
+  ], { encoding: 'utf-8', timeout: PMD_TIMEOUT_MS });
+
+  // PMD 7 exits with 4 when it found violations
+  if (result.error || ![0, 4].includes(result.status) || !fs.existsSync(reportFile)) {
+    throw new Error(`PMD failed (exit ${result.status}): ${result.error ? result.error.message : result.stderr.trim()}`);
+  }
+
+  const report = JSON.parse(fs.readFileSync(reportFile, 'utf-8'));
+  const violations = new Map();
+  (report.files || []).forEach(f => {
+    violations.set(path.basename(f.filename), f.violations.map(v => ({ rule: v.rule, line: v.beginline })));
+  });
+  const failed = new Set((report.processingErrors || []).map(e => path.basename(e.filename)));
+  return { violations, failed };
+}
+
+// Runs PMD over the examples, retrying the ones it cannot parse with the next
+// wrapper. Returns { lines: Map(example -> [flagged line]), unparsed: [example] }
+function analyzeExamples(pmd, examples) {
+  const lines = new Map();
+  let pending = examples;
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pmd-examples-'));
+
+  try {
+    for (const wrapper of WRAPPERS) {
+      if (pending.length === 0) break;
+
+      const dir = path.join(workDir, wrapper.name);
+      fs.mkdirSync(path.join(dir, 'src'), { recursive: true });
+      pending.forEach(e => fs.writeFileSync(path.join(dir, 'src', e.file), wrapper.wrap(e.code), 'utf-8'));
+
+      const { violations, failed } = runPmd(pmd, dir, pending);
+      const parsed = pending.filter(e => !failed.has(e.file));
+      parsed.forEach(e => {
+        const count = e.code.split('\n').length;
+        const flagged = (violations.get(e.file) || [])
+          .filter(v => v.rule === e.rule)
+          .map(v => v.line - wrapper.offset)
+          .filter(line => line >= 1 && line <= count);
+        lines.set(e, [...new Set(flagged)].sort((a, b) => a - b));
+      });
+      console.log(`${wrapper.name}: ${parsed.length} of ${pending.length} example(s) parsed`);
+      pending = pending.filter(e => failed.has(e.file));
+    }
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+  return { lines, unparsed: pending };
+}
+
+function main() {
+  const pmd = findPmd();
+  if (!pmd) {
+    console.error('PMD not found: pass --pmd <path to bin/pmd> or set PMD_HOME');
+    process.exit(2);
+  }
+  const version = pmdVersion(pmd);
+  console.log(`Using ${pmd} (PMD ${version})`);
+
+  const examples = collectExamples();
+  let result;
+  try {
+    result = analyzeExamples(pmd, examples);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(2);
+  }
+  const { lines, unparsed } = result;
+
+  if (unparsed.length > 0) {
+    console.warn(`${unparsed.length} example(s) could not be parsed: ${unparsed.map(e => e.file).join(', ')}`);
+  }
+
+  const output = { pmdVersion: version, rules: {} };
+  [...lines.entries()]
+    .sort(([a], [b]) => a.rule.localeCompare(b.rule))
+    .forEach(([e, flagged]) => {
+      (output.rules[e.rule] = output.rules[e.rule] || {})[e.hash] = flagged;
+    });
+  fs.writeFileSync(EXAMPLE_VIOLATIONS_FILE, `${JSON.stringify(output, null, 2)}\n`, 'utf-8');
+
+  const flaggedCount = [...lines.values()].filter(l => l.length > 0).length;
+  console.log(`\n${flaggedCount} of ${examples.length} example(s) flagged → ${EXAMPLE_VIOLATIONS_FILE}`);
+}
+
+if (require.main === module) main();
+
+module.exports = {
+  WRAPPERS,
+  findPmd,
+  pmdVersion,
+  collectExamples,
+  analyzeExamples
+};
@@ -0,0 +1,214 @@
+// 규칙 속성 편집기
+// Editable Properties tab: validates each value against the property's type
+// and range, and keeps a live <rule ref="..."> snippet with the changed values.
+
+// rule name -> { property name -> edited value }
+const propertyEdits = {};
+
+// PMD 7 splits multi-valued properties on ',' unless the rule declares a delimiter
+const DEFAULT_LIST_DELIMITER = ',';
+
+function getPropertyDelimiter(prop) {
+  return prop.delimiter || DEFAULT_LIST_DELIMITER;
+}
+
+function validateScalar(type, value, prop) {
+  switch (type) {
+    case 'Boolean':
+      return /^(true|false)$/.test(value) ? null : 'true \uB610\uB294 false\uB9CC \uC785\uB825\uD560 \uC218 \uC788\uC2B5\uB2C8\uB2E4';
+    case 'Integer':
+    case 'Long':
+      if (!/^-?\d+$/.test(value)) return '\uC815\uC218\uB97C \uC785\uB825\uD558\uC138\uC694';
+      break;
+    case 'Double':
+    case 'Float':
+      if (value === '' || !Number.isFinite(Number(value))) return '\uC22B\uC790\uB97C \uC785\uB825\uD558\uC138\uC694';
+      break;
+    case 'Character':
+      return value.length === 1 ? null : '\uBB38\uC790 \uD558\uB098\uB9CC \uC785\uB825\uD558\uC138\uC694';
+    case 'Regex':
+      try {
+        new RegExp(value);
+      } catch (e) {
+        return `\uC815\uADDC\uC2DD \uC624\uB958: ${e.message}`;
+      }
+      return null;
+    default:
+      return null;
+  }
+
+  const num = Number(value);
+  if (prop.min !== undefined && num < prop.min) return `${prop.min} \uC774\uC0C1\uC774\uC5B4\uC57C \uD569\uB2C8\uB2E4`;
+  if (prop.max !== undefined && num > prop.max) return `${prop.max} \uC774\uD558\uC5EC\uC57C \uD569\uB2C8\uB2E4`;
+  return null;
+}
+
+// Returns an error message, or null when the value is valid for the property
+function validatePropertyValue(prop, value) {
+  const type = prop.type || 'String';
+  const list = type.match(/^List\[(\w+)\]$/);
+  if (!list) return validateScalar(type, value.trim(), prop);
+
+  const items = value.split(getPropertyDelimiter(prop)).map(v => v.trim()).filter(Boolean);
+  for (const item of items) {
+    const error = validateScalar(list[1], item, prop);
+    if (error) return `${item}: ${error}`;
+  }
+  return null;
+}
+
+// Normalize a list value to "a,b,c" so it compares equal to the default
+function normalizePropertyValue(prop, value) {
+  if (!/^List\[/.test(prop.type || '')) return value.trim();
+  const delimiter = getPropertyDelimiter(prop);
+  return value.split(delimiter).map(v => v.trim()).filter(Boolean).join(delimiter);
+}
+
+// Valid edited values that differ from the defaults
+function getChangedProperties(rule) {
+  const edits = propertyEdits[rule.name] || {};
+  const changed = {};
+  (rule.properties || []).forEach(prop => {
+    if (!(prop.name in edits)) return;
+    const value = normalizePropertyValue(prop, edits[prop.name]);
+    if (value === normalizePropertyValue(prop, prop.defaultValue)) return;
+    if (validatePropertyValue(prop, value)) return;
+    changed[prop.name] = value;
+  });
+  return changed;
+}
+
+// <rule ref="..."> snippet with the changed property values
+function generateRuleSnippet(rule, changed) {
+  const entries = Object.entries(changed);
+  if (entries.length === 0) return `<rule ref="${ruleRef(rule)}"/>`;
+
+  return [
+    `<rule ref="${ruleRef(rule)}">`,
+    '    <properties>',
+    ...entries.map(([name, value]) => `        <property name="${escapeXml(name)}" value="${escapeXml(value)}"/>`),
+    '    </properties>',
+    '</rule>'
+  ].join('\n');
+}
+
+function renderPropertyInput(prop, value) {
+  const type = prop.type || 'String';
+  const attrs = `class="property-input" data-prop="${escapeHtml(prop.name)}"`;
+
+  if (type === 'Boolean') {
+    return `
+      <select ${attrs}>
+        <option value="true" ${value === 'true' ? 'selected' : ''}>true</option>
+        <option value="false" ${value === 'false' ? 'selected' : ''}>false</option>
+      </select>
+    `;
+  }
+  if (['Integer', 'Long', 'Double', 'Float'].includes(type)) {
+    const step = type === 'Integer' || type === 'Long' ? '1' : 'any';
+    return `<input type="number" ${attrs} step="${step}" value="${escapeHtml(value)}"` +
+      `${prop.min !== undefined ? ` min="${prop.min}"` : ''}${prop.max !== undefined ? ` max="${prop.max}"` : ''}>`;
+  }
+  return `<input type="text" ${attrs} value="${escapeHtml(value)}">`;
+}
+
+function describePropertyType(prop) {
+  const parts = [prop.type || 'String'];
+  if (prop.min !== undefined || prop.max !== undefined) {
+    parts.push(`${prop.min !== undefined ? prop.min : ''}\u2013${prop.max !== undefined ? prop.max : ''}`);
+  }
+  if (/^List\[/.test(prop.type || '')) parts.push(`\uAD6C\uBD84\uC790 '${getPropertyDelimiter(prop)}'`);
+  return parts.join(', ');
+}
+
+// Properties tab content: editable table plus the generated snippet
+function renderPropertyEditor(rule) {
+  if (!rule.properties || rule.properties.length === 0) {
+    return '<p>\uC124\uC815 \uAC00\uB2A5\uD55C \uC18D\uC131\uC774 \uC5C6\uC2B5\uB2C8\uB2E4.</p>';
+  }
+
+  const edits = propertyEdits[rule.name] || {};
+  return `
+    <table class="properties-table">
+      <thead>
+        <tr><th>\uC18D\uC131</th><th>\uAC12</th><th>\uAE30\uBCF8\uAC12</th><th>\uC124\uBA85</th></tr>
+      </thead>
+      <tbody>
+        ${rule.properties.map(p => {
+          const value = p.name in edits ? edits[p.name] : p.defaultValue;
+          return `
+          <tr data-prop-row="${escapeHtml(p.name)}">
+            <td><code>${escapeHtml(p.name)}</code><div class="property-type">${escapeHtml(describePropertyType(p))}</div></td>
+            <td>${renderPropertyInput(p, value)}<div class="property-error"></div></td>
+            <td><code>${escapeHtml(p.defaultValue)}</code></td>
+            <td>${escapeHtml(p.description)}</td>
+          </tr>
+        `;
+        }).join('')}
+      </tbody>
+    </table>
+    <div class="xpath-toolbar">
+      <span class="xpath-version">ruleset.xml \uC2A4\uB2C8\uD3AB</span>
+      <span>
+        <button class="copy-btn" data-reset="properties">\uCD08\uAE30\uD654</button>
+        <button class="copy-btn" data-copy="snippet">\uBCF5\uC0AC</button>
+      </span>
+    </div>
+    <pre><code class="language-xml" id="propertySnippet"></code></pre>
+  `;
+}
+
+function updatePropertySnippet(rule) {
+  const code = document.getElementById('propertySnippet');
+  if (!code) return;
+
+  code.textContent = generateRuleSnippet(rule, getChangedProperties(rule));
+  delete code.dataset.highlighted;
+  highlightCode(code);
+}
+
+function updatePropertyRow(prop, value) {
+  const row = ruleDetail.querySelector(`[data-prop-row="${prop.name}"]`);
+  if (!row) return;
+
+  const error = validatePropertyValue(prop, value);
+  row.classList.toggle('invalid', Boolean(error));
+  row.classList.toggle('changed', !error &&
+    normalizePropertyValue(prop, value) !== normalizePropertyValue(prop, prop.defaultValue));
+  row.querySelector('.property-error').textContent = error || '';
+}
+
+function bindPropertyEditor(rule) {
+  if (!rule.properties || rule.properties.length === 0) return;
+
+  ruleDetail.querySelectorAll('.property-input').forEach(input => {
+    const prop = rule.properties.find(p => p.name === input.dataset.prop);
+    updatePropertyRow(prop, input.value);
+
+    const onChange = () => {
+      if (!propertyEdits[rule.name]) propertyEdits[rule.name] = {};
+      propertyEdits[rule.name][prop.name] = input.value;
+      updatePropertyRow(prop, input.value);
+      updatePropertySnippet(rule);
+    };
+    input.addEventListener('input', onChange);
+    input.addEventListener('change', onChange);
+  });
+
+  const copyBtn = ruleDetail.querySelector('[data-copy="snippet"]');
+  copyBtn.addEventListener('click', () => {
+    copyToClipboard(generateRuleSnippet(rule, getChangedProperties(rule)), copyBtn);
+  });
+
+  ruleDetail.querySelector('[data-reset="properties"]').addEventListener('click', () => {
+    delete propertyEdits[rule.name];
+    ruleDetail.querySelectorAll('.property-input').forEach(input => {
+      const prop = rule.properties.find(p => p.name === input.dataset.prop);
+      input.value = prop.defaultValue;
+      updatePropertyRow(prop, input.value);
+    });
+    updatePropertySnippet(rule);
+  });
+
+  updatePropertySnippet(rule);
+}
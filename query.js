@@ -0,0 +1,227 @@
+// 검색어 구문
+// The search box accepts qualifiers next to free text:
+//   tier:1,2  cat:errorprone  p:<=2  java:17  since:>=6.0  has:violations
+//     -> the sidebar filters; the box and the sidebar are kept in sync
+//   has:xpath  has:properties  has:examples  has:aliases  has:en  class:XPathRule
+//     -> extra filters on the rule itself
+//   -word, -has:xpath, -cat:design
+//     -> negation
+// Everything else is free text for the search index.
+
+// Qualifier -> sidebar checkbox group (data attribute) and its values
+const QUERY_FACETS = {
+  tier: { attr: 'tier', values: ['1', '2', '3', 'skip'] },
+  cat: {
+    attr: 'category',
+    get values() { return Object.keys(categoryNames); }
+  },
+  p: { attr: 'priority', values: ['1', '2', '3', '4', '5'] }
+};
+
+const QUERY_HAS = {
+  xpath: rule => Boolean(rule.xpath),
+  properties: rule => Boolean(rule.properties && rule.properties.length > 0),
+  examples: rule => rule.examples.length > 0,
+  aliases: rule => Boolean(rule.aliases),
+  en: rule => Boolean(rule.en)
+};
+
+const COMPARISON_OPS = {
+  '<': diff => diff < 0,
+  '<=': diff => diff <= 0,
+  '>': diff => diff > 0,
+  '>=': diff => diff >= 0,
+  '=': diff => diff === 0
+};
+
+function splitComparison(spec) {
+  const m = spec.match(/^(<=|>=|<|>|=)?(.*)$/);
+  return { op: m[1] || null, value: m[2] };
+}
+
+// Values of a checkbox facet selected by "1,2", "<=2" or a category prefix
+function resolveFacetValues(facet, spec) {
+  const { op, value } = splitComparison(spec);
+  if (op) {
+    if (!/^\d+$/.test(value)) return null;
+    return facet.values.filter(v => /^\d+$/.test(v) && COMPARISON_OPS[op](Number(v) - Number(value)));
+  }
+
+  const selected = [];
+  for (const part of value.split(',').filter(Boolean)) {
+    const matches = facet.values.filter(v => v === part || v.startsWith(part));
+    if (matches.length === 0) return null;
+    selected.push(...matches);
+  }
+  return selected.length > 0 ? [...new Set(selected)] : null;
+}
+
+function selectOptionValues(id) {
+  return Array.from(document.getElementById(id).options).map(o => o.value).filter(Boolean);
+}
+
+// since:>=6.0 / since:<7.0 / since:7.0.0 onto the since-range selects
+function resolveSince(spec, facets) {
+  const { op, value } = splitComparison(spec);
+  if (!/^\d+(\.\d+)*$/.test(value)) return false;
+
+  const versions = selectOptionValues('sinceFrom');
+  const matching = versions.filter(v => COMPARISON_OPS[op || '='](compareVersions(v, value)));
+  if (matching.length === 0) return false;
+
+  if (!op || op === '=' || op === '>' || op === '>=') facets.sinceFrom = matching[0];
+  if (!op || op === '=' || op === '<' || op === '<=') facets.sinceTo = matching[matching.length - 1];
+  return true;
+}
+
+// Parse the search box into { text, facets, has, classes, exclude, keep, errors }.
+// `facets` uses the sidebar's shape (see readSidebarFacets); `keep` holds the
+// tokens that are not sidebar filters, so the box can be rebuilt around them.
+function parseSearchQuery(input) {
+  const query = { text: '', facets: {}, has: [], classes: [], exclude: [], keep: [], errors: [] };
+  const words = [];
+
+  input.trim().split(/\s+/).filter(Boolean).forEach(token => {
+    const m = token.match(/^(-?)(\w+):(.+)$/);
+    const negate = Boolean(m && m[1]);
+    const key = m && m[2].toLowerCase();
+    const spec = m && m[3];
+
+    if (m && QUERY_FACETS[key]) {
+      const facet = QUERY_FACETS[key];
+      const values = resolveFacetValues(facet, spec.toLowerCase());
+      if (!values) {
+        query.errors.push(token);
+        query.keep.push(token);
+        return;
+      }
+      query.facets[facet.attr] = negate ? facet.values.filter(v => !values.includes(v)) : values;
+    } else if (m && key === 'java') {
+      if (negate || !selectOptionValues('javaVersion').includes(spec)) {
+        query.errors.push(token);
+        query.keep.push(token);
+      } else {
+        query.facets.java = spec;
+      }
+    } else if (m && key === 'since') {
+      if (negate || !resolveSince(spec, query.facets)) {
+        query.errors.push(token);
+        query.keep.push(token);
+      }
+    } else if (m && key === 'has' && spec.toLowerCase() === 'violations') {
+      query.facets.violations = !negate;
+    } else if (m && key === 'has') {
+      if (!QUERY_HAS[spec.toLowerCase()]) {
+        query.errors.push(token);
+        query.keep.push(token);
+        return;
+      }
+      query.has.push({ feature: spec.toLowerCase(), negate });
+      query.keep.push(token);
+    } else if (m && key === 'class') {
+      query.classes.push({ value: spec.toLowerCase(), negate });
+      query.keep.push(token);
+    } else if (token.length > 1 && token.startsWith('-')) {
+      query.exclude.push(token.slice(1).toLowerCase());
+      query.keep.push(token);
+    } else {
+      words.push(token);
+      query.keep.push(token);
+    }
+  });
+
+  query.text = words.join(' ');
+  return query;
+}
+
+// Filters of the query that are not in the sidebar
+function matchesQueryFilters(rule, query) {
+  return query.has.every(({ feature, negate }) => QUERY_HAS[feature](rule) !== negate) &&
+    query.classes.every(({ value, negate }) => rule.ruleClass.toLowerCase().includes(value) !== negate) &&
+    query.exclude.every(word => !ruleContainsText(rule, word));
+}
+
+// Sidebar filter state; checkbox groups with everything (or nothing) checked
+// are left out, as they do not filter
+function readSidebarFacets() {
+  const facets = {};
+  Object.values(QUERY_FACETS).forEach(({ attr }) => {
+    const values = getCheckedValues(attr);
+    if (values.length > 0) facets[attr] = values;
+  });
+
+  ['java', 'sinceFrom', 'sinceTo'].forEach(key => {
+    const value = document.getElementById(key === 'java' ? 'javaVersion' : key).value;
+    if (value) facets[key] = value;
+  });
+
+  if (document.querySelector('[data-violations]').checked) facets.violations = true;
+  return facets;
+}
+
+function applyFacetsToSidebar(facets) {
+  Object.values(QUERY_FACETS).forEach(({ attr }) => {
+    const values = facets[attr] || [];
+    const boxes = document.querySelectorAll(`[data-${attr}]`);
+    boxes.forEach(cb => { cb.checked = values.length === 0 || values.includes(cb.dataset[attr]); });
+    if (boxes.length > 0) updateToggleState(boxes[0]);
+  });
+
+  document.getElementById('javaVersion').value = facets.java || '';
+  document.getElementById('sinceFrom').value = facets.sinceFrom || '';
+  document.getElementById('sinceTo').value = facets.sinceTo || '';
+  document.querySelector('[data-violations]').checked = Boolean(facets.violations);
+}
+
+function normalizeFacets(facets) {
+  const normalized = {};
+  Object.keys(facets).sort().forEach(key => {
+    const value = facets[key];
+    if (Array.isArray(value)) {
+      const { values } = Object.values(QUERY_FACETS).find(f => f.attr === key);
+      // Every value selected is the same as no filter
+      if (value.length > 0 && value.length < values.length) normalized[key] = [...value].sort();
+    } else if (value) {
+      normalized[key] = value;
+    }
+  });
+  return JSON.stringify(normalized);
+}
+
+// Qualifier tokens describing the sidebar state
+function facetTokens(facets) {
+  const tokens = [];
+  Object.entries(QUERY_FACETS).forEach(([key, { attr }]) => {
+    if (facets[attr]) tokens.push(`${key}:${facets[attr].join(',')}`);
+  });
+  if (facets.java) tokens.push(`java:${facets.java}`);
+  if (facets.sinceFrom && facets.sinceFrom === facets.sinceTo) {
+    tokens.push(`since:${facets.sinceFrom}`);
+  } else {
+    if (facets.sinceFrom) tokens.push(`since:>=${facets.sinceFrom}`);
+    if (facets.sinceTo) tokens.push(`since:<=${facets.sinceTo}`);
+  }
+  if (facets.violations) tokens.push('has:violations');
+  return tokens;
+}
+
+// Rewrite the qualifiers in the search box when the sidebar was changed;
+// the box is left alone while it already describes the sidebar
+function syncQueryFromSidebar() {
+  const query = parseSearchQuery(searchInput.value);
+  const facets = readSidebarFacets();
+  if (normalizeFacets(query.facets) !== normalizeFacets(facets)) {
+    searchInput.value = [...facetTokens(facets), ...query.keep].join(' ');
+  }
+}
+
+// Typing in the box drives the sidebar
+function applySearchQuery() {
+  const query = parseSearchQuery(searchInput.value);
+  applyFacetsToSidebar(query.facets);
+  searchInput.classList.toggle('query-error', query.errors.length > 0);
+  searchInput.title = query.errors.length > 0
+    ? `\uC54C \uC218 \uC5C6\uB294 \uC870\uAC74: ${query.errors.join(' ')}`
+    : '';
+  applyFilters();
+}
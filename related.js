@@ -0,0 +1,236 @@
+// 관련 규칙 / 관계 그래프
+// build.js links rules by rule class, description cross-references, deprecated
+// aliases and text similarity (`related` on each rule). The detail panel lists
+// them; the graph view lays out the whole catalog with a small force
+// simulation, run once and cached.
+
+const relatedReasonLabels = {
+  class: '\uAC19\uC740 \uADDC\uCE59 \uD074\uB798\uC2A4',
+  mentions: '\uC124\uBA85\uC5D0\uC11C \uC5B8\uAE09',
+  mentionedBy: '\uC774 \uADDC\uCE59\uC744 \uC5B8\uAE09',
+  alias: '\uC774\uC804 \uC774\uB984 \uC5B8\uAE09',
+  aliasMentionedBy: '\uC774\uC804 \uC774\uB984\uC73C\uB85C \uC5B8\uAE09\uB428',
+  similar: '\uBE44\uC2B7\uD55C \uB0B4\uC6A9'
+};
+
+const GRAPH_WIDTH = 800;
+const GRAPH_HEIGHT = 600;
+const GRAPH_MARGIN = 20;
+const GRAPH_GRAVITY = 1;
+const GRAPH_ITERATIONS = 300;
+
+let relatedGraph = null;
+
+// "Related rules" section of the description tab
+function renderRelatedRules(rule) {
+  if (!rule.related) return '';
+
+  return `
+    <div class="info-section related-rules">
+      <h3>\uAD00\uB828 \uADDC\uCE59</h3>
+      <ul>
+        ${rule.related.map(r => `
+        <li>
+          <a href="#" class="rule-link" data-rule="${r.name}">${r.name}</a>
+          ${r.reasons.map(reason => `<span class="related-reason ${reason}">${relatedReasonLabels[reason] || reason}</span>`).join('')}
+        </li>
+        `).join('')}
+      </ul>
+    </div>
+  `;
+}
+
+// Nodes and undirected edges of the catalog, with positions
+function buildRelatedGraph() {
+  const nodes = rules.map(rule => ({ rule, x: 0, y: 0, neighbours: new Set() }));
+  const byName = new Map(nodes.map(node => [node.rule.name, node]));
+  const edges = new Map();
+
+  nodes.forEach(node => (node.rule.related || []).forEach(r => {
+    const other = byName.get(r.name);
+    if (!other) return;
+    const key = [node.rule.name, r.name].sort().join('|');
+    const edge = edges.get(key) || { a: node, b: other, structural: false };
+    if (r.reasons.some(reason => reason !== 'similar')) edge.structural = true;
+    edges.set(key, edge);
+    node.neighbours.add(other);
+    other.neighbours.add(node);
+  }));
+
+  layoutRelatedGraph(nodes, [...edges.values()]);
+  return { nodes, edges: [...edges.values()], byName };
+}
+
+// Fruchterman-Reingold. Rules start in one cluster per category so the
+// layout is the same on every load.
+function layoutRelatedGraph(nodes, edges) {
+  const categories = Object.keys(categoryNames);
+  const counts = {};
+  nodes.forEach(node => {
+    const c = categories.indexOf(node.rule.category);
+    const j = counts[c] = (counts[c] || 0) + 1;
+    const angle = (2 * Math.PI * c) / categories.length;
+    node.x = GRAPH_WIDTH / 2 + Math.cos(angle) * 220 + Math.cos(j * 2.4) * 6 * Math.sqrt(j);
+    node.y = GRAPH_HEIGHT / 2 + Math.sin(angle) * 180 + Math.sin(j * 2.4) * 6 * Math.sqrt(j);
+  });
+
+  const k = Math.sqrt((GRAPH_WIDTH * GRAPH_HEIGHT) / nodes.length);
+  for (let iteration = 0; iteration < GRAPH_ITERATIONS; iteration++) {
+    const temperature = 30 * (1 - iteration / GRAPH_ITERATIONS) + 0.5;
+    nodes.forEach(node => { node.dx = 0; node.dy = 0; });
+
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const a = nodes[i];
+        const b = nodes[j];
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01);
+        const force = (k * k) / distance / distance;
+        a.dx += dx * force;
+        a.dy += dy * force;
+        b.dx -= dx * force;
+        b.dy -= dy * force;
+      }
+    }
+
+    edges.forEach(({ a, b, structural }) => {
+      const dx = a.x - b.x;
+      const dy = a.y - b.y;
+      const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01);
+      const force = (distance / k) * (structural ? 2 : 1);
+      a.dx -= dx * force;
+      a.dy -= dy * force;
+      b.dx += dx * force;
+      b.dy += dy * force;
+    });
+
+    nodes.forEach(node => {
+      // Gravity keeps unlinked rules from drifting off
+      node.dx += (GRAPH_WIDTH / 2 - node.x) * GRAPH_GRAVITY;
+      node.dy += (GRAPH_HEIGHT / 2 - node.y) * GRAPH_GRAVITY;
+      const length = Math.sqrt(node.dx * node.dx + node.dy * node.dy) || 1;
+      node.x += (node.dx / length) * Math.min(length, temperature);
+      node.y += (node.dy / length) * Math.min(length, temperature);
+    });
+  }
+
+  // Fit the result into the view box
+  const xs = nodes.map(node => node.x);
+  const ys = nodes.map(node => node.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const scale = Math.min(
+    (GRAPH_WIDTH - 2 * GRAPH_MARGIN) / (Math.max(...xs) - minX || 1),
+    (GRAPH_HEIGHT - 2 * GRAPH_MARGIN) / (Math.max(...ys) - minY || 1));
+  nodes.forEach(node => {
+    node.x = GRAPH_MARGIN + (node.x - minX) * scale;
+    node.y = GRAPH_MARGIN + (node.y - minY) * scale;
+  });
+}
+
+function renderGraphSvg(graph) {
+  const visible = new Set(filteredRules);
+  return `
+    <svg class="related-graph" viewBox="0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}" role="img" aria-label="\uAD00\uB828 \uADDC\uCE59 \uADF8\uB798\uD504">
+      <g class="graph-edges">
+        ${graph.edges.map(({ a, b, structural }) => `
+          <line class="graph-edge ${structural ? 'structural' : ''}" data-a="${a.rule.name}" data-b="${b.rule.name}"
+            x1="${a.x.toFixed(1)}" y1="${a.y.toFixed(1)}" x2="${b.x.toFixed(1)}" y2="${b.y.toFixed(1)}"></line>
+        `).join('')}
+      </g>
+      <g class="graph-nodes">
+        ${graph.nodes.map(({ rule, x, y, neighbours }) => `
+          <g class="graph-node ${rule.category} ${visible.has(rule) ? '' : 'dimmed'} ${rule.name === selectedRuleName ? 'selected' : ''}"
+            data-rule="${rule.name}" transform="translate(${x.toFixed(1)} ${y.toFixed(1)})">
+            <circle r="${(3 + Math.sqrt(neighbours.size) * 1.5).toFixed(1)}"></circle>
+            <text x="8" y="4">${rule.name}</text>
+            <title>${rule.name} \u2014 ${escapeHtml(rule.message)}</title>
+          </g>
+        `).join('')}
+      </g>
+    </svg>
+  `;
+}
+
+// Hover highlights a rule and its neighbours; click opens it; wheel zooms
+// and dragging the background pans
+function bindGraph(svg, graph) {
+  const view = { x: 0, y: 0, width: GRAPH_WIDTH, height: GRAPH_HEIGHT };
+  const applyView = () => svg.setAttribute('viewBox', `${view.x} ${view.y} ${view.width} ${view.height}`);
+
+  svg.querySelectorAll('.graph-node').forEach(el => {
+    const node = graph.byName.get(el.dataset.rule);
+    el.addEventListener('mouseenter', () => {
+      svg.classList.add('focusing');
+      el.classList.add('near');
+      node.neighbours.forEach(n => svg.querySelector(`.graph-node[data-rule="${n.rule.name}"]`).classList.add('near'));
+      svg.querySelectorAll(`.graph-edge[data-a="${node.rule.name}"], .graph-edge[data-b="${node.rule.name}"]`)
+        .forEach(edge => edge.classList.add('near'));
+    });
+    el.addEventListener('mouseleave', () => {
+      svg.classList.remove('focusing');
+      svg.querySelectorAll('.near').forEach(n => n.classList.remove('near'));
+    });
+    el.addEventListener('click', () => selectRule(node.rule.name));
+  });
+
+  svg.addEventListener('wheel', e => {
+    e.preventDefault();
+    const rect = svg.getBoundingClientRect();
+    const scale = e.deltaY > 0 ? 1.2 : 1 / 1.2;
+    const px = view.x + ((e.clientX - rect.left) / (rect.width || 1)) * view.width;
+    const py = view.y + ((e.clientY - rect.top) / (rect.height || 1)) * view.height;
+    view.width = Math.min(Math.max(view.width * scale, GRAPH_WIDTH / 10), GRAPH_WIDTH * 2);
+    view.height = view.width * (GRAPH_HEIGHT / GRAPH_WIDTH);
+    view.x = px - ((e.clientX - rect.left) / (rect.width || 1)) * view.width;
+    view.y = py - ((e.clientY - rect.top) / (rect.height || 1)) * view.height;
+    applyView();
+  });
+
+  let drag = null;
+  svg.addEventListener('mousedown', e => {
+    if (e.target.closest('.graph-node')) return;
+    drag = { x: e.clientX, y: e.clientY };
+    svg.classList.add('panning');
+  });
+  svg.addEventListener('mousemove', e => {
+    if (!drag) return;
+    const rect = svg.getBoundingClientRect();
+    view.x -= ((e.clientX - drag.x) / (rect.width || 1)) * view.width;
+    view.y -= ((e.clientY - drag.y) / (rect.height || 1)) * view.height;
+    drag = { x: e.clientX, y: e.clientY };
+    applyView();
+  });
+  ['mouseup', 'mouseleave'].forEach(type => svg.addEventListener(type, () => {
+    drag = null;
+    svg.classList.remove('panning');
+  }));
+}
+
+// Graph view in the detail panel; rules outside the current filters are dimmed
+function showRelatedGraph() {
+  if (!relatedGraph) relatedGraph = buildRelatedGraph();
+
+  ruleDetail.innerHTML = `
+    <div class="detail-header">
+      <h2>\uAD00\uACC4 \uADF8\uB798\uD504</h2>
+      <span class="rule-id">${relatedGraph.nodes.length}\uAC1C \uADDC\uCE59 \u00B7 ${relatedGraph.edges.length}\uAC1C \uC5F0\uACB0</span>
+    </div>
+    <div class="tab-content active">
+      <div class="graph-legend">
+        ${Object.entries(categoryNames).map(([category, name]) => `<span class="graph-legend-item"><span class="graph-swatch ${category}"></span>${name}</span>`).join('')}
+        <span class="graph-legend-item"><span class="graph-line structural"></span>\uC5B8\uAE09 \u00B7 \uD074\uB798\uC2A4 \u00B7 \uC774\uC804 \uC774\uB984</span>
+        <span class="graph-legend-item"><span class="graph-line"></span>\uBE44\uC2B7\uD55C \uB0B4\uC6A9</span>
+      </div>
+      ${renderGraphSvg(relatedGraph)}
+      <p class="graph-hint">\uADDC\uCE59\uC744 \uD074\uB9AD\uD558\uBA74 \uC0C1\uC138 \uC815\uBCF4\uB85C \uC774\uB3D9\uD569\uB2C8\uB2E4. \uD720\uB85C \uD655\uB300/\uCD95\uC18C, \uBE48 \uACF3\uC744 \uB04C\uC5B4 \uC774\uB3D9\uD569\uB2C8\uB2E4.</p>
+    </div>
+  `;
+
+  bindGraph(ruleDetail.querySelector('.related-graph'), relatedGraph);
+}
+
+function setupRelated() {
+  document.getElementById('relatedGraphToggle').addEventListener('click', showRelatedGraph);
+}
@@ -0,0 +1,254 @@
+// PMD 분석 보고서 (XML / JSON / SARIF)
+// Loads a PMD report locally and maps its violations onto the rule catalog.
+
+let violationReport = null;
+
+// Normalized violation: { rule, file, beginLine, beginColumn, endLine, endColumn, message }
+
+function toInt(value) {
+  const n = parseInt(value);
+  return Number.isNaN(n) ? null : n;
+}
+
+// PMD XML report: <pmd><file name="..."><violation rule="..." beginline="...">message</violation></file></pmd>
+function parseXmlReport(doc) {
+  const violations = [];
+  Array.from(doc.documentElement.children)
+    .filter(el => el.localName === 'file')
+    .forEach(fileEl => {
+      Array.from(fileEl.children)
+        .filter(el => el.localName === 'violation')
+        .forEach(v => {
+          violations.push({
+            rule: v.getAttribute('rule'),
+            file: fileEl.getAttribute('name'),
+            beginLine: toInt(v.getAttribute('beginline')),
+            beginColumn: toInt(v.getAttribute('begincolumn')),
+            endLine: toInt(v.getAttribute('endline')),
+            endColumn: toInt(v.getAttribute('endcolumn')),
+            message: v.textContent.trim()
+          });
+        });
+    });
+  return violations;
+}
+
+// PMD JSON report: { files: [{ filename, violations: [{ rule, beginline, description, ... }] }] }
+function parseJsonReport(data) {
+  const violations = [];
+  (data.files || []).forEach(file => {
+    (file.violations || []).forEach(v => {
+      violations.push({
+        rule: v.rule,
+        file: file.filename,
+        beginLine: toInt(v.beginline),
+        beginColumn: toInt(v.begincolumn),
+        endLine: toInt(v.endline),
+        endColumn: toInt(v.endcolumn),
+        message: v.description || ''
+      });
+    });
+  });
+  return violations;
+}
+
+// SARIF 2.1.0: runs[].results[] with ruleId (or ruleIndex into tool.driver.rules)
+function parseSarifReport(data) {
+  const violations = [];
+  (data.runs || []).forEach(run => {
+    const driverRules = (run.tool && run.tool.driver && run.tool.driver.rules) || [];
+    (run.results || []).forEach(result => {
+      const ruleId = result.ruleId ||
+        (result.ruleIndex !== undefined && driverRules[result.ruleIndex] ? driverRules[result.ruleIndex].id : '');
+      const locations = result.locations && result.locations.length > 0 ? result.locations : [{}];
+      locations.forEach(loc => {
+        const physical = loc.physicalLocation || {};
+        const region = physical.region || {};
+        violations.push({
+          rule: ruleId,
+          file: (physical.artifactLocation && physical.artifactLocation.uri) || '',
+          beginLine: toInt(region.startLine),
+          beginColumn: toInt(region.startColumn),
+          endLine: toInt(region.endLine),
+          endColumn: toInt(region.endColumn),
+          message: (result.message && result.message.text) || ''
+        });
+      });
+    });
+  });
+  return violations;
+}
+
+// Detect the report format from its content and return { format, violations }
+function parseReport(text) {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (e) {
+      throw new Error(`JSON \uD30C\uC2F1 \uC624\uB958: ${e.message}`);
+    }
+    if (Array.isArray(data.runs)) return { format: 'SARIF', violations: parseSarifReport(data) };
+    if (Array.isArray(data.files)) return { format: 'JSON', violations: parseJsonReport(data) };
+    throw new Error('PMD JSON \uB610\uB294 SARIF \uBCF4\uACE0\uC11C\uAC00 \uC544\uB2D9\uB2C8\uB2E4');
+  }
+
+  const doc = new DOMParser().parseFromString(trimmed, 'application/xml');
+  const parseError = doc.getElementsByTagName('parsererror')[0];
+  if (parseError) {
+    throw new Error(`XML \uD30C\uC2F1 \uC624\uB958: ${parseError.textContent.trim().split('\n')[0]}`);
+  }
+  if (doc.documentElement.localName !== 'pmd') throw new Error('PMD XML \uBCF4\uACE0\uC11C(<pmd>)\uAC00 \uC544\uB2D9\uB2C8\uB2E4');
+  return { format: 'XML', violations: parseXmlReport(doc) };
+}
+
+// Group violations by catalog rule; rule names that are deprecated aliases
+// count towards the rule they point to
+function buildViolationReport(fileName, { format, violations }) {
+  const byRule = {};
+  const unknown = {};
+
+  violations.forEach(v => {
+    const found = v.rule ? findRule(v.rule) : null;
+    if (!found) {
+      unknown[v.rule || '(unknown)'] = (unknown[v.rule || '(unknown)'] || 0) + 1;
+      return;
+    }
+    (byRule[found.rule.name] = byRule[found.rule.name] || []).push(v);
+  });
+
+  Object.values(byRule).forEach(list => list.sort((a, b) =>
+    a.file.localeCompare(b.file) || (a.beginLine || 0) - (b.beginLine || 0)));
+
+  return {
+    fileName,
+    format,
+    byRule,
+    unknown,
+    total: violations.length,
+    files: new Set(violations.map(v => v.file)).size
+  };
+}
+
+function getViolations(rule) {
+  return (violationReport && violationReport.byRule[rule.name]) || [];
+}
+
+function hasViolations(rule) {
+  return getViolations(rule).length > 0;
+}
+
+// Violation count shown on each card while a report is loaded
+function renderViolationBadge(rule) {
+  const count = getViolations(rule).length;
+  if (count === 0) return '';
+  return `<span class="violation-badge" title="\uC704\uBC18 ${count}\uAC74">${count}</span>`;
+}
+
+function formatLocation(v) {
+  if (!v.beginLine) return escapeHtml(v.file);
+  return `${escapeHtml(v.file)}:${v.beginLine}${v.beginColumn ? `:${v.beginColumn}` : ''}`;
+}
+
+// Violations tab content: locations grouped by file
+function renderViolationList(rule) {
+  const list = getViolations(rule);
+  const byFile = {};
+  list.forEach(v => { (byFile[v.file] = byFile[v.file] || []).push(v); });
+
+  return `
+    <p>${escapeHtml(violationReport.fileName)}: ${Object.keys(byFile).length}\uAC1C \uD30C\uC77C\uC5D0\uC11C ${list.length}\uAC74</p>
+    ${Object.entries(byFile).map(([file, items]) => `
+      <div class="violation-file">
+        <h3><code>${escapeHtml(file)}</code> <span class="violation-badge">${items.length}</span></h3>
+        <ul class="violation-list">
+          ${items.map(v => `
+            <li>
+              <code class="violation-location">${formatLocation(v)}</code>
+              <span>${escapeHtml(v.message)}</span>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `).join('')}
+  `;
+}
+
+// Summary of the loaded report in the detail panel
+function showReportSummary() {
+  const { fileName, format, byRule, unknown, total, files } = violationReport;
+  const topRules = Object.entries(byRule)
+    .sort((a, b) => b[1].length - a[1].length)
+    .slice(0, 20);
+
+  ruleDetail.innerHTML = `
+    <div class="detail-header">
+      <h2>PMD \uBCF4\uACE0\uC11C</h2>
+      <span class="rule-id">${escapeHtml(fileName)} (${format})</span>
+    </div>
+    <div class="tab-content active">
+      <div class="coverage-summary">
+        <div class="coverage-stat"><span class="coverage-stat-value">${total}</span><span class="coverage-stat-label">\uC704\uBC18</span></div>
+        <div class="coverage-stat"><span class="coverage-stat-value">${files}</span><span class="coverage-stat-label">\uD30C\uC77C</span></div>
+        <div class="coverage-stat"><span class="coverage-stat-value">${Object.keys(byRule).length}</span><span class="coverage-stat-label">\uADDC\uCE59</span></div>
+      </div>
+      <div class="info-section">
+        <h3>\uC704\uBC18\uC774 \uB9CE\uC740 \uADDC\uCE59</h3>
+        <ul>${topRules.map(([name, list]) => `<li><a href="#" class="rule-link" data-rule="${name}">${name}</a> \u2014 ${list.length}\uAC74</li>`).join('')}</ul>
+      </div>
+      ${Object.keys(unknown).length > 0 ? `
+      <div class="info-section">
+        <h3>\uCE74\uD0C8\uB85C\uADF8\uC5D0 \uC5C6\uB294 \uADDC\uCE59</h3>
+        <ul class="coverage-unknown">${Object.entries(unknown).map(([name, count]) => `<li><code>${escapeHtml(name)}</code> \u2014 ${count}\uAC74</li>`).join('')}</ul>
+      </div>
+      ` : ''}
+    </div>
+  `;
+
+  ruleDetail.querySelectorAll('.rule-link').forEach(link => {
+    link.addEventListener('click', e => {
+      e.preventDefault();
+      selectRule(link.dataset.rule);
+    });
+  });
+}
+
+function loadReportText(fileName, text) {
+  try {
+    violationReport = buildViolationReport(fileName, parseReport(text));
+  } catch (error) {
+    console.error('Failed to load report:', error);
+    alert(`${fileName}: ${error.message}`);
+    return;
+  }
+
+  document.getElementById('filter-report').hidden = false;
+  document.getElementById('reportBar').hidden = false;
+  document.getElementById('reportFileName').textContent = `${fileName} (${violationReport.total}\uAC74)`;
+  applyFilters();
+  showReportSummary();
+}
+
+function clearViolationReport() {
+  violationReport = null;
+  document.getElementById('filter-report').hidden = true;
+  document.getElementById('reportBar').hidden = true;
+  document.querySelector('[data-violations]').checked = false;
+  applyFilters();
+  if (selectedRuleName) selectRule(selectedRuleName);
+}
+
+function setupReport() {
+  const fileInput = document.getElementById('reportFile');
+  document.getElementById('reportToggle').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    if (file) readTextFile(file, text => loadReportText(file.name, text));
+    fileInput.value = '';
+  });
+
+  document.getElementById('reportSummary').addEventListener('click', showReportSummary);
+  document.getElementById('reportClear').addEventListener('click', clearViolationReport);
+}
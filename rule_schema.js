@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+// RULES_DATA 스키마 검사
+//
+// Validates rule records against rules_data.schema.json. build.js checks its
+// output against '#/$defs/rule' and add_tiers.js against '#/$defs/tieredRule'
+// before writing rules_data.js and rules_data.json.
+//
+// The validator covers the JSON Schema keywords the schema uses; any other
+// keyword is an error rather than silently ignored.
+//
+// Usage: node rule_schema.js [file]   (default: rules_data.js)
+//   rules_data.js or rules_data.json as written by add_tiers.js, with the
+//   tier fields
+// Exit code: 0 valid, 1 invalid
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_FILE = path.join(__dirname, 'rules_data.schema.json');
+const SCHEMA = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf-8'));
+
+// Keywords that only document the schema
+const ANNOTATIONS = new Set(['$schema', '$defs', 'title', 'description']);
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(ref) {
+  const m = ref.match(/^#\/\$defs\/(\w+)$/);
+  if (!m || !SCHEMA.$defs[m[1]]) throw new Error(`Unsupported $ref "${ref}" in ${SCHEMA_FILE}`);
+  return SCHEMA.$defs[m[1]];
+}
+
+// Problems of `value` against `schema`: [{ path, message }], path as a JSON pointer
+function validate(schema, value, at = '') {
+  const errors = [];
+  const fail = message => errors.push({ path: at, message });
+
+  for (const [keyword, arg] of Object.entries(schema)) {
+    switch (keyword) {
+      case '$ref':
+        errors.push(...validate(resolveRef(arg), value, at));
+        break;
+      case 'allOf':
+        arg.forEach(sub => errors.push(...validate(sub, value, at)));
+        break;
+      case 'anyOf':
+        if (!arg.some(sub => validate(sub, value, at).length === 0)) fail('matches none of the allowed shapes');
+        break;
+      case 'type':
+        if (!matchesType(value, arg)) fail(`must be ${arg}, got ${typeOf(value)}`);
+        break;
+      case 'enum':
+        if (!arg.includes(value)) fail(`must be one of ${arg.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+        break;
+      case 'minimum':
+        if (typeof value === 'number' && value < arg) fail(`must be >= ${arg}`);
+        break;
+      case 'maximum':
+        if (typeof value === 'number' && value > arg) fail(`must be <= ${arg}`);
+        break;
+      case 'minLength':
+        if (typeof value === 'string' && value.length < arg) fail(arg === 1 ? 'must not be empty' : `must be at least ${arg} characters`);
+        break;
+      case 'pattern':
+        if (typeof value === 'string' && !new RegExp(arg, 'u').test(value)) fail(`must match ${arg}`);
+        break;
+      case 'minItems':
+        if (Array.isArray(value) && value.length < arg) fail(`must have at least ${arg} item(s)`);
+        break;
+      case 'items':
+        if (Array.isArray(value)) value.forEach((item, i) => errors.push(...validate(arg, item, `${at}/${i}`)));
+        break;
+      case 'required':
+        if (typeOf(value) === 'object') {
+          arg.filter(name => !(name in value)).forEach(name => fail(`missing "${name}"`));
+        }
+        break;
+      case 'properties':
+        if (typeOf(value) === 'object') {
+          Object.entries(arg)
+            .filter(([name]) => name in value)
+            .forEach(([name, sub]) => errors.push(...validate(sub, value[name], `${at}/${name}`)));
+        }
+        break;
+      case 'additionalProperties':
+        if (typeOf(value) === 'object') {
+          Object.keys(value)
+            .filter(name => !(schema.properties && name in schema.properties))
+            .forEach(name => {
+              if (arg === false) fail(`unknown field "${name}"`);
+              else errors.push(...validate(arg, value[name], `${at}/${name}`));
+            });
+        }
+        break;
+      default:
+        if (!ANNOTATIONS.has(keyword)) throw new Error(`Unsupported schema keyword "${keyword}" in ${SCHEMA_FILE}`);
+    }
+  }
+  return errors;
+}
+
+// Schema errors of a RULES_DATA array as readable lines, e.g.
+//   RULES_DATA[12] NullAssignment /tier: must be one of 1, 2, 3, "skip", got 4
+function validateRules(rules, { tiered = false } = {}) {
+  if (!Array.isArray(rules)) return ['RULES_DATA: must be an array'];
+
+  const ruleSchema = { $ref: tiered ? '#/$defs/tieredRule' : '#/$defs/rule' };
+  return rules.flatMap((rule, i) => validate(ruleSchema, rule).map(({ path: at, message }) =>
+    `RULES_DATA[${i}]${rule && rule.name ? ` ${rule.name}` : ''} ${at || '/'}: ${message}`));
+}
+
+function main() {
+  const file = path.resolve(process.argv[2] || path.join(__dirname, 'rules_data.js'));
+  const raw = fs.readFileSync(file, 'utf-8');
+  const isScript = file.endsWith('.js');
+  const match = isScript && raw.match(/^const RULES_DATA =\s*([\s\S]*?\n\]);/);
+  if (isScript && !match) {
+    console.error(`${file}: RULES_DATA array not found`);
+    process.exit(1);
+  }
+
+  const rules = JSON.parse(isScript ? match[1] : raw);
+  const errors = validateRules(rules, { tiered: true });
+  if (errors.length > 0) {
+    console.error(`${file}: ${errors.length} schema error(s):`);
+    errors.forEach(err => console.error(`  ${err}`));
+    process.exit(1);
+  }
+  console.log(`${file}: ${rules.length} rules match ${path.basename(SCHEMA_FILE)}`);
+}
+
+if (require.main === module) main();
+
+module.exports = {
+  SCHEMA_FILE,
+  validateRules
+};
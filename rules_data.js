@@ -13,8 +13,58 @@ const RULES_DATA =
     "examples": [
       "public class Hello {\n  private void greet(String name) {\n    name = name.trim();\n    System.out.println(\"Hello \" + name);\n\n    // preferred\n    String trimmedName = name.trim();\n    System.out.println(\"Hello \" + trimmedName);\n  }\n}"
     ],
+    "related": [
+      {
+        "name": "MethodArgumentCouldBeFinal",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "AvoidReassigningLoopVariables",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      },
+      {
+        "name": "UnusedFormalParameter",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      },
+      {
+        "name": "ExcessiveParameterList",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "AvoidReassigningCatchVariables",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "FormalParameterNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 매개변수 재할당은 코드 가독성을 떨어뜨리고 의도치 않은 버그를 유발할 수 있습니다"
+    "claude_comment": "권장 - 매개변수 재할당은 코드 가독성을 떨어뜨리고 의도치 않은 버그를 유발할 수 있습니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "GuardLogStatement",
@@ -30,23 +80,84 @@ const RULES_DATA =
       "// Add this for performance - avoid manipulating strings if the logger may drop it\nif (log.isDebugEnabled()) {\n    log.debug(\"log something\" + param1 + \" and \" + param2 + \"concat strings\");\n}\n\n// Avoid the guarding if statement with substituting parameters\nlog.debug(\"log something {} and {}\", param1, param2);\n\n// Avoid the guarding if statement with formatters\nlog.debug(\"log something %s and %s\", param1, param2);\n\n// This is still an issue, method invocations may be expensive / have side-effects\nlog.debug(\"log something expensive: {}\", calculateExpensiveLoggingText());\n\n// Avoid the guarding if statement with lazy logging and lambdas\nlog.debug(\"log something expensive: {}\", () -> calculateExpensiveLoggingText());\n\n// … alternatively use method references\nlog.debug(\"log something expensive: {}\", this::calculateExpensiveLoggingText);"
     ],
     "tier": 2,
-    "claude_comment": "권장 - 불필요한 문자열 연산을 방지하여 성능을 향상시킵니다. SLF4J 파라미터 치환 사용 권장"
+    "claude_comment": "권장 - 불필요한 문자열 연산을 방지하여 성능을 향상시킵니다. SLF4J 파라미터 치환 사용 권장",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "ImplicitFunctionalInterface",
     "category": "bestpractices",
     "categoryName": "모범 사례",
     "since": "7.12.0",
-    "message": "의도를 명확히 하기 위해 이 인터페이스에 @FunctionalInterface 또는 @SuppressWarnings(&quot;PMD.ImplicitFunctionalInterface&quot;)를 추가하십시오.",
+    "message": "의도를 명확히 하기 위해 이 인터페이스에 @FunctionalInterface 또는 @SuppressWarnings(\"PMD.ImplicitFunctionalInterface\")를 추가하십시오.",
     "ruleClass": "net.sourceforge.pmd.lang.java.rule.bestpractices.ImplicitFunctionalInterfaceRule",
     "externalInfoUrl": "https://docs.pmd-code.org/latest/pmd_rules_java_bestpractices.html#implicitfunctionalinterface",
-    "description": "`@FunctionalInterface` 어노테이션으로 명시적으로 선언되지 않은 함수형 인터페이스를 보고합니다.\n            인터페이스가 우연히 함수형 인터페이스인 경우, 이를 명확히 하기 위해\n            `@SuppressWarnings(&quot;PMD.ImplicitFunctionalInterface&quot;)` 어노테이션을 추가해야 합니다.",
+    "description": "`@FunctionalInterface` 어노테이션으로 명시적으로 선언되지 않은 함수형 인터페이스를 보고합니다.\n            인터페이스가 우연히 함수형 인터페이스인 경우, 이를 명확히 하기 위해\n            `@SuppressWarnings(\"PMD.ImplicitFunctionalInterface\")` 어노테이션을 추가해야 합니다.",
     "priority": 2,
     "examples": [
       "// The intent on this declaration is unclear, and the rule will report it.\n            public interface MyInterface {\n                void doSomething();\n            }\n\n            // This is clearly intended as a functional interface.\n            @FunctionalInterface\n            public interface MyInterface {\n                void doSomething();\n            }\n\n            // This is clearly NOT intended as a functional interface.\n            @SuppressWarnings(\"PMD.ImplicitFunctionalInterface\")\n            public interface MyInterface {\n                void doSomething();\n            }"
     ],
+    "related": [
+      {
+        "name": "UnnecessaryModifier",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "NoPackage",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      },
+      {
+        "name": "ConstantsInInterface",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - @FunctionalInterface 명시는 좋은 관행이나 필수는 아닙니다"
+    "claude_comment": "선택 - @FunctionalInterface 명시는 좋은 관행이나 필수는 아닙니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
+  },
+  {
+    "name": "SystemPrintln",
+    "category": "bestpractices",
+    "categoryName": "모범 사례",
+    "since": "2.1",
+    "message": "System.out/err 사용",
+    "ruleClass": "net.sourceforge.pmd.lang.rule.xpath.XPathRule",
+    "externalInfoUrl": "https://docs.pmd-code.org/latest/pmd_rules_java_bestpractices.html#systemprintln",
+    "description": "System.(out|err).print에 대한 참조는 일반적으로 디버깅 목적으로 사용되며 프로덕션 코드에서도\n코드베이스에 남아 있을 수 있습니다. 로거를 사용하면 이 동작을 우선순위에 따라 활성화/비활성화할 수 있으며\n표준 출력 로그가 막히는 것을 방지할 수 있습니다.",
+    "priority": 2,
+    "examples": [
+      "class Foo{\n    Logger log = Logger.getLogger(Foo.class.getName());\n    public void testA () {\n        System.out.println(\"Entering test\");\n        // Better use this\n        log.fine(\"Entering test\");\n    }\n}"
+    ],
+    "xpath": {
+      "expression": "//MethodCall[ starts-with(@MethodName, 'print') ]\n  /FieldAccess[ @Name = ('err', 'out') ]\n  /TypeExpression[ pmd-java:typeIsExactly('java.lang.System') ]",
+      "version": "3.1"
+    },
+    "tier": 2,
+    "claude_comment": "권장 - System.out/err 출력은 로그 레벨 제어와 수집이 불가능합니다. 로거를 사용하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "AbstractClassWithoutAbstractMethod",
@@ -61,8 +172,51 @@ const RULES_DATA =
     "examples": [
       "public abstract class Foo {\n  void int method1() { ... }\n  void int method2() { ... }\n  // consider using abstract methods or removing\n  // the abstract modifier and adding protected constructors\n}"
     ],
+    "related": [
+      {
+        "name": "AbstractClassWithoutAnyMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.54
+      },
+      {
+        "name": "EmptyMethodInAbstractClassShouldBeAbstract",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.47
+      },
+      {
+        "name": "UseUtilityClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.32
+      },
+      {
+        "name": "FinalParameterInAbstractMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "MissingStaticMethodInNonInstantiatableClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 추상 메서드 없는 추상 클래스는 설계 의도가 불분명하나, 템플릿 패턴 등 합당한 경우도 있습니다"
+    "claude_comment": "선택 - 추상 메서드 없는 추상 클래스는 설계 의도가 불분명하나, 템플릿 패턴 등 합당한 경우도 있습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "AccessorClassGeneration",
@@ -78,8 +232,58 @@ const RULES_DATA =
       "public class Outer {\n void method(){\n  Inner ic = new Inner();//Causes generation of accessor class\n }\n public class Inner {\n  private Inner(){}\n }\n}"
     ],
     "maxLanguageVersion": "10",
+    "related": [
+      {
+        "name": "AccessorMethodGeneration",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.51
+      },
+      {
+        "name": "UnnecessaryConstructor",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      },
+      {
+        "name": "ClassWithOnlyPrivateConstructorsShouldBeFinal",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "UseUtilityClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "MissingStaticMethodInNonInstantiatableClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      },
+      {
+        "name": "AbstractClassWithoutAnyMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 불필요한 접근자 클래스 생성은 마이너한 최적화 이슈입니다"
+    "claude_comment": "선택 - 불필요한 접근자 클래스 생성은 마이너한 최적화 이슈입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "AccessorMethodGeneration",
@@ -95,8 +299,51 @@ const RULES_DATA =
       "public class OuterClass {\n    private int counter;\n    /* package */ int id;\n\n    public class InnerClass {\n        InnerClass() {\n            OuterClass.this.counter++; // wrong accessor method will be generated\n        }\n\n        public int getOuterClassId() {\n            return OuterClass.this.id; // id is package-private, no accessor method needed\n        }\n    }\n}"
     ],
     "maxLanguageVersion": "10",
+    "related": [
+      {
+        "name": "AccessorClassGeneration",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.51
+      },
+      {
+        "name": "AvoidProtectedMethodInFinalClassNotExtending",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "JUnit5TestShouldBePackagePrivate",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "AvoidProtectedFieldInFinalClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      },
+      {
+        "name": "AvoidAccessibilityAlteration",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 컴파일러가 생성하는 접근자 메서드에 대한 마이너한 최적화 규칙입니다"
+    "claude_comment": "선택 - 컴파일러가 생성하는 접근자 메서드에 대한 마이너한 최적화 규칙입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "ArrayIsStoredDirectly",
@@ -111,8 +358,23 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    private String [] x;\n        public void foo (String [] param) {\n        // Don't do this, make a copy of the array at least\n        this.x=param;\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "MethodReturnsInternalArray",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 외부에서 전달된 배열을 직접 저장하면 캡슐화가 깨지고 예기치 않은 데이터 변경이 발생합니다"
+    "claude_comment": "필수 - 외부에서 전달된 배열을 직접 저장하면 캡슐화가 깨지고 예기치 않은 데이터 변경이 발생합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "AvoidMessageDigestField",
@@ -127,8 +389,48 @@ const RULES_DATA =
     "examples": [
       "import java.security.MessageDigest;\npublic class AvoidMessageDigestFieldExample {\n    private final MessageDigest sharedMd;\n    public AvoidMessageDigestFieldExample() throws Exception {\n        sharedMd = MessageDigest.getInstance(\"SHA-256\");\n    }\n    public byte[] calculateHashShared(byte[] data) {\n        // sharing a MessageDigest like this without synchronizing access\n        // might lead to wrong results\n        sharedMd.reset();\n        sharedMd.update(data);\n        return sharedMd.digest();\n    }\n\n    // better\n    public byte[] calculateHash(byte[] data) throws Exception {\n        MessageDigest md = MessageDigest.getInstance(\"SHA-256\");\n        md.update(data);\n        return md.digest();\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//FieldDeclaration/ClassType[pmd-java:typeIs('java.security.MessageDigest')]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "UnsynchronizedStaticFormatter",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      },
+      {
+        "name": "SingletonClassReturningNewInstance",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      },
+      {
+        "name": "StringInstantiation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      },
+      {
+        "name": "AvoidSynchronizedStatement",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - MessageDigest를 필드로 사용하면 스레드 안전성 문제와 보안 취약점이 발생합니다"
+    "claude_comment": "필수 - MessageDigest를 필드로 사용하면 스레드 안전성 문제와 보안 취약점이 발생합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "AvoidPrintStackTrace",
@@ -143,8 +445,18 @@ const RULES_DATA =
     "examples": [
       "class Foo {\n    void bar() {\n        try {\n            // do something\n        } catch (Exception e) {\n            e.printStackTrace();\n        }\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//MethodCall[ pmd-java:matchesSig(\"java.lang.Throwable#printStackTrace()\") ]",
+      "version": "3.1"
+    },
     "tier": 1,
-    "claude_comment": "필수 - printStackTrace()는 운영 환경에서 로그 관리가 불가능하고 민감 정보가 노출될 수 있습니다"
+    "claude_comment": "필수 - printStackTrace()는 운영 환경에서 로그 관리가 불가능하고 민감 정보가 노출될 수 있습니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "AvoidReassigningCatchVariables",
@@ -159,8 +471,58 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    public void foo() {\n        try {\n            // do something\n        } catch (Exception e) {\n            e = new NullPointerException(); // not recommended\n        }\n\n        try {\n            // do something\n        } catch (MyException | ServerException e) {\n            e = new RuntimeException(); // won't compile\n        }\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "AvoidReassigningLoopVariables",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      },
+      {
+        "name": "EmptyCatchBlock",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "AvoidReassigningParameters",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "AvoidInstanceofChecksInCatchClause",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      },
+      {
+        "name": "IdenticalCatchBranches",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      },
+      {
+        "name": "AvoidRethrowingException",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - catch 변수 재할당은 원본 예외 정보를 잃어버릴 위험이 있습니다"
+    "claude_comment": "권장 - catch 변수 재할당은 원본 예외 정보를 잃어버릴 위험이 있습니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "AvoidReassigningLoopVariables",
@@ -175,8 +537,44 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n  private void foo() {\n    for (String s : listOfStrings()) {\n      s = s.trim(); // OK, when foreachReassign is \"firstOnly\" or \"allow\"\n      doSomethingWith(s);\n\n      s = s.toUpper(); // OK, when foreachReassign is \"allow\"\n      doSomethingElseWith(s);\n    }\n\n    for (int i=0; i < 10; i++) {\n      if (check(i)) {\n        i++; // OK, when forReassign is \"skip\" or \"allow\"\n      }\n\n      i = 5;  // OK, when forReassign is \"allow\"\n\n      doSomethingWith(i);\n    }\n  }\n}"
     ],
+    "related": [
+      {
+        "name": "AvoidReassigningParameters",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      },
+      {
+        "name": "ForLoopVariableCount",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      },
+      {
+        "name": "AvoidReassigningCatchVariables",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      },
+      {
+        "name": "ForLoopCanBeForeach",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 루프 변수 재할당은 무한 루프나 예기치 않은 동작을 유발할 수 있습니다"
+    "claude_comment": "권장 - 루프 변수 재할당은 무한 루프나 예기치 않은 동작을 유발할 수 있습니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "AvoidStringBufferField",
@@ -191,8 +589,27 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    private StringBuffer buffer;    // potential memory leak as an instance variable;\n}"
     ],
+    "xpath": {
+      "expression": "//FieldDeclaration/ClassType[pmd-java:typeIs('java.lang.StringBuffer') or pmd-java:typeIs('java.lang.StringBuilder')]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "UseStringBufferForStringAppends",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - StringBuffer/StringBuilder를 필드로 사용하면 스레드 안전성 문제가 발생할 수 있습니다"
+    "claude_comment": "권장 - StringBuffer/StringBuilder를 필드로 사용하면 스레드 안전성 문제가 발생할 수 있습니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "AvoidUsingHardCodedIP",
@@ -207,8 +624,23 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    private String ip = \"127.0.0.1\";     // not recommended\n}"
     ],
+    "related": [
+      {
+        "name": "HardCodedCryptoKey",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.35
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 하드코딩된 IP 주소는 환경 이식성을 해치고 보안 위험을 초래합니다"
+    "claude_comment": "필수 - 하드코딩된 IP 주소는 환경 이식성을 해치고 보안 위험을 초래합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "CheckResultSet",
@@ -223,8 +655,23 @@ const RULES_DATA =
     "examples": [
       "Statement stat = conn.createStatement();\nResultSet rst = stat.executeQuery(\"SELECT name FROM person\");\nrst.next();     // what if it returns false? bad form\nString firstName = rst.getString(1);\n\nStatement stat = conn.createStatement();\nResultSet rst = stat.executeQuery(\"SELECT name FROM person\");\nif (rst.next()) {    // result is properly examined and used\n    String firstName = rst.getString(1);\n    } else  {\n        // handle missing data\n}"
     ],
+    "related": [
+      {
+        "name": "CheckSkipResult",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - ResultSet.next() 확인 없이 접근하면 SQLException이 발생합니다"
+    "claude_comment": "필수 - ResultSet.next() 확인 없이 접근하면 SQLException이 발생합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "ConstantsInInterface",
@@ -243,11 +690,136 @@ const RULES_DATA =
       {
         "name": "ignoreIfHasMethods",
         "defaultValue": "true",
-        "description": "인터페이스가 메서드를 정의하는 경우 인터페이스의 상수를 무시할지 여부"
+        "description": "인터페이스가 메서드를 정의하는 경우 인터페이스의 상수를 무시할지 여부",
+        "type": "Boolean"
+      }
+    ],
+    "xpath": {
+      "expression": "//ClassDeclaration[@Interface = true()][$ignoreIfHasMethods= false() or not(ClassBody/MethodDeclaration)]/ClassBody/FieldDeclaration",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "ImplicitFunctionalInterface",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "LooseCoupling",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "ClassNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "NoPackage",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      },
+      {
+        "name": "UnnecessaryModifier",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
       }
     ],
     "tier": 2,
-    "claude_comment": "권장 - 인터페이스에 상수를 정의하는 것은 안티패턴입니다. 별도 상수 클래스를 사용하세요"
+    "claude_comment": "권장 - 인터페이스에 상수를 정의하는 것은 안티패턴입니다. 별도 상수 클래스를 사용하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
+  },
+  {
+    "name": "DefaultLabelNotLastInSwitch",
+    "category": "bestpractices",
+    "categoryName": "모범 사례",
+    "since": "1.5",
+    "message": "default 레이블은 switch 문이나 표현식에서 마지막 레이블이어야 합니다",
+    "ruleClass": "net.sourceforge.pmd.lang.rule.xpath.XPathRule",
+    "externalInfoUrl": "https://docs.pmd-code.org/latest/pmd_rules_java_bestpractices.html#defaultlabelnotlastinswitch",
+    "description": "관례상 default 레이블은 switch 문이나 switch 표현식에서 마지막 레이블이어야 합니다.\n\n참고: 이 규칙은 PMD 7.7.0에서 \"DefaultLabelNotLastInSwitchStmt\"에서 이름이 변경되었습니다.",
+    "priority": 3,
+    "examples": [
+      "public class Foo {\n  void bar(int a) {\n   switch (a) {\n    case 1:  // do something\n       break;\n    default:  // the default case should be last, by convention\n       break;\n    case 2:\n       break;\n   }\n  }\n}"
+    ],
+    "xpath": {
+      "expression": "//SwitchLabel[@Default = true() and not(.. is ../../*[last()])]",
+      "version": "3.1"
+    },
+    "aliases": [
+      {
+        "name": "DefaultLabelNotLastInSwitchStmt",
+        "category": "bestpractices",
+        "deprecated": true
+      }
+    ],
+    "related": [
+      {
+        "name": "NonCaseLabelInSwitch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.58
+      },
+      {
+        "name": "UnusedLabel",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.35
+      },
+      {
+        "name": "NonExhaustiveSwitch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.33
+      },
+      {
+        "name": "LabeledStatement",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.33
+      },
+      {
+        "name": "SwitchDensity",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.33
+      },
+      {
+        "name": "ExhaustiveSwitchHasDefault",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      }
+    ],
+    "tier": 3,
+    "claude_comment": "선택 - default 레이블 위치는 관례의 문제이며 동작에는 영향이 없습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "DoubleBraceInitialization",
@@ -262,8 +834,53 @@ const RULES_DATA =
     "examples": [
       "// this is double-brace initialization\nreturn new ArrayList<String>(){{\n    add(\"a\");\n    add(\"b\");\n    add(\"c\");\n}};\n\n// the better way is to not create an anonymous class:\nList<String> a = new ArrayList<>();\na.add(\"a\");\na.add(\"b\");\na.add(\"c\");\nreturn a;"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "// this is double-brace initialization\nreturn new ArrayList<String>(){{\n    add(\"a\");\n    add(\"b\");\n    add(\"c\");\n}};"
+        },
+        {
+          "kind": "good",
+          "code": "// the better way is to not create an anonymous class:\nList<String> a = new ArrayList<>();\na.add(\"a\");\na.add(\"b\");\na.add(\"c\");\nreturn a;"
+        }
+      ]
+    ],
+    "xpath": {
+      "expression": "//ConstructorCall/AnonymousClassDeclaration/ClassBody[count(*)=1]/Initializer[@Static=false()]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "RedundantFieldInitializer",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "UseShortArrayInitializer",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      },
+      {
+        "name": "ControlStatementBraces",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 이중 중괄호 초기화는 익명 클래스를 생성하여 메모리 누수와 직렬화 문제를 유발합니다"
+    "claude_comment": "권장 - 이중 중괄호 초기화는 익명 클래스를 생성하여 메모리 누수와 직렬화 문제를 유발합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "EnumComparison",
@@ -278,8 +895,50 @@ const RULES_DATA =
     "examples": [
       "enum Color { RED, GREEN, BLUE }\nclass ColorTester {\n  boolean isRed(Color color) {\n    return color.equals(Color.RED); // violation\n  }\n\n  boolean isGreen(Color color) {\n    return color == Color.GREEN; // preferred\n  }\n}"
     ],
+    "xpath": {
+      "expression": "//MethodCall[pmd-java:matchesSig(\"_#equals(java.lang.Object)\")]\n  [*[pmd-java:typeIs(\"java.lang.Enum\")] or\n   ArgumentList[*[pmd-java:typeIs(\"java.lang.Enum\")]]]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "CompareObjectsWithEquals",
+        "reasons": [
+          "mentions",
+          "similar"
+        ],
+        "score": 3.33
+      },
+      {
+        "name": "UseEqualsToCompareStrings",
+        "reasons": [
+          "mentions",
+          "similar"
+        ],
+        "score": 3.23
+      },
+      {
+        "name": "EqualsNull",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      },
+      {
+        "name": "UseEnumCollections",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - Enum은 == 비교가 안전하지만, equals()도 정상 동작하므로 팀 컨벤션에 따르세요"
+    "claude_comment": "선택 - Enum은 == 비교가 안전하지만, equals()도 정상 동작하므로 팀 컨벤션에 따르세요",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "ExhaustiveSwitchHasDefault",
@@ -294,8 +953,34 @@ const RULES_DATA =
     "examples": [
       "class Foo {\n    enum MyEnum { A, B };\n\n    void doSomething(MyEnum e) {\n        switch(e) {\n            case A -> System.out.println(\"a\");\n            case B -> System.out.println(\"b\");\n            default -> System.out.println(\"unnecessary default\");\n        };\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//(SwitchStatement | SwitchExpression)\n  [@Exhaustive = true()]\n  [@DefaultCase = true()]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "NonExhaustiveSwitch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.45
+      },
+      {
+        "name": "DefaultLabelNotLastInSwitch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 모든 케이스를 처리하는 switch에 default 추가 여부는 팀 스타일에 따라 결정하세요"
+    "claude_comment": "선택 - 모든 케이스를 처리하는 switch에 default 추가 여부는 팀 스타일에 따라 결정하세요",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "ForLoopCanBeForeach",
@@ -311,8 +996,37 @@ const RULES_DATA =
       "public class MyClass {\n  void loop(List<String> l) {\n    for (int i = 0; i < l.size(); i++) { // pre Java 1.5\n      System.out.println(l.get(i));\n    }\n\n    for (String s : l) {        // post Java 1.5\n      System.out.println(s);\n    }\n  }\n}"
     ],
     "minLanguageVersion": "1.5",
+    "related": [
+      {
+        "name": "ForLoopVariableCount",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "UseArraysAsList",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      },
+      {
+        "name": "AvoidReassigningLoopVariables",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - enhanced for 루프는 가독성이 높고 인덱스 관련 오류를 방지합니다"
+    "claude_comment": "권장 - enhanced for 루프는 가독성이 높고 인덱스 관련 오류를 방지합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "ForLoopVariableCount",
@@ -331,11 +1045,40 @@ const RULES_DATA =
       {
         "name": "maximumVariables",
         "defaultValue": "1",
-        "description": "일반 for 문의 제어 변수 수"
+        "description": "일반 for 문의 제어 변수 수",
+        "type": "Integer",
+        "min": 0,
+        "max": 100
+      }
+    ],
+    "xpath": {
+      "expression": "//ForInit/LocalVariableDeclaration[count(VariableDeclarator) > $maximumVariables]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "ForLoopCanBeForeach",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "AvoidReassigningLoopVariables",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
       }
     ],
     "tier": 2,
-    "claude_comment": "권장 - for 루프에 변수가 많으면 복잡도가 증가하고 버그 발생 가능성이 높아집니다"
+    "claude_comment": "권장 - for 루프에 변수가 많으면 복잡도가 증가하고 버그 발생 가능성이 높아집니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "JUnit4SuitesShouldUseSuiteAnnotation",
@@ -350,8 +1093,177 @@ const RULES_DATA =
     "examples": [
       "public class BadExample extends TestCase{\n\n    public static Test suite(){\n        return new Suite();\n    }\n}\n\n@RunWith(Suite.class)\n@SuiteClasses( { TestOne.class, TestTwo.class })\npublic class GoodTest {\n}"
     ],
+    "xpath": {
+      "expression": "//MethodDeclaration[@Name='suite' and ClassType[pmd-java:typeIs('junit.framework.Test')]]\n                   [not(.//ReturnStatement/*[pmd-java:typeIs('junit.framework.JUnit4TestAdapter')])]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "JUnitStaticSuite",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.41
+      },
+      {
+        "name": "UnitTestShouldUseBeforeAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "UnitTestShouldUseTestAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "UnitTestShouldUseAfterAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "JUnitUseExpected",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - JUnit4 테스트 스위트 규칙으로, JUnit5 사용 시 해당되지 않습니다"
+    "claude_comment": "선택 - JUnit4 테스트 스위트 규칙으로, JUnit5 사용 시 해당되지 않습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
+  },
+  {
+    "name": "JUnit5TestShouldBePackagePrivate",
+    "category": "bestpractices",
+    "categoryName": "모범 사례",
+    "since": "6.35.0",
+    "message": "JUnit 5 테스트는 패키지-private이어야 합니다.",
+    "ruleClass": "net.sourceforge.pmd.lang.rule.xpath.XPathRule",
+    "externalInfoUrl": "https://docs.pmd-code.org/latest/pmd_rules_java_bestpractices.html#junit5testshouldbepackageprivate",
+    "description": "패키지-private가 아닌 JUnit 5 테스트 클래스와 메서드를 보고합니다.\n엔진에 의해 실행되려면 public 가시성이 필요했던 JUnit 4 테스트와 달리,\nJUnit 5 테스트는 패키지-private이어도 실행할 수 있습니다. 이렇게 표시하는 것은\n가시성을 제한하는 좋은 관행입니다.\n\n테스트 메서드는 `@Test`, `@RepeatedTest`, `@TestFactory`, `@TestTemplate` 또는\n`@ParameterizedTest`를 사용하는 것으로 식별됩니다.",
+    "priority": 3,
+    "examples": [
+      "class MyTest { // not public, that's fine\n    @Test\n    public void testBad() { } // should not have a public modifier\n\n    @Test\n    protected void testAlsoBad() { } // should not have a protected modifier\n\n    @Test\n    private void testNoRun() { } // should not have a private modifier\n\n    @Test\n    void testGood() { } // package private as expected\n}"
+    ],
+    "xpath": {
+      "expression": "//ClassDeclaration[\n    (: a Junit 5 test class, ie, it has methods with the annotation :)\n    @Interface = false() and\n    ClassBody/MethodDeclaration\n    [ModifierList/Annotation[\n               pmd-java:typeIs('org.junit.jupiter.api.Test')\n            or pmd-java:typeIs('org.junit.jupiter.api.RepeatedTest')\n            or pmd-java:typeIs('org.junit.jupiter.api.TestFactory')\n            or pmd-java:typeIs('org.junit.jupiter.api.TestTemplate')\n            or pmd-java:typeIs('org.junit.jupiter.params.ParameterizedTest')\n    ]]\n]/(\n       self::*[@Abstract = false() and @Visibility = (\"public\", \"protected\")]\n|      ClassBody/MethodDeclaration\n       [@Visibility = (\"public\", \"protected\")]\n       [ModifierList/Annotation[\n               pmd-java:typeIs('org.junit.jupiter.api.Test')\n            or pmd-java:typeIs('org.junit.jupiter.api.RepeatedTest')\n            or pmd-java:typeIs('org.junit.jupiter.api.TestFactory')\n            or pmd-java:typeIs('org.junit.jupiter.api.TestTemplate')\n            or pmd-java:typeIs('org.junit.jupiter.params.ParameterizedTest')\n       ]]\n)",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "UnitTestShouldUseTestAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.38
+      },
+      {
+        "name": "TestClassWithoutTestCases",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "DetachedTestCase",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "UnitTestShouldUseBeforeAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      },
+      {
+        "name": "UnitTestShouldUseAfterAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "AccessorMethodGeneration",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      }
+    ],
+    "tier": 3,
+    "claude_comment": "선택 - JUnit 5 테스트의 가시성 축소는 좋은 관행이나 기능적 영향은 없습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
+  },
+  {
+    "name": "JUnitUseExpected",
+    "category": "bestpractices",
+    "categoryName": "모범 사례",
+    "since": "4.0",
+    "message": "JUnit4에서는 예외를 던져야 하는 테스트를 나타내기 위해 @Test(expected) 어노테이션을 사용하십시오",
+    "ruleClass": "net.sourceforge.pmd.lang.java.rule.bestpractices.JUnitUseExpectedRule",
+    "externalInfoUrl": "https://docs.pmd-code.org/latest/pmd_rules_java_bestpractices.html#junituseexpected",
+    "description": "JUnit4에서는 예외를 던져야 하는 테스트를 나타내기 위해 @Test(expected) 어노테이션을 사용하십시오.",
+    "priority": 3,
+    "examples": [
+      "public class MyTest {\n    @Test\n    public void testBad() {\n        try {\n            doSomething();\n            fail(\"should have thrown an exception\");\n        } catch (Exception e) {\n        }\n    }\n\n    @Test(expected=Exception.class)\n    public void testGood() {\n        doSomething();\n    }\n}"
+    ],
+    "related": [
+      {
+        "name": "UnitTestShouldUseTestAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.32
+      },
+      {
+        "name": "UnitTestShouldUseBeforeAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "UnitTestShouldUseAfterAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "JUnit4SuitesShouldUseSuiteAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
+    "tier": 3,
+    "claude_comment": "선택 - JUnit4 @Test(expected) 규칙으로, JUnit5에서는 assertThrows를 사용하므로 해당되지 않습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "LabeledStatement",
@@ -371,11 +1283,46 @@ const RULES_DATA =
       {
         "name": "allowLoops",
         "defaultValue": "true",
-        "description": "루프 문(do, while, for) 앞의 레이블을 허용할지 여부"
+        "description": "루프 문(do, while, for) 앞의 레이블을 허용할지 여부",
+        "type": "Boolean"
+      }
+    ],
+    "xpath": {
+      "expression": "if ($allowLoops) then\n    //LabeledStatement[not(DoStatement|WhileStatement|ForStatement|ForeachStatement)][let $label := @Label return\n          (.//BreakStatement | .//ContinueStatement)[@Label = $label]\n    ]\nelse\n    //LabeledStatement[let $label := @Label return\n          (.//BreakStatement | .//ContinueStatement)[@Label = $label]\n    ]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "UnusedLabel",
+        "reasons": [
+          "mentions",
+          "similar"
+        ],
+        "score": 3.51
+      },
+      {
+        "name": "NonCaseLabelInSwitch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.4
+      },
+      {
+        "name": "DefaultLabelNotLastInSwitch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.33
       }
     ],
     "tier": 2,
-    "claude_comment": "권장 - 레이블 문은 코드 흐름을 복잡하게 만들어 유지보수를 어렵게 합니다"
+    "claude_comment": "권장 - 레이블 문은 코드 흐름을 복잡하게 만들어 유지보수를 어렵게 합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "LiteralsFirstInComparisons",
@@ -390,8 +1337,37 @@ const RULES_DATA =
     "examples": [
       "class Foo {\n    boolean bar(String x) {\n        return x.equals(\"2\"); // should be \"2\".equals(x)\n    }\n    boolean bar(String x) {\n        return x.equalsIgnoreCase(\"2\"); // should be \"2\".equalsIgnoreCase(x)\n    }\n    boolean bar(String x) {\n        return (x.compareTo(\"bar\") > 0); // should be: \"bar\".compareTo(x) < 0\n    }\n    boolean bar(String x) {\n        return (x.compareToIgnoreCase(\"bar\") > 0); // should be: \"bar\".compareToIgnoreCase(x) < 0\n    }\n    boolean bar(String x) {\n        return x.contentEquals(\"bar\"); // should be \"bar\".contentEquals(x)\n    }\n\n    static final String CONSTANT = \"const\";\n    {\n        CONSTANT.equals(\"literal\"); // not reported, this is effectively the same as writing \"const\".equals(\"foo\")\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "AvoidDuplicateLiterals",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.32
+      },
+      {
+        "name": "ConsecutiveLiteralAppends",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "AvoidLiteralsInIfCondition",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 리터럴을 먼저 두면 NPE를 방지할 수 있습니다 (Yoda 조건)"
+    "claude_comment": "권장 - 리터럴을 먼저 두면 NPE를 방지할 수 있습니다 (Yoda 조건)",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "LooseCoupling",
@@ -406,8 +1382,37 @@ const RULES_DATA =
     "examples": [
       "import java.util.ArrayList;\nimport java.util.HashSet;\n\npublic class Bar {\n    // sub-optimal approach\n    private ArrayList<SomeType> list = new ArrayList<>();\n\n    public HashSet<SomeType> getFoo() {\n        return new HashSet<SomeType>();\n    }\n\n    // preferred approach\n    private List<SomeType> list = new ArrayList<>();\n\n    public Set<SomeType> getFoo() {\n        return new HashSet<SomeType>();\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "ConstantsInInterface",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "LoosePackageCoupling",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      },
+      {
+        "name": "TypeParameterNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 구현 클래스 대신 인터페이스 타입 사용으로 결합도를 낮추세요"
+    "claude_comment": "권장 - 구현 클래스 대신 인터페이스 타입 사용으로 결합도를 낮추세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "MethodReturnsInternalArray",
@@ -422,8 +1427,23 @@ const RULES_DATA =
     "examples": [
       "public class SecureSystem {\n    UserData [] ud;\n    public UserData [] getUserData() {\n        // Don't return directly the internal array, return a copy\n        return ud;\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "ArrayIsStoredDirectly",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 내부 배열을 직접 반환하면 캡슐화가 깨지고 외부에서 내부 상태를 변경할 수 있습니다"
+    "claude_comment": "필수 - 내부 배열을 직접 반환하면 캡슐화가 깨지고 외부에서 내부 상태를 변경할 수 있습니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "MissingOverride",
@@ -439,8 +1459,37 @@ const RULES_DATA =
       "public class Foo implements Runnable {\n                // This method is overridden, and should have an @Override annotation\n                public void run() {\n\n                }\n            }"
     ],
     "minLanguageVersion": "1.5",
+    "related": [
+      {
+        "name": "OverrideBothEqualsAndHashcode",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "ConstructorCallsOverridableMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "OverrideBothEqualsAndHashCodeOnComparable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - @Override 누락은 실수로 새 메서드를 정의하는 버그를 유발할 수 있습니다"
+    "claude_comment": "권장 - @Override 누락은 실수로 새 메서드를 정의하는 버그를 유발할 수 있습니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "NonExhaustiveSwitch",
@@ -455,8 +1504,69 @@ const RULES_DATA =
     "examples": [
       "class Foo {{\n    int x = 2;\n    switch (x) {\n      case 1: int j = 6;\n      case 2: int j = 8;\n      // missing default: here\n    }\n}}"
     ],
+    "xpath": {
+      "expression": "//SwitchStatement\n    (: exclude empty switches :)\n    [count(*) > 1]\n    [@DefaultCase = false()]\n    [@ExhaustiveEnumSwitch = false()]\n    (: exclude pattern tests - for these, the compiler will ensure exhaustiveness :)\n    [not(*/SwitchLabel[@PatternLabel = true()])]",
+      "version": "3.1"
+    },
+    "aliases": [
+      {
+        "name": "SwitchStmtsShouldHaveDefault",
+        "category": "bestpractices",
+        "deprecated": true
+      }
+    ],
+    "related": [
+      {
+        "name": "ExhaustiveSwitchHasDefault",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.45
+      },
+      {
+        "name": "TooFewBranchesForSwitch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.35
+      },
+      {
+        "name": "DefaultLabelNotLastInSwitch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.33
+      },
+      {
+        "name": "SwitchDensity",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "NonCaseLabelInSwitch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "UseEnumCollections",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 모든 케이스를 처리하지 않는 switch는 예기치 않은 동작을 유발합니다"
+    "claude_comment": "권장 - 모든 케이스를 처리하지 않는 switch는 예기치 않은 동작을 유발합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "PreserveStackTrace",
@@ -471,8 +1581,35 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    void good() {\n        try{\n            Integer.parseInt(\"a\");\n        } catch (Exception e) {\n            throw new Exception(e); // Ok, this initializes the cause of the new exception\n        }\n        try {\n            Integer.parseInt(\"a\");\n        } catch (Exception e) {\n            throw (IllegalStateException)new IllegalStateException().initCause(e); // second possibility to create exception chain.\n        }\n    }\n    void wrong() {\n        try{\n            Integer.parseInt(\"a\");\n        } catch (Exception e) {\n            // Violation: this only preserves the message and not the stack trace\n            throw new Exception(e.getMessage());\n        }\n    }\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "good",
+          "code": "void good() {\n    try{\n        Integer.parseInt(\"a\");\n    } catch (Exception e) {\n        throw new Exception(e); // Ok, this initializes the cause of the new exception\n    }\n    try {\n        Integer.parseInt(\"a\");\n    } catch (Exception e) {\n        throw (IllegalStateException)new IllegalStateException().initCause(e); // second possibility to create exception chain.\n    }\n}"
+        },
+        {
+          "kind": "bad",
+          "code": "void wrong() {\n    try{\n        Integer.parseInt(\"a\");\n    } catch (Exception e) {\n        // Violation: this only preserves the message and not the stack trace\n        throw new Exception(e.getMessage());\n    }\n}"
+        }
+      ]
+    ],
+    "related": [
+      {
+        "name": "ExceptionAsFlowControl",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 스택 트레이스 보존은 운영 환경에서 장애 분석에 필수적입니다"
+    "claude_comment": "필수 - 스택 트레이스 보존은 운영 환경에서 장애 분석에 필수적입니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "PrimitiveWrapperInstantiation",
@@ -487,8 +1624,23 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n                private Integer ZERO = new Integer(0);      // violation\n                private Integer ZERO1 = Integer.valueOf(0); // better\n                private Integer ZERO1 = 0;                  // even better\n            }"
     ],
+    "related": [
+      {
+        "name": "BooleanGetMethodName",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - new Integer() 대신 Integer.valueOf() 사용으로 캐싱 이점을 활용하세요"
+    "claude_comment": "권장 - new Integer() 대신 Integer.valueOf() 사용으로 캐싱 이점을 활용하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "RelianceOnDefaultCharset",
@@ -503,8 +1655,26 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    void bad() throws IOException {\n        new InputStreamReader(inputStream);  // violation\n        new OutputStreamWriter(outputStream);  // violation\n        URLEncoder.encode(\"test string\");  // violation (deprecated)\n        new PrintStream(outputStream);  // violation\n        new PrintWriter(\"output.txt\");  // violation\n        new Scanner(inputStream);  // violation\n        new Formatter();  // violation\n        \"test\".getBytes();  // violation\n        new ByteArrayOutputStream().toString();  // violation\n        new FileReader(\"input.txt\");  // violation\n        new FileWriter(\"output.txt\");  // violation\n    }\n\n    void good() throws IOException {\n        new InputStreamReader(inputStream, StandardCharsets.UTF_8);  // ok\n        new OutputStreamWriter(outputStream, StandardCharsets.UTF_8);  // ok\n        URLEncoder.encode(\"test string\", StandardCharsets.UTF_8);  // ok\n        new PrintStream(outputStream, true, StandardCharsets.UTF_8);  // ok\n        new PrintWriter(\"output.txt\", StandardCharsets.UTF_8);  // ok\n        new Scanner(inputStream, StandardCharsets.UTF_8);  // ok\n        new Formatter(Locale.US);  // ok\n        \"test\".getBytes(StandardCharsets.UTF_8);  // ok\n        new ByteArrayOutputStream().toString(StandardCharsets.UTF_8);  // ok\n        new FileReader(\"input.txt\", StandardCharsets.UTF_8);  // ok\n        new FileWriter(\"output.txt\", StandardCharsets.UTF_8);  // ok\n    }\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "void bad() throws IOException {\n    new InputStreamReader(inputStream);  // violation\n    new OutputStreamWriter(outputStream);  // violation\n    URLEncoder.encode(\"test string\");  // violation (deprecated)\n    new PrintStream(outputStream);  // violation\n    new PrintWriter(\"output.txt\");  // violation\n    new Scanner(inputStream);  // violation\n    new Formatter();  // violation\n    \"test\".getBytes();  // violation\n    new ByteArrayOutputStream().toString();  // violation\n    new FileReader(\"input.txt\");  // violation\n    new FileWriter(\"output.txt\");  // violation\n}"
+        },
+        {
+          "kind": "good",
+          "code": "void good() throws IOException {\n    new InputStreamReader(inputStream, StandardCharsets.UTF_8);  // ok\n    new OutputStreamWriter(outputStream, StandardCharsets.UTF_8);  // ok\n    URLEncoder.encode(\"test string\", StandardCharsets.UTF_8);  // ok\n    new PrintStream(outputStream, true, StandardCharsets.UTF_8);  // ok\n    new PrintWriter(\"output.txt\", StandardCharsets.UTF_8);  // ok\n    new Scanner(inputStream, StandardCharsets.UTF_8);  // ok\n    new Formatter(Locale.US);  // ok\n    \"test\".getBytes(StandardCharsets.UTF_8);  // ok\n    new ByteArrayOutputStream().toString(StandardCharsets.UTF_8);  // ok\n    new FileReader(\"input.txt\", StandardCharsets.UTF_8);  // ok\n    new FileWriter(\"output.txt\", StandardCharsets.UTF_8);  // ok\n}"
+        }
+      ]
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 기본 문자셋 의존은 플랫폼 간 인코딩 버그를 유발합니다. 명시적으로 지정하세요"
+    "claude_comment": "필수 - 기본 문자셋 의존은 플랫폼 간 인코딩 버그를 유발합니다. 명시적으로 지정하세요",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "ReplaceEnumerationWithIterator",
@@ -519,8 +1689,34 @@ const RULES_DATA =
     "examples": [
       "public class Foo implements Enumeration {\n    private int x = 42;\n    public boolean hasMoreElements() {\n        return true;\n    }\n    public Object nextElement() {\n        return String.valueOf(i++);\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//ImplementsList/ClassType[pmd-java:typeIsExactly('java.util.Enumeration')]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "ReplaceVectorWithList",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.32
+      },
+      {
+        "name": "ReplaceHashtableWithMap",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.31
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - Enumeration은 레거시 API입니다. Iterator를 사용하세요"
+    "claude_comment": "권장 - Enumeration은 레거시 API입니다. Iterator를 사용하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "ReplaceHashtableWithMap",
@@ -535,8 +1731,41 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    void bar() {\n        Hashtable h = new Hashtable();\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//ClassType[pmd-java:typeIsExactly('java.util.Hashtable')]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "ReplaceVectorWithList",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.4
+      },
+      {
+        "name": "ReplaceEnumerationWithIterator",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.31
+      },
+      {
+        "name": "UseConcurrentHashMap",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - Hashtable은 레거시 클래스입니다. HashMap이나 ConcurrentHashMap을 사용하세요"
+    "claude_comment": "권장 - Hashtable은 레거시 클래스입니다. HashMap이나 ConcurrentHashMap을 사용하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "ReplaceVectorWithList",
@@ -551,8 +1780,41 @@ const RULES_DATA =
     "examples": [
       "import java.util.Vector;\npublic class Foo {\n    void bar() {\n        Vector v = new Vector();\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//ClassType[pmd-java:typeIsExactly('java.util.Vector')]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "UseArrayListInsteadOfVector",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.58
+      },
+      {
+        "name": "ReplaceHashtableWithMap",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.4
+      },
+      {
+        "name": "ReplaceEnumerationWithIterator",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.32
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - Vector는 레거시 클래스입니다. ArrayList나 CopyOnWriteArrayList를 사용하세요"
+    "claude_comment": "권장 - Vector는 레거시 클래스입니다. ArrayList나 CopyOnWriteArrayList를 사용하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "SimplifiableTestAssertion",
@@ -567,8 +1829,30 @@ const RULES_DATA =
     "examples": [
       "import org.junit.Test;\nimport static org.junit.Assert.*;\n\nclass SomeTestClass {\n    Object a,b;\n    @Test\n    void testMethod() {\n        assertTrue(a.equals(b)); // could be assertEquals(a, b);\n        assertTrue(!a.equals(b)); // could be assertNotEquals(a, b);\n\n        assertTrue(!something); // could be assertFalse(something);\n        assertFalse(!something); // could be assertTrue(something);\n\n        assertTrue(a == b); // could be assertSame(a, b);\n        assertTrue(a != b); // could be assertNotSame(a, b);\n\n        assertTrue(a == null); // could be assertNull(a);\n        assertTrue(a != null); // could be assertNotNull(a);\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "UnitTestContainsTooManyAsserts",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.31
+      },
+      {
+        "name": "UnitTestAssertionsShouldIncludeMessage",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 단순화 가능한 테스트 단언문은 가독성과 오류 메시지를 개선합니다"
+    "claude_comment": "권장 - 단순화 가능한 테스트 단언문은 가독성과 오류 메시지를 개선합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UnitTestAssertionsShouldIncludeMessage",
@@ -583,8 +1867,65 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    @Test\n    public void testSomething() {\n        assertEquals(\"foo\", \"bar\");\n        // Use the form:\n        // assertEquals(\"Foo does not equals bar\", \"foo\", \"bar\");\n        // instead\n    }\n}"
     ],
+    "aliases": [
+      {
+        "name": "JUnitAssertionsShouldIncludeMessage",
+        "category": "bestpractices",
+        "deprecated": true
+      }
+    ],
+    "related": [
+      {
+        "name": "UnitTestShouldIncludeAssert",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.47
+      },
+      {
+        "name": "UnitTestContainsTooManyAsserts",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.38
+      },
+      {
+        "name": "SimplifiableTestAssertion",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      },
+      {
+        "name": "UnitTestShouldUseBeforeAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      },
+      {
+        "name": "UnitTestShouldUseTestAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      },
+      {
+        "name": "InvalidLogMessageFormat",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 단언문에 메시지 포함은 좋은 관행이나, 메서드명이 명확하면 생략 가능합니다"
+    "claude_comment": "선택 - 단언문에 메시지 포함은 좋은 관행이나, 메서드명이 명확하면 생략 가능합니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UnitTestContainsTooManyAsserts",
@@ -599,8 +1940,77 @@ const RULES_DATA =
     "examples": [
       "public class MyTestCase {\n    // Ok\n    @Test\n    public void testMyCaseWithOneAssert() {\n        boolean myVar = false;\n        assertFalse(\"should be false\", myVar);\n    }\n\n    // Bad, too many asserts (assuming max=1)\n    @Test\n    public void testMyCaseWithMoreAsserts() {\n        boolean myVar = false;\n        assertFalse(\"myVar should be false\", myVar);\n        assertEquals(\"should equals false\", false, myVar);\n    }\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "good",
+          "code": "// Ok\n@Test\npublic void testMyCaseWithOneAssert() {\n    boolean myVar = false;\n    assertFalse(\"should be false\", myVar);\n}"
+        },
+        {
+          "kind": "bad",
+          "code": "// Bad, too many asserts (assuming max=1)\n@Test\npublic void testMyCaseWithMoreAsserts() {\n    boolean myVar = false;\n    assertFalse(\"myVar should be false\", myVar);\n    assertEquals(\"should equals false\", false, myVar);\n}"
+        }
+      ]
+    ],
+    "aliases": [
+      {
+        "name": "JUnitTestContainsTooManyAsserts",
+        "category": "bestpractices",
+        "deprecated": true
+      }
+    ],
+    "related": [
+      {
+        "name": "UnitTestShouldIncludeAssert",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.47
+      },
+      {
+        "name": "UnitTestAssertionsShouldIncludeMessage",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.38
+      },
+      {
+        "name": "SimplifiableTestAssertion",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.31
+      },
+      {
+        "name": "TestClassWithoutTestCases",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "UnitTestShouldUseTestAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "UnitTestShouldUseBeforeAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 단언문 수 제한은 팀 컨벤션에 따라 조정이 필요합니다"
+    "claude_comment": "선택 - 단언문 수 제한은 팀 컨벤션에 따라 조정이 필요합니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UnitTestShouldIncludeAssert",
@@ -615,8 +2025,65 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n   @Test\n   public void testSomething() {\n      Bar b = findBar();\n      // This is better than having a NullPointerException\n      // assertNotNull(\"bar not found\", b);\n      b.work();\n   }\n}"
     ],
+    "aliases": [
+      {
+        "name": "JUnitTestsShouldIncludeAssert",
+        "category": "bestpractices",
+        "deprecated": true
+      }
+    ],
+    "related": [
+      {
+        "name": "UnitTestContainsTooManyAsserts",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.47
+      },
+      {
+        "name": "UnitTestAssertionsShouldIncludeMessage",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.47
+      },
+      {
+        "name": "UnitTestShouldUseTestAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      },
+      {
+        "name": "TestClassWithoutTestCases",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      },
+      {
+        "name": "UnitTestShouldUseBeforeAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      },
+      {
+        "name": "UnitTestShouldUseAfterAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 단언문 없는 테스트는 실제로 아무것도 검증하지 않는 무의미한 테스트입니다"
+    "claude_comment": "권장 - 단언문 없는 테스트는 실제로 아무것도 검증하지 않는 무의미한 테스트입니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UnitTestShouldUseAfterAnnotation",
@@ -631,8 +2098,69 @@ const RULES_DATA =
     "examples": [
       "public class MyTest {\n    public void tearDown() {\n        bad();\n    }\n}\npublic class MyTest2 {\n    @After public void tearDown() {\n        good();\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//MethodDeclaration[@Name='tearDown' and @Arity=0]\n    [not(ModifierList/Annotation[\n           pmd-java:typeIs('org.junit.After')\n        or pmd-java:typeIs('org.junit.jupiter.api.AfterEach')\n        or pmd-java:typeIs('org.junit.jupiter.api.AfterAll')\n        or pmd-java:typeIs('org.testng.annotations.AfterClass')\n        or pmd-java:typeIs('org.testng.annotations.AfterMethod')\n    ])]\n    (: Make sure this is a JUnit 4/5 or TestNG class :)\n    [../MethodDeclaration[\n            pmd-java:hasAnnotation('org.junit.Test')\n         or pmd-java:hasAnnotation('org.junit.jupiter.api.Test')\n         or pmd-java:hasAnnotation('org.testng.annotations.Test')\n    ]]",
+      "version": "3.1"
+    },
+    "aliases": [
+      {
+        "name": "JUnit4TestShouldUseAfterAnnotation",
+        "category": "bestpractices",
+        "deprecated": true
+      }
+    ],
+    "related": [
+      {
+        "name": "UnitTestShouldUseBeforeAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.79
+      },
+      {
+        "name": "UnitTestShouldUseTestAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.56
+      },
+      {
+        "name": "TestClassWithoutTestCases",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "DetachedTestCase",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      },
+      {
+        "name": "JUnit5TestShouldBePackagePrivate",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "JUnitSpelling",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - tearDown() 대신 @After 사용은 JUnit4 스타일 선호도에 따릅니다"
+    "claude_comment": "선택 - tearDown() 대신 @After 사용은 JUnit4 스타일 선호도에 따릅니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UnitTestShouldUseBeforeAnnotation",
@@ -647,8 +2175,69 @@ const RULES_DATA =
     "examples": [
       "public class MyTest {\n    public void setUp() {\n        bad();\n    }\n}\npublic class MyTest2 {\n    @Before public void setUp() {\n        good();\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//MethodDeclaration[@Name='setUp' and @Arity=0]\n    [not(ModifierList/Annotation[\n           pmd-java:typeIs('org.junit.Before')\n        or pmd-java:typeIs('org.junit.jupiter.api.BeforeEach')\n        or pmd-java:typeIs('org.junit.jupiter.api.BeforeAll')\n        or pmd-java:typeIs('org.testng.annotations.BeforeMethod')\n        or pmd-java:typeIs('org.testng.annotations.BeforeClass')\n    ])]\n    (: Make sure this is a JUnit 4/5 or TestNG class :)\n    [../MethodDeclaration[\n               pmd-java:hasAnnotation('org.junit.Test')\n            or pmd-java:hasAnnotation('org.junit.jupiter.api.Test')\n            or pmd-java:hasAnnotation('org.testng.annotations.Test')\n    ]]",
+      "version": "3.1"
+    },
+    "aliases": [
+      {
+        "name": "JUnit4TestShouldUseBeforeAnnotation",
+        "category": "bestpractices",
+        "deprecated": true
+      }
+    ],
+    "related": [
+      {
+        "name": "UnitTestShouldUseAfterAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.79
+      },
+      {
+        "name": "UnitTestShouldUseTestAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.57
+      },
+      {
+        "name": "TestClassWithoutTestCases",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.31
+      },
+      {
+        "name": "DetachedTestCase",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "JUnit5TestShouldBePackagePrivate",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      },
+      {
+        "name": "UnitTestShouldIncludeAssert",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - setUp() 대신 @Before 사용은 JUnit4 스타일 선호도에 따릅니다"
+    "claude_comment": "선택 - setUp() 대신 @Before 사용은 JUnit4 스타일 선호도에 따릅니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UnitTestShouldUseTestAnnotation",
@@ -667,11 +2256,73 @@ const RULES_DATA =
       {
         "name": "testClassPattern",
         "defaultValue": "Test",
-        "description": "테스트 클래스를 식별하는 데 사용되는 정규식 패턴"
+        "description": "테스트 클래스를 식별하는 데 사용되는 정규식 패턴",
+        "type": "Regex"
+      }
+    ],
+    "xpath": {
+      "expression": "//ClassDeclaration[matches(@SimpleName, $testClassPattern) or pmd-java:typeIs('junit.framework.TestCase')]\n    (: a junit 3 method :)\n    /ClassBody/MethodDeclaration[\n        @Visibility=\"public\"\n        and starts-with(@Name, 'test')\n        and not(ModifierList/Annotation[\n          pmd-java:typeIs('org.junit.Test')\n          or pmd-java:typeIs('org.junit.jupiter.api.Test')\n          or pmd-java:typeIs('org.junit.jupiter.api.RepeatedTest')\n          or pmd-java:typeIs('org.junit.jupiter.api.TestFactory')\n          or pmd-java:typeIs('org.junit.jupiter.api.TestTemplate')\n          or pmd-java:typeIs('org.junit.jupiter.params.ParameterizedTest')\n          or pmd-java:typeIs('org.testng.annotations.Test')\n          ]\n        )\n    ]",
+      "version": "3.1"
+    },
+    "aliases": [
+      {
+        "name": "JUnit4TestShouldUseTestAnnotation",
+        "category": "bestpractices",
+        "deprecated": true
+      }
+    ],
+    "related": [
+      {
+        "name": "UnitTestShouldUseBeforeAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.57
+      },
+      {
+        "name": "UnitTestShouldUseAfterAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.56
+      },
+      {
+        "name": "JUnit5TestShouldBePackagePrivate",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.38
+      },
+      {
+        "name": "TestClassWithoutTestCases",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.36
+      },
+      {
+        "name": "DetachedTestCase",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.34
+      },
+      {
+        "name": "JUnitUseExpected",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.32
       }
     ],
     "tier": 2,
-    "claude_comment": "권장 - @Test 어노테이션 누락은 테스트가 실행되지 않는 심각한 문제를 초래합니다"
+    "claude_comment": "권장 - @Test 어노테이션 누락은 테스트가 실행되지 않는 심각한 문제를 초래합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UnnecessaryVarargsArrayCreation",
@@ -686,8 +2337,37 @@ const RULES_DATA =
     "examples": [
       "import java.util.Arrays;\n\nclass C {\n    static {\n        Arrays.asList(new String[]{\"foo\", \"bar\",});\n        // should be\n        Arrays.asList(\"foo\", \"bar\");\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "UseArraysAsList",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.32
+      },
+      {
+        "name": "ConfusingArgumentToVarargsMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "UseVarargs",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 불필요한 가변인자 배열 생성 제거는 코드 간결성을 위한 마이너 개선입니다"
+    "claude_comment": "선택 - 불필요한 가변인자 배열 생성 제거는 코드 간결성을 위한 마이너 개선입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UnnecessaryWarningSuppression",
@@ -702,8 +2382,23 @@ const RULES_DATA =
     "examples": [
       "public class Something {\n                // Unless some rule triggered on the following line, this rule will report the comment:\n                private void foo() {} // NOPMD\n            }"
     ],
+    "related": [
+      {
+        "name": "UnitTestShouldUseTestAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 불필요한 @SuppressWarnings는 실제 경고를 무시하게 만들 수 있습니다"
+    "claude_comment": "권장 - 불필요한 @SuppressWarnings는 실제 경고를 무시하게 만들 수 있습니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UnusedAssignment",
@@ -721,8 +2416,39 @@ const RULES_DATA =
       "class C {\n\n    int method() {\n        int i = 0;\n\n        checkSomething(++i);\n        checkSomething(++i);\n        checkSomething(++i);\n        checkSomething(++i);\n\n        // That last increment is not reported unless\n        // the property `checkUnusedPrefixIncrement` is\n        // set to `true`\n        // Technically it could be written (i+1), but it\n        // is not very important\n    }\n\n}",
       "class C {\n\n    // variables that are truly unused (at most assigned to, but never accessed)\n    // are only reported if property `reportUnusedVariables` is true\n\n    void method(int param) { } // for example this method parameter\n\n    // even then, you can suppress the violation with an annotation:\n\n    void method(@SuppressWarning(\"unused\") int param) { } // no violation, even if `reportUnusedVariables` is true\n\n    // For catch parameters, or for resources which don't need to be used explicitly,\n    // you can give a name that starts with \"ignored\" to ignore such warnings\n\n    {\n        try (Something ignored = Something.create()) {\n            // even if ignored is unused, it won't be flagged\n            // its purpose might be to side-effect in the create/close routines\n\n        } catch (Exception e) { // this is unused and will cause a warning if `reportUnusedVariables` is true\n            // you should choose a name that starts with \"ignored\"\n            return;\n        }\n    }\n\n}"
     ],
+    "related": [
+      {
+        "name": "UnusedLocalVariable",
+        "reasons": [
+          "mentions",
+          "similar"
+        ],
+        "score": 3.28
+      },
+      {
+        "name": "UnusedFormalParameter",
+        "reasons": [
+          "mentions",
+          "similar"
+        ],
+        "score": 3.21
+      },
+      {
+        "name": "AvoidReassigningParameters",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 사용되지 않는 할당은 논리 오류의 징후이거나 불필요한 코드입니다"
+    "claude_comment": "권장 - 사용되지 않는 할당은 논리 오류의 징후이거나 불필요한 코드입니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UnusedFormalParameter",
@@ -737,8 +2463,60 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    private void bar(String howdy) {\n        // howdy is not used\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "MethodArgumentCouldBeFinal",
+        "reasons": [
+          "mentionedBy",
+          "similar"
+        ],
+        "score": 3.29
+      },
+      {
+        "name": "UnusedAssignment",
+        "reasons": [
+          "mentionedBy",
+          "similar"
+        ],
+        "score": 3.21
+      },
+      {
+        "name": "FormalParameterNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.42
+      },
+      {
+        "name": "UnusedLocalVariable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.41
+      },
+      {
+        "name": "UnusedPrivateMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.34
+      },
+      {
+        "name": "TypeParameterNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 사용되지 않는 매개변수는 API 설계 문제를 나타낼 수 있습니다"
+    "claude_comment": "권장 - 사용되지 않는 매개변수는 API 설계 문제를 나타낼 수 있습니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UnusedLabel",
@@ -753,8 +2531,49 @@ const RULES_DATA =
     "examples": [
       "class Example {\n    void main() {\n        lbl1: {                     // violation: Label \"lbl1\" is not nused\n            int x = 1;\n            System.out.println(x);\n        }\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//LabeledStatement[let $label := @Label return\n      not( (.//BreakStatement | .//ContinueStatement)[@Label = $label] )\n]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "LabeledStatement",
+        "reasons": [
+          "mentionedBy",
+          "similar"
+        ],
+        "score": 3.51
+      },
+      {
+        "name": "NonCaseLabelInSwitch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.38
+      },
+      {
+        "name": "DefaultLabelNotLastInSwitch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.35
+      },
+      {
+        "name": "UnusedPrivateMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 사용되지 않는 레이블은 불필요한 코드이며 혼란을 유발합니다"
+    "claude_comment": "권장 - 사용되지 않는 레이블은 불필요한 코드이며 혼란을 유발합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UnusedLocalVariable",
@@ -769,8 +2588,59 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    public void doSomething() {\n        int i = 5; // Unused\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "UnusedAssignment",
+        "reasons": [
+          "mentionedBy",
+          "similar"
+        ],
+        "score": 3.28
+      },
+      {
+        "name": "UnusedPrivateMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.44
+      },
+      {
+        "name": "UnusedFormalParameter",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.41
+      },
+      {
+        "name": "LocalVariableCouldBeFinal",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.35
+      },
+      {
+        "name": "LocalVariableNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      },
+      {
+        "name": "ShortVariable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 사용되지 않는 지역 변수는 높은 확률로 논리 오류의 징후입니다"
+    "claude_comment": "필수 - 사용되지 않는 지역 변수는 높은 확률로 논리 오류의 징후입니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "UnusedPrivateField",
@@ -785,8 +2655,58 @@ const RULES_DATA =
     "examples": [
       "public class Something {\n    private static int FOO = 2; // Unused\n    private int i = 5; // Unused\n    private int j = 6;\n    public int addOne() {\n        return j++;\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "UnusedPrivateMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.37
+      },
+      {
+        "name": "UnitTestShouldUseTestAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "CommentDefaultAccessModifier",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "UnitTestShouldUseBeforeAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "ModifierOrder",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "UnitTestShouldUseAfterAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 사용되지 않는 private 필드는 데드 코드이며 유지보수를 어렵게 합니다"
+    "claude_comment": "권장 - 사용되지 않는 private 필드는 데드 코드이며 유지보수를 어렵게 합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UnusedPrivateMethod",
@@ -801,15 +2721,51 @@ const RULES_DATA =
     "examples": [
       "public class Something {\n    private void foo() {} // unused\n}"
     ],
+    "related": [
+      {
+        "name": "UnusedLocalVariable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.44
+      },
+      {
+        "name": "UnusedPrivateField",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.37
+      },
+      {
+        "name": "UnusedFormalParameter",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.34
+      },
+      {
+        "name": "UnusedLabel",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 사용되지 않는 private 메서드는 데드 코드이며 제거해야 합니다"
+    "claude_comment": "권장 - 사용되지 않는 private 메서드는 데드 코드이며 제거해야 합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UseCollectionIsEmpty",
     "category": "bestpractices",
     "categoryName": "모범 사례",
     "since": "3.9",
-    "message": "size() == 0 (또는 size() != 0, size() &gt; 0, size() &lt; 1) 호출을 isEmpty() 호출로 대체하십시오",
+    "message": "size() == 0 (또는 size() != 0, size() > 0, size() < 1) 호출을 isEmpty() 호출로 대체하십시오",
     "ruleClass": "net.sourceforge.pmd.lang.java.rule.bestpractices.UseCollectionIsEmptyRule",
     "externalInfoUrl": "https://docs.pmd-code.org/latest/pmd_rules_java_bestpractices.html#usecollectionisempty",
     "description": "java.util.Collection의 isEmpty() 메서드는 컬렉션에 요소가 있는지 확인하기 위해 제공됩니다.\nsize()의 값을 0과 비교하는 것은 isEmpty() 메서드만큼 의도를 잘 전달하지 못합니다.",
@@ -817,8 +2773,35 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    void good() {\n        List foo = getList();\n        if (foo.isEmpty()) {\n            // blah\n        }\n    }\n\n    void bad() {\n        List foo = getList();\n        if (foo.size() == 0) {\n            // blah\n        }\n    }\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "good",
+          "code": "void good() {\n    List foo = getList();\n    if (foo.isEmpty()) {\n        // blah\n    }\n}"
+        },
+        {
+          "kind": "bad",
+          "code": "void bad() {\n    List foo = getList();\n    if (foo.size() == 0) {\n        // blah\n    }\n}"
+        }
+      ]
+    ],
+    "related": [
+      {
+        "name": "CommentSize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - collection.size() == 0 대신 isEmpty() 사용이 의도가 명확하고 일부 구현에서 더 효율적입니다"
+    "claude_comment": "권장 - collection.size() == 0 대신 isEmpty() 사용이 의도가 명확하고 일부 구현에서 더 효율적입니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UseEnumCollections",
@@ -833,8 +2816,30 @@ const RULES_DATA =
     "examples": [
       "import java.util.EnumMap;\n            import java.util.HashSet;\n\n            enum Example {\n                A, B, C;\n\n                public static Set<Example> newSet() {\n                    return new HashSet<>(); // Could be EnumSet.noneOf(Example.class)\n                }\n\n                public static <V> Map<Example, V> newMap() {\n                    return new HashMap<>(); // Could be new EnumMap<>(Example.class)\n                }\n            }"
     ],
+    "related": [
+      {
+        "name": "EnumComparison",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "NonExhaustiveSwitch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - EnumSet/EnumMap은 성능이 우수하나 적용 범위가 제한적입니다"
+    "claude_comment": "선택 - EnumSet/EnumMap은 성능이 우수하나 적용 범위가 제한적입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UseStandardCharsets",
@@ -849,9 +2854,19 @@ const RULES_DATA =
     "examples": [
       "public class UseStandardCharsets {\n    public void run() {\n\n        // looking up the charset dynamically\n        try (OutputStreamWriter osw = new OutputStreamWriter(out, Charset.forName(\"UTF-8\"))) {\n            osw.write(\"test\");\n        }\n\n        // best to use StandardCharsets\n        try (OutputStreamWriter osw = new OutputStreamWriter(out, StandardCharsets.UTF_8)) {\n            osw.write(\"test\");\n        }\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//MethodCall[@MethodName = 'forName'][pmd-java:typeIs('java.nio.charset.Charset')]\n    [\n        ArgumentList/StringLiteral\n            [@Image = ('\"US-ASCII\"', '\"ISO-8859-1\"', '\"UTF-8\"', '\"UTF-16BE\"', '\"UTF-16LE\"', '\"UTF-16\"')]\n    ]",
+      "version": "3.1"
+    },
     "minLanguageVersion": "1.7",
     "tier": 2,
-    "claude_comment": "권장 - StandardCharsets 사용으로 UnsupportedEncodingException을 방지하세요"
+    "claude_comment": "권장 - StandardCharsets 사용으로 UnsupportedEncodingException을 방지하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UseTryWithResources",
@@ -868,7 +2883,13 @@ const RULES_DATA =
     ],
     "minLanguageVersion": "1.7",
     "tier": 1,
-    "claude_comment": "필수 - try-with-resources는 리소스 누수를 방지하는 필수 패턴입니다"
+    "claude_comment": "필수 - try-with-resources는 리소스 누수를 방지하는 필수 패턴입니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "WhileLoopWithLiteralBoolean",
@@ -883,8 +2904,27 @@ const RULES_DATA =
     "examples": [
       "public class Example {\n  {\n    while (true) { } // allowed\n    while (false) { } // disallowed\n    do { } while (true); // disallowed\n    do { } while (false); // disallowed\n    do { } while (false | false); // disallowed\n    do { } while (false || false); // disallowed\n  }\n}"
     ],
+    "xpath": {
+      "expression": "(: while loops with single boolean literal 'false', maybe parenthesized :)\n//WhileStatement/BooleanLiteral[@True = false()]\n|\n(: do-while loops with single boolean literal ('false' or 'true'), maybe parenthesized :)\n//DoStatement/BooleanLiteral\n|\n(: while loops with conditional or'ed boolean literals, maybe parenthesized :)\n//WhileStatement[(InfixExpression[@Operator = ('|', '||')])\n    (: no var access :)\n    [count(VariableAccess) = 0]\n    (: at least one false literal :)\n    [count(BooleanLiteral[@True = false()]) >= 1]]\n|\n(: while loops with conditional and'ed boolean literals, maybe parenthesized :)\n//WhileStatement[(InfixExpression[@Operator = ('&', '&&')])\n    (: at least one false literal :)\n    [count(BooleanLiteral[@True = false()]) >= 1]]\n|\n(: do-while loops with conditional or'ed boolean literals, maybe parenthesized :)\n//DoStatement[(InfixExpression[@Operator = ('|', '||')])\n    (: at least one true literal :)\n    [count(BooleanLiteral[@True = true()]) >= 1\n      (: or only boolean literal and no no var access :)\n      or count(BooleanLiteral) >= 1\n      and count(VariableAccess) = 0\n    ]]\n|\n(: do-while loops with conditional and'ed boolean literals, maybe parenthesized :)\n//DoStatement[(InfixExpression[@Operator = ('&', '&&')])\n    (: at least one false literal :)\n    [count(BooleanLiteral[@True = false()]) >= 1\n      (: or only boolean literal and no no var access :)\n      or count(BooleanLiteral) >= 1\n      and count(VariableAccess) = 0\n    ]]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "ForLoopShouldBeWhileLoop",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.42
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - while(true) 사용은 무한 루프 의도를 명확히 하고 종료 조건을 검토해야 합니다"
+    "claude_comment": "권장 - while(true) 사용은 무한 루프 의도를 명확히 하고 종료 조건을 검토해야 합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "OneDeclarationPerLine",
@@ -903,11 +2943,22 @@ const RULES_DATA =
       {
         "name": "strictMode",
         "defaultValue": "false",
-        "description": "true이면 선언이 별도의 줄에 있더라도 결합된 선언을 표시합니다."
+        "description": "true이면 선언이 별도의 줄에 있더라도 결합된 선언을 표시합니다.",
+        "type": "Boolean"
       }
     ],
+    "xpath": {
+      "expression": "//LocalVariableDeclaration\n   [not(parent::ForInit)]\n   [count(VariableDeclarator) > 1]\n   [$strictMode or count(distinct-values(VariableDeclarator/@BeginLine)) != count(VariableDeclarator)]\n|\n//FieldDeclaration\n   [count(VariableDeclarator) > 1]\n   [$strictMode or count(distinct-values(VariableDeclarator/@BeginLine)) != count(VariableDeclarator)]",
+      "version": "3.1"
+    },
     "tier": 3,
-    "claude_comment": "선택 - 한 줄에 하나의 선언은 가독성 향상에 도움되나 스타일 선호도 문제입니다"
+    "claude_comment": "선택 - 한 줄에 하나의 선언은 가독성 향상에 도움되나 스타일 선호도 문제입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UseVarargs",
@@ -922,9 +2973,54 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    public void foo(String s, Object[] args) {\n        // Do something here...\n    }\n\n    public void bar(String s, Object... args) {\n        // Ahh, varargs tastes much better...\n    }\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "public void foo(String s, Object[] args) {\n    // Do something here...\n}"
+        },
+        {
+          "kind": "good",
+          "code": "public void bar(String s, Object... args) {\n    // Ahh, varargs tastes much better...\n}"
+        }
+      ]
+    ],
+    "xpath": {
+      "expression": "//FormalParameters[not(parent::MethodDeclaration[@Overridden=true() or @MainMethod=true()])]\n  /FormalParameter[position()=last()]\n   [@Varargs=false()]\n   [ArrayType[not(PrimitiveType[@Kind = \"byte\"] or ClassType[pmd-java:typeIs('java.lang.Byte')])]\n    or VariableId[ArrayDimensions] and (PrimitiveType[not(@Kind=\"byte\")] or ClassType[not(pmd-java:typeIs('java.lang.Byte'))])]",
+      "version": "3.1"
+    },
     "minLanguageVersion": "1.5",
+    "related": [
+      {
+        "name": "ConfusingArgumentToVarargsMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "UnnecessaryVarargsArrayCreation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "UnusedFormalParameter",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 가변인자 사용 제안은 API 호환성을 고려하여 신중하게 적용하세요"
+    "claude_comment": "선택 - 가변인자 사용 제안은 API 호환성을 고려하여 신중하게 적용하세요",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "ClassNamingConventions",
@@ -939,8 +3035,70 @@ const RULES_DATA =
     "examples": [
       "// This is Pascal case, the recommended naming convention in Java\n// Note that the default values of this rule don't allow underscores\n// or accented characters in type names\npublic class FooBar {}\n\n// You may want abstract classes to be named 'AbstractXXX',\n// in which case you can customize the regex for abstract\n// classes to 'Abstract[A-Z]\\w+'\npublic abstract class Thing {}\n\n// This class doesn't respect the convention, and will be flagged\npublic class Éléphant {}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "good",
+          "code": "// This is Pascal case, the recommended naming convention in Java\n// Note that the default values of this rule don't allow underscores\n// or accented characters in type names\npublic class FooBar {}\n\n// You may want abstract classes to be named 'AbstractXXX',\n// in which case you can customize the regex for abstract\n// classes to 'Abstract[A-Z]\\w+'\npublic abstract class Thing {}"
+        },
+        {
+          "kind": "bad",
+          "code": "// This class doesn't respect the convention, and will be flagged\npublic class Éléphant {}"
+        }
+      ]
+    ],
+    "related": [
+      {
+        "name": "MethodNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.48
+      },
+      {
+        "name": "FieldNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.41
+      },
+      {
+        "name": "LocalVariableNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.4
+      },
+      {
+        "name": "TypeParameterNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.34
+      },
+      {
+        "name": "FormalParameterNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.32
+      },
+      {
+        "name": "UseUtilityClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.31
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 일관된 클래스 명명 규칙은 팀 협업과 코드 가독성에 중요합니다"
+    "claude_comment": "권장 - 일관된 클래스 명명 규칙은 팀 협업과 코드 가독성에 중요합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "EmptyMethodInAbstractClassShouldBeAbstract",
@@ -955,8 +3113,41 @@ const RULES_DATA =
     "examples": [
       "public abstract class ShouldBeAbstract {\n    public Object couldBeAbstract() {\n        // Should be abstract method ?\n        return null;\n    }\n\n    public void couldBeAbstract() {\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//ClassDeclaration[@RegularClass = true() and pmd-java:modifiers() = \"abstract\"]\n  /ClassBody\n    /MethodDeclaration\n    [@Final = false()]\n    [Block[\n      let $size := count(*[not(self::EmptyStatement)])\n      return $size = 0\n             or $size = 1 and ReturnStatement[NullLiteral\n                                              or NumericLiteral[@ValueAsInt = 0]\n                                              or StringLiteral[@Empty = true()]]\n    ]]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "AbstractClassWithoutAbstractMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.47
+      },
+      {
+        "name": "AbstractClassWithoutAnyMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.35
+      },
+      {
+        "name": "FinalParameterInAbstractMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.31
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 빈 메서드를 추상으로 변경하는 것은 설계 선호도에 따릅니다"
+    "claude_comment": "선택 - 빈 메서드를 추상으로 변경하는 것은 설계 선호도에 따릅니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "FieldNamingConventions",
@@ -971,8 +3162,58 @@ const RULES_DATA =
     "examples": [
       "class Foo {\n                int myField = 1; // This is in camel case, so it's ok\n                int my_Field = 1; // This contains an underscore, it's not ok by default\n                                  // but you may allow it, or even require the \"my_\" prefix\n\n                final int FinalField = 1; // you may configure a different convention for final fields,\n                                          // e.g. here PascalCase: [A-Z][a-zA-Z0-9]*\n\n                interface Interface {\n                    double PI = 3.14; // interface \"fields\" use the constantPattern property\n                }\n\n                enum AnEnum {\n                    ORG, NET, COM; // These use a separate property but are set to ALL_UPPER by default\n                }\n            }"
     ],
+    "related": [
+      {
+        "name": "MethodNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.7
+      },
+      {
+        "name": "LocalVariableNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.66
+      },
+      {
+        "name": "FormalParameterNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.53
+      },
+      {
+        "name": "TypeParameterNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.47
+      },
+      {
+        "name": "ClassNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.41
+      },
+      {
+        "name": "FinalFieldCouldBeStatic",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 일관된 필드 명명 규칙은 코드 이해도와 팀 협업에 중요합니다"
+    "claude_comment": "권장 - 일관된 필드 명명 규칙은 코드 이해도와 팀 협업에 중요합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "FinalParameterInAbstractMethod",
@@ -987,8 +3228,62 @@ const RULES_DATA =
     "examples": [
       "public interface MyInterface {\n  void process(final Object arg); // Avoid using final here\n}"
     ],
+    "xpath": {
+      "expression": "//MethodDeclaration\n    [FormalParameters/FormalParameter[@Final = true()]]\n    [not(Block)]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "MethodArgumentCouldBeFinal",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.36
+      },
+      {
+        "name": "EmptyMethodInAbstractClassShouldBeAbstract",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.31
+      },
+      {
+        "name": "TypeParameterNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "FormalParameterNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "ExcessiveParameterList",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "UnusedFormalParameter",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 추상 메서드의 final 매개변수는 구현부에서 의미가 없어 불필요합니다"
+    "claude_comment": "선택 - 추상 메서드의 final 매개변수는 구현부에서 의미가 없어 불필요합니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "FormalParameterNamingConventions",
@@ -1003,8 +3298,58 @@ const RULES_DATA =
     "examples": [
       "class Foo {\n\n                abstract void bar(int myInt); // This is Camel case, so it's ok\n\n                void bar(int my_i) { // this will be reported\n\n                }\n\n                void lambdas() {\n\n                    // lambdas parameters can be configured separately\n                    Consumer<String> lambda1 = s_str -> { };\n\n                    // lambda parameters with an explicit type can be configured separately\n                    Consumer<String> lambda1 = (String str) -> { };\n\n                }\n\n            }"
     ],
+    "related": [
+      {
+        "name": "LocalVariableNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.66
+      },
+      {
+        "name": "TypeParameterNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.61
+      },
+      {
+        "name": "MethodNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.59
+      },
+      {
+        "name": "FieldNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.53
+      },
+      {
+        "name": "UnusedFormalParameter",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.42
+      },
+      {
+        "name": "ClassNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.32
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 일관된 매개변수 명명 규칙은 코드 가독성에 직접적으로 기여합니다"
+    "claude_comment": "권장 - 일관된 매개변수 명명 규칙은 코드 가독성에 직접적으로 기여합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "LocalVariableNamingConventions",
@@ -1019,8 +3364,58 @@ const RULES_DATA =
     "examples": [
       "class Foo {\n                void bar() {\n                    int localVariable = 1; // This is in camel case, so it's ok\n                    int local_variable = 1; // This will be reported unless you change the regex\n\n                    final int i_var = 1; // final local variables can be configured separately\n\n                    try {\n                        foo();\n                    } catch (IllegalArgumentException e_illegal) {\n                        // exception block parameters can be configured separately\n                    }\n\n                }\n            }"
     ],
+    "related": [
+      {
+        "name": "MethodNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.73
+      },
+      {
+        "name": "FieldNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.66
+      },
+      {
+        "name": "FormalParameterNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.66
+      },
+      {
+        "name": "TypeParameterNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.56
+      },
+      {
+        "name": "ClassNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.4
+      },
+      {
+        "name": "LocalVariableCouldBeFinal",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 일관된 지역 변수 명명 규칙은 코드 가독성을 높입니다"
+    "claude_comment": "권장 - 일관된 지역 변수 명명 규칙은 코드 가독성을 높입니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "MethodNamingConventions",
@@ -1035,8 +3430,51 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    public void fooStuff() {\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "LocalVariableNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.73
+      },
+      {
+        "name": "FieldNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.7
+      },
+      {
+        "name": "FormalParameterNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.59
+      },
+      {
+        "name": "TypeParameterNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.51
+      },
+      {
+        "name": "ClassNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.48
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 일관된 메서드 명명 규칙은 API 사용성과 가독성에 중요합니다"
+    "claude_comment": "권장 - 일관된 메서드 명명 규칙은 API 사용성과 가독성에 중요합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "ModifierOrder",
@@ -1046,13 +3484,63 @@ const RULES_DATA =
     "message": "수정자 순서가 잘못되었습니다 (실제 메시지는 규칙이 작성합니다)",
     "ruleClass": "net.sourceforge.pmd.lang.java.rule.codestyle.ModifierOrderRule",
     "externalInfoUrl": "https://docs.pmd-code.org/latest/pmd_rules_java_codestyle.html#modifierorder",
-    "description": "JLS에서 권장하는 수정자 순서를 강제합니다. 수정자 정렬 외에도 이 규칙은 모든 어노테이션이\n            모든 수정자 키워드 앞에 나타나도록 강제합니다.\n            `typeAnnotations` 속성을 설정하면 타입 어노테이션이 수정자 키워드의 오른쪽, 적용되는\n            타입 옆에 나타나도록 강제할 수도 있습니다.\n            이 속성은 세 가지 값을 가질 수 있습니다:\n            - `onType`: 타입 어노테이션은 적용되는 타입 옆에 배치되어야 합니다\n            - `onDecl`: 타입 어노테이션은 다른 어노테이션과 함께 수정자 앞에 배치되어야 합니다.\n            타입 어노테이션이 구문적으로 타입 내에 나타나는 경우(예:\n            `public Map.@Nullable Entry&lt;K,V&gt; method()` 또는 `public &lt;T&gt; @NonNull T method()`)에는\n            강제되지 않습니다.\n            - `anywhere` (기본값): 어느 위치든 허용됩니다. 그러나 키워드 수정자 사이에 산재할 수는\n            없습니다. 타입 어노테이션이 아닌 어노테이션은 여전히 키워드 수정자 앞에 있어야 합니다.",
+    "description": "JLS에서 권장하는 수정자 순서를 강제합니다. 수정자 정렬 외에도 이 규칙은 모든 어노테이션이\n            모든 수정자 키워드 앞에 나타나도록 강제합니다.\n            `typeAnnotations` 속성을 설정하면 타입 어노테이션이 수정자 키워드의 오른쪽, 적용되는\n            타입 옆에 나타나도록 강제할 수도 있습니다.\n            이 속성은 세 가지 값을 가질 수 있습니다:\n            - `onType`: 타입 어노테이션은 적용되는 타입 옆에 배치되어야 합니다\n            - `onDecl`: 타입 어노테이션은 다른 어노테이션과 함께 수정자 앞에 배치되어야 합니다.\n            타입 어노테이션이 구문적으로 타입 내에 나타나는 경우(예:\n            `public Map.@Nullable Entry<K,V> method()` 또는 `public <T> @NonNull T method()`)에는\n            강제되지 않습니다.\n            - `anywhere` (기본값): 어느 위치든 허용됩니다. 그러나 키워드 수정자 사이에 산재할 수는\n            없습니다. 타입 어노테이션이 아닌 어노테이션은 여전히 키워드 수정자 앞에 있어야 합니다.",
     "priority": 1,
     "examples": [
       "abstract public class Foo { // Warn: `public` should appear before `abstract`\n\n    // This order is not recommended, annotations should appear before keyword modifiers,\n    // and may appear after if they are type annotations.\n    public\n    @Override\n    static fooStuff() {\n    }\n\n    // This order is ok if property typeAnnotations is \"anywhere\", and enforced if it is \"on decl\":\n    @Nullable\n    public Object fooStuff() {}\n\n    // This order is ok if property typeAnnotations is \"anywhere\", and enforced if it is \"on type\":\n    public @Nullable Object fooStuff() {}\n\n\n}"
     ],
+    "related": [
+      {
+        "name": "UnnecessaryModifier",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.33
+      },
+      {
+        "name": "CommentDefaultAccessModifier",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      },
+      {
+        "name": "UnitTestShouldUseTestAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "UnitTestShouldUseBeforeAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "UnusedPrivateField",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "UnitTestShouldUseAfterAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - Java 언어 사양에 정의된 수정자 순서를 따르면 일관성이 높아집니다"
+    "claude_comment": "권장 - Java 언어 사양에 정의된 수정자 순서를 따르면 일관성이 높아집니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "AvoidUsingNativeCode",
@@ -1067,8 +3555,18 @@ const RULES_DATA =
     "examples": [
       "public class SomeJNIClass {\n\n     public SomeJNIClass() {\n         System.loadLibrary(\"nativelib\");\n     }\n\n     static {\n         System.loadLibrary(\"nativelib\");\n     }\n\n     public void invalidCallsInMethod() throws SecurityException, NoSuchMethodException {\n         System.loadLibrary(\"nativelib\");\n     }\n}"
     ],
+    "xpath": {
+      "expression": "//MethodCall[TypeExpression/ClassType[pmd-java:typeIs('java.lang.System')]\n                                    and @MethodName = 'loadLibrary']",
+      "version": "3.1"
+    },
     "tier": 2,
-    "claude_comment": "권장 - 네이티브 코드 사용은 이식성과 보안 문제를 유발할 수 있어 신중해야 합니다"
+    "claude_comment": "권장 - 네이티브 코드 사용은 이식성과 보안 문제를 유발할 수 있어 신중해야 합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "AtLeastOneConstructor",
@@ -1083,8 +3581,23 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n   // missing constructor\n  public void doSomething() { ... }\n  public void doOtherThing { ... }\n}"
     ],
+    "related": [
+      {
+        "name": "FieldDeclarationsShouldBeAtStartOfClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": "skip",
-    "claude_comment": "스킵 - 기본 생성자로 충분한 경우가 많아 강제하면 오히려 불필요한 코드가 늘어납니다"
+    "claude_comment": "스킵 - 기본 생성자로 충분한 경우가 많아 강제하면 오히려 불필요한 코드가 늘어납니다",
+    "tiers": {
+      "default": "skip",
+      "android": "skip",
+      "backend": "skip",
+      "batch": "skip"
+    }
   },
   {
     "name": "AvoidDollarSigns",
@@ -1099,8 +3612,18 @@ const RULES_DATA =
     "examples": [
       "public class Fo$o {  // not a recommended name\n}"
     ],
+    "xpath": {
+      "expression": "  //ClassDeclaration           [contains(@SimpleName, '$')]\n| //EnumDeclaration            [contains(@SimpleName, '$')]\n| //AnnotationTypeDeclaration  [contains(@SimpleName, '$')]\n| //RecordDeclaration          [contains(@SimpleName, '$')]\n| //VariableId                 [contains(@Name, '$')]\n| //MethodDeclaration          [contains(@Name, '$')]",
+      "version": "3.1"
+    },
     "tier": 3,
-    "claude_comment": "선택 - 달러 기호는 내부 클래스용으로 예약되어 있으나 일반적으로 사용하지 않습니다"
+    "claude_comment": "선택 - 달러 기호는 내부 클래스용으로 예약되어 있으나 일반적으로 사용하지 않습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "AvoidProtectedFieldInFinalClass",
@@ -1115,8 +3638,62 @@ const RULES_DATA =
     "examples": [
       "public final class Bar {\n  private int x;\n  protected int y;  // bar cannot be subclassed, so is y really private or package visible?\n  Bar() {}\n}"
     ],
+    "xpath": {
+      "expression": "//ClassDeclaration[@Final = true()]\n/ClassBody\n/FieldDeclaration[@Visibility = \"protected\"]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "AvoidProtectedMethodInFinalClassNotExtending",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.8
+      },
+      {
+        "name": "ClassWithOnlyPrivateConstructorsShouldBeFinal",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      },
+      {
+        "name": "FinalFieldCouldBeStatic",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "FinalizeShouldBeProtected",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "AccessorMethodGeneration",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      },
+      {
+        "name": "ImmutableField",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - final 클래스에서 protected 필드는 의미가 없어 접근 수준을 명확히 해야 합니다"
+    "claude_comment": "권장 - final 클래스에서 protected 필드는 의미가 없어 접근 수준을 명확히 해야 합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "AvoidProtectedMethodInFinalClassNotExtending",
@@ -1131,8 +3708,62 @@ const RULES_DATA =
     "examples": [
       "public final class Foo {\n  private int bar() {}\n  protected int baz() {} // Foo cannot be subclassed, and doesn't extend anything, so is baz() really private or package visible?\n}"
     ],
+    "xpath": {
+      "expression": "//ClassDeclaration[@Final= true() and not(ExtendsList)]\n/ClassBody\n/MethodDeclaration[@Visibility=\"protected\" and @Name != 'finalize']",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "AvoidProtectedFieldInFinalClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.8
+      },
+      {
+        "name": "ClassWithOnlyPrivateConstructorsShouldBeFinal",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      },
+      {
+        "name": "AccessorMethodGeneration",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "FinalizeShouldBeProtected",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "FinalParameterInAbstractMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      },
+      {
+        "name": "AbstractClassWithoutAnyMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - final 클래스에서 protected 메서드는 의미가 없으므로 접근 수준을 조정하세요"
+    "claude_comment": "권장 - final 클래스에서 protected 메서드는 의미가 없으므로 접근 수준을 조정하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "CallSuperInConstructor",
@@ -1147,8 +3778,62 @@ const RULES_DATA =
     "examples": [
       "public class Foo extends Bar{\n  public Foo() {\n   // call the constructor of Bar\n   super();\n  }\n public Foo(int code) {\n  // do something with code\n   this();\n   // no problem with this\n  }\n}"
     ],
+    "xpath": {
+      "expression": "//ClassDeclaration[ExtendsList/*]\n  /ClassBody\n  /ConstructorDeclaration[ not(Block/ExplicitConstructorInvocation) ]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "CallSuperLast",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.44
+      },
+      {
+        "name": "CallSuperFirst",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.42
+      },
+      {
+        "name": "FinalizeDoesNotCallSuperFinalize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "UnnecessaryConstructor",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      },
+      {
+        "name": "FinalizeOnlyCallsSuperFinalize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      },
+      {
+        "name": "UncommentedEmptyConstructor",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 명시적 super() 호출은 스타일 선호도 문제이며 컴파일러가 자동 추가합니다"
+    "claude_comment": "선택 - 명시적 super() 호출은 스타일 선호도 문제이며 컴파일러가 자동 추가합니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "CommentDefaultAccessModifier",
@@ -1163,8 +3848,58 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    final String stringValue = \"some string\";\n    String getString() {\n       return stringValue;\n    }\n\n    class NestedFoo {\n    }\n}\n\n// should be\npublic class Foo {\n    /* default */ final String stringValue = \"some string\";\n    /* default */ String getString() {\n       return stringValue;\n    }\n\n    /* default */ class NestedFoo {\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "UnitTestShouldUseTestAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      },
+      {
+        "name": "ModifierOrder",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      },
+      {
+        "name": "UnitTestShouldUseBeforeAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "NoPackage",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "UnitTestShouldUseAfterAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "UnusedPrivateField",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - default 접근 수준에 주석을 다는 것은 좋은 관행이나 강제하기엔 과합니다"
+    "claude_comment": "선택 - default 접근 수준에 주석을 다는 것은 좋은 관행이나 강제하기엔 과합니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "ConfusingTernary",
@@ -1180,7 +3915,13 @@ const RULES_DATA =
       "boolean bar(int x, int y) {\n    return (x != y) ? diff : same;\n}"
     ],
     "tier": 3,
-    "claude_comment": "선택 - 삼항 연산자의 부정 조건 사용 여부는 가독성 선호도에 따릅니다"
+    "claude_comment": "선택 - 삼항 연산자의 부정 조건 사용 여부는 가독성 선호도에 따릅니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "ControlStatementBraces",
@@ -1195,15 +3936,90 @@ const RULES_DATA =
     "examples": [
       "while (true)    // not recommended\n  x++;\n\nwhile (true) {  // preferred approach\n  x++;\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "while (true)    // not recommended\n  x++;"
+        },
+        {
+          "kind": "good",
+          "code": "while (true) {  // preferred approach\n  x++;\n}"
+        }
+      ]
+    ],
     "properties": [
       {
         "name": "checkIfElseStmt",
         "defaultValue": "true",
-        "description": "'if ... else' 문에 중괄호를 요구"
+        "description": "'if ... else' 문에 중괄호를 요구",
+        "type": "Boolean"
+      },
+      {
+        "name": "checkSingleIfStmt",
+        "defaultValue": "true",
+        "description": "단일 분기 'if' 문에 중괄호를 요구",
+        "type": "Boolean"
+      },
+      {
+        "name": "checkWhileStmt",
+        "defaultValue": "true",
+        "description": "'while' 반복문에 중괄호를 요구",
+        "type": "Boolean"
+      },
+      {
+        "name": "checkForStmt",
+        "defaultValue": "true",
+        "description": "'for' 반복문에 중괄호를 요구",
+        "type": "Boolean"
+      },
+      {
+        "name": "checkDoWhileStmt",
+        "defaultValue": "true",
+        "description": "'do ... while' 반복문에 중괄호를 요구",
+        "type": "Boolean"
+      },
+      {
+        "name": "checkCaseStmt",
+        "defaultValue": "false",
+        "description": "switch의 case에 중괄호를 요구",
+        "type": "Boolean"
+      },
+      {
+        "name": "allowEmptyLoop",
+        "defaultValue": "false",
+        "description": "빈 문이 있는 반복문을 허용, 예: 'while(true);'",
+        "type": "Boolean"
+      }
+    ],
+    "xpath": {
+      "expression": "//WhileStatement[$checkWhileStmt and not(Block) and not($allowEmptyLoop and EmptyStatement)]\n|\n//ForStatement[$checkForStmt and not(Block) and not($allowEmptyLoop and EmptyStatement)]\n|\n//ForeachStatement[$checkForStmt and not(Block) and not($allowEmptyLoop and EmptyStatement)]\n|\n//DoStatement[$checkDoWhileStmt and not(Block) and not($allowEmptyLoop and EmptyStatement)]\n|\n(: The violation is reported on the sub statement -- not the if statement :)\n//IfStatement[$checkIfElseStmt]\n    /*[position() > 1 and not(self::Block or self::IfStatement)]\n      [ $checkSingleIfStmt\n            (: Inside this (...) is the definition of a \"single if statement\" :)\n            or not(parent::*/@Else = false() (: No else stmt :)\n                   (: Not the last branch of an 'if ... else if' chain :)\n                   and not(parent::IfStatement[parent::IfStatement]))]\n\n|\n(: Reports case labels if one of their subordinate statements is not braced :)\n//SwitchFallthroughBranch[$checkCaseStmt]\n             [count(*) > 1 and (count(*) > 2 or not(child::*[2]/self::Block))]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "UselessParentheses",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "DoubleBraceInitialization",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
       }
     ],
     "tier": 2,
-    "claude_comment": "권장 - 제어문에 중괄호를 항상 사용하면 실수로 인한 버그를 방지합니다"
+    "claude_comment": "권장 - 제어문에 중괄호를 항상 사용하면 실수로 인한 버그를 방지합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "EmptyControlStatement",
@@ -1218,8 +4034,37 @@ const RULES_DATA =
     "examples": [
       "class Foo {\n    {\n        if (true); // empty if statement\n        if (true) { // empty as well\n        }\n    }\n\n    {} // empty initializer\n}"
     ],
+    "related": [
+      {
+        "name": "EmptyCatchBlock",
+        "reasons": [
+          "mentions"
+        ],
+        "score": 3
+      },
+      {
+        "name": "UnnecessarySemicolon",
+        "reasons": [
+          "mentions"
+        ],
+        "score": 3
+      },
+      {
+        "name": "ForLoopShouldBeWhileLoop",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 빈 제어문은 대부분 실수이며, 의도적인 경우 주석으로 명시해야 합니다"
+    "claude_comment": "권장 - 빈 제어문은 대부분 실수이며, 의도적인 경우 주석으로 명시해야 합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "FieldDeclarationsShouldBeAtStartOfClass",
@@ -1234,8 +4079,35 @@ const RULES_DATA =
     "examples": [
       "public class HelloWorldBean {\n\n  // Field declared before methods / inner classes - OK\n  private String _thing;\n\n  public String getMessage() {\n    return \"Hello World!\";\n  }\n\n  // Field declared after methods / inner classes - avoid this\n  private String _fieldInWrongLocation;\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "good",
+          "code": "// Field declared before methods / inner classes - OK\nprivate String _thing;\n\npublic String getMessage() {\n  return \"Hello World!\";\n}"
+        },
+        {
+          "kind": "bad",
+          "code": "// Field declared after methods / inner classes - avoid this\nprivate String _fieldInWrongLocation;"
+        }
+      ]
+    ],
+    "related": [
+      {
+        "name": "AtLeastOneConstructor",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 필드 위치는 팀 코딩 스타일에 따라 결정하세요"
+    "claude_comment": "선택 - 필드 위치는 팀 코딩 스타일에 따라 결정하세요",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "ForLoopShouldBeWhileLoop",
@@ -1250,8 +4122,34 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    void bar() {\n        for (;true;) true; // No Init or Update part, may as well be: while (true)\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//ForStatement[not(ForInit | ForUpdate) and count(*) = 2]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "WhileLoopWithLiteralBoolean",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.42
+      },
+      {
+        "name": "EmptyControlStatement",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 초기화/증가 없는 for 루프를 while로 변경하는 것은 스타일 선호도입니다"
+    "claude_comment": "선택 - 초기화/증가 없는 for 루프를 while로 변경하는 것은 스타일 선호도입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "IdenticalCatchBranches",
@@ -1266,9 +4164,43 @@ const RULES_DATA =
     "examples": [
       "try {\n    // do something\n} catch (IllegalArgumentException e) {\n    throw e;\n} catch (IllegalStateException e) { // Can be collapsed into the previous block\n    throw e;\n}\n\ntry {\n    // do something\n} catch (IllegalArgumentException | IllegalStateException e) { // This is better\n    throw e;\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "try {\n    // do something\n} catch (IllegalArgumentException e) {\n    throw e;\n} catch (IllegalStateException e) { // Can be collapsed into the previous block\n    throw e;\n}"
+        },
+        {
+          "kind": "good",
+          "code": "try {\n    // do something\n} catch (IllegalArgumentException | IllegalStateException e) { // This is better\n    throw e;\n}"
+        }
+      ]
+    ],
     "minLanguageVersion": "1.7",
+    "related": [
+      {
+        "name": "IdenticalConditionalBranches",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      },
+      {
+        "name": "AvoidReassigningCatchVariables",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 동일한 catch 블록은 Java 7 multi-catch로 병합하여 코드를 간결하게 만드세요"
+    "claude_comment": "권장 - 동일한 catch 블록은 Java 7 multi-catch로 병합하여 코드를 간결하게 만드세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "LambdaCanBeMethodReference",
@@ -1284,7 +4216,13 @@ const RULES_DATA =
       "import java.util.stream.Stream;\n\n            public class LambdaCanBeMethodReference {\n                static {\n                    Stream.of(\"abc\", \"d\")\n                            .mapToInt(s -> s.length()) // could be String::length\n                            .reduce((x, y) -> Integer.sum(x, y)) // could be Integer::sum\n                            .getAsInt();\n                }\n            }"
     ],
     "tier": 3,
-    "claude_comment": "선택 - 메서드 참조 사용은 간결하나 가독성 선호도에 따라 결정하세요"
+    "claude_comment": "선택 - 메서드 참조 사용은 간결하나 가독성 선호도에 따라 결정하세요",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "LinguisticNaming",
@@ -1300,7 +4238,13 @@ const RULES_DATA =
       "public class LinguisticNaming {\n    int isValid;    // the field name indicates a boolean, but it is an int.\n    boolean isTrue; // correct type of the field\n\n    void myMethod() {\n        int hasMoneyLocal;      // the local variable name indicates a boolean, but it is an int.\n        boolean hasSalaryLocal; // correct naming and type\n    }\n\n    // the name of the method indicates, it is a boolean, but the method returns an int.\n    int isValid() {\n        return 1;\n    }\n    // correct naming and return type\n    boolean isSmall() {\n        return true;\n    }\n\n    // the name indicates, this is a setter, but it returns something\n    int setName() {\n        return 1;\n    }\n\n    // the name indicates, this is a getter, but it doesn't return anything\n    void getName() {\n        // nothing to return?\n    }\n\n    // the name indicates, it transforms an object and should return the result\n    void toDataType() {\n        // nothing to return?\n    }\n    // the name indicates, it transforms an object and should return the result\n    void grapeToWine() {\n        // nothing to return?\n    }\n}"
     ],
     "tier": 2,
-    "claude_comment": "권장 - 이름과 실제 동작이 일치하지 않으면 코드 이해에 심각한 혼란을 줍니다"
+    "claude_comment": "권장 - 이름과 실제 동작이 일치하지 않으면 코드 이해에 심각한 혼란을 줍니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "LocalVariableCouldBeFinal",
@@ -1315,8 +4259,58 @@ const RULES_DATA =
     "examples": [
       "public class Bar {\n    public void foo () {\n    String txtA = \"a\";          // if txtA will not be assigned again it is better to do this:\n    final String txtB = \"b\";\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "FinalFieldCouldBeStatic",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.44
+      },
+      {
+        "name": "MethodArgumentCouldBeFinal",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.4
+      },
+      {
+        "name": "UnusedLocalVariable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.35
+      },
+      {
+        "name": "LocalVariableNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "ClassWithOnlyPrivateConstructorsShouldBeFinal",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "FinalParameterInAbstractMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 지역 변수의 final 선언은 불변성을 강조하나 팀 스타일에 따릅니다"
+    "claude_comment": "선택 - 지역 변수의 final 선언은 불변성을 강조하나 팀 스타일에 따릅니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "LongVariable",
@@ -1335,11 +4329,40 @@ const RULES_DATA =
       {
         "name": "minimum",
         "defaultValue": "17",
-        "description": "변수 길이 보고 임계값"
+        "description": "변수 길이 보고 임계값",
+        "type": "Integer",
+        "min": 1,
+        "max": 100
+      }
+    ],
+    "xpath": {
+      "expression": "//VariableId[string-length(@Name) > $minimum]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "ShortVariable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      },
+      {
+        "name": "UnusedLocalVariable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
       }
     ],
     "tier": 3,
-    "claude_comment": "선택 - 변수명 길이 제한은 주관적이며 오히려 긴 이름이 명확할 수 있습니다"
+    "claude_comment": "선택 - 변수명 길이 제한은 주관적이며 오히려 긴 이름이 명확할 수 있습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "MethodArgumentCouldBeFinal",
@@ -1354,8 +4377,59 @@ const RULES_DATA =
     "examples": [
       "class Foo {\n    // reported, parameter can be declared final\n    public String foo1(String param) {\n        return param;\n    }\n    // not reported, parameter is declared final\n    public String foo2(final String param) {\n        return param.trim();\n    }\n    // not reported because param is unused\n    public String unusedParam(String param) {\n        return \"abc\";\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "UnusedFormalParameter",
+        "reasons": [
+          "mentions",
+          "similar"
+        ],
+        "score": 3.29
+      },
+      {
+        "name": "LocalVariableCouldBeFinal",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.4
+      },
+      {
+        "name": "FinalParameterInAbstractMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.36
+      },
+      {
+        "name": "FinalFieldCouldBeStatic",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.31
+      },
+      {
+        "name": "AvoidReassigningParameters",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "FormalParameterNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 메서드 인자의 final 선언은 불변성을 강조하나 코드가 장황해질 수 있습니다"
+    "claude_comment": "선택 - 메서드 인자의 final 선언은 불변성을 강조하나 코드가 장황해질 수 있습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "NoPackage",
@@ -1370,8 +4444,62 @@ const RULES_DATA =
     "examples": [
       "// no package declaration\npublic class ClassInDefaultPackage {\n}"
     ],
+    "xpath": {
+      "expression": "/CompilationUnit[not(PackageDeclaration)]/*[pmd-java:nodeIs(\"TypeDeclaration\")][1]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "UnnecessaryModifier",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.35
+      },
+      {
+        "name": "PackageCase",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.31
+      },
+      {
+        "name": "ImplicitFunctionalInterface",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      },
+      {
+        "name": "CommentDefaultAccessModifier",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "LoosePackageCoupling",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "ConstantsInInterface",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 패키지 선언 없는 클래스는 네임스페이스 충돌과 접근 제어 문제를 유발합니다"
+    "claude_comment": "필수 - 패키지 선언 없는 클래스는 네임스페이스 충돌과 접근 제어 문제를 유발합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "OnlyOneReturn",
@@ -1387,7 +4515,13 @@ const RULES_DATA =
       "public class OneReturnOnly1 {\n  public String foo(int x) {\n    if (x > 0) {\n      return \"hey\";   // first exit\n    }\n    return \"hi\";    // second exit\n  }\n}"
     ],
     "tier": "skip",
-    "claude_comment": "스킵 - 단일 return 강제는 오히려 복잡한 중첩 구조를 만들어 가독성을 해칩니다"
+    "claude_comment": "스킵 - 단일 return 강제는 오히려 복잡한 중첩 구조를 만들어 가독성을 해칩니다",
+    "tiers": {
+      "default": "skip",
+      "android": "skip",
+      "backend": "skip",
+      "batch": "skip"
+    }
   },
   {
     "name": "PackageCase",
@@ -1402,8 +4536,34 @@ const RULES_DATA =
     "examples": [
       "package com.MyCompany;  // should be lowercase name\n\npublic class SomeClass {\n}"
     ],
+    "xpath": {
+      "expression": "//PackageDeclaration[lower-case(@Name) != @Name]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "NoPackage",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.31
+      },
+      {
+        "name": "LoosePackageCoupling",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 패키지명은 소문자여야 하며 Java 표준 명명 규칙입니다"
+    "claude_comment": "권장 - 패키지명은 소문자여야 하며 Java 표준 명명 규칙입니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "PrematureDeclaration",
@@ -1420,7 +4580,13 @@ const RULES_DATA =
       "public int getLength(String[] strings) {\n\n    int startTime = System.nanoTime(); // cannot be moved because initializer is impure\n\n    if (strings == null || strings.length == 0) {\n        // some error logic\n        throw new SomeException(...);\n    }\n\n    for (String str : strings) {\n        length += str.length();\n    }\n\n    return System.nanoTime() - startTime;\n}"
     ],
     "tier": 3,
-    "claude_comment": "선택 - 변수의 조기 선언 회피는 가독성 향상에 도움되나 마이너한 개선입니다"
+    "claude_comment": "선택 - 변수의 조기 선언 회피는 가독성 향상에 도움되나 마이너한 개선입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "ShortMethodName",
@@ -1439,11 +4605,40 @@ const RULES_DATA =
       {
         "name": "minimum",
         "defaultValue": "3",
-        "description": "메서드 이름에 필요한 최소 문자 수."
+        "description": "메서드 이름에 필요한 최소 문자 수.",
+        "type": "Integer",
+        "min": 1,
+        "max": 100
+      }
+    ],
+    "xpath": {
+      "expression": "//MethodDeclaration[string-length(@Name) < $minimum]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "ShortVariable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.63
+      },
+      {
+        "name": "ShortClassName",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.62
       }
     ],
     "tier": 3,
-    "claude_comment": "선택 - 짧은 메서드명 제한은 유틸리티 메서드 등에서 거짓 양성이 많습니다"
+    "claude_comment": "선택 - 짧은 메서드명 제한은 유틸리티 메서드 등에서 거짓 양성이 많습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "ShortVariable",
@@ -1462,11 +4657,54 @@ const RULES_DATA =
       {
         "name": "minimum",
         "defaultValue": "3",
-        "description": "변수 이름에 필요한 최소 문자 수."
+        "description": "변수 이름에 필요한 최소 문자 수.",
+        "type": "Integer",
+        "min": 1,
+        "max": 100
+      }
+    ],
+    "xpath": {
+      "expression": "//VariableId[string-length(@Name) < $minimum]\n (: ForStatement :)\n [not(../../parent::ForInit)]\n (: Foreach statement :)\n [not(../../parent::ForeachStatement)]\n (: Catch statement parameter :)\n [not(parent::CatchParameter)]\n (: Lambda expression parameter :)\n [not(parent::LambdaParameter)]\n (: Exclude Unnamed Variables (JEP 456) :)\n [@Unnamed = false()]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "ShortMethodName",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.63
+      },
+      {
+        "name": "ShortClassName",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.37
+      },
+      {
+        "name": "UnusedLocalVariable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      },
+      {
+        "name": "LongVariable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
       }
     ],
     "tier": 3,
-    "claude_comment": "선택 - 짧은 변수명 제한은 루프 변수(i, j) 등에서 거짓 양성이 많습니다"
+    "claude_comment": "선택 - 짧은 변수명 제한은 루프 변수(i, j) 등에서 거짓 양성이 많습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "TooManyStaticImports",
@@ -1485,11 +4723,33 @@ const RULES_DATA =
       {
         "name": "maximumStaticImports",
         "defaultValue": "4",
-        "description": "0으로 설정하면 모든 정적 import를 금지할 수 있습니다"
+        "description": "0으로 설정하면 모든 정적 import를 금지할 수 있습니다",
+        "type": "Integer",
+        "min": 0,
+        "max": 100
+      }
+    ],
+    "xpath": {
+      "expression": ".[count(ImportDeclaration[@Static = true()]) > $maximumStaticImports]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "UnnecessaryImport",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
       }
     ],
     "tier": 2,
-    "claude_comment": "권장 - 과도한 static import는 코드의 출처를 파악하기 어렵게 만듭니다"
+    "claude_comment": "권장 - 과도한 static import는 코드의 출처를 파악하기 어렵게 만듭니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UnnecessaryAnnotationValueElement",
@@ -1508,11 +4768,22 @@ const RULES_DATA =
       {
         "name": "java7Compatibility",
         "defaultValue": "false",
-        "description": "비활성화하면 java8+ 이상에만 적용되는 위반 사항도 표시합니다"
+        "description": "비활성화하면 java8+ 이상에만 적용되는 위반 사항도 표시합니다",
+        "type": "Boolean"
       }
     ],
+    "xpath": {
+      "expression": "//Annotation/AnnotationMemberList[count(*) = 1 and MemberValuePair[@Shorthand = false() and @Name = 'value']]",
+      "version": "3.1"
+    },
     "tier": 3,
-    "claude_comment": "선택 - 불필요한 어노테이션 value 요소 제거는 마이너한 코드 정리입니다"
+    "claude_comment": "선택 - 불필요한 어노테이션 value 요소 제거는 마이너한 코드 정리입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UnnecessaryBoxing",
@@ -1528,8 +4799,24 @@ const RULES_DATA =
       "{\n        // Instead of\n        Integer integer = Integer.valueOf(2);\n        // you may just write\n        Integer integer = 2;\n\n        int i = integer.intValue(); // similarly for unboxing\n\n        // Instead of\n        int x = Integer.valueOf(\"42\");\n        // you may just write\n        int x = Integer.parseInt(\"42\");\n}"
     ],
     "minLanguageVersion": "1.5",
+    "related": [
+      {
+        "name": "UnnecessaryCast",
+        "reasons": [
+          "mentions",
+          "similar"
+        ],
+        "score": 3.22
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 불필요한 박싱/언박싱은 성능 저하와 NPE 위험을 유발합니다"
+    "claude_comment": "권장 - 불필요한 박싱/언박싱은 성능 저하와 NPE 위험을 유발합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UnnecessaryCast",
@@ -1546,8 +4833,24 @@ const RULES_DATA =
       "import java.util.*;\nclass SomeClass {\n   static {\n       /* Casts involving access to collections were common before Java 5, because collections\n        * were not generic. This rule may hence be useful when converting from using a raw\n        * type like `List` to a parameterized type like `List<String>`.\n        */\n       List<String> stringList = Arrays.asList(\"a\", \"b\");\n       String element = (String) stringList.get(0); // this cast is unnecessary\n   }\n}"
     ],
     "minLanguageVersion": "1.5",
+    "related": [
+      {
+        "name": "UnnecessaryBoxing",
+        "reasons": [
+          "mentionedBy",
+          "similar"
+        ],
+        "score": 3.22
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 불필요한 캐스팅은 코드 가독성을 저하시키며 제거해야 합니다"
+    "claude_comment": "권장 - 불필요한 캐스팅은 코드 가독성을 저하시키며 제거해야 합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UnnecessaryConstructor",
@@ -1562,8 +4865,44 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n  public Foo() {}\n}"
     ],
+    "related": [
+      {
+        "name": "UncommentedEmptyConstructor",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.32
+      },
+      {
+        "name": "AccessorClassGeneration",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      },
+      {
+        "name": "CallSuperInConstructor",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      },
+      {
+        "name": "ClassWithOnlyPrivateConstructorsShouldBeFinal",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 기본 생성자와 동일한 생성자 제거는 마이너한 코드 정리입니다"
+    "claude_comment": "선택 - 기본 생성자와 동일한 생성자 제거는 마이너한 코드 정리입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UnnecessaryLocalBeforeReturn",
@@ -1578,8 +4917,38 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n   public int foo() {\n     int x = doSomething();\n     return x;  // instead, just 'return doSomething();'\n   }\n}"
     ],
+    "related": [
+      {
+        "name": "VariableCanBeInlined",
+        "reasons": [
+          "mentions",
+          "similar"
+        ],
+        "score": 3.24
+      },
+      {
+        "name": "UnnecessaryReturn",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.32
+      },
+      {
+        "name": "UnusedLocalVariable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - return 전 불필요한 지역 변수 제거 여부는 디버깅 편의성과 트레이드오프입니다"
+    "claude_comment": "선택 - return 전 불필요한 지역 변수 제거 여부는 디버깅 편의성과 트레이드오프입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UnnecessaryModifier",
@@ -1594,8 +4963,58 @@ const RULES_DATA =
     "examples": [
       "public @interface Annotation {\n    public abstract void bar();     // both abstract and public are ignored by the compiler\n    public static final int X = 0;  // public, static, and final all ignored\n    public static class Bar {}      // public, static ignored\n    public static interface Baz {}  // ditto\n}\npublic interface Foo {\n    public abstract void bar();     // both abstract and public are ignored by the compiler\n    public static final int X = 0;  // public, static, and final all ignored\n    public static class Bar {}      // public, static ignored\n    public static interface Baz {}  // ditto\n}\npublic class Bar {\n    public static interface Baz {}  // static ignored\n    public static enum FooBar {    // static ignored\n        FOO;\n    }\n}\npublic class FooClass {\n    static record BarRecord() {}     // static ignored\n}\npublic interface FooInterface {\n    static record BarRecord() {}     // static ignored\n}"
     ],
+    "related": [
+      {
+        "name": "NoPackage",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.35
+      },
+      {
+        "name": "ModifierOrder",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.33
+      },
+      {
+        "name": "ImplicitFunctionalInterface",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "CommentDefaultAccessModifier",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "UnitTestShouldUseTestAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      },
+      {
+        "name": "ConstantsInInterface",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 불필요한 수정자 제거는 코드 정리 수준의 마이너 개선입니다"
+    "claude_comment": "선택 - 불필요한 수정자 제거는 코드 정리 수준의 마이너 개선입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UnnecessaryReturn",
@@ -1610,8 +5029,23 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    public void bar() {\n        int x = 42;\n        return;\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "UnnecessaryLocalBeforeReturn",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.32
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - void 메서드 끝의 불필요한 return은 마이너한 스타일 이슈입니다"
+    "claude_comment": "선택 - void 메서드 끝의 불필요한 return은 마이너한 스타일 이슈입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UnnecessarySemicolon",
@@ -1626,8 +5060,27 @@ const RULES_DATA =
     "examples": [
       "class Foo {\n    {\n        toString();; // one of these semicolons is unnecessary\n        if (true); // this semicolon is not unnecessary, but it could be an empty block instead (not reported)\n    }\n}; // this semicolon is unnecessary"
     ],
+    "xpath": {
+      "expression": "  (: empty declarations :)\n  //EmptyDeclaration\n  (: empty statements :)\n| //Block/EmptyStatement",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "EmptyControlStatement",
+        "reasons": [
+          "mentionedBy"
+        ],
+        "score": 3
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 불필요한 세미콜론은 마이너한 스타일 이슈입니다"
+    "claude_comment": "선택 - 불필요한 세미콜론은 마이너한 스타일 이슈입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UseDiamondOperator",
@@ -1644,7 +5097,13 @@ const RULES_DATA =
     ],
     "minLanguageVersion": "1.7",
     "tier": 2,
-    "claude_comment": "권장 - 다이아몬드 연산자 사용은 Java 7+ 표준이며 가독성을 향상시킵니다"
+    "claude_comment": "권장 - 다이아몬드 연산자 사용은 Java 7+ 표준이며 가독성을 향상시킵니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UseExplicitTypes",
@@ -1661,12 +5120,41 @@ const RULES_DATA =
       {
         "name": "allowLiterals",
         "defaultValue": "false",
-        "description": "변수가 리터럴로 직접 초기화될 때 허용"
+        "description": "변수가 리터럴로 직접 초기화될 때 허용",
+        "type": "Boolean"
+      },
+      {
+        "name": "allowCtors",
+        "defaultValue": "false",
+        "description": "변수가 생성자 호출로 직접 초기화될 때 허용",
+        "type": "Boolean"
+      },
+      {
+        "name": "allowCasts",
+        "defaultValue": "false",
+        "description": "변수가 캐스트 결과로 직접 초기화될 때 허용",
+        "type": "Boolean"
+      },
+      {
+        "name": "allowLoopVariable",
+        "defaultValue": "false",
+        "description": "향상된 for 반복문에서 반복 변수로 사용될 때 허용",
+        "type": "Boolean"
       }
     ],
+    "xpath": {
+      "expression": "//LocalVariableDeclaration[@TypeInferred = true()]\n    [not(VariableDeclarator[*[pmd-java:nodeIs(\"Literal\")]]) or $allowLiterals = false()]\n    [not(VariableDeclarator[ConstructorCall]) or $allowCtors = false()]\n    [not(VariableDeclarator[CastExpression]) or $allowCasts = false()]\n    [not(parent::ForeachStatement) or $allowLoopVariable = false()]",
+      "version": "3.1"
+    },
     "minLanguageVersion": "10",
     "tier": 3,
-    "claude_comment": "선택 - var 대신 명시적 타입 사용 여부는 팀 컨벤션에 따라 결정하세요"
+    "claude_comment": "선택 - var 대신 명시적 타입 사용 여부는 팀 컨벤션에 따라 결정하세요",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UselessQualifiedThis",
@@ -1681,8 +5169,39 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    final Foo otherFoo = Foo.this;  // use \"this\" directly\n\n    public void doSomething() {\n         final Foo anotherFoo = Foo.this;  // use \"this\" directly\n    }\n\n    private ActionListener returnListener() {\n        return new ActionListener() {\n            @Override\n            public void actionPerformed(ActionEvent e) {\n                doSomethingWithQualifiedThis(Foo.this);  // This is fine\n            }\n        };\n    }\n\n    private class Foo3 {\n        final Foo myFoo = Foo.this;  // This is fine\n    }\n\n    private class Foo2 {\n        final Foo2 myFoo2 = Foo2.this;  // Use \"this\" directly\n    }\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "final Foo otherFoo = Foo.this;  // use \"this\" directly\n\npublic void doSomething() {\n     final Foo anotherFoo = Foo.this;  // use \"this\" directly\n}"
+        },
+        {
+          "kind": "good",
+          "code": "private ActionListener returnListener() {\n    return new ActionListener() {\n        @Override\n        public void actionPerformed(ActionEvent e) {\n            doSomethingWithQualifiedThis(Foo.this);  // This is fine\n        }\n    };\n}\n\nprivate class Foo3 {\n    final Foo myFoo = Foo.this;  // This is fine\n}\n\nprivate class Foo2 {\n    final Foo2 myFoo2 = Foo2.this;  // Use \"this\" directly\n}"
+        }
+      ]
+    ],
+    "xpath": {
+      "expression": "//ThisExpression/ClassType\n[ ancestor::*[pmd-java:nodeIs('TypeDeclaration')][1]/@SimpleName = ./@SimpleName ]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "UnnecessaryFullyQualifiedName",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.37
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 불필요한 qualified this 제거는 마이너한 코드 정리입니다"
+    "claude_comment": "선택 - 불필요한 qualified this 제거는 마이너한 코드 정리입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UseShortArrayInitializer",
@@ -1697,8 +5216,34 @@ const RULES_DATA =
     "examples": [
       "Foo[] x = new Foo[] { ... }; // Overly verbose\nFoo[] x = { ... }; //Equivalent to above line"
     ],
+    "xpath": {
+      "expression": "//VariableDeclarator\n    [VariableId[@TypeInferred = false() and @ArrayType = true()]]\n    [ArrayAllocation/ArrayInitializer]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "RedundantFieldInitializer",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      },
+      {
+        "name": "DoubleBraceInitialization",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 축약 배열 초기화 사용은 스타일 선호도 문제입니다"
+    "claude_comment": "선택 - 축약 배열 초기화 사용은 스타일 선호도 문제입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UseUnderscoresInNumericLiterals",
@@ -1717,12 +5262,25 @@ const RULES_DATA =
       {
         "name": "acceptableDecimalLength",
         "defaultValue": "4",
-        "description": "10진수 리터럴에 밑줄이 필요하지 않은 길이"
+        "description": "10진수 리터럴에 밑줄이 필요하지 않은 길이",
+        "type": "Integer",
+        "min": 3,
+        "max": 1000
       }
     ],
+    "xpath": {
+      "expression": "//NumericLiteral\n (: Filter out literals in base other than 10 :)\n [@Base = 10]\n (: Filter out ignored field name :)\n [not(ancestor::VariableDeclarator[1][@Name = 'serialVersionUID'])]\n [\n   some $num in tokenize(@Image, \"[dDfFlLeE+\\-]\")\n   satisfies not(\n                  ( contains($num, \".\")\n                    and string-length(substring-before($num, \".\")) <= $acceptableDecimalLength\n                    and string-length(substring-after($num, \".\")) <= $acceptableDecimalLength\n                    or string-length($num) <= $acceptableDecimalLength\n                  )\n                  and not(contains($num,\"_\"))\n                  or matches($num, \"^[0-9]{1,3}(_[0-9]{3})*(\\.([0-9]{3}_)*[0-9]{1,3})?$\")\n                )\n ]",
+      "version": "3.1"
+    },
     "minLanguageVersion": "1.7",
     "tier": 3,
-    "claude_comment": "선택 - 숫자 리터럴의 밑줄 사용은 가독성 향상에 도움되나 선택사항입니다"
+    "claude_comment": "선택 - 숫자 리터럴의 밑줄 사용은 가독성 향상에 도움되나 선택사항입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "VariableCanBeInlined",
@@ -1737,8 +5295,24 @@ const RULES_DATA =
     "examples": [
       "class Foo {\n                    Object foo() {\n                        var foo = \"foo\";\n                        return foo;  // instead, just 'return \"foo\";'\n                    }\n\n                    Object bar() {\n                        var ex = getIllegalArgumentException();\n                        throw ex; // instead, just 'throw getIllegalArgumentException();'\n                    }\n\n                    Object baz() {\n                        var baz = switch (foo()) {\n                            case \"foo\" -> {\n                                var foo = foo();\n                                yield foo;  // Can be simplified to 'yield foo();'\n                            }\n                            case \"bar\" -> {\n                                var bar = bar();\n                                yield bar;  // Can be simplified to 'yield bar();'\n                            }\n                            default -> bar(\"baz\");\n                        };\n                        return baz; // instead, just 'return switch (foo()) {...'\n                    }\n                }"
     ],
+    "related": [
+      {
+        "name": "UnnecessaryLocalBeforeReturn",
+        "reasons": [
+          "mentionedBy",
+          "similar"
+        ],
+        "score": 3.24
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 변수 인라이닝은 가독성과 디버깅 편의성의 트레이드오프입니다"
+    "claude_comment": "선택 - 변수 인라이닝은 가독성과 디버깅 편의성의 트레이드오프입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "BooleanGetMethodName",
@@ -1757,11 +5331,38 @@ const RULES_DATA =
       {
         "name": "checkParameterizedMethods",
         "defaultValue": "false",
-        "description": "매개변수가 있는 메서드도 검사"
+        "description": "매개변수가 있는 메서드도 검사",
+        "type": "Boolean"
+      }
+    ],
+    "xpath": {
+      "expression": "//MethodDeclaration\n    [starts-with(@Name, 'get')]\n    [@Arity = 0 or $checkParameterizedMethods = true()]\n    [ (PrimitiveType[@Kind = 'boolean'] or ClassType[pmd-java:typeIs('java.lang.Boolean')]) and @Overridden = false() ]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "SimplifyBooleanReturns",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "PrimitiveWrapperInstantiation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
       }
     ],
     "tier": 3,
-    "claude_comment": "선택 - boolean 반환 메서드의 is/has 접두사 사용은 스타일 선호도입니다"
+    "claude_comment": "선택 - boolean 반환 메서드의 is/has 접두사 사용은 스타일 선호도입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "ExtendsObject",
@@ -1776,8 +5377,18 @@ const RULES_DATA =
     "examples": [
       "public class Foo extends Object {     // not required\n}"
     ],
+    "xpath": {
+      "expression": "//ExtendsList/ClassType[pmd-java:typeIsExactly('java.lang.Object')]",
+      "version": "3.1"
+    },
     "tier": 3,
-    "claude_comment": "선택 - 명시적 Object 상속 제거는 마이너한 코드 정리입니다"
+    "claude_comment": "선택 - 명시적 Object 상속 제거는 마이너한 코드 정리입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "GenericsNaming",
@@ -1792,8 +5403,40 @@ const RULES_DATA =
     "examples": [
       "public interface GenericDao<E extends BaseModel, K extends Serializable> extends BaseDao {\n    // This is ok...\n}\n\npublic interface GenericDao<E extends BaseModel, K extends Serializable> {\n    // Also this\n}\n\npublic interface GenericDao<e extends BaseModel, K extends Serializable> {\n    // 'e' should be an 'E'\n}\n\npublic interface GenericDao<EF extends BaseModel, K extends Serializable> {\n   // 'EF' is not ok.\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "good",
+          "code": "public interface GenericDao<E extends BaseModel, K extends Serializable> extends BaseDao {\n    // This is ok...\n}\n\npublic interface GenericDao<E extends BaseModel, K extends Serializable> {\n    // Also this\n}"
+        },
+        {
+          "kind": "bad",
+          "code": "public interface GenericDao<e extends BaseModel, K extends Serializable> {\n    // 'e' should be an 'E'\n}\n\npublic interface GenericDao<EF extends BaseModel, K extends Serializable> {\n   // 'EF' is not ok.\n}"
+        }
+      ]
+    ],
+    "xpath": {
+      "expression": "//TypeParameter[\n  string-length(@Name) > 1\n  or\n  upper-case(@Name) != @Name\n]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "TypeParameterNamingConventions",
+        "reasons": [
+          "mentions",
+          "similar"
+        ],
+        "score": 3.32
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 제네릭 타입 파라미터 명명은 단일 문자가 관례이나 강제할 필요는 없습니다"
+    "claude_comment": "선택 - 제네릭 타입 파라미터 명명은 단일 문자가 관례이나 강제할 필요는 없습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "LocalHomeNamingConvention",
@@ -1808,8 +5451,48 @@ const RULES_DATA =
     "examples": [
       "public interface MyBeautifulLocalHome extends javax.ejb.EJBLocalHome {} // proper name\n\npublic interface MissingProperSuffix extends javax.ejb.EJBLocalHome {}  // non-standard name"
     ],
+    "xpath": {
+      "expression": "//ClassDeclaration\n[\n    pmd-java:typeIs('javax.ejb.EJBLocalHome')\n    and not(ends-with(@SimpleName, 'LocalHome'))\n]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "LocalInterfaceSessionNamingConvention",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.72
+      },
+      {
+        "name": "RemoteSessionInterfaceNamingConvention",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.68
+      },
+      {
+        "name": "RemoteInterfaceNamingConvention",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      },
+      {
+        "name": "MDBAndSessionBeanNamingConvention",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      }
+    ],
     "tier": "skip",
-    "claude_comment": "스킵 - EJB 전용 규칙으로 현대적인 Spring 기반 프로젝트에는 불필요합니다"
+    "claude_comment": "스킵 - EJB 전용 규칙으로 현대적인 Spring 기반 프로젝트에는 불필요합니다",
+    "tiers": {
+      "default": "skip",
+      "android": "skip",
+      "backend": "skip",
+      "batch": "skip"
+    }
   },
   {
     "name": "LocalInterfaceSessionNamingConvention",
@@ -1824,8 +5507,48 @@ const RULES_DATA =
     "examples": [
       "public interface MyLocal extends javax.ejb.EJBLocalObject {}                // proper name\n\npublic interface MissingProperSuffix extends javax.ejb.EJBLocalObject {}    // non-standard name"
     ],
+    "xpath": {
+      "expression": "//ClassDeclaration\n[\n    pmd-java:typeIs('javax.ejb.EJBLocalObject')\n    and not(ends-with(@SimpleName, 'Local'))\n]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "LocalHomeNamingConvention",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.72
+      },
+      {
+        "name": "RemoteSessionInterfaceNamingConvention",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.53
+      },
+      {
+        "name": "RemoteInterfaceNamingConvention",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.38
+      },
+      {
+        "name": "MDBAndSessionBeanNamingConvention",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.33
+      }
+    ],
     "tier": "skip",
-    "claude_comment": "스킵 - EJB 전용 규칙으로 현대적인 Spring 기반 프로젝트에는 불필요합니다"
+    "claude_comment": "스킵 - EJB 전용 규칙으로 현대적인 Spring 기반 프로젝트에는 불필요합니다",
+    "tiers": {
+      "default": "skip",
+      "android": "skip",
+      "backend": "skip",
+      "batch": "skip"
+    }
   },
   {
     "name": "MDBAndSessionBeanNamingConvention",
@@ -1840,8 +5563,41 @@ const RULES_DATA =
     "examples": [
       "public class SomeBean implements SessionBean{}                  // proper name\n\npublic class MissingTheProperSuffix implements SessionBean {}   // non-standard name"
     ],
+    "xpath": {
+      "expression": "//ClassDeclaration\n[\n    (pmd-java:typeIs('javax.ejb.SessionBean')\n     or pmd-java:typeIs('javax.ejb.MessageDrivenBean'))\n    and not(ends-with(@SimpleName, 'Bean'))\n]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "LocalInterfaceSessionNamingConvention",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.33
+      },
+      {
+        "name": "RemoteSessionInterfaceNamingConvention",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "LocalHomeNamingConvention",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      }
+    ],
     "tier": "skip",
-    "claude_comment": "스킵 - EJB 전용 규칙으로 현대적인 Spring 기반 프로젝트에는 불필요합니다"
+    "claude_comment": "스킵 - EJB 전용 규칙으로 현대적인 Spring 기반 프로젝트에는 불필요합니다",
+    "tiers": {
+      "default": "skip",
+      "android": "skip",
+      "backend": "skip",
+      "batch": "skip"
+    }
   },
   {
     "name": "RemoteInterfaceNamingConvention",
@@ -1856,8 +5612,41 @@ const RULES_DATA =
     "examples": [
       "/* Poor Session suffix */\npublic interface BadSuffixSession extends javax.ejb.EJBObject {}\n\n/* Poor EJB suffix */\npublic interface BadSuffixEJB extends javax.ejb.EJBObject {}\n\n/* Poor Bean suffix */\npublic interface BadSuffixBean extends javax.ejb.EJBObject {}"
     ],
+    "xpath": {
+      "expression": "//ClassDeclaration\n[\n    pmd-java:typeIs('javax.ejb.EJBObject')\n    and matches(@SimpleName, '.*(Session|EJB|Bean)$')\n]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "RemoteSessionInterfaceNamingConvention",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.64
+      },
+      {
+        "name": "LocalInterfaceSessionNamingConvention",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.38
+      },
+      {
+        "name": "LocalHomeNamingConvention",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      }
+    ],
     "tier": "skip",
-    "claude_comment": "스킵 - EJB 전용 규칙으로 현대적인 Spring 기반 프로젝트에는 불필요합니다"
+    "claude_comment": "스킵 - EJB 전용 규칙으로 현대적인 Spring 기반 프로젝트에는 불필요합니다",
+    "tiers": {
+      "default": "skip",
+      "android": "skip",
+      "backend": "skip",
+      "batch": "skip"
+    }
   },
   {
     "name": "RemoteSessionInterfaceNamingConvention",
@@ -1872,8 +5661,48 @@ const RULES_DATA =
     "examples": [
       "public interface MyBeautifulHome extends javax.ejb.EJBHome {}       // proper name\n\npublic interface MissingProperSuffix extends javax.ejb.EJBHome {}   // non-standard name"
     ],
+    "xpath": {
+      "expression": "//ClassDeclaration\n[\n    pmd-java:typeIs('javax.ejb.EJBHome')\n    and not(ends-with(@SimpleName, 'Home'))\n]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "LocalHomeNamingConvention",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.68
+      },
+      {
+        "name": "RemoteInterfaceNamingConvention",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.64
+      },
+      {
+        "name": "LocalInterfaceSessionNamingConvention",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.53
+      },
+      {
+        "name": "MDBAndSessionBeanNamingConvention",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      }
+    ],
     "tier": "skip",
-    "claude_comment": "스킵 - EJB 전용 규칙으로 현대적인 Spring 기반 프로젝트에는 불필요합니다"
+    "claude_comment": "스킵 - EJB 전용 규칙으로 현대적인 Spring 기반 프로젝트에는 불필요합니다",
+    "tiers": {
+      "default": "skip",
+      "android": "skip",
+      "backend": "skip",
+      "batch": "skip"
+    }
   },
   {
     "name": "ShortClassName",
@@ -1892,11 +5721,40 @@ const RULES_DATA =
       {
         "name": "minimum",
         "defaultValue": "5",
-        "description": "클래스 이름에 필요한 최소 문자 수."
+        "description": "클래스 이름에 필요한 최소 문자 수.",
+        "type": "Integer",
+        "min": 1,
+        "max": 100
+      }
+    ],
+    "xpath": {
+      "expression": "//ClassDeclaration[string-length(@SimpleName) < $minimum]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "ShortMethodName",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.62
+      },
+      {
+        "name": "ShortVariable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.37
       }
     ],
     "tier": 3,
-    "claude_comment": "선택 - 짧은 클래스명 제한은 DTO, VO 등 관례적 이름에서 거짓 양성이 많습니다"
+    "claude_comment": "선택 - 짧은 클래스명 제한은 DTO, VO 등 관례적 이름에서 거짓 양성이 많습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "TypeParameterNamingConventions",
@@ -1911,8 +5769,59 @@ const RULES_DATA =
     "examples": [
       "// Generic types - valid\npublic interface Repository<T> { }\npublic class Cache<K, V> { }\n\n// Generic types - invalid\npublic interface Repository<type> { }      // lowercase\npublic class Cache<KEY, VALUE> { }         // multiple letters\n\n// Generic methods - valid\npublic class Util {\n    public static <T> T identity(T value) { return value; }\n    public <T, R> R transform(T input, Function<T, R> mapper) { }\n}\n\n// Generic methods - invalid\npublic class Util {\n    public static <element> element get(element value) { }  // lowercase\n    public <INPUT, OUTPUT> OUTPUT convert(INPUT in) { }     // multiple letters\n}"
     ],
+    "related": [
+      {
+        "name": "GenericsNaming",
+        "reasons": [
+          "mentionedBy",
+          "similar"
+        ],
+        "score": 3.32
+      },
+      {
+        "name": "FormalParameterNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.61
+      },
+      {
+        "name": "LocalVariableNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.56
+      },
+      {
+        "name": "MethodNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.51
+      },
+      {
+        "name": "FieldNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.47
+      },
+      {
+        "name": "ClassNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.34
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 타입 파라미터 명명 규칙은 기본 관례(T, E, K, V)를 따르는 것이 일반적입니다"
+    "claude_comment": "선택 - 타입 파라미터 명명 규칙은 기본 관례(T, E, K, V)를 따르는 것이 일반적입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UnnecessaryFullyQualifiedName",
@@ -1927,8 +5836,30 @@ const RULES_DATA =
     "examples": [
       "import java.util.List;\n\npublic class Foo {\n    private java.util.List list1;   // Unnecessary FQN\n    private List list2;             // More appropriate given import of 'java.util.List'\n}"
     ],
+    "related": [
+      {
+        "name": "UselessQualifiedThis",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.37
+      },
+      {
+        "name": "UnnecessaryImport",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 불필요한 정규화된 이름 제거는 마이너한 가독성 개선입니다"
+    "claude_comment": "선택 - 불필요한 정규화된 이름 제거는 마이너한 가독성 개선입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UnnecessaryImport",
@@ -1943,8 +5874,37 @@ const RULES_DATA =
     "examples": [
       "import java.io.File;            // not used, can be removed\n            import java.util.Collections;   // used below\n            import java.util.*;             // so this one is not used\n\n            import java.lang.Object;        // imports from java.lang, unnecessary\n            import java.lang.Object;        // duplicate, unnecessary\n\n            public class Foo {\n                static Object emptyList() {\n                    return Collections.emptyList();\n                }\n            }"
     ],
+    "related": [
+      {
+        "name": "UnnecessaryFullyQualifiedName",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      },
+      {
+        "name": "TooManyStaticImports",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "DontImportSun",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 불필요한 import는 IDE에서 자동 정리 가능하며 코드를 깔끔하게 유지해야 합니다"
+    "claude_comment": "권장 - 불필요한 import는 IDE에서 자동 정리 가능하며 코드를 깔끔하게 유지해야 합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UselessParentheses",
@@ -1954,13 +5914,28 @@ const RULES_DATA =
     "message": "불필요한 괄호.",
     "ruleClass": "net.sourceforge.pmd.lang.java.rule.codestyle.UselessParenthesesRule",
     "externalInfoUrl": "https://docs.pmd-code.org/latest/pmd_rules_java_codestyle.html#uselessparentheses",
-    "description": "괄호 표현식은 기본 연산자 우선순위 규칙을 재정의하는 데 사용됩니다. 제거해도\n            연산자의 상대적 중첩이 변경되지 않는 괄호는 불필요합니다. 둘러싸는 표현식의\n            의미를 변경하지 않기 때문입니다.\n\n            엄밀히 말해 불필요하지만 가독성을 위해 유용하다고 여겨질 수 있는 괄호도 있습니다.\n            이 규칙은 두 가지 종류의 불필요한 괄호에 대한 위반을 무시할 수 있습니다:\n            - 다른 우선순위의 연산자를 구분하는 \"명확화\" 괄호. 불필요하지만 우선순위 규칙을\n            명시적으로 만들어 잘 사용되지 않는 연산자에 유용할 수 있습니다. 예:\n            ```java\n                (a + b) &amp; c // `a + b &amp; c`와 동일하지만 아마 더 명확함\n            ```\n            보고하려면 `ignoreClarifying` 속성을 해제하세요.\n\n            - 등호 연산자 주위의 다른 괄호 쌍과 시각적으로 균형을 맞추는 불필요한 \"균형\" 괄호.\n            예를 들어, 이 두 표현식은 동일합니다:\n            ```java\n                (a == null) != (b == null)\n                a == null != (b == null)\n            ```\n            오른쪽 괄호는 필수이고 왼쪽 괄호는 단지 시각적으로 더 보기 좋습니다.\n            보고하려면 `ignoreBalancing` 속성을 해제하세요.",
+    "description": "괄호 표현식은 기본 연산자 우선순위 규칙을 재정의하는 데 사용됩니다. 제거해도\n            연산자의 상대적 중첩이 변경되지 않는 괄호는 불필요합니다. 둘러싸는 표현식의\n            의미를 변경하지 않기 때문입니다.\n\n            엄밀히 말해 불필요하지만 가독성을 위해 유용하다고 여겨질 수 있는 괄호도 있습니다.\n            이 규칙은 두 가지 종류의 불필요한 괄호에 대한 위반을 무시할 수 있습니다:\n            - 다른 우선순위의 연산자를 구분하는 \"명확화\" 괄호. 불필요하지만 우선순위 규칙을\n            명시적으로 만들어 잘 사용되지 않는 연산자에 유용할 수 있습니다. 예:\n            ```java\n                (a + b) & c // `a + b & c`와 동일하지만 아마 더 명확함\n            ```\n            보고하려면 `ignoreClarifying` 속성을 해제하세요.\n\n            - 등호 연산자 주위의 다른 괄호 쌍과 시각적으로 균형을 맞추는 불필요한 \"균형\" 괄호.\n            예를 들어, 이 두 표현식은 동일합니다:\n            ```java\n                (a == null) != (b == null)\n                a == null != (b == null)\n            ```\n            오른쪽 괄호는 필수이고 왼쪽 괄호는 단지 시각적으로 더 보기 좋습니다.\n            보고하려면 `ignoreBalancing` 속성을 해제하세요.",
     "priority": 4,
     "examples": [
       "public class Foo {\n    {\n        int n = 0;\n        n = (n);         // here\n        n = (n * 2) * 3; // and here\n        n = n * (2 * 3); // and here\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "ControlStatementBraces",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 불필요한 괄호 제거는 가독성 선호도에 따라 다릅니다. 명시적 괄호가 명확할 수도 있습니다"
+    "claude_comment": "선택 - 불필요한 괄호 제거는 가독성 선호도에 따라 다릅니다. 명시적 괄호가 명확할 수도 있습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "AbstractClassWithoutAnyMethod",
@@ -1975,8 +5950,62 @@ const RULES_DATA =
     "examples": [
       "public abstract class Example {\n    String field;\n    int otherField;\n}"
     ],
+    "xpath": {
+      "expression": "//ClassDeclaration\n    [@Abstract = true() and @Interface = false()]\n    [ClassBody[not(ConstructorDeclaration | MethodDeclaration)]]\n    [not(pmd-java:hasAnnotation('com.google.auto.value.AutoValue')\n         or pmd-java:hasAnnotation('lombok.AllArgsConstructor')\n         or pmd-java:hasAnnotation('lombok.NoArgsConstructor')\n         or pmd-java:hasAnnotation('lombok.RequiredArgsConstructor'))\n    ]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "AbstractClassWithoutAbstractMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.54
+      },
+      {
+        "name": "EmptyMethodInAbstractClassShouldBeAbstract",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.35
+      },
+      {
+        "name": "UseUtilityClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.34
+      },
+      {
+        "name": "MissingStaticMethodInNonInstantiatableClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "AccessorClassGeneration",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      },
+      {
+        "name": "StringInstantiation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 메서드 없는 추상 클래스는 설계 결함의 징후이며 인터페이스나 상수 클래스로 변경을 검토하세요"
+    "claude_comment": "권장 - 메서드 없는 추상 클래스는 설계 결함의 징후이며 인터페이스나 상수 클래스로 변경을 검토하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "AvoidThrowingNullPointerException",
@@ -1991,8 +6020,23 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    void bar() {\n        throw new NullPointerException();\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "MisplacedNullCheck",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - NPE를 명시적으로 던지는 것은 안티패턴입니다. IllegalArgumentException 등을 사용하세요"
+    "claude_comment": "필수 - NPE를 명시적으로 던지는 것은 안티패턴입니다. IllegalArgumentException 등을 사용하세요",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "AvoidThrowingRawExceptionTypes",
@@ -2007,8 +6051,27 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    public void bar() throws Exception {\n        throw new Exception();\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//ThrowStatement//ConstructorCall\n /ClassType[\n pmd-java:typeIsExactly('java.lang.Throwable')\nor\n pmd-java:typeIsExactly('java.lang.Exception')\nor\n pmd-java:typeIsExactly('java.lang.Error')\nor\n pmd-java:typeIsExactly('java.lang.RuntimeException')\n]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "AvoidThrowingNewInstanceOfSameException",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - Exception/RuntimeException 직접 throw는 예외 처리를 불가능하게 만듭니다"
+    "claude_comment": "필수 - Exception/RuntimeException 직접 throw는 예외 처리를 불가능하게 만듭니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "ClassWithOnlyPrivateConstructorsShouldBeFinal",
@@ -2023,8 +6086,80 @@ const RULES_DATA =
     "examples": [
       "public class Foo {  //Should be final\n    private Foo() { }\n}"
     ],
+    "related": [
+      {
+        "name": "AvoidProtectedFieldInFinalClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      },
+      {
+        "name": "AvoidProtectedMethodInFinalClassNotExtending",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      },
+      {
+        "name": "LocalVariableCouldBeFinal",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "AccessorClassGeneration",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "FinalFieldCouldBeStatic",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "UnnecessaryConstructor",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
+    "tier": 2,
+    "claude_comment": "권장 - private 생성자만 있는 클래스는 final로 선언하여 의도를 명확히 하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
+  },
+  {
+    "name": "AvoidDeeplyNestedIfStmts",
+    "category": "design",
+    "categoryName": "설계",
+    "since": "1.0",
+    "message": "깊게 중첩된 if..then 문은 가독성이 떨어집니다",
+    "ruleClass": "net.sourceforge.pmd.lang.java.rule.design.AvoidDeeplyNestedIfStmtsRule",
+    "externalInfoUrl": "https://docs.pmd-code.org/latest/pmd_rules_java_design.html#avoiddeeplynestedifstmts",
+    "description": "깊게 중첩된 if-then 문은 읽기 어렵고 유지보수 시 오류가 발생하기 쉬우므로 생성을 피하세요.",
+    "priority": 3,
+    "examples": [
+      "public class Foo {\n  public void bar(int x, int y, int z) {\n    if (x>y) {\n      if (y>z) {\n        if (z==x) {\n         // !! too deep\n        }\n      }\n    }\n  }\n}"
+    ],
     "tier": 2,
-    "claude_comment": "권장 - private 생성자만 있는 클래스는 final로 선언하여 의도를 명확히 하세요"
+    "claude_comment": "권장 - 깊은 if 중첩은 가독성을 떨어뜨립니다. 조기 반환(guard clause)으로 평탄화하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "AvoidRethrowingException",
@@ -2039,8 +6174,30 @@ const RULES_DATA =
     "examples": [
       "public void bar() {\n    try {\n        // do something\n    }  catch (SomeException se) {\n       throw se;\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "AvoidThrowingNewInstanceOfSameException",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.58
+      },
+      {
+        "name": "AvoidReassigningCatchVariables",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 예외를 그대로 다시 던지는 것은 불필요한 catch 블록이며 제거해야 합니다"
+    "claude_comment": "권장 - 예외를 그대로 다시 던지는 것은 불필요한 catch 블록이며 제거해야 합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "AvoidThrowingNewInstanceOfSameException",
@@ -2055,8 +6212,34 @@ const RULES_DATA =
     "examples": [
       "public void bar() {\n    try {\n        // do something\n    } catch (SomeException se) {\n        // harmless comment\n        throw new SomeException(se);\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//CatchClause\n    [count(Block/*) = 1]\n    [CatchParameter/ClassType/@SimpleName = Block/ThrowStatement/ConstructorCall/ClassType/@SimpleName]\n    [Block/ThrowStatement/ConstructorCall/ArgumentList/@Size = 1]\n    /Block/ThrowStatement/ConstructorCall",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "AvoidRethrowingException",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.58
+      },
+      {
+        "name": "AvoidThrowingRawExceptionTypes",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 같은 예외를 새로 생성하여 던지면 원본 스택 트레이스가 손실됩니다"
+    "claude_comment": "권장 - 같은 예외를 새로 생성하여 던지면 원본 스택 트레이스가 손실됩니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "AvoidUncheckedExceptionsInSignatures",
@@ -2071,8 +6254,27 @@ const RULES_DATA =
     "examples": [
       "public void foo() throws RuntimeException {\n}"
     ],
+    "xpath": {
+      "expression": "//ThrowsList/ClassType[pmd-java:typeIs('java.lang.RuntimeException')]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "SignatureDeclareThrowsException",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - unchecked exception을 시그니처에 선언하는 것은 문서화 목적으로 유용할 수 있습니다"
+    "claude_comment": "선택 - unchecked exception을 시그니처에 선언하는 것은 문서화 목적으로 유용할 수 있습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "CognitiveComplexity",
@@ -2087,8 +6289,30 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n  // Has a cognitive complexity of 0\n  public void createAccount() {\n    Account account = new Account(\"PMD\");\n    // save account\n  }\n\n  // Has a cognitive complexity of 1\n  public Boolean setPhoneNumberIfNotExisting(Account a, String phone) {\n    if (a.phone == null) {                          // +1\n      a.phone = phone;\n      return true;\n    }\n\n    return false;\n  }\n\n  // Has a cognitive complexity of 4\n  public void updateContacts(List<Contact> contacts) {\n    List<Contact> contactsToUpdate = new ArrayList<Contact>();\n\n    for (Contact contact : contacts) {                           // +1\n      if (contact.department.equals(\"Finance\")) {                // +2 (nesting = 1)\n        contact.title = \"Finance Specialist\";\n        contactsToUpdate.add(contact);\n      } else if (contact.department.equals(\"Sales\")) {           // +1\n        contact.title = \"Sales Specialist\";\n        contactsToUpdate.add(contact);\n      }\n    }\n    // save contacts\n  }\n}"
     ],
+    "related": [
+      {
+        "name": "CyclomaticComplexity",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.52
+      },
+      {
+        "name": "NPathComplexity",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 높은 인지 복잡도는 코드 이해를 어렵게 하며 리팩토링이 필요합니다"
+    "claude_comment": "권장 - 높은 인지 복잡도는 코드 이해를 어렵게 하며 리팩토링이 필요합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "CollapsibleIfStatements",
@@ -2103,8 +6327,18 @@ const RULES_DATA =
     "examples": [
       "class Foo {\n\n    void bar() {\n        if (x) {            // original implementation\n            if (y) {\n                // do stuff\n            }\n        }\n    }\n\n    void bar() {\n        if (x && y) {        // clearer implementation\n            // do stuff\n        }\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//IfStatement[@Else = false()]/IfStatement[@Else = false()]\n|\n//IfStatement[@Else = false()]/Block[count(*) = 1]/IfStatement[@Else = false()]",
+      "version": "3.1"
+    },
     "tier": 3,
-    "claude_comment": "선택 - 합칠 수 있는 if문 병합은 가독성 선호도에 따라 결정하세요"
+    "claude_comment": "선택 - 합칠 수 있는 if문 병합은 가독성 선호도에 따라 결정하세요",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "CouplingBetweenObjects",
@@ -2119,8 +6353,23 @@ const RULES_DATA =
     "examples": [
       "import com.Blah;\nimport org.Bar;\nimport org.Bardo;\n\npublic class Foo {\n    private Blah var1;\n    private Bar var2;\n\n    //followed by many imports of unique objects\n    ObjectC doWork() {\n        Bardo var55;\n        ObjectA var44;\n        ObjectZ var93;\n        return something();\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "ExcessiveImports",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.49
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 높은 객체 간 결합도는 유지보수를 어렵게 하며 리팩토링이 필요합니다"
+    "claude_comment": "권장 - 높은 객체 간 결합도는 유지보수를 어렵게 하며 리팩토링이 필요합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "CyclomaticComplexity",
@@ -2135,8 +6384,30 @@ const RULES_DATA =
     "examples": [
       "class Foo {\n  void baseCyclo() {                // Cyclo = 1\n    highCyclo();\n  }\n\n  void highCyclo() {                // Cyclo = 10: reported!\n    int x = 0, y = 2;\n    boolean a = false, b = true;\n\n    if (a && (y == 1 ? b : true)) { // +3\n      if (y == x) {                 // +1\n        while (true) {              // +1\n          if (x++ < 20) {           // +1\n            break;                  // +1\n          }\n        }\n      } else if (y == t && !d) {    // +2\n        x = a ? y : x;              // +1\n      } else {\n        x = 2;\n      }\n    }\n  }\n}"
     ],
+    "related": [
+      {
+        "name": "CognitiveComplexity",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.52
+      },
+      {
+        "name": "NPathComplexity",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.4
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 높은 순환 복잡도는 버그 발생 가능성을 높이며 메서드 분리가 필요합니다"
+    "claude_comment": "권장 - 높은 순환 복잡도는 버그 발생 가능성을 높이며 메서드 분리가 필요합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "DataClass",
@@ -2151,8 +6422,23 @@ const RULES_DATA =
     "examples": [
       "public class DataClass {\n\n  // class exposes public attributes\n  public String name = \"\";\n  public int bar = 0;\n  public int na = 0;\n\n  private int bee = 0;\n\n  // and private ones through getters\n  public void setBee(int n) {\n    bee = n;\n  }\n}"
     ],
+    "related": [
+      {
+        "name": "GodClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.41
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - DTO/VO 패턴에서 데이터만 가진 클래스는 합당한 설계입니다"
+    "claude_comment": "선택 - DTO/VO 패턴에서 데이터만 가진 클래스는 합당한 설계입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "DoNotExtendJavaLangError",
@@ -2167,8 +6453,27 @@ const RULES_DATA =
     "examples": [
       "public class Foo extends Error { }"
     ],
+    "xpath": {
+      "expression": "//ClassDeclaration/ExtendsList/ClassType[pmd-java:typeIs('java.lang.Error')]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "DoNotExtendJavaLangThrowable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.6
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - java.lang.Error 확장은 시스템 레벨 오류와 혼동을 유발하며 절대 하면 안 됩니다"
+    "claude_comment": "필수 - java.lang.Error 확장은 시스템 레벨 오류와 혼동을 유발하며 절대 하면 안 됩니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "ExceptionAsFlowControl",
@@ -2183,8 +6488,23 @@ const RULES_DATA =
     "examples": [
       "public void bar() {\n    try {\n        try {\n        } catch (Exception e) {\n            throw new WrapperException(e);\n            // this is essentially a GOTO to the WrapperException catch block\n        }\n    } catch (WrapperException e) {\n        // do some more stuff\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "PreserveStackTrace",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 예외를 흐름 제어로 사용하면 성능 저하와 코드 이해도 하락을 유발합니다"
+    "claude_comment": "필수 - 예외를 흐름 제어로 사용하면 성능 저하와 코드 이해도 하락을 유발합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "ExcessiveImports",
@@ -2199,8 +6519,23 @@ const RULES_DATA =
     "examples": [
       "import blah.blah.Baz;\nimport blah.blah.Bif;\n// 28 others from the same package elided\npublic class Foo {\n    public void doWork() {}\n}"
     ],
+    "related": [
+      {
+        "name": "CouplingBetweenObjects",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.49
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - import 수 제한은 클래스 역할 범위에 따라 다르며 거짓 양성이 있을 수 있습니다"
+    "claude_comment": "선택 - import 수 제한은 클래스 역할 범위에 따라 다르며 거짓 양성이 있을 수 있습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "ExcessiveParameterList",
@@ -2215,8 +6550,58 @@ const RULES_DATA =
     "examples": [
       "public void addPerson(      // too many arguments liable to be mixed up\n    int birthYear, int birthMonth, int birthDate, int height, int weight, int ssn) {\n\n    . . . .\n}\n\npublic void addPerson(      // preferred approach\n    Date birthdate, BodyMeasurements measurements, int ssn) {\n\n    . . . .\n}"
     ],
+    "related": [
+      {
+        "name": "FormalParameterNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.31
+      },
+      {
+        "name": "TypeParameterNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "UnusedFormalParameter",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "AvoidReassigningParameters",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "MethodArgumentCouldBeFinal",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "FinalParameterInAbstractMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 매개변수가 너무 많으면 사용하기 어렵고 객체로 그룹화해야 합니다"
+    "claude_comment": "권장 - 매개변수가 너무 많으면 사용하기 어렵고 객체로 그룹화해야 합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "ExcessivePublicCount",
@@ -2231,8 +6616,23 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    public String value;\n    public Bar something;\n    public Variable var;\n    // [... more more public attributes ...]\n\n    public void doWork() {}\n    public void doMoreWork() {}\n    public void doWorkAgain() {}\n    // [... more more public methods ...]\n}"
     ],
+    "related": [
+      {
+        "name": "PublicMemberInNonPublicType",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - public 멤버 수 제한은 클래스 특성에 따라 조정이 필요합니다"
+    "claude_comment": "선택 - public 멤버 수 제한은 클래스 특성에 따라 조정이 필요합니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "FinalFieldCouldBeStatic",
@@ -2247,8 +6647,58 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n  public final int BAR = 42; // this could be static and save some space\n}"
     ],
+    "related": [
+      {
+        "name": "LocalVariableCouldBeFinal",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.44
+      },
+      {
+        "name": "StaticEJBFieldShouldBeFinal",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.36
+      },
+      {
+        "name": "AssignmentToNonFinalStatic",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.35
+      },
+      {
+        "name": "MethodArgumentCouldBeFinal",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.31
+      },
+      {
+        "name": "AvoidProtectedFieldInFinalClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "FieldNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - final 필드를 static으로 변경하는 것은 메모리 최적화이나 의미 변경을 유발할 수 있습니다"
+    "claude_comment": "선택 - final 필드를 static으로 변경하는 것은 메모리 최적화이나 의미 변경을 유발할 수 있습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "GodClass",
@@ -2261,8 +6711,23 @@ const RULES_DATA =
     "description": "갓 클래스 규칙은 메트릭을 사용하여 갓 클래스 설계 결함을 탐지합니다. 갓 클래스는 너무 많은 일을 하고,\n매우 크고 지나치게 복잡합니다. 더 객체 지향적이 되도록 분리해야 합니다.\n이 규칙은 \"Object-Oriented Metrics in Practice\"에 설명된 탐지 전략을 사용합니다.\n위반은 전체 클래스에 대해 보고됩니다.\n\n이 규칙은 메트릭을 사용하여 탐지 전략을 구현합니다. 위반 메시지는\n이러한 메트릭의 값에 대한 정보를 제공합니다:\n* WMC: 클래스 복잡도 측정, {% jdoc java::lang.java.metrics.JavaMetrics#WEIGHED_METHOD_COUNT %} 참조\n* ATFD: 클래스가 외부 데이터를 얼마나 사용하는지 측정, {% jdoc java::lang.java.metrics.JavaMetrics#ACCESS_TO_FOREIGN_DATA %} 참조\n* TCC: 메서드들이 얼마나 밀접하게 관련되어 있는지 측정, {% jdoc java::lang.java.metrics.JavaMetrics#TIGHT_CLASS_COHESION %} 참조\n\n이 규칙은 다음 속성을 모두 가진 클래스를 찾아 갓 클래스를 식별합니다:\n* 높은 WMC\n* 높은 ATFD\n* 낮은 TCC\n\n참고 문헌:\n\nMichele Lanza and Radu Marinescu. *Object-Oriented Metrics in Practice:\nUsing Software Metrics to Characterize, Evaluate, and Improve the Design\nof Object-Oriented Systems.* Springer, Berlin, 1 edition, October 2006. Page 80.",
     "priority": 3,
     "examples": [],
+    "related": [
+      {
+        "name": "DataClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.41
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - God Class는 단일 책임 원칙을 위반하며 분리 리팩토링이 필요합니다"
+    "claude_comment": "권장 - God Class는 단일 책임 원칙을 위반하며 분리 리팩토링이 필요합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "ImmutableField",
@@ -2277,8 +6742,44 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n  private int x; // could be final\n  public Foo() {\n      x = 7;\n  }\n  public void foo() {\n     int a = x + 2;\n  }\n}"
     ],
+    "related": [
+      {
+        "name": "AssignmentToNonFinalStatic",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "FinalFieldCouldBeStatic",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      },
+      {
+        "name": "AvoidProtectedFieldInFinalClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      },
+      {
+        "name": "MutableStaticState",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 변경되지 않는 필드는 final로 선언하여 불변성을 보장하세요"
+    "claude_comment": "권장 - 변경되지 않는 필드는 final로 선언하여 불변성을 보장하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "InvalidJavaBean",
@@ -2294,7 +6795,13 @@ const RULES_DATA =
       "package org.example.beans;\npublic class MyBean {        // <-- bean is not serializable, missing \"implements Serializable\"\n    private String label;    // <-- missing setter for property \"label\"\n\n    public String getLabel() {\n        return label;\n    }\n}"
     ],
     "tier": 3,
-    "claude_comment": "선택 - JavaBean 규약 준수는 프레임워크 요구사항에 따라 다릅니다"
+    "claude_comment": "선택 - JavaBean 규약 준수는 프레임워크 요구사항에 따라 다릅니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "LawOfDemeter",
@@ -2304,13 +6811,19 @@ const RULES_DATA =
     "message": "디미터 법칙의 잠재적 위반 ({0})",
     "ruleClass": "net.sourceforge.pmd.lang.java.rule.design.LawOfDemeterRule",
     "externalInfoUrl": "https://docs.pmd-code.org/latest/pmd_rules_java_design.html#lawofdemeter",
-    "description": "디미터 법칙은 \"친구하고만 대화하라\"라는 간단한 규칙입니다. 이 법칙은\n서로 다른 추상화 수준의 클래스나 객체 간의 결합도를 줄이기 위해\n특정 거리 정의에 따라 \"너무 먼 곳\"에서 데이터를 가져오는 것을 금지합니다.\n\n이 규칙은 객체가 얼마나 \"먼지\"를 정량화하는 \"차수(degree)\" 개념을 사용합니다.\n차수가 너무 높은 표현식은 특정 방식으로만 사용할 수 있습니다. 표현식의 차수는\n귀납적으로 정의됩니다:\n- `this`의 차수는 0\n- 메서드 매개변수의 차수는 1\n- 메서드에서 새로 생성된 객체의 차수는 1\n- 정적 변수의 차수는 1\n- `expr.field`와 같은 필드 접근 표현식의 차수는 `expr`의 차수에 1을 더한 값\n- `expr.getFoo()`와 같은 \"getter 표현식\"의 차수는 `expr`의 차수에 1을 더한 값\n- `expr.withFoo(\"\")`와 같은 \"변환 표현식\"의 차수는 `expr`의 차수와 동일\n- 변수의 차수는 해당 변수에 도달하는 모든 할당의 최대 차수\n\n직관적으로 getter를 더 많이 호출할수록 차수가 증가합니다. 결국\n차수가 보고 임계값(속성 `trustRadius`)에 도달하면 해당 표현식이 보고됩니다.\n계산의 세부 사항은 컬렉션 사용(리스트나 배열에 있는 객체는 컨테이너와 같은 차수를 가짐),\n빌더 패턴, 추상화 경계를 깨지 않는 것으로 보이는 getter 등의 일반적인 패턴을\n허용하도록 더 복잡하게 구성되어 있습니다.\n\n이 규칙은 많은 거짓 양성과 낮은 우선순위 경고가 발생하기 쉽습니다.\n`trustRadius` 속성을 증가시키면 이를 크게 줄일 수 있습니다. 기본\n`trustRadius` 1은 원래 디미터 법칙에 해당합니다 (신뢰할 수 없는 값에 대해\n하나의 getter 호출만 허용됩니다). 주어진 `trustRadius` 값에 대해:\n- `trustRadius` 이하의 차수를 가진 표현식은 보고되지 않습니다\n- 정확히 `trustRadius + 1` 차수의 표현식은 현재 메서드에서 반환되거나\n다른 메서드의 인수로 전달되는 경우를 제외하고 보고됩니다. 이 예외가 없으면\n예를 들어 메서드 매개변수에서 어떤 정보도 추출할 수 없습니다.\n- `trustRadius + 1`보다 엄격히 큰 차수의 값은 보고되지 않습니다.\n직관적으로 차수 `n > 1`의 값을 얻으려면 차수 `n - 1`의 표현식을 사용해야 하므로,\n`n > trustRadius + 1`인 경우, 보고될 차수 `trustRadius + 1`의 값을 사용하고 있는 것입니다.\n\n참고 문헌:\n\n*   Andrew Hunt, David Thomas, and Ward Cunningham. The Pragmatic Programmer. From Journeyman to Master. Addison-Wesley Longman, Amsterdam, October 1999.;\n*   K.J. Lieberherr and I.M. Holland. Assuring good style for object-oriented programs. Software, IEEE, 6(5):38–48, 1989.;\n*   &lt;http://www.ccs.neu.edu/home/lieber/LoD.html>\n*   &lt;http://en.wikipedia.org/wiki/Law_of_Demeter>",
+    "description": "디미터 법칙은 \"친구하고만 대화하라\"라는 간단한 규칙입니다. 이 법칙은\n서로 다른 추상화 수준의 클래스나 객체 간의 결합도를 줄이기 위해\n특정 거리 정의에 따라 \"너무 먼 곳\"에서 데이터를 가져오는 것을 금지합니다.\n\n이 규칙은 객체가 얼마나 \"먼지\"를 정량화하는 \"차수(degree)\" 개념을 사용합니다.\n차수가 너무 높은 표현식은 특정 방식으로만 사용할 수 있습니다. 표현식의 차수는\n귀납적으로 정의됩니다:\n- `this`의 차수는 0\n- 메서드 매개변수의 차수는 1\n- 메서드에서 새로 생성된 객체의 차수는 1\n- 정적 변수의 차수는 1\n- `expr.field`와 같은 필드 접근 표현식의 차수는 `expr`의 차수에 1을 더한 값\n- `expr.getFoo()`와 같은 \"getter 표현식\"의 차수는 `expr`의 차수에 1을 더한 값\n- `expr.withFoo(\"\")`와 같은 \"변환 표현식\"의 차수는 `expr`의 차수와 동일\n- 변수의 차수는 해당 변수에 도달하는 모든 할당의 최대 차수\n\n직관적으로 getter를 더 많이 호출할수록 차수가 증가합니다. 결국\n차수가 보고 임계값(속성 `trustRadius`)에 도달하면 해당 표현식이 보고됩니다.\n계산의 세부 사항은 컬렉션 사용(리스트나 배열에 있는 객체는 컨테이너와 같은 차수를 가짐),\n빌더 패턴, 추상화 경계를 깨지 않는 것으로 보이는 getter 등의 일반적인 패턴을\n허용하도록 더 복잡하게 구성되어 있습니다.\n\n이 규칙은 많은 거짓 양성과 낮은 우선순위 경고가 발생하기 쉽습니다.\n`trustRadius` 속성을 증가시키면 이를 크게 줄일 수 있습니다. 기본\n`trustRadius` 1은 원래 디미터 법칙에 해당합니다 (신뢰할 수 없는 값에 대해\n하나의 getter 호출만 허용됩니다). 주어진 `trustRadius` 값에 대해:\n- `trustRadius` 이하의 차수를 가진 표현식은 보고되지 않습니다\n- 정확히 `trustRadius + 1` 차수의 표현식은 현재 메서드에서 반환되거나\n다른 메서드의 인수로 전달되는 경우를 제외하고 보고됩니다. 이 예외가 없으면\n예를 들어 메서드 매개변수에서 어떤 정보도 추출할 수 없습니다.\n- `trustRadius + 1`보다 엄격히 큰 차수의 값은 보고되지 않습니다.\n직관적으로 차수 `n > 1`의 값을 얻으려면 차수 `n - 1`의 표현식을 사용해야 하므로,\n`n > trustRadius + 1`인 경우, 보고될 차수 `trustRadius + 1`의 값을 사용하고 있는 것입니다.\n\n참고 문헌:\n\n*   Andrew Hunt, David Thomas, and Ward Cunningham. The Pragmatic Programmer. From Journeyman to Master. Addison-Wesley Longman, Amsterdam, October 1999.;\n*   K.J. Lieberherr and I.M. Holland. Assuring good style for object-oriented programs. Software, IEEE, 6(5):38–48, 1989.;\n*   <http://www.ccs.neu.edu/home/lieber/LoD.html>\n*   <http://en.wikipedia.org/wiki/Law_of_Demeter>",
     "priority": 3,
     "examples": [
       "public class Foo {\n    /**\n     * This example will result in one violation.\n     */\n    public void example(Bar b) { // b has degree 1\n        // `b.getC()` has degree 2, it's breaking a boundary of abstraction and so is reported.\n        b.getC().doIt();\n        // To respect the law of Demeter, Bar should encapsulate its\n        // C member more properly, eg by exposing a method like this:\n        b.callDoItOnC();\n\n        // a constructor call, not a method call.\n        D d = new D();\n        // this method call is ok, because we have create the new\n        // instance of D locally.\n        d.doSomethingElse();\n    }\n}"
     ],
     "tier": 3,
-    "claude_comment": "선택 - 디미터 법칙 엄격 적용은 거짓 양성이 매우 많아 실용적이지 않습니다"
+    "claude_comment": "선택 - 디미터 법칙 엄격 적용은 거짓 양성이 매우 많아 실용적이지 않습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "LogicInversion",
@@ -2325,8 +6838,34 @@ const RULES_DATA =
     "examples": [
       "public boolean bar(int a, int b) {\n\n    if (!(a == b)) { // use !=\n         return false;\n     }\n\n    if (!(a < b)) { // use >=\n         return false;\n    }\n\n    return true;\n}"
     ],
+    "xpath": {
+      "expression": "//UnaryExpression[@Operator='!']/InfixExpression[@Operator = ('==', '!=', '<', '>', '<=', '>=')]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "AssignmentInOperand",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "AvoidMultipleUnaryOperators",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 논리 반전 제거는 가독성 선호도에 따라 결정하세요"
+    "claude_comment": "선택 - 논리 반전 제거는 가독성 선호도에 따라 결정하세요",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "LoosePackageCoupling",
@@ -2341,8 +6880,37 @@ const RULES_DATA =
     "examples": [
       "package some.package;\n\nimport some.other.package.subpackage.subsubpackage.DontUseThisClass;\n\npublic class Bar {\n    DontUseThisClass boo = new DontUseThisClass();\n}"
     ],
+    "related": [
+      {
+        "name": "PackageCase",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "NoPackage",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "LooseCoupling",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 패키지 간 결합도 제한은 설정이 복잡하고 프로젝트 구조에 따라 다릅니다"
+    "claude_comment": "선택 - 패키지 간 결합도 제한은 설정이 복잡하고 프로젝트 구조에 따라 다릅니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "MutableStaticState",
@@ -2357,8 +6925,56 @@ const RULES_DATA =
     "examples": [
       "public class Greeter { public static Foo foo = new Foo(); ... }       // avoid this\npublic class Greeter { public static final Foo FOO = new Foo(); ... } // use this instead"
     ],
+    "xpath": {
+      "expression": "//FieldDeclaration[pmd-java:modifiers() = \"static\"][not(pmd-java:modifiers() = (\"private\", \"final\"))]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "AssignmentToNonFinalStatic",
+        "reasons": [
+          "mentions",
+          "similar"
+        ],
+        "score": 3.32
+      },
+      {
+        "name": "FinalFieldCouldBeStatic",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      },
+      {
+        "name": "ImmutableField",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      },
+      {
+        "name": "AvoidProtectedFieldInFinalClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      },
+      {
+        "name": "StaticEJBFieldShouldBeFinal",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 가변 static 상태는 스레드 안전성 문제와 예측 불가능한 동작을 유발합니다"
+    "claude_comment": "필수 - 가변 static 상태는 스레드 안전성 문제와 예측 불가능한 동작을 유발합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "NcssCount",
@@ -2374,7 +6990,13 @@ const RULES_DATA =
       "import java.util.Collections;       // +0\nimport java.io.IOException;         // +0\n\nclass Foo {                         // +1, total Ncss = 12\n\n  public void bigMethod()           // +1\n      throws IOException {\n    int x = 0, y = 2;               // +1\n    boolean a = false, b = true;    // +1\n\n    if (a || b) {                   // +1\n      try {                         // +1\n        do {                        // +1\n          x += 2;                   // +1\n        } while (x < 12);\n\n        System.exit(0);             // +1\n      } catch (IOException ioe) {   // +1\n        throw new PatheticFailException(ioe); // +1\n      }\n    } else {\n      assert false;                 // +1\n    }\n  }\n}"
     ],
     "tier": 3,
-    "claude_comment": "선택 - 코드 행 수 제한은 메서드 특성에 따라 유연하게 조정이 필요합니다"
+    "claude_comment": "선택 - 코드 행 수 제한은 메서드 특성에 따라 유연하게 조정이 필요합니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "NPathComplexity",
@@ -2389,8 +7011,30 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n  public static void bar() { // Ncss = 252: reported!\n    boolean a, b = true;\n    try { // 2 * 2 + 2 = 6\n      if (true) { // 2\n        List buz = new ArrayList();\n      }\n\n      for(int i = 0; i < 19; i++) { // * 2\n        List buz = new ArrayList();\n      }\n    } catch(Exception e) {\n      if (true) { // 2\n        e.printStackTrace();\n      }\n    }\n\n    while (j++ < 20) { //  * 2\n      List buz = new ArrayList();\n    }\n\n    switch(j) { // * 7\n      case 1:\n      case 2: break;\n      case 3: j = 5; break;\n      case 4: if (b && a) { bar(); } break;\n      default: break;\n    }\n\n    do { // * 3\n        List buz = new ArrayList();\n    } while (a && j++ < 30);\n  }\n}"
     ],
+    "related": [
+      {
+        "name": "CyclomaticComplexity",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.4
+      },
+      {
+        "name": "CognitiveComplexity",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 높은 NPath 복잡도는 테스트하기 어려운 코드를 의미하며 리팩토링이 필요합니다"
+    "claude_comment": "권장 - 높은 NPath 복잡도는 테스트하기 어려운 코드를 의미하며 리팩토링이 필요합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "PublicMemberInNonPublicType",
@@ -2405,8 +7049,41 @@ const RULES_DATA =
     "examples": [
       "class Wrong {\n    public void method() {} // violation\n    public int field; // violation\n}\n\nclass Correct {\n    void method() {}\n    // or even\n    private void privateMethod() {}\n\n    int field;\n    // or even\n    private int privateField;\n}"
     ],
+    "xpath": {
+      "expression": "//(MethodDeclaration|ConstructorDeclaration|CompactConstructorDeclaration|\n   FieldDeclaration|\n   ClassDeclaration|EnumDeclaration|AnnotationTypeDeclaration)\n  [@EffectiveVisibility != 'public']\n  [@Visibility = 'public']\n  [@Overridden = false() or not(@Overridden)]\n  [not(ancestor::ClassDeclaration[@Interface = true()] or ancestor::AnnotationTypeDeclaration)]\n(: Make sure, we return nodes that implement getName() for {0} in the rule message :)\n!(if (self::FieldDeclaration) then VariableDeclarator else .)",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "InstantiationToGetClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "CloneMethodMustBePublic",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "ExcessivePublicCount",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 비공개 타입의 public 멤버는 접근 수준 불일치이나 인터페이스 구현 시 필요할 수 있습니다"
+    "claude_comment": "선택 - 비공개 타입의 public 멤버는 접근 수준 불일치이나 인터페이스 구현 시 필요할 수 있습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "SignatureDeclareThrowsException",
@@ -2421,15 +7098,30 @@ const RULES_DATA =
     "examples": [
       "public void foo() throws Exception {\n}"
     ],
+    "related": [
+      {
+        "name": "AvoidUncheckedExceptionsInSignatures",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - throws Exception 선언은 호출자가 적절한 예외 처리를 할 수 없게 만듭니다"
+    "claude_comment": "권장 - throws Exception 선언은 호출자가 적절한 예외 처리를 할 수 없게 만듭니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "SimplifiedTernary",
     "category": "design",
     "categoryName": "설계",
     "since": "5.4.0",
-    "message": "이 조건 표현식은 || 또는 &amp;&amp;로 단순화할 수 있습니다",
+    "message": "이 조건 표현식은 || 또는 &&로 단순화할 수 있습니다",
     "ruleClass": "net.sourceforge.pmd.lang.rule.xpath.XPathRule",
     "externalInfoUrl": "https://docs.pmd-code.org/latest/pmd_rules_java_design.html#simplifiedternary",
     "description": "`condition ? literalBoolean : foo` 또는 `condition ? foo : literalBoolean` 형태의\n삼항 표현식을 보고합니다.\n\n이러한 표현식은 다음과 같이 단순화할 수 있습니다:\n* `condition ? true : expr`은 `condition || expr`로 단순화\n* `condition ? false : expr`은 `!condition && expr`로 단순화\n* `condition ? expr : true`은 `!condition || expr`로 단순화\n* `condition ? expr : false`은 `condition && expr`로 단순화",
@@ -2437,8 +7129,27 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    public boolean test() {\n        return condition ? true : something(); // can be as simple as return condition || something();\n    }\n\n    public void test2() {\n        final boolean value = condition ? false : something(); // can be as simple as value = !condition && something();\n    }\n\n    public boolean test3() {\n        return condition ? something() : true; // can be as simple as return !condition || something();\n    }\n\n    public void test4() {\n        final boolean otherValue = condition ? something() : false; // can be as simple as condition && something();\n    }\n\n    public boolean test5() {\n        return condition ? true : false; // can be as simple as return condition;\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//ConditionalExpression[BooleanLiteral and not(NullLiteral)]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "AvoidLiteralsInIfCondition",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 삼항 연산자 단순화는 마이너한 가독성 개선입니다"
+    "claude_comment": "선택 - 삼항 연산자 단순화는 마이너한 가독성 개선입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "SimplifyBooleanExpressions",
@@ -2453,8 +7164,27 @@ const RULES_DATA =
     "examples": [
       "public class Bar {\n  // can be simplified to\n  // bar = isFoo();\n  private boolean bar = (isFoo() == true);\n\n  public isFoo() { return false;}\n}"
     ],
+    "xpath": {
+      "expression": "//InfixExpression[@Operator = (\"==\", \"!=\")]/BooleanLiteral",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "SimplifyBooleanReturns",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.35
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 복잡한 boolean 표현식 단순화는 가독성과 유지보수성을 크게 향상시킵니다"
+    "claude_comment": "권장 - 복잡한 boolean 표현식 단순화는 가독성과 유지보수성을 크게 향상시킵니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "SimplifyBooleanReturns",
@@ -2469,8 +7199,42 @@ const RULES_DATA =
     "examples": [
       "public boolean isBarEqualTo(int x) {\n    if (bar == x) {      // this bit of code...\n        return true;\n    } else {\n        return false;\n    }\n}\n\npublic boolean isBarEqualTo(int x) {\n    return bar == x;    // can be replaced with this\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "public boolean isBarEqualTo(int x) {\n    if (bar == x) {      // this bit of code...\n        return true;\n    } else {\n        return false;\n    }\n}"
+        },
+        {
+          "kind": "good",
+          "code": "public boolean isBarEqualTo(int x) {\n    return bar == x;    // can be replaced with this\n}"
+        }
+      ]
+    ],
+    "related": [
+      {
+        "name": "SimplifyBooleanExpressions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.35
+      },
+      {
+        "name": "BooleanGetMethodName",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - if(cond) return true; else return false; 패턴은 return cond;로 단순화하세요"
+    "claude_comment": "권장 - if(cond) return true; else return false; 패턴은 return cond;로 단순화하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "SimplifyConditional",
@@ -2485,8 +7249,23 @@ const RULES_DATA =
     "examples": [
       "class Foo {\n  void bar(Object x) {\n    if (x != null && x instanceof Bar) {\n      // just drop the \"x != null\" check\n    }\n  }\n}"
     ],
+    "related": [
+      {
+        "name": "AvoidInstanceofChecksInCatchClause",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 조건문 단순화는 코드 이해도를 높이고 버그 발생 가능성을 줄입니다"
+    "claude_comment": "권장 - 조건문 단순화는 코드 이해도를 높이고 버그 발생 가능성을 줄입니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "SingularField",
@@ -2502,7 +7281,13 @@ const RULES_DATA =
       "public class Foo {\n    private int x; // this will be reported\n\n    public int foo(int y) {\n       x = y + 5; // assigned before any read\n       return x;\n    }\n\n    public int fooOk(int y) {\n       int z = y + 5; // might as well be a local like here\n       return z;\n    }\n}"
     ],
     "tier": 2,
-    "claude_comment": "권장 - 하나의 메서드에서만 사용되는 필드는 지역 변수로 변경하세요"
+    "claude_comment": "권장 - 하나의 메서드에서만 사용되는 필드는 지역 변수로 변경하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "SwitchDensity",
@@ -2517,8 +7302,44 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n  public void bar(int x) {\n    switch (x) {\n      case 1: {\n        // lots of statements\n        break;\n      } case 2: {\n        // lots of statements\n        break;\n      }\n    }\n  }\n}"
     ],
+    "related": [
+      {
+        "name": "NonCaseLabelInSwitch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.33
+      },
+      {
+        "name": "DefaultLabelNotLastInSwitch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.33
+      },
+      {
+        "name": "NonExhaustiveSwitch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "TooFewBranchesForSwitch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - switch 밀도 측정은 메트릭 기반 규칙이며 컨텍스트에 따라 다릅니다"
+    "claude_comment": "선택 - switch 밀도 측정은 메트릭 기반 규칙이며 컨텍스트에 따라 다릅니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "TooManyFields",
@@ -2537,11 +7358,33 @@ const RULES_DATA =
       {
         "name": "maxfields",
         "defaultValue": "15",
-        "description": "허용되는 최대 필드 수"
+        "description": "허용되는 최대 필드 수",
+        "type": "Integer",
+        "min": 1,
+        "max": 1000
+      }
+    ],
+    "xpath": {
+      "expression": "//ClassDeclaration/ClassBody\n  [count(FieldDeclaration\n            [not(pmd-java:modifiers() = 'final')]\n            [not(pmd-java:modifiers() = 'static')]\n        ) > $maxfields]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "TooManyMethods",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
       }
     ],
     "tier": 2,
-    "claude_comment": "권장 - 필드가 너무 많은 클래스는 분리가 필요하며 단일 책임 원칙을 위반합니다"
+    "claude_comment": "권장 - 필드가 너무 많은 클래스는 분리가 필요하며 단일 책임 원칙을 위반합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "TooManyMethods",
@@ -2558,11 +7401,33 @@ const RULES_DATA =
       {
         "name": "maxmethods",
         "defaultValue": "10",
-        "description": "메서드 수 보고 임계값"
+        "description": "메서드 수 보고 임계값",
+        "type": "Integer",
+        "min": 1,
+        "max": 1000
+      }
+    ],
+    "xpath": {
+      "expression": "//ClassDeclaration/ClassBody\n    [\n     count(MethodDeclaration[\n        not (\n               (starts-with(@Name,'get') or starts-with(@Name,'set') or starts-with(@Name,'is'))\n               and\n               count(Block/*) <= 1\n           )\n     ]) > $maxmethods\n  ]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "TooManyFields",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
       }
     ],
     "tier": 3,
-    "claude_comment": "선택 - 메서드 수 제한은 getter/setter 포함 시 거짓 양성이 많습니다"
+    "claude_comment": "선택 - 메서드 수 제한은 getter/setter 포함 시 거짓 양성이 많습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UselessOverridingMethod",
@@ -2577,8 +7442,35 @@ const RULES_DATA =
     "examples": [
       "public void foo(String bar) {\n    super.foo(bar);      // why bother overriding?\n}\n\npublic String foo() {\n    return super.foo();  // why bother overriding?\n}\n\n@Id\npublic Long getId() {\n    return super.getId();  // OK if 'ignoreAnnotations' is false, which is the default behavior\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "public void foo(String bar) {\n    super.foo(bar);      // why bother overriding?\n}\n\npublic String foo() {\n    return super.foo();  // why bother overriding?\n}"
+        },
+        {
+          "kind": "good",
+          "code": "@Id\npublic Long getId() {\n    return super.getId();  // OK if 'ignoreAnnotations' is false, which is the default behavior\n}"
+        }
+      ]
+    ],
+    "related": [
+      {
+        "name": "ConstructorCallsOverridableMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 부모 메서드를 그대로 호출하는 오버라이딩은 불필요한 코드입니다"
+    "claude_comment": "권장 - 부모 메서드를 그대로 호출하는 오버라이딩은 불필요한 코드입니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UseObjectForClearerAPI",
@@ -2593,8 +7485,27 @@ const RULES_DATA =
     "examples": [
       "public class MyClass {\n    public void connect(String username,\n        String pssd,\n        String databaseName,\n        String databaseAddress)\n        // Instead of those parameters object\n        // would ensure a cleaner API and permit\n        // to add extra data transparently (no code change):\n        // void connect(UserData data);\n    {\n\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//MethodDeclaration[pmd-java:modifiers() = 'public']\n    [count(FormalParameters/FormalParameter[pmd-java:typeIs('java.lang.String')]) > 3]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "UnsupportedJdkApiUsage",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 매개변수 객체화 제안은 유용하나 모든 경우에 적합하지 않습니다"
+    "claude_comment": "선택 - 매개변수 객체화 제안은 유용하나 모든 경우에 적합하지 않습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UseUtilityClass",
@@ -2609,8 +7520,51 @@ const RULES_DATA =
     "examples": [
       "public class MaybeAUtility {\n  public static void foo() {}\n  public static void bar() {}\n}"
     ],
+    "related": [
+      {
+        "name": "AbstractClassWithoutAnyMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.34
+      },
+      {
+        "name": "AbstractClassWithoutAbstractMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.32
+      },
+      {
+        "name": "ClassNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.31
+      },
+      {
+        "name": "MissingStaticMethodInNonInstantiatableClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "AccessorClassGeneration",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - static 메서드만 있는 클래스는 유틸리티 클래스로 만들어 인스턴스 생성을 방지하세요"
+    "claude_comment": "권장 - static 메서드만 있는 클래스는 유틸리티 클래스로 만들어 인스턴스 생성을 방지하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "CommentContent",
@@ -2626,7 +7580,13 @@ const RULES_DATA =
       "//OMG, this is horrible, Bob is an idiot !!!"
     ],
     "tier": 3,
-    "claude_comment": "선택 - 주석 내용 검사는 특정 단어 필터링으로 팀 정책에 따라 적용하세요"
+    "claude_comment": "선택 - 주석 내용 검사는 특정 단어 필터링으로 팀 정책에 따라 적용하세요",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "CommentRequired",
@@ -2641,8 +7601,30 @@ const RULES_DATA =
     "examples": [
       "/**\n*\n*\n* @author Jon Doe\n*/"
     ],
+    "related": [
+      {
+        "name": "CommentSize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "DanglingJavadoc",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 주석 필수화는 무의미한 주석을 양산할 수 있어 코드 자체가 문서가 되도록 작성하세요"
+    "claude_comment": "선택 - 주석 필수화는 무의미한 주석을 양산할 수 있어 코드 자체가 문서가 되도록 작성하세요",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "CommentSize",
@@ -2657,8 +7639,30 @@ const RULES_DATA =
     "examples": [
       "/**\n*\n*   too many lines!\n*\n*\n*\n*\n*\n*\n*\n*\n*\n*\n*\n*\n*/"
     ],
+    "related": [
+      {
+        "name": "UseCollectionIsEmpty",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "CommentRequired",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 주석 크기 제한은 팀 컨벤션에 따라 유연하게 설정하세요"
+    "claude_comment": "선택 - 주석 크기 제한은 팀 컨벤션에 따라 유연하게 설정하세요",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "DanglingJavadoc",
@@ -2673,8 +7677,44 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n  /**\n   * Public methods // wrong\n   */\n\n  /**\n   * A setter // OK\n   */\n   public void setFoo() {\n\n   }\n\n}"
     ],
+    "related": [
+      {
+        "name": "UncommentedEmptyConstructor",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "UncommentedEmptyMethodBody",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "CommentRequired",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "CommentDefaultAccessModifier",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 대상 없는 Javadoc 주석은 정리하는 것이 좋으나 마이너 이슈입니다"
+    "claude_comment": "선택 - 대상 없는 Javadoc 주석은 정리하는 것이 좋으나 마이너 이슈입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UncommentedEmptyConstructor",
@@ -2693,11 +7733,52 @@ const RULES_DATA =
       {
         "name": "ignoreExplicitConstructorInvocation",
         "defaultValue": "false",
-        "description": "빈 생성자 여부를 판단할 때 명시적 생성자 호출을 무시할지 설정합니다"
+        "description": "빈 생성자 여부를 판단할 때 명시적 생성자 호출을 무시할지 설정합니다",
+        "type": "Boolean"
+      }
+    ],
+    "xpath": {
+      "expression": "//ConstructorDeclaration[@Visibility != \"private\"]\n                        [not(\n                               pmd-java:hasAnnotation('javax.inject.Inject')\n                            or pmd-java:hasAnnotation('org.springframework.beans.factory.annotation.Autowired')\n                        )]\n                        [Block[\n                            @containsComment = false()\n                            and (count(*) = 0 or ($ignoreExplicitConstructorInvocation = true() and count(*) = 1 and ExplicitConstructorInvocation))\n                        ]]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "UncommentedEmptyMethodBody",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.67
+      },
+      {
+        "name": "UnnecessaryConstructor",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.32
+      },
+      {
+        "name": "DanglingJavadoc",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "CallSuperInConstructor",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
       }
     ],
     "tier": 3,
-    "claude_comment": "선택 - 빈 생성자에 주석을 다는 것은 좋은 관행이나 강제할 필요는 없습니다"
+    "claude_comment": "선택 - 빈 생성자에 주석을 다는 것은 좋은 관행이나 강제할 필요는 없습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UncommentedEmptyMethodBody",
@@ -2712,8 +7793,34 @@ const RULES_DATA =
     "examples": [
       "public void doSomething() {\n}"
     ],
+    "xpath": {
+      "expression": "//MethodDeclaration/Block[count(*) = 0 and @containsComment = false()]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "UncommentedEmptyConstructor",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.67
+      },
+      {
+        "name": "DanglingJavadoc",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 빈 메서드 바디는 의도적임을 주석으로 명시하지 않으면 실수로 오인될 수 있습니다"
+    "claude_comment": "권장 - 빈 메서드 바디는 의도적임을 주석으로 명시하지 않으면 실수로 오인될 수 있습니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "ConstructorCallsOverridableMethod",
@@ -2728,8 +7835,51 @@ const RULES_DATA =
     "examples": [
       "public class SeniorClass {\n  public SeniorClass(){\n      toString(); //may throw NullPointerException if overridden\n  }\n  public String toString(){\n    return \"IAmSeniorClass\";\n  }\n}\npublic class JuniorClass extends SeniorClass {\n  private String name;\n  public JuniorClass(){\n    super(); //Automatic call leads to NullPointerException\n    name = \"JuniorClass\";\n  }\n  public String toString(){\n    return name.toUpperCase();\n  }\n}"
     ],
+    "related": [
+      {
+        "name": "MissingOverride",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "UselessOverridingMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "OverrideBothEqualsAndHashcode",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "OverrideBothEqualsAndHashCodeOnComparable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "FinalizeShouldBeProtected",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 생성자에서 오버라이드 가능한 메서드 호출은 초기화 오류와 NPE를 유발합니다"
+    "claude_comment": "필수 - 생성자에서 오버라이드 가능한 메서드 호출은 초기화 오류와 NPE를 유발합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "EqualsNull",
@@ -2744,8 +7894,74 @@ const RULES_DATA =
     "examples": [
       "String x = \"foo\";\n\nif (x.equals(null)) {   // bad form\n    doSomething();\n}\n\nif (x == null) {        // preferred\n    doSomething();\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "String x = \"foo\";\n\nif (x.equals(null)) {   // bad form\n    doSomething();\n}"
+        },
+        {
+          "kind": "good",
+          "code": "if (x == null) {        // preferred\n    doSomething();\n}"
+        }
+      ]
+    ],
+    "xpath": {
+      "expression": "//MethodCall[@MethodName = \"equals\" and ArgumentList[count(*) = 1 and NullLiteral]]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "UnusedNullCheckInEquals",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.49
+      },
+      {
+        "name": "UseEqualsToCompareStrings",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.36
+      },
+      {
+        "name": "CompareObjectsWithEquals",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.33
+      },
+      {
+        "name": "SuspiciousEqualsMethodName",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.31
+      },
+      {
+        "name": "OverrideBothEqualsAndHashCodeOnComparable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      },
+      {
+        "name": "EnumComparison",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - x.equals(null) 대신 x == null을 사용하세요. equals(null)은 항상 false이며 NPE 위험이 있습니다"
+    "claude_comment": "필수 - x.equals(null) 대신 x == null을 사용하세요. equals(null)은 항상 false이며 NPE 위험이 있습니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "ReturnEmptyCollectionRatherThanNull",
@@ -2760,8 +7976,41 @@ const RULES_DATA =
     "examples": [
       "public class Example {\n    // Not a good idea...\n    public int[] badBehavior() {\n        // ...\n        return null;\n    }\n\n    // Good behavior\n    public String[] bonnePratique() {\n        //...\n        return new String[0];\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//ReturnStatement/NullLiteral\n[ancestor::MethodDeclaration[1]\n    [ArrayType\n     or ClassType[pmd-java:typeIs('java.util.Collection')\n        or pmd-java:typeIs('java.util.Map')]]\n]\n[not(./ancestor::LambdaExpression)]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "MisplacedNullCheck",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "EqualsNull",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "CollectionTypeMismatch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - null 대신 빈 컬렉션 반환으로 호출자의 NPE를 방지하세요"
+    "claude_comment": "필수 - null 대신 빈 컬렉션 반환으로 호출자의 NPE를 방지하세요",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "AvoidAssertAsIdentifier",
@@ -2776,9 +8025,35 @@ const RULES_DATA =
     "examples": [
       "public class A {\n    public class Foo {\n        String assert = \"foo\";\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//VariableId[@Name='assert']",
+      "version": "3.1"
+    },
     "maxLanguageVersion": "1.3",
+    "related": [
+      {
+        "name": "AvoidEnumAsIdentifier",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.83
+      },
+      {
+        "name": "UnitTestShouldIncludeAssert",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - assert는 Java 예약어이므로 식별자로 사용하면 호환성 문제가 발생합니다"
+    "claude_comment": "권장 - assert는 Java 예약어이므로 식별자로 사용하면 호환성 문제가 발생합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "AvoidBranchingStatementAsLastInLoop",
@@ -2793,8 +8068,23 @@ const RULES_DATA =
     "examples": [
       "// unusual use of branching statement in a loop\nfor (int i = 0; i < 10; i++) {\n    if (i*i <= 25) {\n        continue;\n    }\n    break;\n}\n\n// this makes more sense...\nfor (int i = 0; i < 10; i++) {\n    if (i*i > 25) {\n        break;\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "AvoidMultipleUnaryOperators",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 루프 마지막의 break/continue는 논리 오류의 징후일 가능성이 높습니다"
+    "claude_comment": "권장 - 루프 마지막의 break/continue는 논리 오류의 징후일 가능성이 높습니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "AvoidEnumAsIdentifier",
@@ -2809,9 +8099,28 @@ const RULES_DATA =
     "examples": [
       "public class A {\n    public class Foo {\n        String enum = \"foo\";\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//VariableId[@Name='enum']",
+      "version": "3.1"
+    },
     "maxLanguageVersion": "1.4",
+    "related": [
+      {
+        "name": "AvoidAssertAsIdentifier",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.83
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - enum은 Java 예약어이므로 식별자로 사용하면 호환성 문제가 발생합니다"
+    "claude_comment": "권장 - enum은 Java 예약어이므로 식별자로 사용하면 호환성 문제가 발생합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "AvoidLosingExceptionInformation",
@@ -2826,8 +8135,34 @@ const RULES_DATA =
     "examples": [
       "public void bar() {\n    try {\n        // do something\n    } catch (SomeException se) {\n        se.getMessage();\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//CatchClause/Block//ExpressionStatement/MethodCall[\n    pmd-java:matchesSig(\"java.lang.Throwable#getMessage()\")\n    or pmd-java:matchesSig(\"java.lang.Throwable#getLocalizedMessage()\")\n    or pmd-java:matchesSig(\"java.lang.Throwable#getCause()\")\n    or pmd-java:matchesSig(\"java.lang.Throwable#getStackTrace()\")\n    or pmd-java:matchesSig(\"java.lang.Object#toString()\")\n]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "UselessPureMethodCall",
+        "reasons": [
+          "mentions"
+        ],
+        "score": 3
+      },
+      {
+        "name": "AvoidCatchingNPE",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 예외 정보 손실은 장애 분석을 불가능하게 만듭니다. 원인 예외를 항상 포함하세요"
+    "claude_comment": "필수 - 예외 정보 손실은 장애 분석을 불가능하게 만듭니다. 원인 예외를 항상 포함하세요",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "AvoidMultipleUnaryOperators",
@@ -2842,8 +8177,46 @@ const RULES_DATA =
     "examples": [
       "// These are typo bugs, or at best needlessly complex and confusing:\nint i = - -1;\nint j = + - +1;\nint z = ~~2;\nboolean b = !!true;\nboolean c = !!!true;\n\n// These are better:\nint i = 1;\nint j = -1;\nint z = 2;\nboolean b = true;\nboolean c = false;\n\n// And these just make your brain hurt:\nint i = ~-2;\nint j = -~7;"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "// These are typo bugs, or at best needlessly complex and confusing:\nint i = - -1;\nint j = + - +1;\nint z = ~~2;\nboolean b = !!true;\nboolean c = !!!true;"
+        },
+        {
+          "kind": "good",
+          "code": "// These are better:\nint i = 1;\nint j = -1;\nint z = 2;\nboolean b = true;\nboolean c = false;\n\n// And these just make your brain hurt:\nint i = ~-2;\nint j = -~7;"
+        }
+      ]
+    ],
+    "xpath": {
+      "expression": "(: Only report on the toplevel one :)\n//UnaryExpression[UnaryExpression and not(parent::UnaryExpression)]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "AvoidBranchingStatementAsLastInLoop",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "LogicInversion",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 다중 단항 연산자(!!x, ~~y)는 가독성을 심각하게 해치며 버그 유발 가능성이 높습니다"
+    "claude_comment": "권장 - 다중 단항 연산자(!!x, ~~y)는 가독성을 심각하게 해치며 버그 유발 가능성이 높습니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "BrokenNullCheck",
@@ -2853,13 +8226,28 @@ const RULES_DATA =
     "message": "이 표현식은 NullPointerException을 던질 것입니다",
     "ruleClass": "net.sourceforge.pmd.lang.java.rule.errorprone.BrokenNullCheckRule",
     "externalInfoUrl": "https://docs.pmd-code.org/latest/pmd_rules_java_errorprone.html#brokennullcheck",
-    "description": "null 검사가 깨져 있어 자체적으로 NullPointerException을 던질 것입니다.\n|| 대신 &amp;&amp;를 사용하거나 그 반대일 가능성이 높습니다.",
+    "description": "null 검사가 깨져 있어 자체적으로 NullPointerException을 던질 것입니다.\n|| 대신 &&를 사용하거나 그 반대일 가능성이 높습니다.",
     "priority": 2,
     "examples": [
       "public String bar(String string) {\n  // should be &&\n    if (string!=null || !string.equals(\"\"))\n        return string;\n  // should be ||\n    if (string==null && string.equals(\"\"))\n        return string;\n}"
     ],
+    "related": [
+      {
+        "name": "MisplacedNullCheck",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.35
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 잘못된 null 체크(&&와 || 혼동)는 NPE를 직접 유발하는 버그입니다"
+    "claude_comment": "필수 - 잘못된 null 체크(&&와 || 혼동)는 NPE를 직접 유발하는 버그입니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "DoNotCallGarbageCollectionExplicitly",
@@ -2874,8 +8262,27 @@ const RULES_DATA =
     "examples": [
       "public class GCCall {\n    public GCCall() {\n        // Explicit gc call !\n        System.gc();\n    }\n\n    public void doSomething() {\n        // Explicit gc call !\n        Runtime.getRuntime().gc();\n    }\n\n    public explicitGCcall() {\n        // Explicit gc call !\n        System.gc();\n    }\n\n    public void doSomething() {\n        // Explicit gc call !\n        Runtime.getRuntime().gc();\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//MethodCall[\n       pmd-java:matchesSig(\"java.lang.System#gc()\")\n    or pmd-java:matchesSig(\"java.lang.Runtime#gc()\")\n    or pmd-java:matchesSig(\"java.lang.System#runFinalization()\")\n    or pmd-java:matchesSig(\"java.lang.Runtime#runFinalization()\")\n]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "DoNotTerminateVM",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - System.gc() 명시적 호출은 성능을 저하시키며 JVM에 맡겨야 합니다"
+    "claude_comment": "권장 - System.gc() 명시적 호출은 성능을 저하시키며 JVM에 맡겨야 합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "MoreThanOneLogger",
@@ -2890,8 +8297,27 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    Logger log = Logger.getLogger(Foo.class.getName());\n    // It is very rare to see two loggers on a class, normally\n    // log information is multiplexed by levels\n    Logger log2= Logger.getLogger(Foo.class.getName());\n}"
     ],
+    "xpath": {
+      "expression": "//ClassDeclaration[\n  count(\n    ClassBody/FieldDeclaration/ClassType[\n      pmd-java:typeIs(\"org.apache.log4j.Logger\") or\n      pmd-java:typeIs(\"org.apache.logging.log4j.Logger\") or\n      pmd-java:typeIs(\"java.util.logging.Logger\") or\n      pmd-java:typeIs(\"org.slf4j.Logger\")\n    ]\n  ) > 1\n]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "ProperLogger",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 다중 로거 사용은 특수한 경우 필요할 수 있어 컨텍스트에 따라 판단하세요"
+    "claude_comment": "선택 - 다중 로거 사용은 특수한 경우 필요할 수 있어 컨텍스트에 따라 판단하세요",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "ProperCloneImplementation",
@@ -2906,8 +8332,37 @@ const RULES_DATA =
     "examples": [
       "class Foo{\n    public Object clone(){\n        return new Foo(); // This is bad\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "CloneMethodReturnTypeMustMatchClassName",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.48
+      },
+      {
+        "name": "CloneMethodMustBePublic",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.47
+      },
+      {
+        "name": "CloneMethodMustImplementCloneable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.41
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - clone() 구현 시 super.clone() 호출은 올바른 클론 체인을 보장합니다"
+    "claude_comment": "권장 - clone() 구현 시 super.clone() 호출은 올바른 클론 체인을 보장합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "SingleMethodSingleton",
@@ -2922,8 +8377,23 @@ const RULES_DATA =
     "examples": [
       "public class Singleton {\n\n    private static Singleton singleton = new Singleton( );\n\n    private Singleton(){ }\n\n    public static Singleton getInstance( ) {\n        return singleton;\n    }\n\n    public static Singleton getInstance(Object obj){\n        Singleton singleton = (Singleton) obj;\n        return singleton;           //violation\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "SingletonClassReturningNewInstance",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 싱글톤 패턴에서 단일 메서드 접근 보장은 인스턴스 일관성에 중요합니다"
+    "claude_comment": "권장 - 싱글톤 패턴에서 단일 메서드 접근 보장은 인스턴스 일관성에 중요합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "SingletonClassReturningNewInstance",
@@ -2938,8 +8408,37 @@ const RULES_DATA =
     "examples": [
       "class Singleton {\n    private static Singleton instance = null;\n    public static Singleton getInstance() {\n        synchronized(Singleton.class) {\n            return new Singleton(); // this should be assigned to the field\n        }\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "SingleMethodSingleton",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "NonThreadSafeSingleton",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "AvoidMessageDigestField",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 싱글톤에서 새 인스턴스 반환은 싱글톤 계약을 위반하는 심각한 버그입니다"
+    "claude_comment": "필수 - 싱글톤에서 새 인스턴스 반환은 싱글톤 계약을 위반하는 심각한 버그입니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "SuspiciousEqualsMethodName",
@@ -2954,8 +8453,62 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n   public int equals(Object o) {\n     // oops, this probably was supposed to be boolean equals\n   }\n   public boolean equals(String s) {\n     // oops, this probably was supposed to be equals(Object)\n   }\n   public boolean equals(Object o1, Object o2) {\n     // oops, this probably was supposed to be equals(Object)\n   }\n}"
     ],
+    "xpath": {
+      "expression": "//MethodDeclaration[@Name = 'equals'][\n    (@Arity = 1\n     and not(FormalParameters/FormalParameter[pmd-java:typeIsExactly('java.lang.Object')])\n     or not(PrimitiveType[@Kind = 'boolean'])\n    ) or (\n     @Arity = 2\n     and PrimitiveType[@Kind = 'boolean']\n     and FormalParameters/FormalParameter[pmd-java:typeIsExactly('java.lang.Object')]\n     and not(pmd-java:hasAnnotation('java.lang.Override'))\n    )\n]\n| //MethodDeclaration[@Name = 'equal'][\n    @Arity = 1\n    and FormalParameters/FormalParameter[pmd-java:typeIsExactly('java.lang.Object')]\n]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "SuspiciousHashcodeMethodName",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.4
+      },
+      {
+        "name": "EqualsNull",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.31
+      },
+      {
+        "name": "UnusedNullCheckInEquals",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "OverrideBothEqualsAndHashCodeOnComparable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "OverrideBothEqualsAndHashcode",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "UseEqualsToCompareStrings",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - equals 메서드명 오타(equal, Equals 등)는 동등성 비교가 실패하는 심각한 버그를 유발합니다"
+    "claude_comment": "필수 - equals 메서드명 오타(equal, Equals 등)는 동등성 비교가 실패하는 심각한 버그를 유발합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "AssignmentInOperand",
@@ -2970,8 +8523,23 @@ const RULES_DATA =
     "examples": [
       "public void bar() {\n    int x = 2;\n    if ((x = getX()) == 3) {\n      System.out.println(\"3!\");\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "LogicInversion",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 조건문 내 할당은 비교(==)와 혼동되기 쉬운 일반적인 실수입니다"
+    "claude_comment": "권장 - 조건문 내 할당은 비교(==)와 혼동되기 쉬운 일반적인 실수입니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "AssignmentToNonFinalStatic",
@@ -2986,8 +8554,52 @@ const RULES_DATA =
     "examples": [
       "public class StaticField {\n   static int x;\n   public FinalFields(int y) {\n    x = y; // unsafe\n   }\n}"
     ],
+    "related": [
+      {
+        "name": "MutableStaticState",
+        "reasons": [
+          "mentionedBy",
+          "similar"
+        ],
+        "score": 3.32
+      },
+      {
+        "name": "FinalFieldCouldBeStatic",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.35
+      },
+      {
+        "name": "StaticEJBFieldShouldBeFinal",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "ImmutableField",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "MissingStaticMethodInNonInstantiatableClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 비final static 변수에 대한 할당은 스레드 안전성 문제를 유발합니다"
+    "claude_comment": "필수 - 비final static 변수에 대한 할당은 스레드 안전성 문제를 유발합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "AvoidAccessibilityAlteration",
@@ -3002,8 +8614,27 @@ const RULES_DATA =
     "examples": [
       "import java.lang.reflect.Constructor;\nimport java.lang.reflect.Field;\nimport java.lang.reflect.Method;\nimport java.security.AccessController;\nimport java.security.PrivilegedAction;\n\npublic class Violation {\n    private void invalidSetAccessCalls() throws NoSuchMethodException, SecurityException {\n        Constructor<?> constructor = this.getClass().getDeclaredConstructor(String.class);\n        // call to forbidden setAccessible\n        constructor.setAccessible(true);\n\n        Method privateMethod = this.getClass().getDeclaredMethod(\"aPrivateMethod\");\n        // call to forbidden setAccessible\n        privateMethod.setAccessible(true);\n\n        // deliberate accessibility alteration\n        String privateField = AccessController.doPrivileged(new PrivilegedAction<String>() {\n            @Override\n            public String run() {\n                try {\n                    Field field = Violation.class.getDeclaredField(\"aPrivateField\");\n                    field.setAccessible(true);\n                    return (String) field.get(null);\n                } catch (ReflectiveOperationException | SecurityException e) {\n                    throw new RuntimeException(e);\n                }\n            }\n        });\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//MethodCall[\n          pmd-java:matchesSig(\"java.lang.reflect.AccessibleObject#setAccessible(boolean)\")\n       or pmd-java:matchesSig(\"_#setAccessible(java.lang.reflect.AccessibleObject[],boolean)\")\n    ]\n    [not(ArgumentList/BooleanLiteral[@True = false()])]\n    (: exclude anonymous privileged action classes :)\n    [not(ancestor::ConstructorCall[1][pmd-java:typeIs('java.security.PrivilegedAction')]/AnonymousClassDeclaration)]\n    (: exclude inner privileged action classes :)\n    [not(ancestor::ClassDeclaration[1][pmd-java:typeIs('java.security.PrivilegedAction')])]\n    (: exclude privileged action lambdas :)\n    [not(ancestor::LambdaExpression[pmd-java:typeIs('java.security.PrivilegedAction')])]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "AccessorMethodGeneration",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 리플렉션으로 접근성을 변경하면 캡슐화와 보안이 깨집니다"
+    "claude_comment": "필수 - 리플렉션으로 접근성을 변경하면 캡슐화와 보안이 깨집니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "AvoidCallingFinalize",
@@ -3018,8 +8649,55 @@ const RULES_DATA =
     "examples": [
       "void foo() {\n    Bar b = new Bar();\n    b.finalize();\n}"
     ],
+    "xpath": {
+      "expression": "//MethodCall[pmd-java:matchesSig(\"java.lang.Object#finalize()\")]\n    (: it's ok inside finalize :)\n    [not(SuperExpression and ancestor::*[self::MethodDeclaration or self::Initializer][1][@Name = 'finalize'][@Arity = 0][VoidType])]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "FinalizeDoesNotCallSuperFinalize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.53
+      },
+      {
+        "name": "FinalizeOnlyCallsSuperFinalize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.52
+      },
+      {
+        "name": "FinalizeOverloaded",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.49
+      },
+      {
+        "name": "EmptyFinalizer",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.47
+      },
+      {
+        "name": "FinalizeShouldBeProtected",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.43
+      }
+    ],
     "tier": "skip",
-    "claude_comment": "스킵 - finalize()는 Java 9에서 deprecated되었으며 현대 Java에서는 사용하지 않습니다"
+    "claude_comment": "스킵 - finalize()는 Java 9에서 deprecated되었으며 현대 Java에서는 사용하지 않습니다",
+    "tiers": {
+      "default": "skip",
+      "android": "skip",
+      "backend": "skip",
+      "batch": "skip"
+    }
   },
   {
     "name": "AvoidCatchingGenericException",
@@ -3038,11 +8716,53 @@ const RULES_DATA =
       {
         "name": "typesThatShouldNotBeCaught",
         "defaultValue": "java.lang.NullPointerException,\n                    java.lang.Exception,\n                    java.lang.RuntimeException,\n                    java.lang.Throwable,\n                    java.lang.Error",
-        "description": "catch 절에서 사용될 경우 위반을 트리거하는 정규화된 타입 이름 목록입니다."
+        "description": "catch 절에서 사용될 경우 위반을 트리거하는 정규화된 타입 이름 목록입니다.",
+        "type": "List[String]"
+      }
+    ],
+    "xpath": {
+      "expression": "//CatchParameter//ClassType[\n    some $type in $typesThatShouldNotBeCaught\n    satisfies pmd-java:typeIsExactly($type)]",
+      "version": "3.1"
+    },
+    "aliases": [
+      {
+        "name": "AvoidCatchingGenericException",
+        "category": "design",
+        "deprecated": true
+      }
+    ],
+    "related": [
+      {
+        "name": "AvoidCatchingThrowable",
+        "reasons": [
+          "mentionedBy",
+          "similar"
+        ],
+        "score": 3.23
+      },
+      {
+        "name": "AvoidCatchingNPE",
+        "reasons": [
+          "mentionedBy"
+        ],
+        "score": 3
+      },
+      {
+        "name": "EmptyCatchBlock",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
       }
     ],
     "tier": 2,
-    "claude_comment": "권장 - catch(Exception e)는 예기치 않은 예외까지 삼키므로 구체적 예외를 캐치하세요"
+    "claude_comment": "권장 - catch(Exception e)는 예기치 않은 예외까지 삼키므로 구체적 예외를 캐치하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "AvoidCatchingNPE",
@@ -3057,8 +8777,41 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    void bar() {\n        try {\n            // do something\n        } catch (NullPointerException npe) {\n        }\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//CatchClause/CatchParameter/ClassType[pmd-java:typeIsExactly('java.lang.NullPointerException')]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "AvoidCatchingGenericException",
+        "reasons": [
+          "mentions"
+        ],
+        "score": 3
+      },
+      {
+        "name": "AvoidCatchingThrowable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.47
+      },
+      {
+        "name": "AvoidLosingExceptionInformation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - NPE를 catch하는 것은 null 체크로 방지해야 할 버그를 숨기는 행위입니다"
+    "claude_comment": "필수 - NPE를 catch하는 것은 null 체크로 방지해야 할 버그를 숨기는 행위입니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "AvoidCatchingThrowable",
@@ -3073,8 +8826,42 @@ const RULES_DATA =
     "examples": [
       "public void bar() {\n    try {\n        // do something\n    } catch (Throwable th) {  // should not catch Throwable\n        th.printStackTrace();\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//CatchParameter[ClassType[pmd-java:typeIsExactly('java.lang.Throwable')]]/VariableId",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "AvoidCatchingGenericException",
+        "reasons": [
+          "mentions",
+          "similar"
+        ],
+        "score": 3.23
+      },
+      {
+        "name": "AvoidCatchingNPE",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.47
+      },
+      {
+        "name": "DoNotExtendJavaLangThrowable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - Throwable catch는 Error까지 잡아 시스템 안정성을 해칩니다"
+    "claude_comment": "필수 - Throwable catch는 Error까지 잡아 시스템 안정성을 해칩니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "AvoidDecimalLiteralsInBigDecimalConstructor",
@@ -3089,8 +8876,30 @@ const RULES_DATA =
     "examples": [
       "BigDecimal bd = new BigDecimal(1.123);       // loss of precision, this would trigger the rule\n\nBigDecimal bd = new BigDecimal(\"1.123\");     // preferred approach\n\nBigDecimal bd = new BigDecimal(12);          // preferred approach, ok for integer values"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "BigDecimal bd = new BigDecimal(1.123);       // loss of precision, this would trigger the rule"
+        },
+        {
+          "kind": "good",
+          "code": "BigDecimal bd = new BigDecimal(\"1.123\");     // preferred approach\n\nBigDecimal bd = new BigDecimal(12);          // preferred approach, ok for integer values"
+        }
+      ]
+    ],
+    "xpath": {
+      "expression": "//ConstructorCall[pmd-java:matchesSig('java.math.BigDecimal#new(double)')]",
+      "version": "3.1"
+    },
     "tier": 1,
-    "claude_comment": "필수 - new BigDecimal(0.1)은 정밀도 문제가 있습니다. BigDecimal.valueOf() 또는 문자열 생성자를 사용하세요"
+    "claude_comment": "필수 - new BigDecimal(0.1)은 정밀도 문제가 있습니다. BigDecimal.valueOf() 또는 문자열 생성자를 사용하세요",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "AvoidDuplicateLiterals",
@@ -3105,8 +8914,44 @@ const RULES_DATA =
     "examples": [
       "private void bar() {\n     buz(\"Howdy\");\n     buz(\"Howdy\");\n     buz(\"Howdy\");\n     buz(\"Howdy\");\n}\nprivate void buz(String x) {}"
     ],
+    "related": [
+      {
+        "name": "LiteralsFirstInComparisons",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.32
+      },
+      {
+        "name": "ConsecutiveLiteralAppends",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "AddEmptyString",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "AvoidLiteralsInIfCondition",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 중복 리터럴은 상수로 추출하여 유지보수성을 높이세요"
+    "claude_comment": "권장 - 중복 리터럴은 상수로 추출하여 유지보수성을 높이세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "AvoidFieldNameMatchingMethodName",
@@ -3121,8 +8966,34 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    Object bar;\n    // bar is data or an action or both?\n    void bar() {\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//FieldDeclaration/VariableDeclarator/VariableId\n    [some $method in ../../..[self::ClassBody or self::EnumBody]/MethodDeclaration\n     satisfies lower-case(@Name) = lower-case($method/@Name)]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "AvoidFieldNameMatchingTypeName",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.37
+      },
+      {
+        "name": "MethodWithSameNameAsEnclosingClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 필드명과 메서드명이 같으면 코드 이해에 혼란을 줍니다"
+    "claude_comment": "권장 - 필드명과 메서드명이 같으면 코드 이해에 혼란을 줍니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "AvoidFieldNameMatchingTypeName",
@@ -3137,8 +9008,27 @@ const RULES_DATA =
     "examples": [
       "public class Foo extends Bar {\n    int foo;    // There is probably a better name that can be used\n}\npublic interface Operation {\n    int OPERATION = 1; // There is probably a better name that can be used\n}"
     ],
+    "xpath": {
+      "expression": "//FieldDeclaration/VariableDeclarator/VariableId\n    [lower-case(@Name) = lower-case(ancestor::ClassDeclaration[1]/@SimpleName)]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "AvoidFieldNameMatchingMethodName",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.37
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 필드명과 타입명이 같으면 코드 가독성이 저하됩니다"
+    "claude_comment": "권장 - 필드명과 타입명이 같으면 코드 가독성이 저하됩니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "AvoidInstanceofChecksInCatchClause",
@@ -3153,8 +9043,53 @@ const RULES_DATA =
     "examples": [
       "try { // Avoid this\n    // do something\n} catch (Exception ee) {\n    if (ee instanceof IOException) {\n        cleanup();\n    }\n}\n\ntry {  // Prefer this:\n    // do something\n} catch (IOException ee) {\n    cleanup();\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "try { // Avoid this\n    // do something\n} catch (Exception ee) {\n    if (ee instanceof IOException) {\n        cleanup();\n    }\n}"
+        },
+        {
+          "kind": "good",
+          "code": "try {  // Prefer this:\n    // do something\n} catch (IOException ee) {\n    cleanup();\n}"
+        }
+      ]
+    ],
+    "xpath": {
+      "expression": "//CatchParameter\n    /following-sibling::Block//InfixExpression[@Operator = 'instanceof']\n        /VariableAccess[@Name = ./ancestor::Block/preceding-sibling::CatchParameter/@Name]\n            /following-sibling::TypeExpression/*",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "EmptyCatchBlock",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      },
+      {
+        "name": "SimplifyConditional",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "AvoidReassigningCatchVariables",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - catch에서 instanceof 대신 multi-catch 사용은 좋으나 레거시 호환 시 필요할 수 있습니다"
+    "claude_comment": "선택 - catch에서 instanceof 대신 multi-catch 사용은 좋으나 레거시 호환 시 필요할 수 있습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "AvoidLiteralsInIfCondition",
@@ -3173,11 +9108,51 @@ const RULES_DATA =
       {
         "name": "ignoreMagicNumbers",
         "defaultValue": "-1,0",
-        "description": "무시해야 할 매직 넘버의 쉼표로 구분된 목록"
+        "description": "무시해야 할 매직 넘버의 쉼표로 구분된 목록",
+        "type": "String"
+      },
+      {
+        "name": "ignoreExpressions",
+        "defaultValue": "true",
+        "description": "true이면 단순 if 조건의 리터럴만 고려됩니다. 그렇지 않으면 표현식의 리터럴도 검사됩니다.",
+        "type": "Boolean"
+      }
+    ],
+    "xpath": {
+      "expression": "(: simple case - no deep expressions - this is always executed :)\n//IfStatement/*[1]/*[pmd-java:nodeIs('Literal')]\n    [not(pmd-java:nodeIs('NullLiteral'))]\n    [not(pmd-java:nodeIs('BooleanLiteral'))]\n    [empty(index-of(tokenize($ignoreMagicNumbers, '\\s*,\\s*'), @Image))]\n|\n(: consider also deeper expressions :)\n//IfStatement[$ignoreExpressions = false()]/*[1]//*[not(self::UnaryExpression[@Operator = '-'])]/*[pmd-java:nodeIs('Literal')]\n    [not(pmd-java:nodeIs('NullLiteral'))]\n    [not(pmd-java:nodeIs('BooleanLiteral'))]\n    [empty(index-of(tokenize($ignoreMagicNumbers, '\\s*,\\s*'), @Image))]\n|\n(: consider negative literals :)\n//IfStatement[$ignoreExpressions = false()]/*[1]//UnaryExpression[@Operator = '-']/*[pmd-java:nodeIs('Literal')]\n    [not(pmd-java:nodeIs('NullLiteral'))]\n    [not(pmd-java:nodeIs('BooleanLiteral'))]\n    [empty(index-of(tokenize($ignoreMagicNumbers, '\\s*,\\s*'), concat('-', @Image)))]\n|\n(: consider multiple literals in expressions :)\n//IfStatement[$ignoreExpressions = false()]/*[1][count(*[pmd-java:nodeIs('Literal')]\n    [not(pmd-java:nodeIs('NullLiteral'))]\n    [not(pmd-java:nodeIs('BooleanLiteral'))]) > 1]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "AvoidDuplicateLiterals",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      },
+      {
+        "name": "LiteralsFirstInComparisons",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      },
+      {
+        "name": "SimplifiedTernary",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
       }
     ],
     "tier": 3,
-    "claude_comment": "선택 - if 조건의 리터럴 사용 금지는 -1, 0, 1 등에서 거짓 양성이 많습니다"
+    "claude_comment": "선택 - if 조건의 리터럴 사용 금지는 -1, 0, 1 등에서 거짓 양성이 많습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "AvoidUsingOctalValues",
@@ -3192,8 +9167,35 @@ const RULES_DATA =
     "examples": [
       "// Bad: These look like decimal but are actually octal\nint timeout = 060;     // Actually 48 in decimal, not 60!\nint count = 012;       // Actually 10 in decimal, not 12!\n\n// Good: Use decimal literals\nint timeout = 60;      // Clear decimal value\nint count = 12;        // Clear decimal value\n\n// Good: Use explicit prefixes for other bases\nint hexValue = 0xFF;   // Clearly hexadecimal\nint binaryValue = 0b1010; // Clearly binary (Java 7+)"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "// Bad: These look like decimal but are actually octal\nint timeout = 060;     // Actually 48 in decimal, not 60!\nint count = 012;       // Actually 10 in decimal, not 12!"
+        },
+        {
+          "kind": "good",
+          "code": "// Good: Use decimal literals\nint timeout = 60;      // Clear decimal value\nint count = 12;        // Clear decimal value\n\n// Good: Use explicit prefixes for other bases\nint hexValue = 0xFF;   // Clearly hexadecimal\nint binaryValue = 0b1010; // Clearly binary (Java 7+)"
+        }
+      ]
+    ],
+    "related": [
+      {
+        "name": "SuspiciousOctalEscape",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.34
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 8진수 리터럴(0으로 시작)은 의도치 않은 값을 생성하는 흔한 실수입니다"
+    "claude_comment": "필수 - 8진수 리터럴(0으로 시작)은 의도치 않은 값을 생성하는 흔한 실수입니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "CallSuperFirst",
@@ -3208,8 +9210,48 @@ const RULES_DATA =
     "examples": [
       "import android.app.Activity;\nimport android.os.Bundle;\n\npublic class DummyActivity extends Activity {\n    public void onCreate(Bundle bundle) {\n        // missing call to super.onCreate(bundle)\n        foo();\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//ClassDeclaration\n    [\n      pmd-java:typeIs('android.app.Activity') or\n      pmd-java:typeIs('android.app.Application') or\n      pmd-java:typeIs('android.app.Service')\n    ]\n    //MethodDeclaration\n    [\n      @Name=('onCreate', 'onConfigurationChanged', 'onPostCreate', 'onPostResume', 'onRestart',\n             'onRestoreInstanceState', 'onResume', 'onStart')\n    ]\n    [not(Block/*[1]/MethodCall[SuperExpression][@MethodName = ancestor::MethodDeclaration/@Name])]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "CallSuperLast",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.83
+      },
+      {
+        "name": "CallSuperInConstructor",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.42
+      },
+      {
+        "name": "FinalizeDoesNotCallSuperFinalize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      },
+      {
+        "name": "FinalizeOnlyCallsSuperFinalize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - Android Activity 전용 규칙으로 일반 엔터프라이즈 프로젝트에서는 해당되지 않을 수 있습니다"
+    "claude_comment": "선택 - Android Activity 전용 규칙으로 일반 엔터프라이즈 프로젝트에서는 해당되지 않을 수 있습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "CallSuperLast",
@@ -3224,8 +9266,48 @@ const RULES_DATA =
     "examples": [
       "import android.app.Activity;\n\npublic class DummyActivity extends Activity {\n    public void onPause() {\n        foo();\n        // missing call to super.onPause()\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//ClassDeclaration\n    [\n      pmd-java:typeIs('android.app.Activity') or\n      pmd-java:typeIs('android.app.Application') or\n      pmd-java:typeIs('android.app.Service')\n    ]\n    //MethodDeclaration\n    [\n      @Name=('finish', 'onDestroy', 'onPause', 'onSaveInstanceState', 'onStop', 'onTerminate')\n    ]\n    [not(Block/*[last()]/MethodCall[SuperExpression][@MethodName = ancestor::MethodDeclaration/@Name])]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "CallSuperFirst",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.83
+      },
+      {
+        "name": "CallSuperInConstructor",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.44
+      },
+      {
+        "name": "FinalizeDoesNotCallSuperFinalize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      },
+      {
+        "name": "FinalizeOnlyCallsSuperFinalize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - Android Activity 전용 규칙으로 일반 엔터프라이즈 프로젝트에서는 해당되지 않을 수 있습니다"
+    "claude_comment": "선택 - Android Activity 전용 규칙으로 일반 엔터프라이즈 프로젝트에서는 해당되지 않을 수 있습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "CheckSkipResult",
@@ -3240,8 +9322,23 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n\n   private FileInputStream _s = new FileInputStream(\"file\");\n\n   public void skip(int n) throws IOException {\n      _s.skip(n); // You are not sure that exactly n bytes are skipped\n   }\n\n   public void skipExactly(int n) throws IOException {\n      while (n != 0) {\n         long skipped = _s.skip(n);\n         if (skipped == 0)\n            throw new EOFException();\n         n -= skipped;\n      }\n   }"
     ],
+    "related": [
+      {
+        "name": "CheckResultSet",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - InputStream.skip()의 반환값 미확인은 데이터 처리 오류를 유발합니다"
+    "claude_comment": "필수 - InputStream.skip()의 반환값 미확인은 데이터 처리 오류를 유발합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "ClassCastExceptionWithToArray",
@@ -3256,8 +9353,39 @@ const RULES_DATA =
     "examples": [
       "Collection c = new ArrayList();\nInteger obj = new Integer(1);\nc.add(obj);\n\n    // this would trigger the rule (and throw a ClassCastException if executed)\nInteger[] a = (Integer [])c.toArray();\n\n   // this is fine and will not trigger the rule\nInteger[] b = (Integer [])c.toArray(new Integer[0]);"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "Collection c = new ArrayList();\nInteger obj = new Integer(1);\nc.add(obj);\n\n    // this would trigger the rule (and throw a ClassCastException if executed)\nInteger[] a = (Integer [])c.toArray();"
+        },
+        {
+          "kind": "good",
+          "code": "   // this is fine and will not trigger the rule\nInteger[] b = (Integer [])c.toArray(new Integer[0]);"
+        }
+      ]
+    ],
+    "xpath": {
+      "expression": "//CastExpression[ArrayType/ClassType[not(pmd-java:typeIsExactly('java.lang.Object'))]]\n    /MethodCall[pmd-java:matchesSig(\"java.util.Collection#toArray()\")]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "OptimizableToArrayCall",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - toArray()의 잘못된 사용은 런타임 ClassCastException을 유발합니다"
+    "claude_comment": "필수 - toArray()의 잘못된 사용은 런타임 ClassCastException을 유발합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "CloneMethodMustBePublic",
@@ -3272,8 +9400,67 @@ const RULES_DATA =
     "examples": [
       "public class Foo implements Cloneable {\n    @Override\n    protected Object clone() throws CloneNotSupportedException { // Violation, must be public\n    }\n}\n\npublic class Foo implements Cloneable {\n    @Override\n    protected Foo clone() { // Violation, must be public\n    }\n}\n\npublic class Foo implements Cloneable {\n    @Override\n    public Object clone() // Ok\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "public class Foo implements Cloneable {\n    @Override\n    protected Object clone() throws CloneNotSupportedException { // Violation, must be public\n    }\n}\n\npublic class Foo implements Cloneable {\n    @Override\n    protected Foo clone() { // Violation, must be public\n    }\n}"
+        },
+        {
+          "kind": "good",
+          "code": "public class Foo implements Cloneable {\n    @Override\n    public Object clone() // Ok\n}"
+        }
+      ]
+    ],
+    "xpath": {
+      "expression": "//MethodDeclaration[not(pmd-java:modifiers() = \"public\")]\n    [@Name = 'clone']\n    [@Arity = 0]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "CloneMethodMustImplementCloneable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.54
+      },
+      {
+        "name": "CloneMethodReturnTypeMustMatchClassName",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.49
+      },
+      {
+        "name": "ProperCloneImplementation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.47
+      },
+      {
+        "name": "PublicMemberInNonPublicType",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "FinalizeShouldBeProtected",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - clone() 메서드는 Cloneable 계약에 따라 public이어야 합니다"
+    "claude_comment": "권장 - clone() 메서드는 Cloneable 계약에 따라 public이어야 합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "CloneMethodMustImplementCloneable",
@@ -3288,8 +9475,37 @@ const RULES_DATA =
     "examples": [
       "public class MyClass {\n public Object clone() throws CloneNotSupportedException {\n  return foo;\n }\n}"
     ],
+    "related": [
+      {
+        "name": "CloneMethodMustBePublic",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.54
+      },
+      {
+        "name": "CloneMethodReturnTypeMustMatchClassName",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.46
+      },
+      {
+        "name": "ProperCloneImplementation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.41
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - Cloneable 미구현 시 clone() 호출은 CloneNotSupportedException을 발생시킵니다"
+    "claude_comment": "권장 - Cloneable 미구현 시 clone() 호출은 CloneNotSupportedException을 발생시킵니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "CloneMethodReturnTypeMustMatchClassName",
@@ -3304,9 +9520,54 @@ const RULES_DATA =
     "examples": [
       "public class Foo implements Cloneable {\n    @Override\n    protected Object clone() { // Violation, Object must be Foo\n    }\n}\n\npublic class Foo implements Cloneable {\n    @Override\n    public Foo clone() { //Ok\n    }\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "public class Foo implements Cloneable {\n    @Override\n    protected Object clone() { // Violation, Object must be Foo\n    }\n}"
+        },
+        {
+          "kind": "good",
+          "code": "public class Foo implements Cloneable {\n    @Override\n    public Foo clone() { //Ok\n    }\n}"
+        }
+      ]
+    ],
+    "xpath": {
+      "expression": "//MethodDeclaration\n    [@Name = 'clone']\n    [@Arity = 0]\n    [ClassType[1]/@SimpleName != ancestor::ClassDeclaration[1]/@SimpleName]",
+      "version": "3.1"
+    },
     "minLanguageVersion": "1.5",
+    "related": [
+      {
+        "name": "CloneMethodMustBePublic",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.49
+      },
+      {
+        "name": "ProperCloneImplementation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.48
+      },
+      {
+        "name": "CloneMethodMustImplementCloneable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.46
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - clone() 반환 타입이 현재 클래스와 일치해야 공변 반환 타입의 이점을 활용할 수 있습니다"
+    "claude_comment": "권장 - clone() 반환 타입이 현재 클래스와 일치해야 공변 반환 타입의 이점을 활용할 수 있습니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "CloseResource",
@@ -3322,7 +9583,13 @@ const RULES_DATA =
       "public class Bar {\n    public void withSQL() {\n        Connection c = pool.getConnection();\n        try {\n            // do stuff\n        } catch (SQLException ex) {\n           // handle exception\n        } finally {\n            // oops, should close the connection using 'close'!\n            // c.close();\n        }\n    }\n\n    public void withFile() {\n        InputStream file = new FileInputStream(new File(\"/tmp/foo\"));\n        try {\n            int c = file.in();\n        } catch (IOException e) {\n            // handle exception\n        } finally {\n            // TODO: close file\n        }\n    }\n}"
     ],
     "tier": 1,
-    "claude_comment": "필수 - 리소스 미닫기는 메모리 누수, 커넥션 고갈 등 운영 장애를 직접 유발합니다"
+    "claude_comment": "필수 - 리소스 미닫기는 메모리 누수, 커넥션 고갈 등 운영 장애를 직접 유발합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "CollectionTypeMismatch",
@@ -3337,8 +9604,23 @@ const RULES_DATA =
     "examples": [
       "List<Integer> numbers = Arrays.asList(1, 2, 3);\nnumbers.remove(\"string\"); // violation: String cannot be in Integer list\n\nMap<String, Integer> map = new HashMap<>();\nmap.get(42); // violation: Integer key cannot be in String-keyed map\n\nSet<String> names = new HashSet<>();\nnames.contains(123); // violation: Integer cannot be in String set"
     ],
+    "related": [
+      {
+        "name": "ReturnEmptyCollectionRatherThanNull",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 컬렉션 타입 불일치는 런타임 ClassCastException이나 항상 false를 반환하는 버그입니다"
+    "claude_comment": "필수 - 컬렉션 타입 불일치는 런타임 ClassCastException이나 항상 false를 반환하는 버그입니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "CompareObjectsWithEquals",
@@ -3357,11 +9639,53 @@ const RULES_DATA =
       {
         "name": "typesThatCompareByReference",
         "defaultValue": "java.lang.Enum,java.lang.Class",
-        "description": "참조 비교가 허용되는 정규화된 타입 이름 목록입니다."
+        "description": "참조 비교가 허용되는 정규화된 타입 이름 목록입니다.",
+        "type": "List[String]"
+      }
+    ],
+    "xpath": {
+      "expression": "//InfixExpression\n    [@Operator = (\"==\", \"!=\")]\n    [count(*\n        [not(self::NullLiteral)]\n        [pmd-java:typeIs('java.lang.Object')]\n        [not(some $t in $typesThatCompareByReference satisfies pmd-java:typeIs($t))]\n      ) = 2\n    ]\n    [not(ancestor::MethodDeclaration[1][@Name = \"equals\"])]\n    (: Is not a field access with an all-caps identifier :)\n    [not(FieldAccess[upper-case(@Name)=@Name]\n     or VariableAccess[upper-case(@Name)=@Name])]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "EnumComparison",
+        "reasons": [
+          "mentionedBy",
+          "similar"
+        ],
+        "score": 3.33
+      },
+      {
+        "name": "UseEqualsToCompareStrings",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.41
+      },
+      {
+        "name": "EqualsNull",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.33
+      },
+      {
+        "name": "UnusedNullCheckInEquals",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
       }
     ],
     "tier": 1,
-    "claude_comment": "필수 - 객체를 == 대신 equals()로 비교해야 합니다. == 는 참조만 비교합니다"
+    "claude_comment": "필수 - 객체를 == 대신 equals()로 비교해야 합니다. == 는 참조만 비교합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "ComparisonWithNaN",
@@ -3376,8 +9700,18 @@ const RULES_DATA =
     "examples": [
       "boolean x = (y == Double.NaN);"
     ],
+    "xpath": {
+      "expression": "//InfixExpression[@Operator = (\"==\", \"!=\", \"<=\", \">=\", \"<\", \">\")]/FieldAccess[@Name='NaN' and (pmd-java:typeIs('double') or pmd-java:typeIs('float'))]",
+      "version": "3.1"
+    },
     "tier": 1,
-    "claude_comment": "필수 - NaN과의 비교는 항상 false입니다. Double.isNaN()을 사용하세요"
+    "claude_comment": "필수 - NaN과의 비교는 항상 false입니다. Double.isNaN()을 사용하세요",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "ConfusingArgumentToVarargsMethod",
@@ -3392,8 +9726,30 @@ const RULES_DATA =
     "examples": [
       "import java.util.Arrays;\n\n            abstract class C {\n                abstract void varargs(Object... args);\n                static {\n                    varargs(new String[] { \"a\" });\n                    varargs(null);\n                }\n            }"
     ],
+    "related": [
+      {
+        "name": "UnnecessaryVarargsArrayCreation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "UseVarargs",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 가변인자 메서드에 혼동되는 인자 전달은 의도치 않은 동작을 유발할 수 있습니다"
+    "claude_comment": "권장 - 가변인자 메서드에 혼동되는 인자 전달은 의도치 않은 동작을 유발할 수 있습니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "DetachedTestCase",
@@ -3408,8 +9764,58 @@ const RULES_DATA =
     "examples": [
       "public class MyTest {\n    @Test\n    public void someTest() {\n    }\n\n    // violation: Not annotated\n    public void someOtherTest () {\n    }\n\n}"
     ],
+    "related": [
+      {
+        "name": "TestClassWithoutTestCases",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.34
+      },
+      {
+        "name": "UnitTestShouldUseTestAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.34
+      },
+      {
+        "name": "UnitTestShouldUseBeforeAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "JUnit5TestShouldBePackagePrivate",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "UnitTestShouldUseAfterAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      },
+      {
+        "name": "ClassNamingConventions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - @Test 어노테이션 없는 test 접두사 메서드는 실행되지 않는 테스트입니다"
+    "claude_comment": "권장 - @Test 어노테이션 없는 test 접두사 메서드는 실행되지 않는 테스트입니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "DoNotExtendJavaLangThrowable",
@@ -3424,8 +9830,34 @@ const RULES_DATA =
     "examples": [
       "public class Foo extends Throwable { }"
     ],
+    "xpath": {
+      "expression": "//ClassDeclaration/ExtendsList/ClassType\n  [pmd-java:typeIsExactly('java.lang.Throwable')]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "DoNotExtendJavaLangError",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.6
+      },
+      {
+        "name": "AvoidCatchingThrowable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - Throwable 직접 확장은 Exception이나 RuntimeException을 확장하세요"
+    "claude_comment": "필수 - Throwable 직접 확장은 Exception이나 RuntimeException을 확장하세요",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "DoNotHardCodeSDCard",
@@ -3440,8 +9872,27 @@ const RULES_DATA =
     "examples": [
       "public class MyActivity extends Activity {\n    protected void foo() {\n        String storageLocation = \"/sdcard/mypackage\";   // hard-coded, poor approach\n\n       storageLocation = Environment.getExternalStorageDirectory() + \"/mypackage\"; // preferred approach\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//StringLiteral[starts-with(@Image,'\"/sdcard')]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "HardCodedCryptoKey",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": "skip",
-    "claude_comment": "스킵 - Android 전용 규칙으로 서버사이드 엔터프라이즈 프로젝트에는 불필요합니다"
+    "claude_comment": "스킵 - Android 전용 규칙으로 서버사이드 엔터프라이즈 프로젝트에는 불필요합니다",
+    "tiers": {
+      "default": "skip",
+      "android": "skip",
+      "backend": "skip",
+      "batch": "skip"
+    }
   },
   {
     "name": "DoNotTerminateVM",
@@ -3456,8 +9907,34 @@ const RULES_DATA =
     "examples": [
       "public void bar() {\n    System.exit(0);                 // never call this when running in an application server!\n}\npublic void foo() {\n    Runtime.getRuntime().exit(0);   // never stop the JVM manually, the container will do this.\n}"
     ],
+    "xpath": {
+      "expression": "//(MethodDeclaration[@MainMethod = false()] | Initializer)//MethodCall[\n    pmd-java:matchesSig(\"java.lang.System#exit(int)\")\n    or pmd-java:matchesSig(\"java.lang.Runtime#exit(int)\")\n    or pmd-java:matchesSig(\"java.lang.Runtime#halt(int)\")\n]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "DoNotUseThreads",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "DoNotCallGarbageCollectionExplicitly",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - System.exit() 호출은 서버 애플리케이션을 예기치 않게 종료시킵니다"
+    "claude_comment": "필수 - System.exit() 호출은 서버 애플리케이션을 예기치 않게 종료시킵니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "DontUseFloatTypeForLoopIndices",
@@ -3472,8 +9949,18 @@ const RULES_DATA =
     "examples": [
       "public class Count {\n  public static void main(String[] args) {\n    final int START = 2000000000;\n    int count = 0;\n    for (float f = START; f < START + 50; f++)\n      count++;\n      //Prints 0 because (float) START == (float) (START + 50).\n      System.out.println(count);\n      //The termination test misbehaves due to floating point granularity.\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//ForStatement[\n    ForInit//VariableId[pmd-java:typeIs('float')]\n    or ForUpdate//VariableAccess[pmd-java:typeIs('float')]\n]",
+      "version": "3.1"
+    },
     "tier": 1,
-    "claude_comment": "필수 - float 타입 루프 인덱스는 부동소수점 오차로 무한 루프를 유발합니다"
+    "claude_comment": "필수 - float 타입 루프 인덱스는 부동소수점 오차로 무한 루프를 유발합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "EmptyCatchBlock",
@@ -3492,16 +9979,58 @@ const RULES_DATA =
       {
         "name": "allowCommentedBlocks",
         "defaultValue": "false",
-        "description": "주석을 포함하는 빈 블록을 건너뜁니다"
+        "description": "주석을 포함하는 빈 블록을 건너뜁니다",
+        "type": "Boolean"
       },
       {
         "name": "allowExceptionNameRegex",
         "defaultValue": "^(ignored|expected)$",
-        "description": "이 정규식과 일치하는 이름의 예외를 캐치하는 빈 블록을 건너뜁니다"
+        "description": "이 정규식과 일치하는 이름의 예외를 캐치하는 빈 블록을 건너뜁니다",
+        "type": "Regex"
+      }
+    ],
+    "xpath": {
+      "expression": "//CatchClause[\n  Block[\n      count(*) = 0\n      and ($allowCommentedBlocks = false() or @containsComment = false())\n  ]\n  and CatchParameter/VariableId[not(matches(@Name, $allowExceptionNameRegex))]\n]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "EmptyControlStatement",
+        "reasons": [
+          "mentionedBy"
+        ],
+        "score": 3
+      },
+      {
+        "name": "AvoidInstanceofChecksInCatchClause",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      },
+      {
+        "name": "AvoidReassigningCatchVariables",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "AvoidCatchingGenericException",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
       }
     ],
     "tier": 1,
-    "claude_comment": "필수 - 빈 catch 블록은 예외를 삼켜 장애 원인 분석을 불가능하게 만듭니다"
+    "claude_comment": "필수 - 빈 catch 블록은 예외를 삼켜 장애 원인 분석을 불가능하게 만듭니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "EmptyFinalizer",
@@ -3516,8 +10045,55 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n   protected void finalize() {}\n}"
     ],
+    "xpath": {
+      "expression": "//ClassDeclaration\n  /ClassBody\n    /MethodDeclaration[@Name = \"finalize\"][@Arity = 0][@Final = false() or ancestor::ClassDeclaration[@Final = true()]]\n      /Block[not(*)]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "FinalizeDoesNotCallSuperFinalize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.51
+      },
+      {
+        "name": "FinalizeOnlyCallsSuperFinalize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.5
+      },
+      {
+        "name": "FinalizeOverloaded",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.48
+      },
+      {
+        "name": "AvoidCallingFinalize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.47
+      },
+      {
+        "name": "FinalizeShouldBeProtected",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.44
+      }
+    ],
     "tier": "skip",
-    "claude_comment": "스킵 - finalize()는 Java 9에서 deprecated되었으며 현대 Java에서는 사용하지 않습니다"
+    "claude_comment": "스킵 - finalize()는 Java 9에서 deprecated되었으며 현대 Java에서는 사용하지 않습니다",
+    "tiers": {
+      "default": "skip",
+      "android": "skip",
+      "backend": "skip",
+      "batch": "skip"
+    }
   },
   {
     "name": "FinalizeDoesNotCallSuperFinalize",
@@ -3532,8 +10108,62 @@ const RULES_DATA =
     "examples": [
       "protected void finalize() {\n    something();\n    // neglected to call super.finalize()\n}"
     ],
+    "xpath": {
+      "expression": "//MethodDeclaration[@Name = \"finalize\"][@Arity = 0]\n   /Block/*[last()]\n      [not(MethodCall[@MethodName = \"finalize\"]/SuperExpression)]\n      [not(FinallyClause/Block/ExpressionStatement/\n          MethodCall[@MethodName = \"finalize\"]/SuperExpression)]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "FinalizeOnlyCallsSuperFinalize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.76
+      },
+      {
+        "name": "FinalizeOverloaded",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.55
+      },
+      {
+        "name": "AvoidCallingFinalize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.53
+      },
+      {
+        "name": "EmptyFinalizer",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.51
+      },
+      {
+        "name": "FinalizeShouldBeProtected",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.5
+      },
+      {
+        "name": "CallSuperLast",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      }
+    ],
     "tier": "skip",
-    "claude_comment": "스킵 - finalize()는 Java 9에서 deprecated되었으며 현대 Java에서는 사용하지 않습니다"
+    "claude_comment": "스킵 - finalize()는 Java 9에서 deprecated되었으며 현대 Java에서는 사용하지 않습니다",
+    "tiers": {
+      "default": "skip",
+      "android": "skip",
+      "backend": "skip",
+      "batch": "skip"
+    }
   },
   {
     "name": "FinalizeOnlyCallsSuperFinalize",
@@ -3548,8 +10178,62 @@ const RULES_DATA =
     "examples": [
       "protected void finalize() {\n    super.finalize();\n}"
     ],
+    "xpath": {
+      "expression": "//MethodDeclaration[@Name='finalize'][@Arity = 0]\n   [Block[@Size=1]/ExpressionStatement/MethodCall[@MethodName = \"finalize\"][SuperExpression]]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "FinalizeDoesNotCallSuperFinalize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.76
+      },
+      {
+        "name": "FinalizeOverloaded",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.54
+      },
+      {
+        "name": "AvoidCallingFinalize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.52
+      },
+      {
+        "name": "EmptyFinalizer",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.5
+      },
+      {
+        "name": "FinalizeShouldBeProtected",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.49
+      },
+      {
+        "name": "CallSuperLast",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": "skip",
-    "claude_comment": "스킵 - finalize()는 Java 9에서 deprecated되었으며 현대 Java에서는 사용하지 않습니다"
+    "claude_comment": "스킵 - finalize()는 Java 9에서 deprecated되었으며 현대 Java에서는 사용하지 않습니다",
+    "tiers": {
+      "default": "skip",
+      "android": "skip",
+      "backend": "skip",
+      "batch": "skip"
+    }
   },
   {
     "name": "FinalizeOverloaded",
@@ -3564,8 +10248,55 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    // this is confusing and probably a bug\n    protected void finalize(int a) {\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//MethodDeclaration[@Name='finalize'][@Arity > 0]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "FinalizeDoesNotCallSuperFinalize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.55
+      },
+      {
+        "name": "FinalizeOnlyCallsSuperFinalize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.54
+      },
+      {
+        "name": "AvoidCallingFinalize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.49
+      },
+      {
+        "name": "EmptyFinalizer",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.48
+      },
+      {
+        "name": "FinalizeShouldBeProtected",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.48
+      }
+    ],
     "tier": "skip",
-    "claude_comment": "스킵 - finalize()는 Java 9에서 deprecated되었으며 현대 Java에서는 사용하지 않습니다"
+    "claude_comment": "스킵 - finalize()는 Java 9에서 deprecated되었으며 현대 Java에서는 사용하지 않습니다",
+    "tiers": {
+      "default": "skip",
+      "android": "skip",
+      "backend": "skip",
+      "batch": "skip"
+    }
   },
   {
     "name": "FinalizeShouldBeProtected",
@@ -3580,8 +10311,62 @@ const RULES_DATA =
     "examples": [
       "public void finalize() {\n    // do something\n}"
     ],
+    "xpath": {
+      "expression": "//MethodDeclaration[@Visibility != \"protected\"][@Name='finalize'][@Arity = 0]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "FinalizeDoesNotCallSuperFinalize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.5
+      },
+      {
+        "name": "FinalizeOnlyCallsSuperFinalize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.49
+      },
+      {
+        "name": "FinalizeOverloaded",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.48
+      },
+      {
+        "name": "EmptyFinalizer",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.44
+      },
+      {
+        "name": "AvoidCallingFinalize",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.43
+      },
+      {
+        "name": "AvoidProtectedFieldInFinalClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      }
+    ],
     "tier": "skip",
-    "claude_comment": "스킵 - finalize()는 Java 9에서 deprecated되었으며 현대 Java에서는 사용하지 않습니다"
+    "claude_comment": "스킵 - finalize()는 Java 9에서 deprecated되었으며 현대 Java에서는 사용하지 않습니다",
+    "tiers": {
+      "default": "skip",
+      "android": "skip",
+      "backend": "skip",
+      "batch": "skip"
+    }
   },
   {
     "name": "IdempotentOperations",
@@ -3597,7 +10382,13 @@ const RULES_DATA =
       "public class Foo {\n public void bar() {\n  int x = 2;\n  x = x;\n }\n}"
     ],
     "tier": 1,
-    "claude_comment": "필수 - 멱등 연산(x = x, x + 0)은 논리 오류의 명확한 징후입니다"
+    "claude_comment": "필수 - 멱등 연산(x = x, x + 0)은 논리 오류의 명확한 징후입니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "IdenticalConditionalBranches",
@@ -3612,8 +10403,23 @@ const RULES_DATA =
     "examples": [
       "class Test {\n    int method1() {\n        if (Math.random() > 0.5) {\n            return 1;\n        } else {\n            return 1;\n        }\n    }\n    int method2() {\n        return Math.random() > 0.5 ? 1 : 1;\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "IdenticalCatchBranches",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - if/else의 동일한 브랜치는 복사-붙여넣기 실수이며 논리 오류입니다"
+    "claude_comment": "필수 - if/else의 동일한 브랜치는 복사-붙여넣기 실수이며 논리 오류입니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "ImplicitSwitchFallThrough",
@@ -3628,8 +10434,23 @@ const RULES_DATA =
     "examples": [
       "public void bar(int status) {\n    switch(status) {\n      case CANCELLED:\n        doCancelled();\n        // break; hm, should this be commented out?\n      case NEW:\n        doNew();\n        // is this really a fall-through?\n        // what happens if you add another case after this one?\n      case REMOVED:\n        doRemoved();\n        // fallthrough - this comment just clarifies that you want a fallthrough\n      case OTHER: // empty case - this is interpreted as an intentional fall-through\n      case ERROR:\n        doErrorHandling();\n        break;\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "NonCaseLabelInSwitch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.31
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - switch fall-through 누락은 의도치 않은 동작을 유발하는 흔한 버그입니다"
+    "claude_comment": "필수 - switch fall-through 누락은 의도치 않은 동작을 유발하는 흔한 버그입니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "JumbledIncrementer",
@@ -3644,8 +10465,18 @@ const RULES_DATA =
     "examples": [
       "public class JumbledIncrementerRule1 {\n    public void foo() {\n        for (int i = 0; i < 10; i++) {          // only references 'i'\n            for (int k = 0; k < 20; i++) {      // references both 'i' and 'k'\n                System.out.println(\"Hello\");\n            }\n        }\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//ForStatement\n    [not(ForInit) or ForInit//VariableId/@Name != ForUpdate//VariableAccess/@Name]\n    [ForUpdate//VariableAccess[@AccessType = 'WRITE']/@Name\n     =\n     ancestor::ForStatement/ForInit//VariableId/@Name\n    ]",
+      "version": "3.1"
+    },
     "tier": 1,
-    "claude_comment": "필수 - 중첩 루프에서 잘못된 증감자 사용은 무한 루프나 잘못된 결과를 유발합니다"
+    "claude_comment": "필수 - 중첩 루프에서 잘못된 증감자 사용은 무한 루프나 잘못된 결과를 유발합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "JUnitSpelling",
@@ -3660,8 +10491,30 @@ const RULES_DATA =
     "examples": [
       "import junit.framework.*;\n\npublic class Foo extends TestCase {\n    public void setup() {}    // oops, should be setUp\n    public void TearDown() {} // oops, should be tearDown\n}"
     ],
+    "related": [
+      {
+        "name": "UnitTestShouldUseAfterAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "UnitTestShouldUseBeforeAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - setUp/tearDown 오타는 테스트 초기화가 실행되지 않는 문제를 유발합니다"
+    "claude_comment": "권장 - setUp/tearDown 오타는 테스트 초기화가 실행되지 않는 문제를 유발합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "JUnitStaticSuite",
@@ -3677,8 +10530,23 @@ const RULES_DATA =
       "import junit.framework.*;\n\npublic class Foo extends TestCase {\n    public void suite() {}         // oops, should be static\n}",
       "import junit.framework.*;\n\npublic class Foo extends TestCase {\n    private static void suite() {} // oops, should be public\n}"
     ],
+    "related": [
+      {
+        "name": "JUnit4SuitesShouldUseSuiteAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.41
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - JUnit3 스타일의 suite() 메서드 규칙으로 JUnit5에서는 해당되지 않습니다"
+    "claude_comment": "선택 - JUnit3 스타일의 suite() 메서드 규칙으로 JUnit5에서는 해당되지 않습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "MethodWithSameNameAsEnclosingClass",
@@ -3693,8 +10561,39 @@ const RULES_DATA =
     "examples": [
       "public class MyClass {\n\n    public MyClass() {}         // this is OK because it is a constructor\n\n    public void MyClass() {}    // this is bad because it is a method\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "good",
+          "code": "public MyClass() {}         // this is OK because it is a constructor"
+        },
+        {
+          "kind": "bad",
+          "code": "public void MyClass() {}    // this is bad because it is a method"
+        }
+      ]
+    ],
+    "xpath": {
+      "expression": "//MethodDeclaration[@Name = ancestor::ClassDeclaration/@SimpleName]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "AvoidFieldNameMatchingMethodName",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 클래스명과 같은 메서드는 생성자와 혼동되어 심각한 버그를 유발합니다"
+    "claude_comment": "필수 - 클래스명과 같은 메서드는 생성자와 혼동되어 심각한 버그를 유발합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "MisplacedNullCheck",
@@ -3710,8 +10609,55 @@ const RULES_DATA =
       "public class Foo {\n    void bar() {\n        if (a.equals(baz) && a != null) {} // a could be null, misplaced null check\n\n        if (a != null && a.equals(baz)) {} // correct null check\n    }\n}",
       "public class Foo {\n    void bar() {\n        if (a.equals(baz) || a == null) {} // a could be null, misplaced null check\n\n        if (a == null || a.equals(baz)) {} // correct null check\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//InfixExpression[@Operator = '&&']\n    /InfixExpression[@Operator = '!=']\n        (: one side is null :)\n        [NullLiteral]\n        (: other side checks for the variable used somewhere in the first child of conditional and expression :)\n        [VariableAccess]\n        [some $var in preceding-sibling::*//VariableAccess\n            [parent::MethodCall or parent::FieldAccess]\n            [not(ancestor::InfixExpression[@Operator = '||'])]\n            /@Name\n            satisfies $var = VariableAccess/@Name\n        ]\n    /VariableAccess\n|\n//InfixExpression[@Operator = '||']\n    /InfixExpression[@Operator = '==']\n        (: one side is null :)\n        [NullLiteral]\n        (: other side checks for the variable used somewhere in the first child of conditional or expression :)\n        [VariableAccess]\n        [some $var in preceding-sibling::*//VariableAccess\n            [parent::MethodCall or parent::FieldAccess]\n            [not(ancestor::InfixExpression[@Operator = '&&'])]\n            /@Name\n            satisfies $var = VariableAccess/@Name\n        ]\n    /VariableAccess",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "BrokenNullCheck",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.35
+      },
+      {
+        "name": "EqualsNull",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "ReturnEmptyCollectionRatherThanNull",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "AvoidThrowingNullPointerException",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "UnusedNullCheckInEquals",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - null 체크가 사용 이후에 있으면 NPE가 이미 발생한 후입니다"
+    "claude_comment": "필수 - null 체크가 사용 이후에 있으면 NPE가 이미 발생한 후입니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "MissingSerialVersionUID",
@@ -3726,8 +10672,18 @@ const RULES_DATA =
     "examples": [
       "public class Foo implements java.io.Serializable {\n    String name;\n    // Define serialization id to avoid serialization related bugs\n    // i.e., public static final long serialVersionUID = 4328743;\n}"
     ],
+    "xpath": {
+      "expression": "//ClassDeclaration\n    [@Interface = false()]\n    [count(ClassBody/FieldDeclaration/VariableDeclarator/VariableId[@Name='serialVersionUID']) = 0]\n    [(ImplementsList | ExtendsList)/ClassType[pmd-java:typeIs('java.io.Serializable')]]",
+      "version": "3.1"
+    },
     "tier": 3,
-    "claude_comment": "선택 - serialVersionUID 누락은 직렬화 호환성에 영향을 주나, 직렬화를 사용하지 않으면 불필요합니다"
+    "claude_comment": "선택 - serialVersionUID 누락은 직렬화 호환성에 영향을 주나, 직렬화를 사용하지 않으면 불필요합니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "MissingStaticMethodInNonInstantiatableClass",
@@ -3746,11 +10702,143 @@ const RULES_DATA =
       {
         "name": "annotations",
         "defaultValue": "org.springframework.beans.factory.annotation.Autowired,javax.inject.Inject,com.google.inject.Inject,lombok.Builder",
-        "description": "생성자가 이 어노테이션 중 하나로 표시된 경우 클래스는 무시됩니다."
+        "description": "생성자가 이 어노테이션 중 하나로 표시된 경우 클래스는 무시됩니다.",
+        "type": "List[String]"
+      }
+    ],
+    "xpath": {
+      "expression": "let $topLevelClass := /*/ClassDeclaration return\nlet $isLombokUtility := exists($topLevelClass[pmd-java:hasAnnotation('lombok.experimental.UtilityClass')]) return\n$topLevelClass[\n        (: non-instantiable :)\n        $isLombokUtility or\n        (\n            (: no lombok produced constructors :)\n            not(pmd-java:hasAnnotation('lombok.NoArgsConstructor') or\n                pmd-java:hasAnnotation('lombok.RequiredArgsConstructor') or\n                pmd-java:hasAnnotation('lombok.AllArgsConstructor') or\n                pmd-java:hasAnnotation('lombok.Builder')) and\n            (: or has non-default constructors … :)\n            ClassBody/ConstructorDeclaration and\n                (: … but only private … :)\n                not(ClassBody/ConstructorDeclaration[@Visibility != \"private\"]) and\n                (: … and none annotated … :)\n                (every $x in $annotations satisfies\n                      not(ClassBody/ConstructorDeclaration/ModifierList/Annotation[pmd-java:typeIs($x)]))\n        )\n    ]\n    [\n        (: With no visible static methods … :)\n        not(ClassBody/MethodDeclaration[($isLombokUtility or pmd-java:modifiers() = \"static\") and @Visibility != \"private\"]) and\n        (: … nor fields … :)\n        not(ClassBody/FieldDeclaration[($isLombokUtility or pmd-java:modifiers() = \"static\") and @Visibility != \"private\"]) and\n        (: … no nested classes, that are non-private and static … :)\n        not(ClassBody/ClassDeclaration\n            [pmd-java:modifiers() = \"static\" and @Visibility != \"private\"]\n            (: … and a non-private method returning the outer class type … :)\n            [(ClassBody/MethodDeclaration\n                [@Visibility != \"private\"]\n                [descendant::ReturnStatement/*[1][pmd-java:typeIs(ancestor::ClassDeclaration[@Nested = false()]/@BinaryName)]]\n            ) or (\n                (: … or the inner class extends the outer class :)\n                ExtendsList/ClassType[@SimpleName = ancestor::ClassDeclaration[@Nested = false()]/@SimpleName]\n            )]\n    )]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "AbstractClassWithoutAnyMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "AssignmentToNonFinalStatic",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "UseUtilityClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "AccessorClassGeneration",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      },
+      {
+        "name": "AbstractClassWithoutAbstractMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      },
+      {
+        "name": "StaticEJBFieldShouldBeFinal",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
       }
     ],
     "tier": 3,
-    "claude_comment": "선택 - 인스턴스화 불가 클래스에 static 메서드가 없는 것은 설계 문제의 징후이나 거짓 양성이 있습니다"
+    "claude_comment": "선택 - 인스턴스화 불가 클래스에 static 메서드가 없는 것은 설계 문제의 징후이나 거짓 양성이 있습니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
+  },
+  {
+    "name": "NonCaseLabelInSwitch",
+    "category": "errorprone",
+    "categoryName": "오류 발생 가능성",
+    "since": "1.5",
+    "message": "switch 문 또는 표현식에 case가 아닌 레이블이 있습니다",
+    "ruleClass": "net.sourceforge.pmd.lang.rule.xpath.XPathRule",
+    "externalInfoUrl": "https://docs.pmd-code.org/latest/pmd_rules_java_errorprone.html#noncaselabelinswitch",
+    "description": "switch 문 또는 switch 표현식에 case가 아닌 레이블(예: 명명된 break/continue 레이블)이 있습니다.\n이는 합법적이지만 혼란스럽습니다. case 레이블과 case가 아닌 레이블을 혼동하기 쉽습니다.\n\n참고: 이 규칙은 PMD 7.7.0에서 `NonCaseLabelInSwitchStatement`에서 이름이 변경되었습니다.",
+    "priority": 3,
+    "examples": [
+      "public class Foo {\n  void bar(int a) {\n   switch (a) {\n     case 1:\n       // do something\n     mylabel: // this is legal, but confusing!\n       break;\n     default:\n       break;\n    }\n  }\n}"
+    ],
+    "xpath": {
+      "expression": "//(SwitchStatement|SwitchExpression)//LabeledStatement",
+      "version": "3.1"
+    },
+    "aliases": [
+      {
+        "name": "NonCaseLabelInSwitchStatement",
+        "category": "errorprone",
+        "deprecated": true
+      }
+    ],
+    "related": [
+      {
+        "name": "DefaultLabelNotLastInSwitch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.58
+      },
+      {
+        "name": "LabeledStatement",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.4
+      },
+      {
+        "name": "UnusedLabel",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.38
+      },
+      {
+        "name": "SwitchDensity",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.33
+      },
+      {
+        "name": "ImplicitSwitchFallThrough",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.31
+      },
+      {
+        "name": "NonExhaustiveSwitch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      }
+    ],
+    "tier": 2,
+    "claude_comment": "권장 - switch 내 일반 레이블은 case 레이블과 혼동되어 버그를 유발할 수 있습니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "NonSerializableClass",
@@ -3766,7 +10854,13 @@ const RULES_DATA =
       "class Buzz implements java.io.Serializable {\n    private static final long serialVersionUID = 1L;\n\n    private transient int someFoo;          // good, it's transient\n    private static int otherFoo;            // also OK, it's static\n    private java.io.FileInputStream stream; // bad - FileInputStream is not serializable\n\n    public void setStream(FileInputStream stream) {\n        this.stream = stream;\n    }\n\n    public int getSomeFoo() {\n          return this.someFoo;\n    }\n}"
     ],
     "tier": 3,
-    "claude_comment": "선택 - Serializable 미구현 경고는 직렬화 사용 여부에 따라 결정하세요"
+    "claude_comment": "선택 - Serializable 미구현 경고는 직렬화 사용 여부에 따라 결정하세요",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "NonStaticInitializer",
@@ -3781,8 +10875,18 @@ const RULES_DATA =
     "examples": [
       "public class MyClass {\n  // this block gets run before any call to a constructor\n  {\n    System.out.println(\"I am about to construct myself\");\n  }\n}"
     ],
+    "xpath": {
+      "expression": "//Initializer[@Static=false()][not(ancestor::*[3][self::ConstructorCall or self::EnumConstant])]",
+      "version": "3.1"
+    },
     "tier": 2,
-    "claude_comment": "권장 - 인스턴스 초기화 블록은 가독성이 낮아 생성자에서 초기화하는 것이 좋습니다"
+    "claude_comment": "권장 - 인스턴스 초기화 블록은 가독성이 낮아 생성자에서 초기화하는 것이 좋습니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "NullAssignment",
@@ -3798,7 +10902,13 @@ const RULES_DATA =
       "public void bar() {\n  Object x = null; // this is OK\n  x = new Object();\n     // big, complex piece of code here\n  x = null; // this is not required\n     // big, complex piece of code here\n}"
     ],
     "tier": 3,
-    "claude_comment": "선택 - null 할당 자체는 GC 힌트로 의도적일 수 있어 컨텍스트 판단이 필요합니다"
+    "claude_comment": "선택 - null 할당 자체는 GC 힌트로 의도적일 수 있어 컨텍스트 판단이 필요합니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "OverrideBothEqualsAndHashcode",
@@ -3813,8 +10923,60 @@ const RULES_DATA =
     "examples": [
       "public class Bar {        // poor, missing a hashcode() method\n    public boolean equals(Object o) {\n      // do some comparison\n    }\n}\n\npublic class Baz {        // poor, missing an equals() method\n    public int hashCode() {\n      // return some hash value\n    }\n}\n\npublic class Foo {        // perfect, both methods provided\n    public boolean equals(Object other) {\n      // do some comparison\n    }\n    public int hashCode() {\n      // return some hash value\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "OverrideBothEqualsAndHashCodeOnComparable",
+        "reasons": [
+          "mentions",
+          "mentionedBy",
+          "similar"
+        ],
+        "score": 6.55
+      },
+      {
+        "name": "SuspiciousHashcodeMethodName",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.31
+      },
+      {
+        "name": "MissingOverride",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "ConstructorCallsOverridableMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "SuspiciousEqualsMethodName",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "FinalizeShouldBeProtected",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - equals()와 hashCode()를 함께 오버라이드하지 않으면 HashMap 등에서 심각한 버그가 발생합니다"
+    "claude_comment": "필수 - equals()와 hashCode()를 함께 오버라이드하지 않으면 HashMap 등에서 심각한 버그가 발생합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "OverrideBothEqualsAndHashCodeOnComparable",
@@ -3829,8 +10991,72 @@ const RULES_DATA =
     "examples": [
       "public class Bar implements Comparable<Bar> {  // poor - missing equals() and hashCode()\n    public int compareTo(Bar other) {\n        // some comparison\n    }\n}\n\npublic class Baz implements Comparable<Baz> {  // poor - missing hashCode()\n    public int compareTo(Baz other) {\n        // some comparison\n    }\n    public boolean equals(Object o) {\n        if (o == null || getClass() != o.getClass()) {\n            return false;\n        }\n        return compareTo((Baz) o) == 0;\n    }\n}\n\npublic class Foo implements Comparable<Foo> {  // correct\n    public int compareTo(Foo other) {\n        // some comparison\n    }\n    public boolean equals(Object o) {\n        if (o == null || getClass() != o.getClass()) {\n            return false;\n        }\n        return compareTo((Foo) o) == 0;\n    }\n    public int hashCode() {\n        // return hash code\n    }\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "public class Bar implements Comparable<Bar> {  // poor - missing equals() and hashCode()\n    public int compareTo(Bar other) {\n        // some comparison\n    }\n}\n\npublic class Baz implements Comparable<Baz> {  // poor - missing hashCode()\n    public int compareTo(Baz other) {\n        // some comparison\n    }\n    public boolean equals(Object o) {\n        if (o == null || getClass() != o.getClass()) {\n            return false;\n        }\n        return compareTo((Baz) o) == 0;\n    }\n}"
+        },
+        {
+          "kind": "good",
+          "code": "public class Foo implements Comparable<Foo> {  // correct\n    public int compareTo(Foo other) {\n        // some comparison\n    }\n    public boolean equals(Object o) {\n        if (o == null || getClass() != o.getClass()) {\n            return false;\n        }\n        return compareTo((Foo) o) == 0;\n    }\n    public int hashCode() {\n        // return hash code\n    }\n}"
+        }
+      ]
+    ],
+    "related": [
+      {
+        "name": "OverrideBothEqualsAndHashcode",
+        "reasons": [
+          "mentionedBy",
+          "mentions",
+          "similar"
+        ],
+        "score": 6.55
+      },
+      {
+        "name": "EqualsNull",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      },
+      {
+        "name": "SuspiciousEqualsMethodName",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "UnusedNullCheckInEquals",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "ConstructorCallsOverridableMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "MissingOverride",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - Comparable 구현 시 equals/hashCode 미오버라이드는 정렬과 동등성 비교 불일치를 유발합니다"
+    "claude_comment": "필수 - Comparable 구현 시 equals/hashCode 미오버라이드는 정렬과 동등성 비교 불일치를 유발합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "ProperLogger",
@@ -3845,25 +11071,59 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n\n    private static final Log LOG = LogFactory.getLog(Foo.class);    // proper way\n\n    protected Log LOG = LogFactory.getLog(Testclass.class);         // wrong approach\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "good",
+          "code": "private static final Log LOG = LogFactory.getLog(Foo.class);    // proper way"
+        },
+        {
+          "kind": "bad",
+          "code": "protected Log LOG = LogFactory.getLog(Testclass.class);         // wrong approach"
+        }
+      ]
+    ],
     "properties": [
       {
         "name": "staticLoggerName",
         "defaultValue": "LOG",
-        "description": "static Logger 변수의 이름"
+        "description": "static Logger 변수의 이름",
+        "type": "String"
       },
       {
         "name": "loggerName",
         "defaultValue": "log",
-        "description": "Logger 인스턴스 변수의 이름"
+        "description": "Logger 인스턴스 변수의 이름",
+        "type": "String"
       },
       {
         "name": "loggerClass",
         "defaultValue": "org.apache.commons.logging.Log",
-        "description": "로거의 클래스 이름"
+        "description": "로거의 클래스 이름",
+        "type": "String"
+      }
+    ],
+    "xpath": {
+      "expression": "//FieldDeclaration\n    [ClassType[pmd-java:typeIs($loggerClass)]]\n    [\n        (: check modifiers :)\n        (not(pmd-java:modifiers() = 'private') or not(pmd-java:modifiers() = 'final'))\n        (: check logger name :)\n        or (pmd-java:modifiers() = 'static' and VariableDeclarator/VariableId/@Name != $staticLoggerName)\n        or (not(pmd-java:modifiers() = 'static') and VariableDeclarator/VariableId/@Name != $loggerName)\n        (: check logger argument type matches class or enum name :)\n        or .//ArgumentList/ClassLiteral/ClassType/@SimpleName != ancestor::ClassDeclaration/@SimpleName\n        or .//ArgumentList/ClassLiteral/ClassType/@SimpleName != ancestor::EnumDeclaration/@SimpleName\n\n        (: special case - final logger initialized inside constructor :)\n        or (VariableDeclarator/@Initializer = false()\n            and not(pmd-java:modifiers() = 'static')\n            and not(ancestor::ClassBody/ConstructorDeclaration\n                //AssignmentExpression[@Operator = '=']\n                    [FieldAccess[1]/@Name = $loggerName or VariableAccess[1]/@Name = $loggerName]\n                    [*[2][@Name = ancestor::ConstructorDeclaration//FormalParameter/VariableId/@Name]])\n        )\n    ]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "MoreThanOneLogger",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
       }
     ],
     "tier": 2,
-    "claude_comment": "권장 - 로거는 클래스별로 올바르게 생성해야 로그 추적이 가능합니다"
+    "claude_comment": "권장 - 로거는 클래스별로 올바르게 생성해야 로그 추적이 가능합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "ReplaceJavaUtilCalendar",
@@ -3878,9 +11138,35 @@ const RULES_DATA =
     "examples": [
       "import java.util.Calendar;\nimport java.util.GregorianCalendar;\nimport java.time.LocalDate;\nimport java.time.LocalDateTime;\nimport java.time.ZonedDateTime;\n\npublic class Foo {\n    void problematic() {\n        // Problematic - using legacy Calendar API\n        Calendar cal = Calendar.getInstance();\n        cal.set(2024, Calendar.JANUARY, 15); // Month indexing is confusing (0-based)\n        cal.add(Calendar.DAY_OF_MONTH, 7);\n\n        Calendar specific = new GregorianCalendar(2024, 0, 15); // Also problematic\n    }\n\n    void preferred() {\n        // Preferred - using modern java.time API\n        LocalDate date = LocalDate.of(2024, 1, 15); // Month indexing is intuitive (1-based)\n        LocalDate weekLater = date.plusDays(7);\n\n        LocalDateTime dateTime = LocalDateTime.now();\n        ZonedDateTime zonedDateTime = ZonedDateTime.now();\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//LocalVariableDeclaration[ClassType[pmd-java:typeIs('java.util.Calendar')]] |\n//FormalParameter[ClassType[pmd-java:typeIs('java.util.Calendar')]] |\n//FieldDeclaration[ClassType[pmd-java:typeIs('java.util.Calendar')]] |\n//ConstructorCall[ClassType[pmd-java:typeIs('java.util.Calendar')]]",
+      "version": "3.1"
+    },
     "minLanguageVersion": "1.8",
+    "related": [
+      {
+        "name": "ReplaceJavaUtilDate",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.66
+      },
+      {
+        "name": "AvoidCalendarDateCreation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.34
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - java.util.Calendar은 레거시 API입니다. java.time 패키지를 사용하세요"
+    "claude_comment": "권장 - java.util.Calendar은 레거시 API입니다. java.time 패키지를 사용하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "ReplaceJavaUtilDate",
@@ -3895,9 +11181,35 @@ const RULES_DATA =
     "examples": [
       "import java.util.Date;\nimport java.time.Instant;\nimport java.time.LocalDate;\nimport java.time.LocalDateTime;\nimport java.time.ZonedDateTime;\n\npublic class Foo {\n    void problematic() {\n        // Problematic - using legacy Date API\n        Date now = new Date();\n        Date epoch = new Date(0L);\n        Date custom = new Date(124, 0, 15); // Deprecated constructor: year=1900+124=2024, month=0=January\n\n        // Mutable operations are error-prone\n        now.setTime(System.currentTimeMillis());\n    }\n\n    void preferred() {\n        // Preferred - using modern java.time API\n        Instant now = Instant.now(); // For timestamps\n        LocalDate today = LocalDate.now(); // For date only\n        LocalDateTime dateTime = LocalDateTime.now(); // For date and time\n        ZonedDateTime zonedDateTime = ZonedDateTime.now(); // With timezone\n\n        // Immutable operations are safer\n        LocalDate tomorrow = today.plusDays(1);\n        LocalDateTime nextHour = dateTime.plusHours(1);\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//LocalVariableDeclaration[ClassType[pmd-java:typeIs('java.util.Date')]] |\n//FormalParameter[ClassType[pmd-java:typeIs('java.util.Date')]] |\n//FieldDeclaration[ClassType[pmd-java:typeIs('java.util.Date')]] |\n//ConstructorCall[ClassType[pmd-java:typeIs('java.util.Date')]]",
+      "version": "3.1"
+    },
     "minLanguageVersion": "1.8",
+    "related": [
+      {
+        "name": "ReplaceJavaUtilCalendar",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.66
+      },
+      {
+        "name": "AvoidCalendarDateCreation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - java.util.Date는 레거시 API입니다. java.time 패키지를 사용하세요"
+    "claude_comment": "권장 - java.util.Date는 레거시 API입니다. java.time 패키지를 사용하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "ReturnFromFinallyBlock",
@@ -3912,8 +11224,27 @@ const RULES_DATA =
     "examples": [
       "public class Bar {\n    public String foo() {\n        try {\n            throw new Exception( \"My Exception\" );\n        } catch (Exception e) {\n            throw e;\n        } finally {\n            return \"A. O. K.\"; // return not recommended here\n        }\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//FinallyClause//ReturnStatement except //FinallyClause//(MethodDeclaration|LambdaExpression)//ReturnStatement",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "DoNotThrowExceptionInFinally",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.42
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - finally에서 return하면 try/catch의 예외가 삼켜져 장애 분석이 불가능합니다"
+    "claude_comment": "필수 - finally에서 return하면 try/catch의 예외가 삼켜져 장애 분석이 불가능합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "SimpleDateFormatNeedsLocale",
@@ -3928,8 +11259,27 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n  // Should specify Locale.US (or whatever)\n  private SimpleDateFormat sdf = new SimpleDateFormat(\"pattern\");\n}"
     ],
+    "xpath": {
+      "expression": "//ConstructorCall\n    [pmd-java:typeIs('java.text.SimpleDateFormat')]\n    [ArgumentList/@Size = 1]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "UseLocaleWithCaseConversions",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - Locale 없는 SimpleDateFormat은 환경에 따라 다른 결과를 생성합니다"
+    "claude_comment": "권장 - Locale 없는 SimpleDateFormat은 환경에 따라 다른 결과를 생성합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "StaticEJBFieldShouldBeFinal",
@@ -3944,8 +11294,60 @@ const RULES_DATA =
     "examples": [
       "public class SomeEJB extends EJBObject implements EJBLocalHome {\n\n    private static int CountA;          // poor, field can be edited\n\n    private static final int CountB;    // preferred, read-only access\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "private static int CountA;          // poor, field can be edited"
+        },
+        {
+          "kind": "good",
+          "code": "private static final int CountB;    // preferred, read-only access"
+        }
+      ]
+    ],
+    "xpath": {
+      "expression": "//ClassDeclaration[ImplementsList/ClassType[\n        pmd-java:typeIs('javax.ejb.SessionBean')\n     or pmd-java:typeIs('javax.ejb.EJBHome')\n     or pmd-java:typeIs('javax.ejb.EJBLocalObject')\n     or pmd-java:typeIs('javax.ejb.EJBLocalHome')\n     or pmd-java:typeIs('javax.ejb.EJBObject')\n    ]]\n    /ClassBody/FieldDeclaration\n        [pmd-java:modifiers() = 'static']\n        [not(pmd-java:modifiers() = 'final')]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "FinalFieldCouldBeStatic",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.36
+      },
+      {
+        "name": "AssignmentToNonFinalStatic",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "MutableStaticState",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      },
+      {
+        "name": "MissingStaticMethodInNonInstantiatableClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": "skip",
-    "claude_comment": "스킵 - EJB 전용 규칙으로 현대적인 Spring 기반 프로젝트에는 불필요합니다"
+    "claude_comment": "스킵 - EJB 전용 규칙으로 현대적인 Spring 기반 프로젝트에는 불필요합니다",
+    "tiers": {
+      "default": "skip",
+      "android": "skip",
+      "backend": "skip",
+      "batch": "skip"
+    }
   },
   {
     "name": "SuspiciousHashcodeMethodName",
@@ -3960,8 +11362,34 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    public int hashcode() { // oops, this probably was supposed to be 'hashCode'\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//MethodDeclaration[\n        lower-case(@Name) = 'hashcode'\n    and @Name != 'hashCode'\n    and @Arity = 0\n    and PrimitiveType[@Kind = 'int']\n]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "SuspiciousEqualsMethodName",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.4
+      },
+      {
+        "name": "OverrideBothEqualsAndHashcode",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.31
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - hashcode()/HashCode() 오타는 hashCode() 오버라이드 실패로 해시 기반 컬렉션에서 버그를 유발합니다"
+    "claude_comment": "필수 - hashcode()/HashCode() 오타는 hashCode() 오버라이드 실패로 해시 기반 컬렉션에서 버그를 유발합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "SuspiciousOctalEscape",
@@ -3976,8 +11404,23 @@ const RULES_DATA =
     "examples": [
       "public void foo() {\n  // interpreted as octal 12, followed by character '8'\n  System.out.println(\"suspicious: \\128\");\n}"
     ],
+    "related": [
+      {
+        "name": "AvoidUsingOctalValues",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.34
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 의심스러운 8진수 이스케이프는 문자열에서 예기치 않은 문자를 생성합니다"
+    "claude_comment": "필수 - 의심스러운 8진수 이스케이프는 문자열에서 예기치 않은 문자를 생성합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "TestClassWithoutTestCases",
@@ -3992,8 +11435,58 @@ const RULES_DATA =
     "examples": [
       "//Consider changing the name of the class if it is not a test\n//Consider adding test methods if it is a test\npublic class CarTest {\n   public static void main(String[] args) {\n    // do something\n   }\n   // code\n}"
     ],
+    "related": [
+      {
+        "name": "UnitTestShouldUseTestAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.36
+      },
+      {
+        "name": "DetachedTestCase",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.34
+      },
+      {
+        "name": "UnitTestShouldUseBeforeAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.31
+      },
+      {
+        "name": "JUnit5TestShouldBePackagePrivate",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "UnitTestShouldUseAfterAnnotation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "UnitTestShouldIncludeAssert",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 테스트 메서드 없는 테스트 클래스는 테스트가 실행되지 않는 문제를 나타냅니다"
+    "claude_comment": "권장 - 테스트 메서드 없는 테스트 클래스는 테스트가 실행되지 않는 문제를 나타냅니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UnconditionalIfStatement",
@@ -4008,8 +11501,18 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    public void close() {\n        if (true) {        // fixed conditional, not recommended\n            // ...\n        }\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//IfStatement[BooleanLiteral[1]]\nunion\n//IfStatement/(VariableAccess|UnaryExpression[@Operator = '!']/VariableAccess)/self::VariableAccess[@CompileTimeConstant = false()]\n[@Name = ancestor::IfStatement\n         /preceding-sibling::LocalVariableDeclaration[PrimitiveType[@Kind = \"boolean\"]]\n         /VariableDeclarator[@Initializer = true()][BooleanLiteral]\n         /@Name]\n(: var is only initialized with a literal and used only with the if statement, there is no other var access :)\n[let $name := @Name return count(ancestor::Block//VariableAccess[@Name = $name]) = 1]",
+      "version": "3.1"
+    },
     "tier": 1,
-    "claude_comment": "필수 - if(true)/if(false)는 명백한 논리 오류이며 데드 코드입니다"
+    "claude_comment": "필수 - if(true)/if(false)는 명백한 논리 오류이며 데드 코드입니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "UnnecessaryBooleanAssertion",
@@ -4024,8 +11527,18 @@ const RULES_DATA =
     "examples": [
       "public class SimpleTest extends TestCase {\n    public void testX() {\n        assertTrue(true);            // serves no real purpose - remove it\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//ClassDeclaration\n    [pmd-java:typeIs('junit.framework.TestCase')\n     or .//Annotation[pmd-java:typeIs('org.junit.Test')\n                   or pmd-java:typeIs('org.junit.jupiter.api.Test')\n                   or pmd-java:typeIs('org.junit.jupiter.api.RepeatedTest')\n                   or pmd-java:typeIs('org.junit.jupiter.api.TestFactory')\n                   or pmd-java:typeIs('org.junit.jupiter.api.TestTemplate')\n                   or pmd-java:typeIs('org.junit.jupiter.params.ParameterizedTest')\n     ]\n    ]\n    //MethodCall[@MethodName = ('assertTrue', 'assertFalse')]\n        [ArgumentList\n            [\n                BooleanLiteral or\n                UnaryExpression[@Operator = '!'][BooleanLiteral]\n            ]\n        ]",
+      "version": "3.1"
+    },
     "tier": 2,
-    "claude_comment": "권장 - assertTrue(true) 같은 무의미한 단언은 테스트 품질을 저하시킵니다"
+    "claude_comment": "권장 - assertTrue(true) 같은 무의미한 단언은 테스트 품질을 저하시킵니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UnnecessaryCaseChange",
@@ -4041,7 +11554,13 @@ const RULES_DATA =
       "boolean answer1 = buz.toUpperCase().equals(\"BAZ\");              // should be buz.equalsIgnoreCase(\"BAZ\")\n\nboolean answer2 = buz.toUpperCase().equalsIgnoreCase(\"BAZ\");    // another unnecessary toUpperCase()"
     ],
     "tier": 3,
-    "claude_comment": "선택 - equalsIgnoreCase 사용으로 불필요한 대소문자 변환을 제거하는 것은 마이너 개선입니다"
+    "claude_comment": "선택 - equalsIgnoreCase 사용으로 불필요한 대소문자 변환을 제거하는 것은 마이너 개선입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UnnecessaryConversionTemporary",
@@ -4056,8 +11575,18 @@ const RULES_DATA =
     "examples": [
       "public String convert(int x) {\n    String foo = new Integer(x).toString(); // this wastes an object\n\n    return Integer.toString(x);             // preferred approach\n}"
     ],
+    "xpath": {
+      "expression": "//MethodCall[@MethodName = 'toString']\n    [ConstructorCall[position() = 1]\n        [\n            pmd-java:typeIs('java.lang.Integer')\n         or pmd-java:typeIs('java.lang.Long')\n         or pmd-java:typeIs('java.lang.Float')\n         or pmd-java:typeIs('java.lang.Byte')\n         or pmd-java:typeIs('java.lang.Double')\n         or pmd-java:typeIs('java.lang.Short')\n        ]\n    ]",
+      "version": "3.1"
+    },
     "tier": 3,
-    "claude_comment": "선택 - 불필요한 변환용 임시 객체 제거는 마이너한 코드 정리입니다"
+    "claude_comment": "선택 - 불필요한 변환용 임시 객체 제거는 마이너한 코드 정리입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UnsupportedJdkApiUsage",
@@ -4067,13 +11596,40 @@ const RULES_DATA =
     "message": "지원되지 않는 JDK API를 사용하지 마세요",
     "ruleClass": "net.sourceforge.pmd.lang.rule.xpath.XPathRule",
     "externalInfoUrl": "https://docs.pmd-code.org/latest/pmd_rules_java_errorprone.html#unsupportedjdkapiusage",
-    "description": "`sun.*` 또는 `jdk.internal.*` 패키지의 클래스를 임포트하거나 API를 사용하는 것을 피하세요.\n`sun.misc.Unsafe` 또는 `jdk.internal.misc.Unsafe`를 포함합니다. 이 패키지들은 이식성이 없고 안정적이지 않으며\n향후 JDK 버전에서 변경되거나 제거될 수 있습니다. 이름에서 알 수 있듯이, `Unsafe` 클래스의 메서드는 특히 위험하며\nVarHandle API(JDK 9에서 도입)와 Foreign Function &amp; Memory API(JDK 22에서 도입) 같은\n더 안전한 대안으로 대체되었습니다. 예제가 포함된 더 안전한 대안은 [JEP 471](https://openjdk.org/jeps/471)을 참조하세요.\n\nSun API에 의존해야 하는 경우, 안정적인 래퍼 클래스 내부와 같이 최소한의 격리된 범위에 사용을 제한하세요.\n이러한 래퍼의 구현에서 이 규칙을 억제할 수 있지만, 가능한 한 공식 API로 마이그레이션하는 것이\n강력히 권장됩니다.\n\n이러한 지원되지 않는 API의 사용은 내부 용도로만 의도되었으므로 Java 컴파일러에 의해서도\n경고됩니다. 이 PMD 규칙은 독립적인 코드 검토를 용이하게 하고 컴파일러 경고가\n간과되었을 수 있는 인스턴스를 포착하기 위해 추가되었습니다.",
+    "description": "`sun.*` 또는 `jdk.internal.*` 패키지의 클래스를 임포트하거나 API를 사용하는 것을 피하세요.\n`sun.misc.Unsafe` 또는 `jdk.internal.misc.Unsafe`를 포함합니다. 이 패키지들은 이식성이 없고 안정적이지 않으며\n향후 JDK 버전에서 변경되거나 제거될 수 있습니다. 이름에서 알 수 있듯이, `Unsafe` 클래스의 메서드는 특히 위험하며\nVarHandle API(JDK 9에서 도입)와 Foreign Function & Memory API(JDK 22에서 도입) 같은\n더 안전한 대안으로 대체되었습니다. 예제가 포함된 더 안전한 대안은 [JEP 471](https://openjdk.org/jeps/471)을 참조하세요.\n\nSun API에 의존해야 하는 경우, 안정적인 래퍼 클래스 내부와 같이 최소한의 격리된 범위에 사용을 제한하세요.\n이러한 래퍼의 구현에서 이 규칙을 억제할 수 있지만, 가능한 한 공식 API로 마이그레이션하는 것이\n강력히 권장됩니다.\n\n이러한 지원되지 않는 API의 사용은 내부 용도로만 의도되었으므로 Java 컴파일러에 의해서도\n경고됩니다. 이 PMD 규칙은 독립적인 코드 검토를 용이하게 하고 컴파일러 경고가\n간과되었을 수 있는 인스턴스를 포착하기 위해 추가되었습니다.",
     "priority": 3,
     "examples": [
       "public final class MemoryWiper {\n  public static void main(final String[] args) throws NoSuchFieldException, IllegalAccessException {\n    for (final String s : args) {\n      sun.misc.Unsafe.getUnsafe().putAddress(Long.parseLong(s), 0L); // bad\n    }\n  }\n}"
     ],
+    "xpath": {
+      "expression": "//ImportDeclaration[starts-with(@ImportedName, 'sun.') or starts-with(@ImportedName, 'jdk.internal.')]\n|\n//MethodCall[pmd-java:matchesSig('sun.misc.Unsafe#_(_*)') or pmd-java:matchesSig('jdk.internal.misc.Unsafe#_(_*)')]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "DontImportSun",
+        "reasons": [
+          "mentionedBy",
+          "similar"
+        ],
+        "score": 3.38
+      },
+      {
+        "name": "UseObjectForClearerAPI",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 지원되지 않는 JDK API 사용은 런타임 오류를 유발합니다"
+    "claude_comment": "필수 - 지원되지 않는 JDK API 사용은 런타임 오류를 유발합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "UnusedNullCheckInEquals",
@@ -4088,8 +11644,62 @@ const RULES_DATA =
     "examples": [
       "public class Test {\n\n    public String method1() { return \"ok\";}\n    public String method2() { return null;}\n\n    public void method(String a) {\n        String b;\n        // I don't know it method1() can be \"null\"\n        // but I know \"a\" is not null..\n        // I'd better write a.equals(method1())\n\n        if (a!=null && method1().equals(a)) { // will trigger the rule\n            //whatever\n        }\n\n        if (method1().equals(a) && a != null) { // won't trigger the rule\n            //whatever\n        }\n\n        if (a!=null && method1().equals(b)) { // won't trigger the rule\n            //whatever\n        }\n\n        if (a!=null && \"LITERAL\".equals(a)) { // won't trigger the rule\n            //whatever\n        }\n\n        if (a!=null && !a.equals(\"go\")) { // won't trigger the rule\n            a=method2();\n            if (method1().equals(a)) {\n                //whatever\n            }\n        }\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//InfixExpression[@Operator = '&&']\n  /MethodCall[pmd-java:matchesSig(\"java.lang.Object#equals(java.lang.Object)\")]\n             [not(StringLiteral)]\n             [not(VariableAccess[@CompileTimeConstant = true()])]\n             [ArgumentList/VariableAccess/@Name = ..//InfixExpression[@Operator = '!='][NullLiteral]/VariableAccess/@Name]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "EqualsNull",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.49
+      },
+      {
+        "name": "SuspiciousEqualsMethodName",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "OverrideBothEqualsAndHashCodeOnComparable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "MisplacedNullCheck",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "UseEqualsToCompareStrings",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      },
+      {
+        "name": "CompareObjectsWithEquals",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - equals() 내 불필요한 null 체크는 코드를 복잡하게 만듭니다"
+    "claude_comment": "권장 - equals() 내 불필요한 null 체크는 코드를 복잡하게 만듭니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UseCorrectExceptionLogging",
@@ -4104,8 +11714,27 @@ const RULES_DATA =
     "examples": [
       "public class Main {\n    private static final Log _LOG = LogFactory.getLog( Main.class );\n    void bar() {\n        try {\n        } catch( Exception e ) {\n            _LOG.error( e ); //Wrong!\n        } catch( OtherException oe ) {\n            _LOG.error( oe.getMessage(), oe ); //Correct\n        }\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//CatchClause/Block//MethodCall\n    [pmd-java:matchesSig('org.apache.commons.logging.Log#_(java.lang.Object)')]\n    [ArgumentList[not(MethodCall)]//VariableAccess/@Name = ancestor::CatchClause/CatchParameter/@Name]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "UseIOStreamsWithApacheCommonsFileItem",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 올바른 예외 로깅 패턴을 사용해야 스택 트레이스가 보존됩니다"
+    "claude_comment": "권장 - 올바른 예외 로깅 패턴을 사용해야 스택 트레이스가 보존됩니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UseEqualsToCompareStrings",
@@ -4120,8 +11749,63 @@ const RULES_DATA =
     "examples": [
       "public boolean test(String s) {\n    if (s == \"one\") return true;        // unreliable\n    if (\"two\".equals(s)) return true;   // better\n    return false;\n}"
     ],
+    "xpath": {
+      "expression": "//InfixExpression[@Operator = ('==', '!=')]\n                 [count(*[pmd-java:typeIsExactly('java.lang.String')]) = 2]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "EnumComparison",
+        "reasons": [
+          "mentionedBy",
+          "similar"
+        ],
+        "score": 3.23
+      },
+      {
+        "name": "CompareObjectsWithEquals",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.41
+      },
+      {
+        "name": "EqualsNull",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.36
+      },
+      {
+        "name": "SuspiciousEqualsMethodName",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      },
+      {
+        "name": "OverrideBothEqualsAndHashCodeOnComparable",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      },
+      {
+        "name": "UnusedNullCheckInEquals",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 문자열을 == 로 비교하면 동일 내용이라도 false가 반환되는 심각한 버그입니다"
+    "claude_comment": "필수 - 문자열을 == 로 비교하면 동일 내용이라도 false가 반환되는 심각한 버그입니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "UselessOperationOnImmutable",
@@ -4136,8 +11820,24 @@ const RULES_DATA =
     "examples": [
       "import java.math.*;\n\nclass Test {\n    void method1() {\n        BigDecimal bd=new BigDecimal(10);\n        bd.add(new BigDecimal(5));      // this will trigger the rule\n    }\n    void method2() {\n        BigDecimal bd=new BigDecimal(10);\n        bd = bd.add(new BigDecimal(5)); // this won't trigger the rule\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "UselessPureMethodCall",
+        "reasons": [
+          "mentions",
+          "similar"
+        ],
+        "score": 3.31
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 불변 객체(String, BigDecimal 등)에 대한 무의미한 연산은 결과가 버려지는 버그입니다"
+    "claude_comment": "필수 - 불변 객체(String, BigDecimal 등)에 대한 무의미한 연산은 결과가 버려지는 버그입니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "UselessPureMethodCall",
@@ -4152,8 +11852,31 @@ const RULES_DATA =
     "examples": [
       "public class Something {\n    public void foo() {\n        List.of(\"foo\").size(); // result unused\n        Stream.of(\"bar\").map(item -> System.out.format(\"%s\", item)); // result unused\n        Stream.of(\"bar\").forEach(item -> System.out.format(\"%s\", item)); // better\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "UselessOperationOnImmutable",
+        "reasons": [
+          "mentionedBy",
+          "similar"
+        ],
+        "score": 3.31
+      },
+      {
+        "name": "AvoidLosingExceptionInformation",
+        "reasons": [
+          "mentionedBy"
+        ],
+        "score": 3
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 순수 메서드 호출 결과를 사용하지 않으면 의도한 동작이 수행되지 않습니다"
+    "claude_comment": "필수 - 순수 메서드 호출 결과를 사용하지 않으면 의도한 동작이 수행되지 않습니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "UseLocaleWithCaseConversions",
@@ -4168,8 +11891,39 @@ const RULES_DATA =
     "examples": [
       "// violation - implicitly system-dependent conversion\nif (x.toLowerCase().equals(\"list\")) {}\n\n// The above will not match \"LIST\" on a system with a Turkish locale.\n// It could be replaced with\nif (x.toLowerCase(Locale.US).equals(\"list\")) { }\n// or simply\nif (x.equalsIgnoreCase(\"list\")) { }\n\n// ok - system independent conversion\nString z = a.toLowerCase(Locale.ROOT);\n\n// ok - explicit system-dependent conversion\nString z2 = a.toLowerCase(Locale.getDefault());"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "// violation - implicitly system-dependent conversion\nif (x.toLowerCase().equals(\"list\")) {}\n\n// The above will not match \"LIST\" on a system with a Turkish locale.\n// It could be replaced with\nif (x.toLowerCase(Locale.US).equals(\"list\")) { }\n// or simply\nif (x.equalsIgnoreCase(\"list\")) { }"
+        },
+        {
+          "kind": "good",
+          "code": "// ok - system independent conversion\nString z = a.toLowerCase(Locale.ROOT);\n\n// ok - explicit system-dependent conversion\nString z2 = a.toLowerCase(Locale.getDefault());"
+        }
+      ]
+    ],
+    "xpath": {
+      "expression": "//MethodCall[pmd-java:matchesSig(\"java.lang.String#toLowerCase()\") or pmd-java:matchesSig(\"java.lang.String#toUpperCase()\")]\n            [not(MethodCall[@MethodName = \"toHexString\"])]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "SimpleDateFormatNeedsLocale",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - Locale 없는 대소문자 변환은 터키어 등에서 예기치 않은 결과를 생성합니다"
+    "claude_comment": "권장 - Locale 없는 대소문자 변환은 터키어 등에서 예기치 않은 결과를 생성합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UseProperClassLoader",
@@ -4184,8 +11938,18 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    ClassLoader cl = Bar.class.getClassLoader();\n}"
     ],
+    "xpath": {
+      "expression": "//MethodCall[pmd-java:matchesSig(\"java.lang.Class#getClassLoader()\")]",
+      "version": "3.1"
+    },
     "tier": 2,
-    "claude_comment": "권장 - 올바른 ClassLoader 사용은 서버 환경에서 클래스 로딩 문제를 방지합니다"
+    "claude_comment": "권장 - 올바른 ClassLoader 사용은 서버 환경에서 클래스 로딩 문제를 방지합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "DoNotThrowExceptionInFinally",
@@ -4200,8 +11964,27 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    public void bar() {\n        try {\n            // Here do some stuff\n        } catch( Exception e) {\n            // Handling the issue\n        } finally {\n            // is this really a good idea ?\n            throw new Exception();\n        }\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//FinallyClause[descendant::ThrowStatement]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "ReturnFromFinallyBlock",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.42
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - finally에서 예외를 던지면 원래 예외가 소실되어 장애 분석이 불가능합니다"
+    "claude_comment": "필수 - finally에서 예외를 던지면 원래 예외가 소실되어 장애 분석이 불가능합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "DontImportSun",
@@ -4216,8 +11999,35 @@ const RULES_DATA =
     "examples": [
       "import sun.misc.foo;\npublic class Foo {}"
     ],
+    "xpath": {
+      "expression": "//ImportDeclaration[starts-with(@ImportedName, 'sun.')]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "UnsupportedJdkApiUsage",
+        "reasons": [
+          "mentions",
+          "similar"
+        ],
+        "score": 3.38
+      },
+      {
+        "name": "UnnecessaryImport",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - sun.* 패키지는 비공식 API이며 JDK 버전 간 호환이 보장되지 않습니다"
+    "claude_comment": "권장 - sun.* 패키지는 비공식 API이며 JDK 버전 간 호환이 보장되지 않습니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "InstantiationToGetClass",
@@ -4232,8 +12042,41 @@ const RULES_DATA =
     "examples": [
       "// replace this\nClass c = new String().getClass();\n\n// with this:\nClass c = String.class;"
     ],
+    "xpath": {
+      "expression": "//MethodCall\n [@MethodName='getClass']\n [ConstructorCall]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "PublicMemberInNonPublicType",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "StringInstantiation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "AbstractClassWithoutAnyMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - new Foo().getClass() 대신 Foo.class 사용은 마이너 최적화입니다"
+    "claude_comment": "선택 - new Foo().getClass() 대신 Foo.class 사용은 마이너 최적화입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "StringBufferInstantiationWithChar",
@@ -4248,8 +12091,41 @@ const RULES_DATA =
     "examples": [
       "// misleading instantiation, these buffers\n// are actually sized to 99 characters long\nStringBuffer  sb1 = new StringBuffer('c');\nStringBuilder sb2 = new StringBuilder('c');\n\n// in these forms, just single characters are allocated\nStringBuffer  sb3 = new StringBuffer(\"c\");\nStringBuilder sb4 = new StringBuilder(\"c\");"
     ],
+    "xpath": {
+      "expression": "//ConstructorCall[ArgumentList/*[pmd-java:typeIsExactly('char')]]\n    [pmd-java:matchesSig('java.lang.StringBuilder#new(int)')\n     or pmd-java:matchesSig('java.lang.StringBuffer#new(int)')]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "UseStringBufferForStringAppends",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "AppendCharacterWithChar",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      },
+      {
+        "name": "InsufficientStringBufferDeclaration",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - new StringBuffer('c')는 char를 int로 변환하여 용량으로 사용하는 흔한 실수입니다"
+    "claude_comment": "필수 - new StringBuffer('c')는 char를 int로 변환하여 용량으로 사용하는 흔한 실수입니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "InvalidLogMessageFormat",
@@ -4264,8 +12140,23 @@ const RULES_DATA =
     "examples": [
       "LOGGER.error(\"forget the arg {}\");\nLOGGER.error(\"forget the arg %s\");\nLOGGER.error(\"too many args {}\", \"arg1\", \"arg2\");\nLOGGER.error(\"param {}\", \"arg1\", new IllegalStateException(\"arg\")); //The exception is shown separately, so is correct."
     ],
+    "related": [
+      {
+        "name": "UnitTestAssertionsShouldIncludeMessage",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 잘못된 로그 메시지 포맷은 파라미터 불일치로 로그가 올바르게 기록되지 않습니다"
+    "claude_comment": "필수 - 잘못된 로그 메시지 포맷은 파라미터 불일치로 로그가 올바르게 기록되지 않습니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "DoubleCheckedLocking",
@@ -4275,13 +12166,29 @@ const RULES_DATA =
     "message": "이중 검사 잠금(Double checked locking)은 Java에서 스레드 안전하지 않습니다.",
     "ruleClass": "net.sourceforge.pmd.lang.java.rule.multithreading.DoubleCheckedLockingRule",
     "externalInfoUrl": "https://docs.pmd-code.org/latest/pmd_rules_java_multithreading.html#doublecheckedlocking",
-    "description": "Java에서 이중 검사 잠금(Double Checked Locking) 패턴을 사용하면 부분적으로 생성된 객체가 반환될 수 있습니다.\n최적화된 JRE는 참조가 가리키는 객체의 생성자를 호출하기 전에 baz 변수에 참조를 할당할 수 있습니다.\n\n참고: Java 5부터는 변수를 `volatile`로 선언하면 이중 검사 잠금이 동작하도록 할 수 있습니다.\n\n자세한 내용은 다음을 참조하세요: &lt;http://www.javaworld.com/javaworld/jw-02-2001/jw-0209-double.html>\n또는 &lt;http://www.cs.umd.edu/~pugh/java/memoryModel/DoubleCheckedLocking.html>",
+    "description": "Java에서 이중 검사 잠금(Double Checked Locking) 패턴을 사용하면 부분적으로 생성된 객체가 반환될 수 있습니다.\n최적화된 JRE는 참조가 가리키는 객체의 생성자를 호출하기 전에 baz 변수에 참조를 할당할 수 있습니다.\n\n참고: Java 5부터는 변수를 `volatile`로 선언하면 이중 검사 잠금이 동작하도록 할 수 있습니다.\n\n자세한 내용은 다음을 참조하세요: <http://www.javaworld.com/javaworld/jw-02-2001/jw-0209-double.html>\n또는 <http://www.cs.umd.edu/~pugh/java/memoryModel/DoubleCheckedLocking.html>",
     "priority": 1,
     "examples": [
       "public class Foo {\n    /*volatile */ Object baz = null; // fix for Java5 and later: volatile\n    Object bar() {\n        if (baz == null) { // baz may be non-null yet not fully created\n            synchronized(this) {\n                if (baz == null) {\n                    baz = new Object();\n                }\n              }\n        }\n        return baz;\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "NonThreadSafeSingleton",
+        "reasons": [
+          "mentionedBy",
+          "similar"
+        ],
+        "score": 3.21
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - DCL 패턴은 volatile 없이 사용하면 스레드 안전성이 보장되지 않는 유명한 동시성 버그입니다"
+    "claude_comment": "필수 - DCL 패턴은 volatile 없이 사용하면 스레드 안전성이 보장되지 않는 유명한 동시성 버그입니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "AvoidUsingVolatile",
@@ -4296,8 +12203,18 @@ const RULES_DATA =
     "examples": [
       "public class Data {\n  private volatile String var1; // not suggested\n  private          String var2; // preferred\n}"
     ],
+    "xpath": {
+      "expression": "//FieldDeclaration[pmd-java:modifiers() = \"volatile\"]",
+      "version": "3.1"
+    },
     "tier": "skip",
-    "claude_comment": "스킵 - volatile은 올바르게 사용하면 유용한 동시성 도구이며 금지할 이유가 없습니다"
+    "claude_comment": "스킵 - volatile은 올바르게 사용하면 유용한 동시성 도구이며 금지할 이유가 없습니다",
+    "tiers": {
+      "default": "skip",
+      "android": "skip",
+      "backend": "skip",
+      "batch": "skip"
+    }
   },
   {
     "name": "AvoidSynchronizedAtMethodLevel",
@@ -4312,8 +12229,47 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    // Try to avoid this:\n    synchronized void foo() {\n        // code, that doesn't need synchronization\n        // ...\n        // code, that requires synchronization\n        if (!sharedData.has(\"bar\")) {\n            sharedData.add(\"bar\");\n        }\n        // more code, that doesn't need synchronization\n        // ...\n    }\n    // Prefer this:\n    Lock instanceLock = new ReentrantLock();\n\n    void bar() {\n        // code, that doesn't need synchronization\n        // ...\n        try {\n            instanceLock.lock();  // or instanceLock.tryLock(long time, TimeUnit unit)\n            if (!sharedData.has(\"bar\")) {\n                sharedData.add(\"bar\");\n            }\n        } finally {\n            instanceLock.unlock();\n        }\n        // more code, that doesn't need synchronization\n        // ...\n    }\n\n    // Try to avoid this for static methods:\n    static synchronized void fooStatic() {\n    }\n\n    // Prefer this:\n    private static Lock CLASS_LOCK = new ReentrantLock();\n\n    static void barStatic() {\n        // code, that doesn't need synchronization\n        // ...\n        try {\n            CLASS_LOCK.lock();\n            // code, that requires synchronization\n        } finally {\n            CLASS_LOCK.unlock();\n        }\n        // more code, that doesn't need synchronization\n        // ...\n    }\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "// Try to avoid this:\nsynchronized void foo() {\n    // code, that doesn't need synchronization\n    // ...\n    // code, that requires synchronization\n    if (!sharedData.has(\"bar\")) {\n        sharedData.add(\"bar\");\n    }\n    // more code, that doesn't need synchronization\n    // ...\n}"
+        },
+        {
+          "kind": "good",
+          "code": "// Prefer this:\nLock instanceLock = new ReentrantLock();\n\nvoid bar() {\n    // code, that doesn't need synchronization\n    // ...\n    try {\n        instanceLock.lock();  // or instanceLock.tryLock(long time, TimeUnit unit)\n        if (!sharedData.has(\"bar\")) {\n            sharedData.add(\"bar\");\n        }\n    } finally {\n        instanceLock.unlock();\n    }\n    // more code, that doesn't need synchronization\n    // ...\n}"
+        },
+        {
+          "kind": "bad",
+          "code": "// Try to avoid this for static methods:\nstatic synchronized void fooStatic() {\n}"
+        },
+        {
+          "kind": "good",
+          "code": "// Prefer this:\nprivate static Lock CLASS_LOCK = new ReentrantLock();\n\nstatic void barStatic() {\n    // code, that doesn't need synchronization\n    // ...\n    try {\n        CLASS_LOCK.lock();\n        // code, that requires synchronization\n    } finally {\n        CLASS_LOCK.unlock();\n    }\n    // more code, that doesn't need synchronization\n    // ...\n}"
+        }
+      ]
+    ],
+    "xpath": {
+      "expression": "//MethodDeclaration[pmd-java:modifiers() = \"synchronized\"]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "AvoidSynchronizedStatement",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.5
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 메서드 수준 synchronized 회피는 성능 최적화이나 간단한 경우 메서드 수준이 더 명확합니다"
+    "claude_comment": "선택 - 메서드 수준 synchronized 회피는 성능 최적화이나 간단한 경우 메서드 수준이 더 명확합니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "AvoidSynchronizedStatement",
@@ -4328,8 +12284,46 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    // Try to avoid this:\n    void foo() {\n        // code that doesn't need mutual exclusion\n        synchronized(this) {\n            // code that requires mutual exclusion\n        }\n        // more code that doesn't need mutual exclusion\n    }\n    // Prefer this:\n    Lock instanceLock = new ReentrantLock();\n\n    void foo() {\n        // code that doesn't need mutual exclusion\n        try {\n            instanceLock.lock();  // or instanceLock.tryLock(long time, TimeUnit unit)\n            // code that requires mutual exclusion\n        } finally {\n            instanceLock.unlock();\n        }\n        // more code that doesn't need mutual exclusion\n    }\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "// Try to avoid this:\nvoid foo() {\n    // code that doesn't need mutual exclusion\n    synchronized(this) {\n        // code that requires mutual exclusion\n    }\n    // more code that doesn't need mutual exclusion\n}"
+        },
+        {
+          "kind": "good",
+          "code": "// Prefer this:\nLock instanceLock = new ReentrantLock();\n\nvoid foo() {\n    // code that doesn't need mutual exclusion\n    try {\n        instanceLock.lock();  // or instanceLock.tryLock(long time, TimeUnit unit)\n        // code that requires mutual exclusion\n    } finally {\n        instanceLock.unlock();\n    }\n    // more code that doesn't need mutual exclusion\n}"
+        }
+      ]
+    ],
+    "xpath": {
+      "expression": "//SynchronizedStatement",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "AvoidSynchronizedAtMethodLevel",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.5
+      },
+      {
+        "name": "AvoidMessageDigestField",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": "skip",
-    "claude_comment": "스킵 - synchronized 문 자체를 금지하는 것은 너무 제한적이며 올바른 동기화에 필요합니다"
+    "claude_comment": "스킵 - synchronized 문 자체를 금지하는 것은 너무 제한적이며 올바른 동기화에 필요합니다",
+    "tiers": {
+      "default": "skip",
+      "android": "skip",
+      "backend": "skip",
+      "batch": "skip"
+    }
   },
   {
     "name": "AvoidThreadGroup",
@@ -4344,8 +12338,27 @@ const RULES_DATA =
     "examples": [
       "public class Bar {\n    void buz() {\n        ThreadGroup tg = new ThreadGroup(\"My threadgroup\");\n        tg = new ThreadGroup(tg, \"my thread group\");\n        tg = Thread.currentThread().getThreadGroup();\n        tg = System.getSecurityManager().getThreadGroup();\n    }\n}"
     ],
+    "xpath": {
+      "expression": "  //ConstructorCall/ClassType[pmd-java:typeIs('java.lang.ThreadGroup')]\n| //MethodCall[@MethodName = 'getThreadGroup']",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "DontCallThreadRun",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - ThreadGroup은 레거시 API이며 스레드 관리에 ExecutorService를 사용하세요"
+    "claude_comment": "권장 - ThreadGroup은 레거시 API이며 스레드 관리에 ExecutorService를 사용하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "DoNotUseThreads",
@@ -4360,8 +12373,27 @@ const RULES_DATA =
     "examples": [
       "// This is not allowed\npublic class UsingThread extends Thread {\n\n}\n\n// Neither this,\npublic class UsingExecutorService {\n\n    public void methodX() {\n        ExecutorService executorService = Executors.newFixedThreadPool(5);\n    }\n}\n\n// Nor this,\npublic class Example implements ExecutorService {\n\n}\n\n// Nor this,\npublic class Example extends AbstractExecutorService {\n\n}\n\n// Nor this\npublic class UsingExecutors {\n\n    public void methodX() {\n        Executors.newSingleThreadExecutor().submit(() -> System.out.println(\"Hello!\"));\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//ClassType\n[pmd-java:typeIs('java.lang.Thread') or pmd-java:typeIs('java.util.concurrent.ExecutorService')]\n(: allow Thread.currentThread().getContextClassLoader() :)\n[not(parent::TypeExpression[parent::MethodCall[pmd-java:matchesSig('_#currentThread()')\n                                               and parent::MethodCall[pmd-java:matchesSig('_#getContextClassLoader()')]\n                                              ]\n                           ]\n)]\n(: exclude duplicated types on the same line :)\n [not((parent::FieldDeclaration|parent::LocalVariableDeclaration)/VariableDeclarator/*[2][pmd-java:typeIs('java.lang.Thread') or pmd-java:typeIs('java.util.concurrent.ExecutorService')])\n or\n  @BeginLine != (parent::FieldDeclaration|parent::LocalVariableDeclaration)/VariableDeclarator/ConstructorCall/ClassType/@BeginLine]\n|\n//MethodCall[*[1][not(pmd-java:nodeIs('MethodCall'))][pmd-java:nodeIs('Expression') and (pmd-java:typeIs('java.util.concurrent.Executors')\n   or pmd-java:typeIs('java.util.concurrent.ExecutorService'))]]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "DoNotTerminateVM",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - EJB/서블릿 컨테이너 전용 규칙이나, 일반적으로 ExecutorService 사용을 권장합니다"
+    "claude_comment": "선택 - EJB/서블릿 컨테이너 전용 규칙이나, 일반적으로 ExecutorService 사용을 권장합니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "NonThreadSafeSingleton",
@@ -4376,8 +12408,31 @@ const RULES_DATA =
     "examples": [
       "private static Foo foo = null;\n\n//multiple simultaneous callers may see partially initialized objects\npublic static Foo getFoo() {\n    if (foo==null) {\n        foo = new Foo();\n    }\n    return foo;\n}"
     ],
+    "related": [
+      {
+        "name": "DoubleCheckedLocking",
+        "reasons": [
+          "mentions",
+          "similar"
+        ],
+        "score": 3.21
+      },
+      {
+        "name": "SingletonClassReturningNewInstance",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 스레드 안전하지 않은 싱글톤은 동시 접근 시 다중 인스턴스 생성 버그를 유발합니다"
+    "claude_comment": "필수 - 스레드 안전하지 않은 싱글톤은 동시 접근 시 다중 인스턴스 생성 버그를 유발합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "UnsynchronizedStaticFormatter",
@@ -4392,8 +12447,23 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    private static final SimpleDateFormat sdf = new SimpleDateFormat();\n    void bar() {\n        sdf.format(); // poor, no thread-safety\n    }\n    void foo() {\n        synchronized (sdf) { // preferred\n            sdf.format();\n        }\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "AvoidMessageDigestField",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 동기화되지 않은 static DateFormat은 멀티스레드 환경에서 잘못된 결과를 생성합니다"
+    "claude_comment": "필수 - 동기화되지 않은 static DateFormat은 멀티스레드 환경에서 잘못된 결과를 생성합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "UseConcurrentHashMap",
@@ -4408,9 +12478,28 @@ const RULES_DATA =
     "examples": [
       "public class ConcurrentApp {\n  public void getMyInstance() {\n    Map map1 = new HashMap();           // fine for single-threaded access\n    Map map2 = new ConcurrentHashMap(); // preferred for use with multiple threads\n\n    // the following case will be ignored by this rule\n    Map map3 = someModule.methodThatReturnMap(); // might be OK, if the returned map is already thread-safe\n  }\n}"
     ],
+    "xpath": {
+      "expression": "//VariableDeclarator[VariableId[pmd-java:typeIsExactly('java.util.Map')] and *[2][self::ConstructorCall and not(pmd-java:typeIs('java.util.concurrent.ConcurrentHashMap'))]]",
+      "version": "3.1"
+    },
     "minLanguageVersion": "1.5",
+    "related": [
+      {
+        "name": "ReplaceHashtableWithMap",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 멀티스레드 환경에서 HashMap 대신 ConcurrentHashMap을 사용하세요"
+    "claude_comment": "권장 - 멀티스레드 환경에서 HashMap 대신 ConcurrentHashMap을 사용하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UseNotifyAllInsteadOfNotify",
@@ -4425,8 +12514,27 @@ const RULES_DATA =
     "examples": [
       "void bar() {\n    x.notify();\n    // If many threads are monitoring x, only one (and you won't know which) will be notified.\n    // use instead:\n    x.notifyAll();\n  }"
     ],
+    "xpath": {
+      "expression": "//MethodCall[@MethodName=\"notify\" and ArgumentList[count(*) = 0]]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "DontCallThreadRun",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - notify() 대신 notifyAll()을 사용해야 데드락을 방지합니다"
+    "claude_comment": "필수 - notify() 대신 notifyAll()을 사용해야 데드락을 방지합니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "DontCallThreadRun",
@@ -4441,8 +12549,34 @@ const RULES_DATA =
     "examples": [
       "Thread t = new Thread();\nt.run();            // use t.start() instead\nnew Thread().run(); // same violation"
     ],
+    "xpath": {
+      "expression": "//MethodCall[ pmd-java:matchesSig(\"java.lang.Thread#run()\") ]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "AvoidThreadGroup",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "UseNotifyAllInsteadOfNotify",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - thread.run() 직접 호출은 새 스레드를 시작하지 않는 흔한 실수입니다. start()를 사용하세요"
+    "claude_comment": "필수 - thread.run() 직접 호출은 새 스레드를 시작하지 않는 흔한 실수입니다. start()를 사용하세요",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "AvoidFileStream",
@@ -4457,9 +12591,19 @@ const RULES_DATA =
     "examples": [
       "// these instantiations cause garbage collection pauses, even if properly closed\n\n    FileInputStream fis = new FileInputStream(fileName);\n    FileOutputStream fos = new FileOutputStream(fileName);\n    FileReader fr = new FileReader(fileName);\n    FileWriter fw = new FileWriter(fileName);\n\n    // the following instantiations help prevent Garbage Collection pauses, no finalization\n\n    try(InputStream is = Files.newInputStream(Paths.get(fileName))) {\n    }\n    try(OutputStream os = Files.newOutputStream(Paths.get(fileName))) {\n    }\n    try(BufferedReader br = Files.newBufferedReader(Paths.get(fileName), StandardCharsets.UTF_8)) {\n    }\n    try(BufferedWriter wr = Files.newBufferedWriter(Paths.get(fileName), StandardCharsets.UTF_8)) {\n    }"
     ],
+    "xpath": {
+      "expression": "//ConstructorCall/ClassType[\n       pmd-java:typeIs('java.io.FileInputStream')\n    or pmd-java:typeIs('java.io.FileOutputStream')\n    or pmd-java:typeIs('java.io.FileReader')\n    or pmd-java:typeIs('java.io.FileWriter')\n  ]",
+      "version": "3.1"
+    },
     "minLanguageVersion": "1.7",
     "tier": 2,
-    "claude_comment": "권장 - FileInputStream/FileOutputStream은 finalizer가 있어 GC 부하를 유발합니다. NIO Files 사용을 권장합니다"
+    "claude_comment": "권장 - FileInputStream/FileOutputStream은 finalizer가 있어 GC 부하를 유발합니다. NIO Files 사용을 권장합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "StringInstantiation",
@@ -4474,8 +12618,44 @@ const RULES_DATA =
     "examples": [
       "private String bar = new String(\"bar\"); // just do a String bar = \"bar\";"
     ],
+    "related": [
+      {
+        "name": "StringToString",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.44
+      },
+      {
+        "name": "InstantiationToGetClass",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "AbstractClassWithoutAnyMethod",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      },
+      {
+        "name": "AvoidMessageDigestField",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - new String()은 불필요한 객체를 생성합니다. 문자열 리터럴을 직접 사용하세요"
+    "claude_comment": "권장 - new String()은 불필요한 객체를 생성합니다. 문자열 리터럴을 직접 사용하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "AddEmptyString",
@@ -4490,8 +12670,58 @@ const RULES_DATA =
     "examples": [
       "String s = \"\" + 123;                // inefficient\nString t = Integer.toString(456);   // preferred approach"
     ],
+    "related": [
+      {
+        "name": "UselessStringValueOf",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "StringToString",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "InefficientEmptyStringCheck",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "AppendCharacterWithChar",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "UseStringBufferForStringAppends",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "AvoidDuplicateLiterals",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - \"\" + x 대신 String.valueOf(x) 사용은 마이너 성능 개선입니다"
+    "claude_comment": "선택 - \"\" + x 대신 String.valueOf(x) 사용은 마이너 성능 개선입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "AppendCharacterWithChar",
@@ -4506,8 +12736,70 @@ const RULES_DATA =
     "examples": [
       "StringBuffer sb = new StringBuffer();\nsb.append(\"a\");     // avoid this\n\nStringBuffer sb = new StringBuffer();\nsb.append('a');     // use this instead"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "StringBuffer sb = new StringBuffer();\nsb.append(\"a\");     // avoid this"
+        },
+        {
+          "kind": "good",
+          "code": "StringBuffer sb = new StringBuffer();\nsb.append('a');     // use this instead"
+        }
+      ]
+    ],
+    "related": [
+      {
+        "name": "ConsecutiveLiteralAppends",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.35
+      },
+      {
+        "name": "InefficientStringBuffering",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.32
+      },
+      {
+        "name": "AddEmptyString",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "UseStringBufferForStringAppends",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "StringBufferInstantiationWithChar",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      },
+      {
+        "name": "UseIndexOfChar",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - append(\"x\") 대신 append('x') 사용은 마이너 성능 개선입니다"
+    "claude_comment": "선택 - append(\"x\") 대신 append('x') 사용은 마이너 성능 개선입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "AvoidArrayLoops",
@@ -4523,8 +12815,27 @@ const RULES_DATA =
       "class Scratch {\n    void copy_a_to_b() {\n        int[] a = new int[10];\n        int[] b = new int[10];\n        for (int i = 0; i < a.length; i++) {\n            b[i] = a[i];\n        }\n        // equivalent\n        b = Arrays.copyOf(a, a.length);\n        // equivalent\n        System.arraycopy(a, 0, b, 0, a.length);\n\n        int[] c = new int[10];\n        // this will not trigger the rule\n        for (int i = 0; i < c.length; i++) {\n            b[i] = a[c[i]];\n        }\n    }\n}",
       "class Scratch {\n    void shift_left(int[] a) {\n        for (int i = 0; i < a.length - 1; i++) {\n            a[i] = a[i + 1];\n        }\n        // equivalent\n        System.arraycopy(a, 1, a, 0, a.length - 1);\n    }\n    void shift_right(int[] a) {\n        for (int i = a.length - 1; i > 0; i--) {\n            a[i] = a[i - 1];\n        }\n        // equivalent\n        System.arraycopy(a, 0, a, 1, a.length - 1);\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//(ForStatement[ForUpdate//(UnaryExpression[@Operator=('++','--')] | AssignmentExpression[@Operator = ('+=', '-=')][NumericLiteral[@Image = '1']])]\n | WhileStatement | DoStatement)\n    [not(.//ContinueStatement)]\n    [not(.//BreakStatement[not(parent::SwitchFallthroughBranch)])]\n    [not(.//ThrowStatement)]\n    [not(.//ReturnStatement)]\n    [count(Block//AssignmentExpression[@Operator='=']\n                                      (: no nested arrays or method calls as array index :)\n                                      [count(ArrayAccess[not(.//ArrayAccess)]\n                                                        [not(.//MethodCall)])=2]\n                                      (: array access indexes must be same (excluding constants) :)\n                                      [deep-equal(\n                                        sort(distinct-values(ArrayAccess[1]/(VariableAccess[2]|InfixExpression//VariableAccess)\n                                            (: don't consider array length accesses :)\n                                            [not(parent::FieldAccess[@Name='length'])]\n                                            [\n                                               (: exclude referenced constants :)\n                                               not(@Name = (ancestor::MethodDeclaration|//FieldDeclaration)//VariableDeclarator[NumericLiteral][not(../../../parent::ForInit)]/VariableId/@Name)\n                                               or\n                                               (: include loop variable :)\n                                               @Name = ancestor::ForStatement/ForInit/LocalVariableDeclaration/VariableDeclarator/VariableId/@Name\n                                            ]\n                                            /@Name)),\n                                        sort(distinct-values(ArrayAccess[2]/(VariableAccess[2]|InfixExpression//VariableAccess)\n                                            (: don't consider array length accesses :)\n                                            [not(parent::FieldAccess[@Name='length'])]\n                                            [\n                                               (: exclude referenced constants :)\n                                               not(@Name = (ancestor::MethodDeclaration|//FieldDeclaration)//VariableDeclarator[NumericLiteral][not(../../../parent::ForInit)]/VariableId/@Name)\n                                               or\n                                               (: include loop variable :)\n                                               @Name = ancestor::ForStatement/ForInit/LocalVariableDeclaration/VariableDeclarator/VariableId/@Name\n                                            ]\n                                            /@Name))\n                                      )]\n     )=1]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "UseArraysAsList",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 배열 복사에 루프 대신 System.arraycopy() 또는 Arrays.copyOf()를 사용하세요"
+    "claude_comment": "권장 - 배열 복사에 루프 대신 System.arraycopy() 또는 Arrays.copyOf()를 사용하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "AvoidCalendarDateCreation",
@@ -4539,8 +12850,34 @@ const RULES_DATA =
     "examples": [
       "import java.time.LocalDateTime;\nimport java.util.Calendar;\nimport java.util.Date;\n\npublic class DateStuff {\n    private Date bad1() {\n        return Calendar.getInstance().getTime(); // now\n    }\n    private Date good1a() {\n        return new Date(); // now\n    }\n    private LocalDateTime good1b() {\n        return LocalDateTime.now();\n    }\n    private long bad2() {\n        return Calendar.getInstance().getTimeInMillis();\n    }\n    private long good2() {\n        return System.currentTimeMillis();\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//MethodCall[pmd-java:matchesSig(\"java.util.Calendar#getTime()\") or pmd-java:matchesSig(\"java.util.Calendar#getTimeInMillis()\")]\n  [*[1][local-name() = ('MethodCall', 'ConstructorCall')]\n                               [pmd-java:matchesSig(\"java.util.Calendar#getInstance()\")\n                             or pmd-java:matchesSig(\"java.util.GregorianCalendar#getInstance()\")\n                             or pmd-java:matchesSig(\"java.util.GregorianCalendar#new()\")]\n  ]\n|\n//MethodCall[pmd-java:matchesSig(\"java.util.Calendar#getTime()\") or pmd-java:matchesSig(\"java.util.Calendar#getTimeInMillis()\")]\n   [*[1][local-name() = 'VariableAccess']]\n  (: ignore if .set* or .add or .clear or .roll is called on the variable :)\n  [not(VariableAccess/@Name = ancestor::Block//MethodCall[starts-with(@MethodName, \"set\") or @MethodName = (\"add\", \"clear\", \"roll\")]/VariableAccess/@Name)]\n  (: variable must be initialized with getInstance :)\n  [VariableAccess/@Name = ancestor::Block//LocalVariableDeclaration/VariableDeclarator[\n     (MethodCall | ConstructorCall)\n      [pmd-java:matchesSig(\"java.util.Calendar#getInstance()\")\n       or pmd-java:matchesSig(\"java.util.GregorianCalendar#getInstance()\")\n       or pmd-java:matchesSig(\"java.util.GregorianCalendar#new()\")]\n  ]/VariableId/@Name]\n|\n//ConstructorCall[pmd-java:typeIs(\"org.joda.time.DateTime\") or pmd-java:typeIs(\"org.joda.time.LocalDateTime\")]\n  [ArgumentList[(MethodCall | ConstructorCall)\n       [pmd-java:matchesSig(\"java.util.Calendar#getInstance()\")\n     or pmd-java:matchesSig(\"java.util.GregorianCalendar#getInstance()\")\n     or pmd-java:matchesSig(\"java.util.GregorianCalendar#new()\")]]\n  ]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "ReplaceJavaUtilCalendar",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.34
+      },
+      {
+        "name": "ReplaceJavaUtilDate",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.28
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - Calendar 인스턴스 생성은 비용이 높습니다. java.time API를 사용하세요"
+    "claude_comment": "권장 - Calendar 인스턴스 생성은 비용이 높습니다. java.time API를 사용하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "AvoidInstantiatingObjectsInLoops",
@@ -4556,7 +12893,13 @@ const RULES_DATA =
       "public class Something {\n    public static void main( String as[] ) {\n        for (int i = 0; i < 10; i++) {\n            Foo f = new Foo(); // Avoid this whenever you can it's really expensive\n        }\n    }\n}"
     ],
     "tier": 2,
-    "claude_comment": "권장 - 루프 내 객체 생성은 GC 부하를 유발하며, 가능하면 루프 밖으로 이동하세요"
+    "claude_comment": "권장 - 루프 내 객체 생성은 GC 부하를 유발하며, 가능하면 루프 밖으로 이동하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "BigIntegerInstantiation",
@@ -4572,7 +12915,13 @@ const RULES_DATA =
       "BigInteger bi1 = new BigInteger(\"1\");    // reference BigInteger.ONE instead\nBigInteger bi2 = new BigInteger(\"0\");    // reference BigInteger.ZERO instead\nBigInteger bi3;\nbi3 = new BigInteger(\"0\");               // reference BigInteger.ZERO instead\n\nBigDecimal bd1 = new BigDecimal(0);      // reference BigDecimal.ZERO instead\nBigDecimal bd2 = new BigDecimal(\"0.\") ;  // reference BigDecimal.ZERO instead\nBigDecimal bd3 = new BigDecimal(10);     // reference BigDecimal.TEN instead"
     ],
     "tier": 2,
-    "claude_comment": "권장 - BigInteger.ZERO/ONE/TEN 상수를 사용하여 불필요한 인스턴스 생성을 방지하세요"
+    "claude_comment": "권장 - BigInteger.ZERO/ONE/TEN 상수를 사용하여 불필요한 인스턴스 생성을 방지하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "ConsecutiveAppendsShouldReuse",
@@ -4587,8 +12936,35 @@ const RULES_DATA =
     "examples": [
       "String foo = \" \";\n\nStringBuffer buf = new StringBuffer();\nbuf.append(\"Hello\"); // poor\nbuf.append(foo);\nbuf.append(\"World\");\n\nStringBuffer buf = new StringBuffer();\nbuf.append(\"Hello\").append(foo).append(\"World\"); // good"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "String foo = \" \";\n\nStringBuffer buf = new StringBuffer();\nbuf.append(\"Hello\"); // poor\nbuf.append(foo);\nbuf.append(\"World\");"
+        },
+        {
+          "kind": "good",
+          "code": "StringBuffer buf = new StringBuffer();\nbuf.append(\"Hello\").append(foo).append(\"World\"); // good"
+        }
+      ]
+    ],
+    "related": [
+      {
+        "name": "ConsecutiveLiteralAppends",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 연속 append() 체이닝은 마이너 성능 개선이며 가독성과 트레이드오프입니다"
+    "claude_comment": "선택 - 연속 append() 체이닝은 마이너 성능 개선이며 가독성과 트레이드오프입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "ConsecutiveLiteralAppends",
@@ -4603,8 +12979,58 @@ const RULES_DATA =
     "examples": [
       "StringBuilder buf = new StringBuilder();\nbuf.append(\"Hello\").append(\" \").append(\"World\");    // poor\nbuf.append(\"Hello World\");                          // good\n\nbuf.append('h').append('e').append('l').append('l').append('o'); // poor\nbuf.append(\"hello\");                                             // good\n\nbuf.append(1).append('m');  // poor\nbuf.append(\"1m\");           // good"
     ],
+    "related": [
+      {
+        "name": "AppendCharacterWithChar",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.35
+      },
+      {
+        "name": "ConsecutiveAppendsShouldReuse",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.29
+      },
+      {
+        "name": "InefficientStringBuffering",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "AvoidDuplicateLiterals",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "LiteralsFirstInComparisons",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "UseStringBufferForStringAppends",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 연속 리터럴 append를 하나로 합치는 것은 마이너 최적화입니다"
+    "claude_comment": "선택 - 연속 리터럴 append를 하나로 합치는 것은 마이너 최적화입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "InefficientEmptyStringCheck",
@@ -4619,8 +13045,37 @@ const RULES_DATA =
     "examples": [
       "public void bar(String string) {\n    if (string != null && string.trim().length() > 0) {\n        doSomething();\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "AddEmptyString",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.27
+      },
+      {
+        "name": "StringToString",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "UselessStringValueOf",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 비효율적인 빈 문자열 체크 대신 isEmpty() 사용은 마이너 개선입니다"
+    "claude_comment": "선택 - 비효율적인 빈 문자열 체크 대신 isEmpty() 사용은 마이너 개선입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "InefficientStringBuffering",
@@ -4635,8 +13090,56 @@ const RULES_DATA =
     "examples": [
       "// Avoid this, two buffers are actually being created here\nStringBuffer sb = new StringBuffer(\"tmp = \"+System.getProperty(\"java.io.tmpdir\"));\n\n// do this instead\nStringBuffer sb = new StringBuffer(\"tmp = \");\nsb.append(System.getProperty(\"java.io.tmpdir\"));"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "// Avoid this, two buffers are actually being created here\nStringBuffer sb = new StringBuffer(\"tmp = \"+System.getProperty(\"java.io.tmpdir\"));"
+        },
+        {
+          "kind": "good",
+          "code": "// do this instead\nStringBuffer sb = new StringBuffer(\"tmp = \");\nsb.append(System.getProperty(\"java.io.tmpdir\"));"
+        }
+      ]
+    ],
+    "related": [
+      {
+        "name": "AppendCharacterWithChar",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.32
+      },
+      {
+        "name": "ConsecutiveLiteralAppends",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "UseStringBufferForStringAppends",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "AddEmptyString",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - StringBuilder 안에서 + 연산을 사용하면 StringBuilder 사용 목적이 무효화됩니다"
+    "claude_comment": "권장 - StringBuilder 안에서 + 연산을 사용하면 StringBuilder 사용 목적이 무효화됩니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "InsufficientStringBufferDeclaration",
@@ -4651,8 +13154,30 @@ const RULES_DATA =
     "examples": [
       "StringBuilder bad = new StringBuilder();\nbad.append(\"This is a long string that will exceed the default 16 characters\");\n\nStringBuilder good = new StringBuilder(41);\ngood.append(\"This is a long string, which is pre-sized\");"
     ],
+    "related": [
+      {
+        "name": "UseStringBufferForStringAppends",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "StringBufferInstantiationWithChar",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - StringBuffer 초기 용량 부족은 마이너 성능 이슈이며 자동 확장됩니다"
+    "claude_comment": "선택 - StringBuffer 초기 용량 부족은 마이너 성능 이슈이며 자동 확장됩니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "OptimizableToArrayCall",
@@ -4667,9 +13192,40 @@ const RULES_DATA =
     "examples": [
       "List<Foo> foos = getFoos();\n\n// much better; this one allows the jvm to allocate an array of the correct size and effectively skip\n// the zeroing, since each array element will be overridden anyways\nFoo[] fooArray = foos.toArray(new Foo[0]);\n\n// inefficient, the array needs to be zeroed out by the jvm before it is handed over to the toArray method\nFoo[] fooArray = foos.toArray(new Foo[foos.size()]);"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "List<Foo> foos = getFoos();"
+        },
+        {
+          "kind": "good",
+          "code": "// much better; this one allows the jvm to allocate an array of the correct size and effectively skip\n// the zeroing, since each array element will be overridden anyways\nFoo[] fooArray = foos.toArray(new Foo[0]);\n\n// inefficient, the array needs to be zeroed out by the jvm before it is handed over to the toArray method\nFoo[] fooArray = foos.toArray(new Foo[foos.size()]);"
+        }
+      ]
+    ],
+    "xpath": {
+      "expression": "//MethodCall[pmd-java:matchesSig(\"java.util.Collection#toArray(_)\")]\n    [ArgumentList/ArrayAllocation/ArrayType/ArrayDimensions/ArrayDimExpr[not(NumericLiteral[@Image=\"0\"])]]",
+      "version": "3.1"
+    },
     "minLanguageVersion": "1.6",
+    "related": [
+      {
+        "name": "ClassCastExceptionWithToArray",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - toArray() 최적화는 마이너 성능 개선입니다"
+    "claude_comment": "선택 - toArray() 최적화는 마이너 성능 개선입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "RedundantFieldInitializer",
@@ -4684,8 +13240,30 @@ const RULES_DATA =
     "examples": [
       "public class C {\n    boolean b   = false;    // examples of redundant initializers\n    byte by     = 0;\n    short s     = 0;\n    char c      = 0;\n    int i       = 0;\n    long l      = 0;\n\n    float f     = .0f;    // all possible float literals\n    double d    = 0d;     // all possible double literals\n    Object o    = null;\n\n    MyClass mca[] = null;\n    int i1 = 0, ia1[] = null;\n\n    class Nested {\n        boolean b = false;\n    }\n}"
     ],
+    "related": [
+      {
+        "name": "DoubleBraceInitialization",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "UseShortArrayInitializer",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.22
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 기본값과 동일한 필드 초기화 제거는 스타일 선호도입니다"
+    "claude_comment": "선택 - 기본값과 동일한 필드 초기화 제거는 스타일 선호도입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "StringToString",
@@ -4700,8 +13278,135 @@ const RULES_DATA =
     "examples": [
       "private String baz() {\n    String bar = \"howdy\";\n    return bar.toString();\n}"
     ],
+    "xpath": {
+      "expression": "//MethodCall[pmd-java:matchesSig(\"java.lang.String#toString()\")]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "StringInstantiation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.44
+      },
+      {
+        "name": "AddEmptyString",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "InefficientEmptyStringCheck",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "UseStringBufferLength",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "UselessStringValueOf",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "UseStringBufferForStringAppends",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - String.toString()은 무의미한 호출이며 제거해야 합니다"
+    "claude_comment": "권장 - String.toString()은 무의미한 호출이며 제거해야 합니다",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
+  },
+  {
+    "name": "TooFewBranchesForSwitch",
+    "category": "performance",
+    "categoryName": "성능",
+    "since": "4.2",
+    "message": "분기가 3개 미만인 switch는 비효율적이므로, 대신 'if 문'을 사용하십시오.",
+    "ruleClass": "net.sourceforge.pmd.lang.rule.xpath.XPathRule",
+    "externalInfoUrl": "https://docs.pmd-code.org/latest/pmd_rules_java_performance.html#toofewbranchesforswitch",
+    "description": "Switch 문은 복잡한 분기 동작을 지원하기 위한 것입니다. 몇 가지 경우에만 switch를 사용하는 것은\n바람직하지 않습니다. switch는 if-else 문만큼 이해하기 쉽지 않기 때문입니다. 이러한 경우\n코드 가독성을 높이기 위해 if-else 문을 사용하십시오.\n\n참고: 이 규칙은 PMD 7.7.0 이전에는 TooFewBranchesForASwitchStatement로 명명되었습니다.",
+    "priority": 3,
+    "examples": [
+      "// With a minimumNumberCaseForASwitch of 3\npublic class Foo {\n    public void bar(int condition) {\n        switch (condition) {\n            case 1:\n                instruction;\n                break;\n            default:\n                break; // not enough for a 'switch' stmt, a simple 'if' stmt would have been more appropriate\n        }\n    }\n}"
+    ],
+    "properties": [
+      {
+        "name": "minimumNumberCaseForASwitch",
+        "defaultValue": "3",
+        "description": "switch의 최소 분기 수",
+        "type": "Integer",
+        "min": 1,
+        "max": 100
+      }
+    ],
+    "xpath": {
+      "expression": "//(SwitchStatement | SwitchExpression)\n  [ count(*) > 1 ] (: ignore empty switch blocks :)\n  [ (count(*/SwitchLabel/*) + count(*/SwitchLabel[@Default = true()])) < $minimumNumberCaseForASwitch ]\n  (: do not consider exhaustive switches unless there is a default case :)\n  [@Exhaustive = false() or @DefaultCase = true()]",
+      "version": "3.1"
+    },
+    "aliases": [
+      {
+        "name": "TooFewBranchesForASwitchStatement",
+        "category": "performance",
+        "deprecated": true
+      }
+    ],
+    "related": [
+      {
+        "name": "NonExhaustiveSwitch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.35
+      },
+      {
+        "name": "SwitchDensity",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "NonCaseLabelInSwitch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "DefaultLabelNotLastInSwitch",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      }
+    ],
+    "tier": 3,
+    "claude_comment": "선택 - 분기가 적은 switch를 if문으로 바꾸는 것은 가독성 취향의 문제입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UseArrayListInsteadOfVector",
@@ -4716,8 +13421,27 @@ const RULES_DATA =
     "examples": [
       "import java.util.*;\npublic class SimpleTest extends TestCase {\n    public void testX() {\n    Collection c1 = new Vector();\n    Collection c2 = new ArrayList();    // achieves the same with much better performance\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//ConstructorCall/ClassType[pmd-java:typeIsExactly('java.util.Vector') or pmd-java:typeIsExactly('Vector')]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "ReplaceVectorWithList",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.58
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - Vector는 레거시 동기화 컬렉션입니다. ArrayList 또는 CopyOnWriteArrayList를 사용하세요"
+    "claude_comment": "권장 - Vector는 레거시 동기화 컬렉션입니다. ArrayList 또는 CopyOnWriteArrayList를 사용하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UseArraysAsList",
@@ -4732,8 +13456,41 @@ const RULES_DATA =
     "examples": [
       "public class Test {\n    public void foo(Integer[] ints) {\n        // could just use Arrays.asList(ints)\n        List<Integer> l = new ArrayList<>(100);\n        for (int i = 0; i < ints.length; i++) {\n            l.add(ints[i]);\n        }\n\n        List<Integer> anotherList = new ArrayList<>();\n        for (int i = 0; i < ints.length; i++) {\n            anotherList.add(ints[i].toString()); // won't trigger the rule\n        }\n    }\n}"
     ],
+    "xpath": {
+      "expression": "//ForStatement\n  [ForInit\n    [LocalVariableDeclaration\n      [PrimitiveType[@Kind = 'int']]\n      [VariableDeclarator[NumericLiteral[@IntLiteral][@Image = '0']]]\n    ]\n  ]\n  [*[2]//FieldAccess[@Name = 'length']/VariableAccess[pmd-java:typeIs(\"java.lang.Object[]\")]]\n  [ForUpdate\n    [StatementExpressionList\n      [UnaryExpression[@Operator = '++']\n       | AssignmentExpression[@Operator = '+='][NumericLiteral[@IntLiteral][@Image = '1']]]\n    ]\n  ]\n  /*[last()][not(IfStatement)]/ExpressionStatement/\n    MethodCall\n      [pmd-java:matchesSig('java.util.List#add(_)')]\n      [ArgumentList/ArrayAccess\n        [VariableAccess[@Name = ancestor::ForStatement/ForInit/LocalVariableDeclaration/VariableDeclarator/VariableId/@Name]]\n      ]\n|\n//ForeachStatement\n  [VariableAccess[pmd-java:typeIs(\"java.lang.Object[]\")]]\n  /*[last()][not(IfStatement)]/ExpressionStatement/MethodCall\n      [pmd-java:matchesSig('java.util.List#add(_)')]\n      [ArgumentList\n        [VariableAccess[@Name = ancestor::ForeachStatement/LocalVariableDeclaration/VariableDeclarator/VariableId/@Name]]\n      ]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "UnnecessaryVarargsArrayCreation",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.32
+      },
+      {
+        "name": "AvoidArrayLoops",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "ForLoopCanBeForeach",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - Arrays.asList() 사용은 코드 간결성을 위한 마이너 개선입니다"
+    "claude_comment": "선택 - Arrays.asList() 사용은 코드 간결성을 위한 마이너 개선입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UseIndexOfChar",
@@ -4748,8 +13505,35 @@ const RULES_DATA =
     "examples": [
       "String s = \"hello world\";\n// avoid this\nif (s.indexOf(\"d\") {}\n// instead do this\nif (s.indexOf('d') {}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "String s = \"hello world\";\n\n// avoid this\nif (s.indexOf(\"d\") {}"
+        },
+        {
+          "kind": "good",
+          "code": "// instead do this\nif (s.indexOf('d') {}"
+        }
+      ]
+    ],
+    "related": [
+      {
+        "name": "AppendCharacterWithChar",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - indexOf(String) 대신 indexOf(char) 사용은 마이너 성능 개선입니다"
+    "claude_comment": "선택 - indexOf(String) 대신 indexOf(char) 사용은 마이너 성능 개선입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UseIOStreamsWithApacheCommonsFileItem",
@@ -4764,8 +13548,39 @@ const RULES_DATA =
     "examples": [
       "import org.apache.commons.fileupload.FileItem;\n\npublic class FileStuff {\n   private String bad(FileItem fileItem) {\n        return fileItem.getString();\n   }\n\n   private InputStream good(FileItem fileItem) {\n        return fileItem.getInputStream();\n   }\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "private String bad(FileItem fileItem) {\n     return fileItem.getString();\n}"
+        },
+        {
+          "kind": "good",
+          "code": "private InputStream good(FileItem fileItem) {\n     return fileItem.getInputStream();\n}"
+        }
+      ]
+    ],
+    "xpath": {
+      "expression": "//MethodCall\n    [@MethodName = 'get' or @MethodName = 'getString']\n    [*[pmd-java:typeIs('org.apache.commons.fileupload.FileItem')]]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "UseCorrectExceptionLogging",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - Apache Commons FileItem 사용 시 스트림 기반 처리는 메모리 효율성을 위한 것입니다"
+    "claude_comment": "선택 - Apache Commons FileItem 사용 시 스트림 기반 처리는 메모리 효율성을 위한 것입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UselessStringValueOf",
@@ -4780,8 +13595,37 @@ const RULES_DATA =
     "examples": [
       "public String convert(int i) {\n    String s;\n    s = \"a\" + String.valueOf(i);    // not required\n    s = \"a\" + i;                    // preferred approach\n    return s;\n}"
     ],
+    "related": [
+      {
+        "name": "AddEmptyString",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.3
+      },
+      {
+        "name": "StringToString",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.23
+      },
+      {
+        "name": "InefficientEmptyStringCheck",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.2
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - 불필요한 String.valueOf() 제거는 마이너 코드 정리입니다"
+    "claude_comment": "선택 - 불필요한 String.valueOf() 제거는 마이너 코드 정리입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "UseStringBufferForStringAppends",
@@ -4796,8 +13640,70 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    String inefficientConcatenation() {\n        String result = \"\";\n        for (int i = 0; i < 10; i++) {\n            // warning: this concatenation will create one new StringBuilder per iteration\n            result += getStringFromSomeWhere(i);\n        }\n        return result;\n    }\n\n    String efficientConcatenation() {\n        // better would be to use one StringBuilder for the entire loop\n        StringBuilder result = new StringBuilder();\n        for (int i = 0; i < 10; i++) {\n            result.append(getStringFromSomeWhere(i));\n        }\n        return result.toString();\n    }\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "String inefficientConcatenation() {\n    String result = \"\";\n    for (int i = 0; i < 10; i++) {\n        // warning: this concatenation will create one new StringBuilder per iteration\n        result += getStringFromSomeWhere(i);\n    }\n    return result;\n}"
+        },
+        {
+          "kind": "good",
+          "code": "String efficientConcatenation() {\n    // better would be to use one StringBuilder for the entire loop\n    StringBuilder result = new StringBuilder();\n    for (int i = 0; i < 10; i++) {\n        result.append(getStringFromSomeWhere(i));\n    }\n    return result.toString();\n}"
+        }
+      ]
+    ],
+    "related": [
+      {
+        "name": "StringBufferInstantiationWithChar",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "UseStringBufferLength",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "InefficientStringBuffering",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.25
+      },
+      {
+        "name": "AppendCharacterWithChar",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "AddEmptyString",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      },
+      {
+        "name": "InsufficientStringBufferDeclaration",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      }
+    ],
     "tier": 2,
-    "claude_comment": "권장 - 루프 내 문자열 연결은 StringBuilder를 사용하여 성능을 개선하세요"
+    "claude_comment": "권장 - 루프 내 문자열 연결은 StringBuilder를 사용하여 성능을 개선하세요",
+    "tiers": {
+      "default": 2,
+      "android": 2,
+      "backend": 2,
+      "batch": 2
+    }
   },
   {
     "name": "UseStringBufferLength",
@@ -4812,8 +13718,46 @@ const RULES_DATA =
     "examples": [
       "StringBuffer sb = new StringBuffer();\n\nif (sb.toString().equals(\"\")) {}        // inefficient\n\nif (sb.length() == 0) {}                // preferred"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "bad",
+          "code": "StringBuffer sb = new StringBuffer();\n\nif (sb.toString().equals(\"\")) {}        // inefficient"
+        },
+        {
+          "kind": "good",
+          "code": "if (sb.length() == 0) {}                // preferred"
+        }
+      ]
+    ],
+    "xpath": {
+      "expression": "//MethodCall[pmd-java:matchesSig('_#length()')\n    and MethodCall[pmd-java:matchesSig('java.lang.CharSequence#toString()')]]\n|\n(: finds sb.toString().equals(someVar) where var is a final variable initialized with literal \"\" :)\n//MethodCall[pmd-java:matchesSig('_#equals(_)')\n  and MethodCall[pmd-java:matchesSig('java.lang.AbstractStringBuilder#toString()')]\n  and ArgumentList/VariableAccess[@Name = //VariableDeclarator[StringLiteral[@Image='\"\"']]\n                                            /VariableId[pmd-java:modifiers() = 'final']/@Name]]\n|\n(: finds sb.toString().equals(\"\") :)\n//MethodCall[pmd-java:matchesSig('_#equals(_)')\n  and MethodCall[pmd-java:matchesSig('java.lang.AbstractStringBuilder#toString()')]\n  and ArgumentList/StringLiteral[@Image='\"\"']]",
+      "version": "3.1"
+    },
+    "related": [
+      {
+        "name": "UseStringBufferForStringAppends",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.26
+      },
+      {
+        "name": "StringToString",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.24
+      }
+    ],
     "tier": 3,
-    "claude_comment": "선택 - toString().length() 대신 length() 직접 사용은 마이너 최적화입니다"
+    "claude_comment": "선택 - toString().length() 대신 length() 직접 사용은 마이너 최적화입니다",
+    "tiers": {
+      "default": 3,
+      "android": 3,
+      "backend": 3,
+      "batch": 3
+    }
   },
   {
     "name": "HardCodedCryptoKey",
@@ -4828,8 +13772,49 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    void good() {\n        SecretKeySpec secretKeySpec = new SecretKeySpec(Properties.getKey(), \"AES\");\n    }\n\n    void bad() {\n        SecretKeySpec secretKeySpec = new SecretKeySpec(\"my secret here\".getBytes(), \"AES\");\n    }\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "good",
+          "code": "void good() {\n    SecretKeySpec secretKeySpec = new SecretKeySpec(Properties.getKey(), \"AES\");\n}"
+        },
+        {
+          "kind": "bad",
+          "code": "void bad() {\n    SecretKeySpec secretKeySpec = new SecretKeySpec(\"my secret here\".getBytes(), \"AES\");\n}"
+        }
+      ]
+    ],
+    "related": [
+      {
+        "name": "InsecureCryptoIv",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.57
+      },
+      {
+        "name": "AvoidUsingHardCodedIP",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.35
+      },
+      {
+        "name": "DoNotHardCodeSDCard",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.21
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 하드코딩된 암호화 키는 심각한 보안 취약점입니다. 키 관리 시스템을 사용하세요"
+    "claude_comment": "필수 - 하드코딩된 암호화 키는 심각한 보안 취약점입니다. 키 관리 시스템을 사용하세요",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   },
   {
     "name": "InsecureCryptoIv",
@@ -4844,7 +13829,61 @@ const RULES_DATA =
     "examples": [
       "public class Foo {\n    void good() {\n        SecureRandom random = new SecureRandom();\n        byte iv[] = new byte[16];\n        random.nextBytes(bytes);\n    }\n\n    void bad() {\n        byte[] iv = new byte[] { 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, };\n    }\n\n    void alsoBad() {\n        byte[] iv = \"secret iv in here\".getBytes();\n    }\n}"
     ],
+    "exampleSegments": [
+      [
+        {
+          "kind": "good",
+          "code": "void good() {\n    SecureRandom random = new SecureRandom();\n    byte iv[] = new byte[16];\n    random.nextBytes(bytes);\n}"
+        },
+        {
+          "kind": "bad",
+          "code": "void bad() {\n    byte[] iv = new byte[] { 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, };\n}"
+        }
+      ]
+    ],
+    "related": [
+      {
+        "name": "HardCodedCryptoKey",
+        "reasons": [
+          "similar"
+        ],
+        "score": 0.57
+      }
+    ],
     "tier": 1,
-    "claude_comment": "필수 - 안전하지 않은 초기화 벡터(IV)는 암호화를 무력화하는 보안 취약점입니다"
+    "claude_comment": "필수 - 안전하지 않은 초기화 벡터(IV)는 암호화를 무력화하는 보안 취약점입니다",
+    "tiers": {
+      "default": 1,
+      "android": 1,
+      "backend": 1,
+      "batch": 1
+    }
   }
 ];
+
+const TIER_PROFILES =
+{
+  "primary": "default",
+  "profiles": [
+    {
+      "name": "default",
+      "label": "기본",
+      "description": "전체 팀 공통 추천 등급"
+    },
+    {
+      "name": "android",
+      "label": "Android",
+      "description": "Android 팀 프로필 - default 프로필을 상속하며, rules에 팀에서 다르게 정한 규칙만 재정의합니다"
+    },
+    {
+      "name": "backend",
+      "label": "백엔드",
+      "description": "백엔드 팀 프로필 - default 프로필을 상속하며, rules에 팀에서 다르게 정한 규칙만 재정의합니다"
+    },
+    {
+      "name": "batch",
+      "label": "배치",
+      "description": "배치 팀 프로필 - default 프로필을 상속하며, rules에 팀에서 다르게 정한 규칙만 재정의합니다"
+    }
+  ]
+};
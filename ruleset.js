@@ -0,0 +1,509 @@
+// PMD ruleset.xml 빌더 / 가져오기
+// Turns the current filter result into a PMD ruleset with per-rule
+// include/exclude toggles and priority overrides, and checks an existing
+// ruleset.xml against the catalog.
+
+const RULESET_NS = 'http://pmd.sourceforge.net/ruleset/2.0.0';
+const RULESET_SCHEMA_LOCATION = `${RULESET_NS} https://pmd.sourceforge.io/ruleset_2_0_0.xsd`;
+
+const builderState = {
+  active: false,
+  name: 'Custom Rules',
+  excluded: new Set(),
+  priorities: {} // rule name -> overridden priority
+};
+
+function categoryRef(category) {
+  return `category/java/${category}.xml`;
+}
+
+function ruleRef(rule) {
+  return `${categoryRef(rule.category)}/${rule.name}`;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Rules currently selected by the builder: the filter result minus exclusions
+function getBuilderRules() {
+  return filteredRules.filter(rule => !builderState.excluded.has(rule.name));
+}
+
+function isBuilderIncluded(rule) {
+  return filteredRules.includes(rule) && !builderState.excluded.has(rule.name);
+}
+
+// Build ruleset.xml for the selected rules, grouped by category. Every rule is
+// referenced on its own (category/java/<category>.xml/<name>): a whole
+// category reference would also enable upstream rules that are not in the
+// catalog, or added by a later PMD version. Priority and property overrides
+// ({ name: { priority, properties } } in `customizations`) go in the rule's
+// reference.
+function generateRulesetXml(selectedRules, customizations, allRules, name) {
+  const selectedNames = new Set(selectedRules.map(r => r.name));
+  const categories = [...new Set(allRules.map(r => r.category))];
+  const body = [];
+
+  for (const category of categories) {
+    const selected = allRules.filter(r => r.category === category && selectedNames.has(r.name));
+    if (selected.length === 0) continue;
+
+    for (const rule of selected) {
+      const custom = customizations[rule.name];
+      if (custom) {
+        body.push(`    <rule ref="${ruleRef(rule)}">`);
+        if (custom.priority) body.push(`        <priority>${custom.priority}</priority>`);
+        if (custom.properties) {
+          body.push('        <properties>');
+          Object.entries(custom.properties).forEach(([propName, value]) => {
+            body.push(`            <property name="${escapeXml(propName)}" value="${escapeXml(value)}"/>`);
+          });
+          body.push('        </properties>');
+        }
+        body.push('    </rule>');
+      } else {
+        body.push(`    <rule ref="${ruleRef(rule)}"/>`);
+      }
+    }
+    body.push('');
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '',
+    `<ruleset name="${escapeXml(name)}"`,
+    `    xmlns="${RULESET_NS}"`,
+    '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    `    xsi:schemaLocation="${RULESET_SCHEMA_LOCATION}">`,
+    '',
+    '    <description>PMD Java \uADDC\uCE59 \uBDF0\uC5B4\uC5D0\uC11C \uC0DD\uC131\uD55C \uB8F0\uC14B</description>',
+    '',
+    ...body,
+    '</ruleset>',
+    ''
+  ].join('\n');
+}
+
+// Toggle builder mode on or off
+function toggleBuilderMode() {
+  builderState.active = !builderState.active;
+  document.body.classList.toggle('builder-mode', builderState.active);
+  document.getElementById('builderToggle').classList.toggle('active', builderState.active);
+  document.getElementById('builderBar').hidden = !builderState.active;
+
+  updateBuilderBar();
+  renderRules();
+  if (selectedRuleName) selectRule(selectedRuleName);
+}
+
+// Update the selected/excluded/override counts in the builder bar
+function updateBuilderBar() {
+  if (!builderState.active) return;
+
+  const overrides = Object.keys(builderState.priorities).length;
+  document.getElementById('builderIncludedCount').textContent = getBuilderRules().length;
+  document.getElementById('builderExcludedCount').textContent = builderState.excluded.size;
+  document.getElementById('builderOverrideCount').textContent = overrides;
+}
+
+function setBuilderIncluded(ruleName, included) {
+  if (included) builderState.excluded.delete(ruleName);
+  else builderState.excluded.add(ruleName);
+
+  document.querySelectorAll(`.rule-card[data-name="${ruleName}"]`).forEach(card => {
+    card.classList.toggle('excluded', !included);
+    const cb = card.querySelector('.builder-include');
+    if (cb) cb.checked = included;
+  });
+  updateBuilderBar();
+}
+
+// Include/exclude checkbox shown on each card in builder mode
+function renderBuilderToggle(rule) {
+  if (!builderState.active) return '';
+  return `<input type="checkbox" class="builder-include" title="\uB8F0\uC14B\uC5D0 \uD3EC\uD568" ${builderState.excluded.has(rule.name) ? '' : 'checked'}>`;
+}
+
+function bindBuilderToggles() {
+  rulesGrid.querySelectorAll('.builder-include').forEach(cb => {
+    cb.addEventListener('click', e => e.stopPropagation());
+    cb.addEventListener('change', () => {
+      setBuilderIncluded(cb.closest('.rule-card').dataset.name, cb.checked);
+    });
+  });
+}
+
+// Include toggle and priority override shown in the detail header in builder mode
+function renderBuilderControls(rule) {
+  if (!builderState.active) return '';
+
+  const current = builderState.priorities[rule.name] || rule.priority;
+  const options = [1, 2, 3, 4, 5].map(p =>
+    `<option value="${p}" ${p === current ? 'selected' : ''}>${priorityNames[p]}${p === rule.priority ? ' (\uAE30\uBCF8)' : ''}</option>`
+  ).join('');
+
+  return `
+    <div class="builder-controls">
+      <label>
+        <input type="checkbox" class="builder-include-detail" ${isBuilderIncluded(rule) ? 'checked' : ''} ${filteredRules.includes(rule) ? '' : 'disabled'}>
+        \uB8F0\uC14B\uC5D0 \uD3EC\uD568
+      </label>
+      <label>
+        \uC6B0\uC120\uC21C\uC704 \uC7AC\uC815\uC758
+        <select class="builder-priority">${options}</select>
+      </label>
+    </div>
+  `;
+}
+
+function bindBuilderControls(rule) {
+  const includeCb = ruleDetail.querySelector('.builder-include-detail');
+  if (includeCb) {
+    includeCb.addEventListener('change', () => setBuilderIncluded(rule.name, includeCb.checked));
+  }
+
+  const prioritySelect = ruleDetail.querySelector('.builder-priority');
+  if (prioritySelect) {
+    prioritySelect.addEventListener('change', () => {
+      const priority = parseInt(prioritySelect.value);
+      if (priority === rule.priority) delete builderState.priorities[rule.name];
+      else builderState.priorities[rule.name] = priority;
+      updateBuilderBar();
+    });
+  }
+}
+
+// Show the generated ruleset.xml in the detail panel with copy/download buttons
+function exportRuleset() {
+  const selected = getBuilderRules();
+  const customizations = {};
+  selected.forEach(rule => {
+    const priority = builderState.priorities[rule.name];
+    const properties = getChangedProperties(rule);
+    if (!priority && Object.keys(properties).length === 0) return;
+    customizations[rule.name] = {
+      ...(priority && { priority }),
+      ...(Object.keys(properties).length > 0 && { properties })
+    };
+  });
+  const xml = generateRulesetXml(selected, customizations, rules, builderState.name);
+
+  ruleDetail.innerHTML = `
+    <div class="detail-header">
+      <h2>ruleset.xml</h2>
+      <span class="rule-id">${selected.length}\uAC1C \uADDC\uCE59</span>
+    </div>
+    <div class="tab-content active">
+      <div class="xpath-toolbar">
+        <span class="xpath-version">PMD ruleset 2.0.0</span>
+        <span>
+          <button class="copy-btn" data-copy="ruleset">\uBCF5\uC0AC</button>
+          <button class="copy-btn" data-download="ruleset">\uB2E4\uC6B4\uB85C\uB4DC</button>
+        </span>
+      </div>
+      <pre><code class="language-xml">${escapeHtml(xml)}</code></pre>
+    </div>
+  `;
+
+  const copyBtn = ruleDetail.querySelector('[data-copy="ruleset"]');
+  copyBtn.addEventListener('click', () => copyToClipboard(xml, copyBtn));
+  ruleDetail.querySelector('[data-download="ruleset"]').addEventListener('click', () => {
+    downloadFile('ruleset.xml', xml, 'application/xml');
+  });
+  highlightCodeBlocks();
+}
+
+function setupBuilder() {
+  document.getElementById('builderToggle').addEventListener('click', toggleBuilderMode);
+  document.getElementById('builderExport').addEventListener('click', exportRuleset);
+
+  const nameInput = document.getElementById('builderName');
+  nameInput.value = builderState.name;
+  nameInput.addEventListener('input', () => {
+    builderState.name = nameInput.value.trim() || 'Custom Rules';
+  });
+
+  document.getElementById('builderReset').addEventListener('click', () => {
+    builderState.excluded.clear();
+    builderState.priorities = {};
+    updateBuilderBar();
+    renderRules();
+    if (selectedRuleName) selectRule(selectedRuleName);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Ruleset import & coverage
+// ---------------------------------------------------------------------------
+
+let importedRuleset = null;
+
+const coverageLabels = {
+  enabled: '\uD65C\uC131',
+  customized: '\uCEE4\uC2A4\uD130\uB9C8\uC774\uC988',
+  excluded: '\uC81C\uC678',
+  missing: '\uBBF8\uD3EC\uD568'
+};
+
+const coverageIcons = {
+  enabled: '\u2714',
+  customized: '\u270E',
+  excluded: '\u2716'
+};
+
+function childrenNS(el, localName) {
+  return Array.from(el.children).filter(child =>
+    child.namespaceURI === RULESET_NS && child.localName === localName);
+}
+
+// Resolve a rule name (current or deprecated alias) within a category
+function resolveRuleName(name, category, allRules) {
+  const rule = allRules.find(r => r.name === name && r.category === category);
+  if (rule) return { rule, alias: null };
+
+  for (const r of allRules) {
+    const alias = (r.aliases || []).find(a => a.name === name && a.category === category);
+    if (alias) return { rule: r, alias };
+  }
+  return null;
+}
+
+// Priority, message and property overrides of a <rule ref="..."> element
+function readCustomizations(el) {
+  const customizations = {};
+  const priorityEl = childrenNS(el, 'priority')[0];
+  if (priorityEl) customizations.priority = parseInt(priorityEl.textContent.trim());
+  if (el.hasAttribute('message')) customizations.message = el.getAttribute('message');
+
+  const properties = {};
+  childrenNS(el, 'properties').forEach(container => {
+    childrenNS(container, 'property').forEach(prop => {
+      const valueEl = childrenNS(prop, 'value')[0];
+      properties[prop.getAttribute('name')] = prop.hasAttribute('value')
+        ? prop.getAttribute('value')
+        : (valueEl ? valueEl.textContent.trim() : '');
+    });
+  });
+  if (Object.keys(properties).length > 0) customizations.properties = properties;
+
+  return Object.keys(customizations).length > 0 ? customizations : null;
+}
+
+// Compare a ruleset.xml against the catalog. Whole-category refs are expanded
+// with their <exclude> children first; single-rule refs are applied afterwards
+// so they win over a category exclusion, as they do in PMD.
+function analyzeRuleset(xmlText, allRules) {
+  const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+  const parseError = doc.getElementsByTagName('parsererror')[0];
+  if (parseError) {
+    throw new Error(`XML \uD30C\uC2F1 \uC624\uB958: ${parseError.textContent.trim().split('\n')[0]}`);
+  }
+
+  const root = doc.documentElement;
+  if (root.localName !== 'ruleset' || root.namespaceURI !== RULESET_NS) {
+    throw new Error(`<ruleset xmlns="${RULESET_NS}"> \uBB38\uC11C\uAC00 \uC544\uB2D9\uB2C8\uB2E4`);
+  }
+
+  const coverage = {}; // rule name -> { status, ref, alias, customizations }
+  const unknown = []; // { ref, reason }
+  const customRules = [];
+  const categoryEls = [];
+  const ruleEls = [];
+
+  childrenNS(root, 'rule').forEach(el => {
+    const ref = el.getAttribute('ref');
+    if (!ref) {
+      customRules.push(el.getAttribute('name') || '(\uC774\uB984 \uC5C6\uC74C)');
+      return;
+    }
+    const m = ref.match(/^category\/java\/(\w+)\.xml(?:\/(\w+))?$/);
+    if (!m) {
+      unknown.push({ ref, reason: '\uC9C0\uC6D0\uD558\uC9C0 \uC54A\uB294 ref \uD615\uC2DD' });
+    } else if (!allRules.some(r => r.category === m[1])) {
+      unknown.push({ ref, reason: `\uC54C \uC218 \uC5C6\uB294 \uCE74\uD14C\uACE0\uB9AC: ${m[1]}` });
+    } else if (m[2]) {
+      ruleEls.push({ el, ref, category: m[1], name: m[2] });
+    } else {
+      categoryEls.push({ el, ref, category: m[1] });
+    }
+  });
+
+  categoryEls.forEach(({ el, ref, category }) => {
+    const excluded = new Set();
+    childrenNS(el, 'exclude').forEach(ex => {
+      const name = ex.getAttribute('name');
+      const resolved = resolveRuleName(name, category, allRules);
+      if (resolved) excluded.add(resolved.rule.name);
+      else unknown.push({ ref: `${ref} / exclude ${name}`, reason: '\uC54C \uC218 \uC5C6\uB294 \uADDC\uCE59 \uC774\uB984' });
+    });
+
+    allRules.filter(r => r.category === category).forEach(rule => {
+      const status = excluded.has(rule.name) ? 'excluded' : 'enabled';
+      if (status === 'enabled' || !coverage[rule.name]) {
+        coverage[rule.name] = { status, ref, alias: null, customizations: null };
+      }
+    });
+  });
+
+  ruleEls.forEach(({ el, ref, category, name }) => {
+    const resolved = resolveRuleName(name, category, allRules);
+    if (!resolved) {
+      unknown.push({ ref, reason: '\uC54C \uC218 \uC5C6\uB294 \uADDC\uCE59 \uC774\uB984' });
+      return;
+    }
+    const customizations = readCustomizations(el);
+    coverage[resolved.rule.name] = {
+      status: customizations ? 'customized' : 'enabled',
+      ref,
+      alias: resolved.alias,
+      customizations
+    };
+  });
+
+  const isEnabled = rule => coverage[rule.name] && coverage[rule.name].status !== 'excluded';
+
+  return {
+    name: root.getAttribute('name') || '',
+    coverage,
+    unknown,
+    customRules,
+    missingTier1: allRules.filter(r => getRuleTier(r) === '1' && !isEnabled(r))
+  };
+}
+
+function getCoverageStatus(rule) {
+  if (!importedRuleset) return null;
+  const entry = importedRuleset.coverage[rule.name];
+  return entry ? entry.status : 'missing';
+}
+
+// Coverage marker shown on each card while a ruleset is imported
+function renderCoverageBadge(rule) {
+  const status = getCoverageStatus(rule);
+  if (!status) return '';
+  return `<span class="coverage-badge ${status}" title="${escapeHtml(importedRuleset.fileName)}: ${coverageLabels[status]}">${coverageIcons[status] || '\u2013'}</span>`;
+}
+
+// Coverage of the selected rule in the imported ruleset (detail header)
+function renderCoverageDetail(rule) {
+  const status = getCoverageStatus(rule);
+  if (!status) return '';
+
+  const entry = importedRuleset.coverage[rule.name];
+  const details = [];
+  if (entry && entry.alias) details.push(`\uC774\uC804 \uC774\uB984 <code>${escapeHtml(entry.alias.name)}</code>\uC73C\uB85C \uCC38\uC870\uB428`);
+  if (entry && entry.customizations) {
+    const c = entry.customizations;
+    if (c.priority) details.push(`\uC6B0\uC120\uC21C\uC704 ${rule.priority} \u2192 ${c.priority}`);
+    if (c.message) details.push(`\uBA54\uC2DC\uC9C0 \uBCC0\uACBD: ${escapeHtml(c.message)}`);
+    if (c.properties) {
+      Object.entries(c.properties).forEach(([name, value]) => {
+        details.push(`<code>${escapeHtml(name)}</code> = <code>${escapeHtml(value)}</code>`);
+      });
+    }
+  }
+
+  return `
+    <div class="coverage-detail ${status}">
+      <span class="coverage-badge ${status}">${coverageIcons[status] || '\u2013'}</span>
+      <strong>${escapeHtml(importedRuleset.fileName)}</strong>: ${coverageLabels[status]}
+      ${details.length > 0 ? `<ul>${details.map(d => `<li>${d}</li>`).join('')}</ul>` : ''}
+    </div>
+  `;
+}
+
+// Summary of the imported ruleset in the detail panel
+function showImportReport() {
+  const { fileName, name, coverage, unknown, customRules, missingTier1 } = importedRuleset;
+  const counts = { enabled: 0, customized: 0, excluded: 0, missing: 0 };
+  rules.forEach(rule => { counts[getCoverageStatus(rule)]++; });
+
+  const ruleLink = rule => `<a href="#" class="rule-link" data-rule="${rule.name}">${rule.name}</a>`;
+
+  ruleDetail.innerHTML = `
+    <div class="detail-header">
+      <h2>\uAC00\uC838\uC628 \uB8F0\uC14B${name ? `: ${escapeHtml(name)}` : ''}</h2>
+      <span class="rule-id">${escapeHtml(fileName)}</span>
+    </div>
+    <div class="tab-content active">
+      <div class="coverage-summary">
+        ${Object.keys(counts).map(status => `
+          <div class="coverage-stat ${status}">
+            <span class="coverage-stat-value">${counts[status]}</span>
+            <span class="coverage-stat-label">${coverageLabels[status]}</span>
+          </div>
+        `).join('')}
+      </div>
+      <div class="info-section">
+        <h3>\uC54C \uC218 \uC5C6\uB294 \uADDC\uCE59 (${unknown.length})</h3>
+        ${unknown.length > 0
+          ? `<ul class="coverage-unknown">${unknown.map(u => `<li><code>${escapeHtml(u.ref)}</code> \u2014 ${escapeHtml(u.reason)}</li>`).join('')}</ul>`
+          : '<p>\uBAA8\uB4E0 \uCC38\uC870\uAC00 \uCE74\uD0C8\uB85C\uADF8\uC758 \uADDC\uCE59\uACFC \uC77C\uCE58\uD569\uB2C8\uB2E4.</p>'}
+      </div>
+      <div class="info-section">
+        <h3>\uB204\uB77D\uB41C Tier 1 \uADDC\uCE59 (${missingTier1.length})</h3>
+        ${missingTier1.length > 0
+          ? `<ul>${missingTier1.map(r => `<li>${ruleLink(r)} \u2014 ${escapeHtml(r.message)}</li>`).join('')}</ul>`
+          : '<p>\uBAA8\uB4E0 Tier 1 \uADDC\uCE59\uC774 \uD65C\uC131\uD654\uB418\uC5B4 \uC788\uC2B5\uB2C8\uB2E4.</p>'}
+      </div>
+      <div class="info-section">
+        <h3>\uCEE4\uC2A4\uD130\uB9C8\uC774\uC988\uB41C \uADDC\uCE59 (${counts.customized})</h3>
+        ${counts.customized > 0
+          ? `<ul>${rules.filter(r => getCoverageStatus(r) === 'customized').map(r => `<li>${ruleLink(r)}</li>`).join('')}</ul>`
+          : '<p>\uC5C6\uC74C</p>'}
+      </div>
+      ${customRules.length > 0 ? `
+      <div class="info-section">
+        <h3>\uC0AC\uC6A9\uC790 \uC815\uC758 \uADDC\uCE59 (${customRules.length})</h3>
+        <ul>${customRules.map(n => `<li><code>${escapeHtml(n)}</code></li>`).join('')}</ul>
+      </div>
+      ` : ''}
+    </div>
+  `;
+
+  ruleDetail.querySelectorAll('.rule-link').forEach(link => {
+    link.addEventListener('click', e => {
+      e.preventDefault();
+      selectRule(link.dataset.rule);
+    });
+  });
+}
+
+function importRulesetText(fileName, text) {
+  try {
+    importedRuleset = { fileName, ...analyzeRuleset(text, rules) };
+  } catch (error) {
+    console.error('Failed to import ruleset:', error);
+    alert(`${fileName}: ${error.message}`);
+    return;
+  }
+  document.getElementById('importBar').hidden = false;
+  document.getElementById('importFileName').textContent = fileName;
+  renderRules();
+  showImportReport();
+}
+
+function clearImportedRuleset() {
+  importedRuleset = null;
+  document.getElementById('importBar').hidden = true;
+  renderRules();
+  if (selectedRuleName) selectRule(selectedRuleName);
+}
+
+function setupImport() {
+  const fileInput = document.getElementById('importFile');
+  document.getElementById('importToggle').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    if (file) readTextFile(file, text => importRulesetText(file.name, text));
+    fileInput.value = '';
+  });
+
+  document.getElementById('importReport').addEventListener('click', showImportReport);
+  document.getElementById('importClear').addEventListener('click', clearImportedRuleset);
+}
@@ -0,0 +1,259 @@
+// 검색 인덱스 (퍼지 검색 / 약어 / 초성)
+// Built once at load. Every query term must match some field of a rule; the
+// rule's score is the sum over terms of (field weight × match quality). Match
+// ranges are kept so the cards can highlight what was found.
+//
+//   substring   "println"  → SystemPrintln, "널 포인터" → message text
+//   abbreviation "acnpe"   → AvoidCatchingNPE (word initials, acronyms per letter)
+//   typo        "sytemprintln", "ACNV" (one or two edits, names only)
+//   초성         "ㄴㅍㅇ"    → 널 포인터 예외 ... (Korean fields)
+
+const SEARCH_FIELD_WEIGHTS = {
+  name: 10,
+  alias: 8,
+  message: 6,
+  enMessage: 5,
+  category: 3,
+  comment: 2,
+  description: 1,
+  enDescription: 1
+};
+
+const SEARCH_MATCH_QUALITY = {
+  exact: 3,
+  prefix: 2,
+  abbreviation: 1.5,
+  substring: 1,
+  choseong: 1,
+  typo: 0.5
+};
+
+// Fields that can be matched by abbreviation and typo
+const NAME_FIELDS = ['name', 'alias'];
+
+const CHOSEONG = '\u3131\u3132\u3134\u3137\u3138\u3139\u3141\u3142\u3143\u3145\u3146\u3147\u3148\u3149\u314A\u314B\u314C\u314D\u314E';
+const HANGUL_FIRST = 0xAC00;
+const HANGUL_LAST = 0xD7A3;
+const SYLLABLES_PER_CHOSEONG = 588;
+
+let searchIndex = new Map();
+// Last search: rule -> { score, ranges: { field: [[start, end], ...] } }, null without a query
+let searchResults = null;
+
+// Initial consonant string of a text, with the position of each character in
+// the original so matches can be mapped back. Spaces are skipped, so "ㄴㅍ"
+// matches "널 포인터".
+function toChoseong(text) {
+  let value = '';
+  const positions = [];
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (/\s/.test(text[i])) continue;
+    value += code >= HANGUL_FIRST && code <= HANGUL_LAST
+      ? CHOSEONG[Math.floor((code - HANGUL_FIRST) / SYLLABLES_PER_CHOSEONG)]
+      : text[i].toLowerCase();
+    positions.push(i);
+  }
+  return { value, positions };
+}
+
+function isChoseongQuery(term) {
+  return /^[\u3131-\u314E]+$/.test(term);
+}
+
+// CamelCase words of a rule name; an all-caps run (NPE) counts as one word
+function splitWords(name) {
+  const words = [];
+  const re = /[A-Z]+(?![a-z])|[A-Z][a-z0-9]*|[a-z0-9]+/g;
+  let m;
+  while ((m = re.exec(name))) words.push({ text: m[0].toLowerCase(), start: m.index, end: m.index + m[0].length });
+  return words;
+}
+
+// Word initials of a name; acronyms contribute every letter
+function nameInitials(name, words) {
+  let value = '';
+  const positions = [];
+  words.forEach(word => {
+    const isAcronym = /^[A-Z]{2,}$/.test(name.slice(word.start, word.end));
+    const count = isAcronym ? word.end - word.start : 1;
+    for (let i = 0; i < count; i++) {
+      value += word.text[i];
+      positions.push(word.start + i);
+    }
+  });
+  return { value, positions };
+}
+
+function indexField(text, isName) {
+  const field = { text, lower: text.toLowerCase(), choseong: toChoseong(text) };
+  if (isName) {
+    field.words = splitWords(text);
+    field.initials = nameInitials(text, field.words);
+  }
+  return field;
+}
+
+function buildSearchIndex() {
+  searchIndex = new Map(rules.map(rule => {
+    const fields = [
+      ['name', rule.name],
+      ['message', rule.message],
+      ['category', rule.categoryName],
+      ['comment', [rule.claude_comment, ...Object.values(rule.tierComments || {})].join(' ')],
+      ['description', rule.description]
+    ];
+    (rule.aliases || []).forEach(alias => fields.push(['alias', alias.name]));
+    if (rule.en) {
+      fields.push(['enMessage', rule.en.message], ['enDescription', rule.en.description]);
+    }
+
+    return [rule, fields
+      .filter(([, text]) => text)
+      .map(([name, text]) => ({ name, ...indexField(text, NAME_FIELDS.includes(name)) }))];
+  }));
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+function editDistance(a, b) {
+  const d = [];
+  for (let i = 0; i <= a.length; i++) d.push([i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+function allowedTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+function mapRange(positions, start, length) {
+  return [positions[start], positions[start + length - 1] + 1];
+}
+
+// Best match of one term in one field: { quality, ranges } or null
+function matchField(field, term) {
+  if (isChoseongQuery(term)) {
+    const start = field.choseong.value.indexOf(term);
+    if (start === -1) return null;
+    return { quality: SEARCH_MATCH_QUALITY.choseong, ranges: [mapRange(field.choseong.positions, start, term.length)] };
+  }
+
+  const ranges = [];
+  for (let i = field.lower.indexOf(term); i !== -1; i = field.lower.indexOf(term, i + term.length)) {
+    ranges.push([i, i + term.length]);
+  }
+  if (ranges.length > 0) {
+    const quality = field.lower === term ? 'exact' : ranges[0][0] === 0 ? 'prefix' : 'substring';
+    return { quality: SEARCH_MATCH_QUALITY[quality], ranges };
+  }
+
+  if (!field.initials || !/^[a-z0-9]+$/.test(term)) return null;
+
+  const { value, positions } = field.initials;
+  if (term.length >= 2 && value.startsWith(term)) {
+    return {
+      quality: SEARCH_MATCH_QUALITY.abbreviation,
+      ranges: positions.slice(0, term.length).map(p => [p, p + 1])
+    };
+  }
+
+  const maxTypos = allowedTypos(term);
+  if (maxTypos === 0) return null;
+
+  // Typos: against the abbreviation, the whole name, a name prefix or one word
+  if (value.length >= term.length && editDistance(term, value.slice(0, term.length)) <= 1) {
+    return {
+      quality: SEARCH_MATCH_QUALITY.typo,
+      ranges: positions.slice(0, term.length).map(p => [p, p + 1])
+    };
+  }
+  const candidates = [
+    { text: field.lower, start: 0, end: field.lower.length },
+    { text: field.lower.slice(0, term.length), start: 0, end: term.length },
+    ...field.words
+  ];
+  const hit = candidates.find(c => Math.abs(c.text.length - term.length) <= maxTypos &&
+    editDistance(term, c.text) <= maxTypos);
+  return hit ? { quality: SEARCH_MATCH_QUALITY.typo, ranges: [[hit.start, hit.end]] } : null;
+}
+
+// Score every rule for the query; rules that miss a term are left out
+function searchRules(query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return null;
+
+  const results = new Map();
+  searchIndex.forEach((fields, rule) => {
+    let score = 0;
+    const ranges = {};
+
+    for (const term of terms) {
+      let best = 0;
+      fields.forEach(field => {
+        const match = matchField(field, term);
+        if (!match) return;
+        best = Math.max(best, SEARCH_FIELD_WEIGHTS[field.name] * match.quality);
+        (ranges[field.name] = ranges[field.name] || []).push(...match.ranges);
+      });
+      if (best === 0) return;
+      score += best;
+    }
+
+    results.set(rule, { score, ranges });
+  });
+  return results;
+}
+
+function updateSearchResults(query) {
+  searchResults = searchRules(query);
+}
+
+function matchesSearch(rule) {
+  return !searchResults || searchResults.has(rule);
+}
+
+// Plain (non-fuzzy) containment in any indexed field, for -word exclusions
+function ruleContainsText(rule, term) {
+  return (searchIndex.get(rule) || []).some(field =>
+    field.lower.includes(term) || (isChoseongQuery(term) && field.choseong.value.includes(term)));
+}
+
+function getSearchScore(rule) {
+  const result = searchResults && searchResults.get(rule);
+  return result ? result.score : 0;
+}
+
+// Escaped text with the ranges matched in `field` wrapped in <mark>
+function highlightMatches(rule, field, text) {
+  const result = searchResults && searchResults.get(rule);
+  const ranges = result && result.ranges[field];
+  if (!ranges) return escapeHtml(text);
+
+  // Merge overlapping ranges, in order
+  const merged = [];
+  ranges.slice().sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  });
+
+  let html = '';
+  let pos = 0;
+  merged.forEach(([start, end]) => {
+    html += `${escapeHtml(text.slice(pos, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    pos = end;
+  });
+  return html + escapeHtml(text.slice(pos));
+}
@@ -0,0 +1,2 @@
+const RULE_SNAPSHOTS =
+[{"version":"7.21.0","rules":[{"name":"AvoidReassigningParameters","category":"bestpractices","since":"1.0","priority":2,"properties":{}},{"name":"GuardLogStatement","category":"bestpractices","since":"5.1.0","priority":2,"properties":{}},{"name":"ImplicitFunctionalInterface","category":"bestpractices","since":"7.12.0","priority":2,"properties":{}},{"name":"SystemPrintln","category":"bestpractices","since":"2.1","priority":2,"properties":{}},{"name":"AbstractClassWithoutAbstractMethod","category":"bestpractices","since":"3.0","priority":3,"properties":{}},{"name":"AccessorClassGeneration","category":"bestpractices","since":"1.04","priority":3,"properties":{}},{"name":"AccessorMethodGeneration","category":"bestpractices","since":"5.5.4","priority":3,"properties":{}},{"name":"ArrayIsStoredDirectly","category":"bestpractices","since":"2.2","priority":3,"properties":{}},{"name":"AvoidMessageDigestField","category":"bestpractices","since":"6.18.0","priority":3,"properties":{}},{"name":"AvoidPrintStackTrace","category":"bestpractices","since":"3.2","priority":3,"properties":{}},{"name":"AvoidReassigningCatchVariables","category":"bestpractices","since":"6.27.0","priority":3,"properties":{}},{"name":"AvoidReassigningLoopVariables","category":"bestpractices","since":"6.11.0","priority":3,"properties":{}},{"name":"AvoidStringBufferField","category":"bestpractices","since":"4.2","priority":3,"properties":{}},{"name":"AvoidUsingHardCodedIP","category":"bestpractices","since":"4.1","priority":3,"properties":{}},{"name":"CheckResultSet","category":"bestpractices","since":"4.1","priority":3,"properties":{}},{"name":"ConstantsInInterface","category":"bestpractices","since":"5.5","priority":3,"properties":{"ignoreIfHasMethods":"true"}},{"name":"DefaultLabelNotLastInSwitch","category":"bestpractices","since":"1.5","priority":3,"properties":{}},{"name":"DoubleBraceInitialization","category":"bestpractices","since":"6.16.0","priority":3,"properties":{}},{"name":"EnumComparison","category":"bestpractices","since":"7.19.0","priority":3,"properties":{}},{"name":"ExhaustiveSwitchHasDefault","category":"bestpractices","since":"7.10.0","priority":3,"properties":{}},{"name":"ForLoopCanBeForeach","category":"bestpractices","since":"6.0.0","priority":3,"properties":{}},{"name":"ForLoopVariableCount","category":"bestpractices","since":"6.11.0","priority":3,"properties":{"maximumVariables":"1"}},{"name":"JUnit4SuitesShouldUseSuiteAnnotation","category":"bestpractices","since":"4.0","priority":3,"properties":{}},{"name":"JUnit5TestShouldBePackagePrivate","category":"bestpractices","since":"6.35.0","priority":3,"properties":{}},{"name":"JUnitUseExpected","category":"bestpractices","since":"4.0","priority":3,"properties":{}},{"name":"LabeledStatement","category":"bestpractices","since":"7.18.0","priority":3,"properties":{"allowLoops":"true"}},{"name":"LiteralsFirstInComparisons","category":"bestpractices","since":"6.24.0","priority":3,"properties":{}},{"name":"LooseCoupling","category":"bestpractices","since":"0.7","priority":3,"properties":{}},{"name":"MethodReturnsInternalArray","category":"bestpractices","since":"2.2","priority":3,"properties":{}},{"name":"MissingOverride","category":"bestpractices","since":"6.2.0","priority":3,"properties":{}},{"name":"NonExhaustiveSwitch","category":"bestpractices","since":"1.0","priority":3,"properties":{}},{"name":"PreserveStackTrace","category":"bestpractices","since":"3.7","priority":3,"properties":{}},{"name":"PrimitiveWrapperInstantiation","category":"bestpractices","since":"6.37.0","priority":3,"properties":{}},{"name":"RelianceOnDefaultCharset","category":"bestpractices","since":"7.17.0","priority":3,"properties":{}},{"name":"ReplaceEnumerationWithIterator","category":"bestpractices","since":"3.4","priority":3,"properties":{}},{"name":"ReplaceHashtableWithMap","category":"bestpractices","since":"3.4","priority":3,"properties":{}},{"name":"ReplaceVectorWithList","category":"bestpractices","since":"3.4","priority":3,"properties":{}},{"name":"SimplifiableTestAssertion","category":"bestpractices","since":"6.37.0","priority":3,"properties":{}},{"name":"UnitTestAssertionsShouldIncludeMessage","category":"bestpractices","since":"1.04","priority":3,"properties":{}},{"name":"UnitTestContainsTooManyAsserts","category":"bestpractices","since":"5.0","priority":3,"properties":{}},{"name":"UnitTestShouldIncludeAssert","category":"bestpractices","since":"2.0","priority":3,"properties":{}},{"name":"UnitTestShouldUseAfterAnnotation","category":"bestpractices","since":"4.0","priority":3,"properties":{}},{"name":"UnitTestShouldUseBeforeAnnotation","category":"bestpractices","since":"4.0","priority":3,"properties":{}},{"name":"UnitTestShouldUseTestAnnotation","category":"bestpractices","since":"4.0","priority":3,"properties":{"testClassPattern":"Test"}},{"name":"UnnecessaryVarargsArrayCreation","category":"bestpractices","since":"7.1.0","priority":3,"properties":{}},{"name":"UnnecessaryWarningSuppression","category":"bestpractices","since":"7.14.0","priority":3,"properties":{}},{"name":"UnusedAssignment","category":"bestpractices","since":"6.26.0","priority":3,"properties":{}},{"name":"UnusedFormalParameter","category":"bestpractices","since":"0.8","priority":3,"properties":{}},{"name":"UnusedLabel","category":"bestpractices","since":"7.18.0","priority":3,"properties":{}},{"name":"UnusedLocalVariable","category":"bestpractices","since":"0.1","priority":3,"properties":{}},{"name":"UnusedPrivateField","category":"bestpractices","since":"0.1","priority":3,"properties":{}},{"name":"UnusedPrivateMethod","category":"bestpractices","since":"0.7","priority":3,"properties":{}},{"name":"UseCollectionIsEmpty","category":"bestpractices","since":"3.9","priority":3,"properties":{}},{"name":"UseEnumCollections","category":"bestpractices","since":"7.3.0","priority":3,"properties":{}},{"name":"UseStandardCharsets","category":"bestpractices","since":"6.34.0","priority":3,"properties":{}},{"name":"UseTryWithResources","category":"bestpractices","since":"6.12.0","priority":3,"properties":{}},{"name":"WhileLoopWithLiteralBoolean","category":"bestpractices","since":"6.13.0","priority":3,"properties":{}},{"name":"OneDeclarationPerLine","category":"bestpractices","since":"5.0","priority":4,"properties":{"strictMode":"false"}},{"name":"UseVarargs","category":"bestpractices","since":"5.0","priority":4,"properties":{}},{"name":"ClassNamingConventions","category":"codestyle","since":"1.2","priority":1,"properties":{}},{"name":"EmptyMethodInAbstractClassShouldBeAbstract","category":"codestyle","since":"4.1","priority":1,"properties":{}},{"name":"FieldNamingConventions","category":"codestyle","since":"6.7.0","priority":1,"properties":{}},{"name":"FinalParameterInAbstractMethod","category":"codestyle","since":"6.42.0","priority":1,"properties":{}},{"name":"FormalParameterNamingConventions","category":"codestyle","since":"6.6.0","priority":1,"properties":{}},{"name":"LocalVariableNamingConventions","category":"codestyle","since":"6.6.0","priority":1,"properties":{}},{"name":"MethodNamingConventions","category":"codestyle","since":"1.2","priority":1,"properties":{}},{"name":"ModifierOrder","category":"codestyle","since":"7.17.0","priority":1,"properties":{}},{"name":"AvoidUsingNativeCode","category":"codestyle","since":"4.1","priority":2,"properties":{}},{"name":"AtLeastOneConstructor","category":"codestyle","since":"1.04","priority":3,"properties":{}},{"name":"AvoidDollarSigns","category":"codestyle","since":"1.5","priority":3,"properties":{}},{"name":"AvoidProtectedFieldInFinalClass","category":"codestyle","since":"2.1","priority":3,"properties":{}},{"name":"AvoidProtectedMethodInFinalClassNotExtending","category":"codestyle","since":"5.1","priority":3,"properties":{}},{"name":"CallSuperInConstructor","category":"codestyle","since":"3.0","priority":3,"properties":{}},{"name":"CommentDefaultAccessModifier","category":"codestyle","since":"5.4.0","priority":3,"properties":{}},{"name":"ConfusingTernary","category":"codestyle","since":"1.9","priority":3,"properties":{}},{"name":"ControlStatementBraces","category":"codestyle","since":"6.2.0","priority":3,"properties":{"checkIfElseStmt":"true","checkSingleIfStmt":"true","checkWhileStmt":"true","checkForStmt":"true","checkDoWhileStmt":"true","checkCaseStmt":"false","allowEmptyLoop":"false"}},{"name":"EmptyControlStatement","category":"codestyle","since":"6.46.0","priority":3,"properties":{}},{"name":"FieldDeclarationsShouldBeAtStartOfClass","category":"codestyle","since":"5.0","priority":3,"properties":{}},{"name":"ForLoopShouldBeWhileLoop","category":"codestyle","since":"1.02","priority":3,"properties":{}},{"name":"IdenticalCatchBranches","category":"codestyle","since":"6.4.0","priority":3,"properties":{}},{"name":"LambdaCanBeMethodReference","category":"codestyle","since":"7.1.0","priority":3,"properties":{}},{"name":"LinguisticNaming","category":"codestyle","since":"6.7.0","priority":3,"properties":{}},{"name":"LocalVariableCouldBeFinal","category":"codestyle","since":"2.2","priority":3,"properties":{}},{"name":"LongVariable","category":"codestyle","since":"0.3","priority":3,"properties":{"minimum":"17"}},{"name":"MethodArgumentCouldBeFinal","category":"codestyle","since":"2.2","priority":3,"properties":{}},{"name":"NoPackage","category":"codestyle","since":"3.3","priority":3,"properties":{}},{"name":"OnlyOneReturn","category":"codestyle","since":"1.0","priority":3,"properties":{}},{"name":"PackageCase","category":"codestyle","since":"3.3","priority":3,"properties":{}},{"name":"PrematureDeclaration","category":"codestyle","since":"5.0","priority":3,"properties":{}},{"name":"ShortMethodName","category":"codestyle","since":"0.3","priority":3,"properties":{"minimum":"3"}},{"name":"ShortVariable","category":"codestyle","since":"0.3","priority":3,"properties":{"minimum":"3"}},{"name":"TooManyStaticImports","category":"codestyle","since":"4.1","priority":3,"properties":{"maximumStaticImports":"4"}},{"name":"UnnecessaryAnnotationValueElement","category":"codestyle","since":"6.2.0","priority":3,"properties":{"java7Compatibility":"false"}},{"name":"UnnecessaryBoxing","category":"codestyle","since":"7.0.0","priority":3,"properties":{}},{"name":"UnnecessaryCast","category":"codestyle","since":"6.24.0","priority":3,"properties":{}},{"name":"UnnecessaryConstructor","category":"codestyle","since":"1.0","priority":3,"properties":{}},{"name":"UnnecessaryLocalBeforeReturn","category":"codestyle","since":"3.3","priority":3,"properties":{}},{"name":"UnnecessaryModifier","category":"codestyle","since":"1.02","priority":3,"properties":{}},{"name":"UnnecessaryReturn","category":"codestyle","since":"1.3","priority":3,"properties":{}},{"name":"UnnecessarySemicolon","category":"codestyle","since":"6.46.0","priority":3,"properties":{}},{"name":"UseDiamondOperator","category":"codestyle","since":"6.11.0","priority":3,"properties":{}},{"name":"UseExplicitTypes","category":"codestyle","since":"7.0.0","priority":3,"properties":{"allowLiterals":"false","allowCtors":"false","allowCasts":"false","allowLoopVariable":"false"}},{"name":"UselessQualifiedThis","category":"codestyle","since":"5.4.0","priority":3,"properties":{}},{"name":"UseShortArrayInitializer","category":"codestyle","since":"6.15.0","priority":3,"properties":{}},{"name":"UseUnderscoresInNumericLiterals","category":"codestyle","since":"6.10.0","priority":3,"properties":{"acceptableDecimalLength":"4"}},{"name":"VariableCanBeInlined","category":"codestyle","since":"7.17.0","priority":3,"properties":{}},{"name":"BooleanGetMethodName","category":"codestyle","since":"4.0","priority":4,"properties":{"checkParameterizedMethods":"false"}},{"name":"ExtendsObject","category":"codestyle","since":"5.0","priority":4,"properties":{}},{"name":"GenericsNaming","category":"codestyle","since":"4.2.6","priority":4,"properties":{}},{"name":"LocalHomeNamingConvention","category":"codestyle","since":"4.0","priority":4,"properties":{}},{"name":"LocalInterfaceSessionNamingConvention","category":"codestyle","since":"4.0","priority":4,"properties":{}},{"name":"MDBAndSessionBeanNamingConvention","category":"codestyle","since":"4.0","priority":4,"properties":{}},{"name":"RemoteInterfaceNamingConvention","category":"codestyle","since":"4.0","priority":4,"properties":{}},{"name":"RemoteSessionInterfaceNamingConvention","category":"codestyle","since":"4.0","priority":4,"properties":{}},{"name":"ShortClassName","category":"codestyle","since":"5.0","priority":4,"properties":{"minimum":"5"}},{"name":"TypeParameterNamingConventions","category":"codestyle","since":"7.17.0","priority":4,"properties":{}},{"name":"UnnecessaryFullyQualifiedName","category":"codestyle","since":"5.0","priority":4,"properties":{}},{"name":"UnnecessaryImport","category":"codestyle","since":"6.34.0","priority":4,"properties":{}},{"name":"UselessParentheses","category":"codestyle","since":"5.0","priority":4,"properties":{}},{"name":"AbstractClassWithoutAnyMethod","category":"design","since":"4.2","priority":1,"properties":{}},{"name":"AvoidThrowingNullPointerException","category":"design","since":"1.8","priority":1,"properties":{}},{"name":"AvoidThrowingRawExceptionTypes","category":"design","since":"1.8","priority":1,"properties":{}},{"name":"ClassWithOnlyPrivateConstructorsShouldBeFinal","category":"design","since":"4.1","priority":1,"properties":{}},{"name":"AvoidDeeplyNestedIfStmts","category":"design","since":"1.0","priority":3,"properties":{}},{"name":"AvoidRethrowingException","category":"design","since":"3.8","priority":3,"properties":{}},{"name":"AvoidThrowingNewInstanceOfSameException","category":"design","since":"4.2.5","priority":3,"properties":{}},{"name":"AvoidUncheckedExceptionsInSignatures","category":"design","since":"6.13.0","priority":3,"properties":{}},{"name":"CognitiveComplexity","category":"design","since":"6.35.0","priority":3,"properties":{}},{"name":"CollapsibleIfStatements","category":"design","since":"3.1","priority":3,"properties":{}},{"name":"CouplingBetweenObjects","category":"design","since":"1.04","priority":3,"properties":{}},{"name":"CyclomaticComplexity","category":"design","since":"1.03","priority":3,"properties":{}},{"name":"DataClass","category":"design","since":"6.0.0","priority":3,"properties":{}},{"name":"DoNotExtendJavaLangError","category":"design","since":"4.0","priority":3,"properties":{}},{"name":"ExceptionAsFlowControl","category":"design","since":"1.8","priority":3,"properties":{}},{"name":"ExcessiveImports","category":"design","since":"1.04","priority":3,"properties":{}},{"name":"ExcessiveParameterList","category":"design","since":"0.9","priority":3,"properties":{}},{"name":"ExcessivePublicCount","category":"design","since":"1.04","priority":3,"properties":{}},{"name":"FinalFieldCouldBeStatic","category":"design","since":"1.1","priority":3,"properties":{}},{"name":"GodClass","category":"design","since":"5.0","priority":3,"properties":{}},{"name":"ImmutableField","category":"design","since":"2.0","priority":3,"properties":{}},{"name":"InvalidJavaBean","category":"design","since":"6.52.0","priority":3,"properties":{}},{"name":"LawOfDemeter","category":"design","since":"5.0","priority":3,"properties":{}},{"name":"LogicInversion","category":"design","since":"5.0","priority":3,"properties":{}},{"name":"LoosePackageCoupling","category":"design","since":"5.0","priority":3,"properties":{}},{"name":"MutableStaticState","category":"design","since":"6.35.0","priority":3,"properties":{}},{"name":"NcssCount","category":"design","since":"6.0.0","priority":3,"properties":{}},{"name":"NPathComplexity","category":"design","since":"3.9","priority":3,"properties":{}},{"name":"PublicMemberInNonPublicType","category":"design","since":"7.21.0","priority":3,"properties":{}},{"name":"SignatureDeclareThrowsException","category":"design","since":"1.2","priority":3,"properties":{}},{"name":"SimplifiedTernary","category":"design","since":"5.4.0","priority":3,"properties":{}},{"name":"SimplifyBooleanExpressions","category":"design","since":"1.05","priority":3,"properties":{}},{"name":"SimplifyBooleanReturns","category":"design","since":"0.9","priority":3,"properties":{}},{"name":"SimplifyConditional","category":"design","since":"3.1","priority":3,"properties":{}},{"name":"SingularField","category":"design","since":"3.1","priority":3,"properties":{}},{"name":"SwitchDensity","category":"design","since":"1.02","priority":3,"properties":{}},{"name":"TooManyFields","category":"design","since":"3.0","priority":3,"properties":{"maxfields":"15"}},{"name":"TooManyMethods","category":"design","since":"4.2","priority":3,"properties":{"maxmethods":"10"}},{"name":"UselessOverridingMethod","category":"design","since":"3.3","priority":3,"properties":{}},{"name":"UseObjectForClearerAPI","category":"design","since":"4.2.6","priority":3,"properties":{}},{"name":"UseUtilityClass","category":"design","since":"0.3","priority":3,"properties":{}},{"name":"CommentContent","category":"documentation","since":"5.0","priority":3,"properties":{}},{"name":"CommentRequired","category":"documentation","since":"5.1","priority":3,"properties":{}},{"name":"CommentSize","category":"documentation","since":"5.0","priority":3,"properties":{}},{"name":"DanglingJavadoc","category":"documentation","since":"7.17.0","priority":3,"properties":{}},{"name":"UncommentedEmptyConstructor","category":"documentation","since":"3.4","priority":3,"properties":{"ignoreExplicitConstructorInvocation":"false"}},{"name":"UncommentedEmptyMethodBody","category":"documentation","since":"3.4","priority":3,"properties":{}},{"name":"ConstructorCallsOverridableMethod","category":"errorprone","since":"1.04","priority":1,"properties":{}},{"name":"EqualsNull","category":"errorprone","since":"1.9","priority":1,"properties":{}},{"name":"ReturnEmptyCollectionRatherThanNull","category":"errorprone","since":"6.37.0","priority":1,"properties":{}},{"name":"AvoidAssertAsIdentifier","category":"errorprone","since":"3.4","priority":2,"properties":{}},{"name":"AvoidBranchingStatementAsLastInLoop","category":"errorprone","since":"5.0","priority":2,"properties":{}},{"name":"AvoidEnumAsIdentifier","category":"errorprone","since":"3.4","priority":2,"properties":{}},{"name":"AvoidLosingExceptionInformation","category":"errorprone","since":"4.2.6","priority":2,"properties":{}},{"name":"AvoidMultipleUnaryOperators","category":"errorprone","since":"4.2","priority":2,"properties":{}},{"name":"BrokenNullCheck","category":"errorprone","since":"3.8","priority":2,"properties":{}},{"name":"DoNotCallGarbageCollectionExplicitly","category":"errorprone","since":"4.2","priority":2,"properties":{}},{"name":"MoreThanOneLogger","category":"errorprone","since":"2.0","priority":2,"properties":{}},{"name":"ProperCloneImplementation","category":"errorprone","since":"1.4","priority":2,"properties":{}},{"name":"SingleMethodSingleton","category":"errorprone","since":"5.4","priority":2,"properties":{}},{"name":"SingletonClassReturningNewInstance","category":"errorprone","since":"5.4","priority":2,"properties":{}},{"name":"SuspiciousEqualsMethodName","category":"errorprone","since":"2.0","priority":2,"properties":{}},{"name":"AssignmentInOperand","category":"errorprone","since":"1.03","priority":3,"properties":{}},{"name":"AssignmentToNonFinalStatic","category":"errorprone","since":"2.2","priority":3,"properties":{}},{"name":"AvoidAccessibilityAlteration","category":"errorprone","since":"4.1","priority":3,"properties":{}},{"name":"AvoidCallingFinalize","category":"errorprone","since":"3.0","priority":3,"properties":{}},{"name":"AvoidCatchingGenericException","category":"errorprone","since":"4.2.6","priority":3,"properties":{"typesThatShouldNotBeCaught":"java.lang.NullPointerException,\n                    java.lang.Exception,\n                    java.lang.RuntimeException,\n                    java.lang.Throwable,\n                    java.lang.Error"}},{"name":"AvoidCatchingNPE","category":"errorprone","since":"1.8","priority":3,"properties":{}},{"name":"AvoidCatchingThrowable","category":"errorprone","since":"1.2","priority":3,"properties":{}},{"name":"AvoidDecimalLiteralsInBigDecimalConstructor","category":"errorprone","since":"3.4","priority":3,"properties":{}},{"name":"AvoidDuplicateLiterals","category":"errorprone","since":"1.0","priority":3,"properties":{}},{"name":"AvoidFieldNameMatchingMethodName","category":"errorprone","since":"3.0","priority":3,"properties":{}},{"name":"AvoidFieldNameMatchingTypeName","category":"errorprone","since":"3.0","priority":3,"properties":{}},{"name":"AvoidInstanceofChecksInCatchClause","category":"errorprone","since":"3.0","priority":3,"properties":{}},{"name":"AvoidLiteralsInIfCondition","category":"errorprone","since":"4.2.6","priority":3,"properties":{"ignoreMagicNumbers":"-1,0","ignoreExpressions":"true"}},{"name":"AvoidUsingOctalValues","category":"errorprone","since":"3.9","priority":3,"properties":{}},{"name":"CallSuperFirst","category":"errorprone","since":"4.2.5","priority":3,"properties":{}},{"name":"CallSuperLast","category":"errorprone","since":"4.2.5","priority":3,"properties":{}},{"name":"CheckSkipResult","category":"errorprone","since":"5.0","priority":3,"properties":{}},{"name":"ClassCastExceptionWithToArray","category":"errorprone","since":"3.4","priority":3,"properties":{}},{"name":"CloneMethodMustBePublic","category":"errorprone","since":"5.4.0","priority":3,"properties":{}},{"name":"CloneMethodMustImplementCloneable","category":"errorprone","since":"1.9","priority":3,"properties":{}},{"name":"CloneMethodReturnTypeMustMatchClassName","category":"errorprone","since":"5.4.0","priority":3,"properties":{}},{"name":"CloseResource","category":"errorprone","since":"1.2.2","priority":3,"properties":{}},{"name":"CollectionTypeMismatch","category":"errorprone","since":"7.17.0","priority":3,"properties":{}},{"name":"CompareObjectsWithEquals","category":"errorprone","since":"3.2","priority":3,"properties":{"typesThatCompareByReference":"java.lang.Enum,java.lang.Class"}},{"name":"ComparisonWithNaN","category":"errorprone","since":"6.36.0","priority":3,"properties":{}},{"name":"ConfusingArgumentToVarargsMethod","category":"errorprone","since":"7.1.0","priority":3,"properties":{}},{"name":"DetachedTestCase","category":"errorprone","since":"6.13.0","priority":3,"properties":{}},{"name":"DoNotExtendJavaLangThrowable","category":"errorprone","since":"6.0.0","priority":3,"properties":{}},{"name":"DoNotHardCodeSDCard","category":"errorprone","since":"4.2.6","priority":3,"properties":{}},{"name":"DoNotTerminateVM","category":"errorprone","since":"4.1","priority":3,"properties":{}},{"name":"DontUseFloatTypeForLoopIndices","category":"errorprone","since":"4.3","priority":3,"properties":{}},{"name":"EmptyCatchBlock","category":"errorprone","since":"0.1","priority":3,"properties":{"allowCommentedBlocks":"false","allowExceptionNameRegex":"^(ignored|expected)$"}},{"name":"EmptyFinalizer","category":"errorprone","since":"1.5","priority":3,"properties":{}},{"name":"FinalizeDoesNotCallSuperFinalize","category":"errorprone","since":"1.5","priority":3,"properties":{}},{"name":"FinalizeOnlyCallsSuperFinalize","category":"errorprone","since":"1.5","priority":3,"properties":{}},{"name":"FinalizeOverloaded","category":"errorprone","since":"1.5","priority":3,"properties":{}},{"name":"FinalizeShouldBeProtected","category":"errorprone","since":"1.1","priority":3,"properties":{}},{"name":"IdempotentOperations","category":"errorprone","since":"2.0","priority":3,"properties":{}},{"name":"IdenticalConditionalBranches","category":"errorprone","since":"7.18.0","priority":3,"properties":{}},{"name":"ImplicitSwitchFallThrough","category":"errorprone","since":"3.0","priority":3,"properties":{}},{"name":"JumbledIncrementer","category":"errorprone","since":"1.0","priority":3,"properties":{}},{"name":"JUnitSpelling","category":"errorprone","since":"1.0","priority":3,"properties":{}},{"name":"JUnitStaticSuite","category":"errorprone","since":"1.0","priority":3,"properties":{}},{"name":"MethodWithSameNameAsEnclosingClass","category":"errorprone","since":"1.5","priority":3,"properties":{}},{"name":"MisplacedNullCheck","category":"errorprone","since":"3.5","priority":3,"properties":{}},{"name":"MissingSerialVersionUID","category":"errorprone","since":"3.0","priority":3,"properties":{}},{"name":"MissingStaticMethodInNonInstantiatableClass","category":"errorprone","since":"3.0","priority":3,"properties":{"annotations":"org.springframework.beans.factory.annotation.Autowired,javax.inject.Inject,com.google.inject.Inject,lombok.Builder"}},{"name":"NonCaseLabelInSwitch","category":"errorprone","since":"1.5","priority":3,"properties":{}},{"name":"NonSerializableClass","category":"errorprone","since":"1.1","priority":3,"properties":{}},{"name":"NonStaticInitializer","category":"errorprone","since":"1.5","priority":3,"properties":{}},{"name":"NullAssignment","category":"errorprone","since":"1.02","priority":3,"properties":{}},{"name":"OverrideBothEqualsAndHashcode","category":"errorprone","since":"0.4","priority":3,"properties":{}},{"name":"OverrideBothEqualsAndHashCodeOnComparable","category":"errorprone","since":"7.17.0","priority":3,"properties":{}},{"name":"ProperLogger","category":"errorprone","since":"3.3","priority":3,"properties":{"staticLoggerName":"LOG","loggerName":"log","loggerClass":"org.apache.commons.logging.Log"}},{"name":"ReplaceJavaUtilCalendar","category":"errorprone","since":"7.16.0","priority":3,"properties":{}},{"name":"ReplaceJavaUtilDate","category":"errorprone","since":"7.16.0","priority":3,"properties":{}},{"name":"ReturnFromFinallyBlock","category":"errorprone","since":"1.05","priority":3,"properties":{}},{"name":"SimpleDateFormatNeedsLocale","category":"errorprone","since":"2.0","priority":3,"properties":{}},{"name":"StaticEJBFieldShouldBeFinal","category":"errorprone","since":"4.1","priority":3,"properties":{}},{"name":"SuspiciousHashcodeMethodName","category":"errorprone","since":"1.5","priority":3,"properties":{}},{"name":"SuspiciousOctalEscape","category":"errorprone","since":"1.5","priority":3,"properties":{}},{"name":"TestClassWithoutTestCases","category":"errorprone","since":"3.0","priority":3,"properties":{}},{"name":"UnconditionalIfStatement","category":"errorprone","since":"1.5","priority":3,"properties":{}},{"name":"UnnecessaryBooleanAssertion","category":"errorprone","since":"3.0","priority":3,"properties":{}},{"name":"UnnecessaryCaseChange","category":"errorprone","since":"3.3","priority":3,"properties":{}},{"name":"UnnecessaryConversionTemporary","category":"errorprone","since":"0.1","priority":3,"properties":{}},{"name":"UnsupportedJdkApiUsage","category":"errorprone","since":"7.21.0","priority":3,"properties":{}},{"name":"UnusedNullCheckInEquals","category":"errorprone","since":"3.5","priority":3,"properties":{}},{"name":"UseCorrectExceptionLogging","category":"errorprone","since":"3.2","priority":3,"properties":{}},{"name":"UseEqualsToCompareStrings","category":"errorprone","since":"4.1","priority":3,"properties":{}},{"name":"UselessOperationOnImmutable","category":"errorprone","since":"3.5","priority":3,"properties":{}},{"name":"UselessPureMethodCall","category":"errorprone","since":"7.17.0","priority":3,"properties":{}},{"name":"UseLocaleWithCaseConversions","category":"errorprone","since":"2.0","priority":3,"properties":{}},{"name":"UseProperClassLoader","category":"errorprone","since":"3.7","priority":3,"properties":{}},{"name":"DoNotThrowExceptionInFinally","category":"errorprone","since":"4.2","priority":4,"properties":{}},{"name":"DontImportSun","category":"errorprone","since":"1.5","priority":4,"properties":{}},{"name":"InstantiationToGetClass","category":"errorprone","since":"2.0","priority":4,"properties":{}},{"name":"StringBufferInstantiationWithChar","category":"errorprone","since":"3.9","priority":4,"properties":{}},{"name":"InvalidLogMessageFormat","category":"errorprone","since":"5.5.0","priority":5,"properties":{}},{"name":"DoubleCheckedLocking","category":"multithreading","since":"1.04","priority":1,"properties":{}},{"name":"AvoidUsingVolatile","category":"multithreading","since":"4.1","priority":2,"properties":{}},{"name":"AvoidSynchronizedAtMethodLevel","category":"multithreading","since":"3.0","priority":3,"properties":{}},{"name":"AvoidSynchronizedStatement","category":"multithreading","since":"7.5.0","priority":3,"properties":{}},{"name":"AvoidThreadGroup","category":"multithreading","since":"3.6","priority":3,"properties":{}},{"name":"DoNotUseThreads","category":"multithreading","since":"4.1","priority":3,"properties":{}},{"name":"NonThreadSafeSingleton","category":"multithreading","since":"3.4","priority":3,"properties":{}},{"name":"UnsynchronizedStaticFormatter","category":"multithreading","since":"6.11.0","priority":3,"properties":{}},{"name":"UseConcurrentHashMap","category":"multithreading","since":"4.2.6","priority":3,"properties":{}},{"name":"UseNotifyAllInsteadOfNotify","category":"multithreading","since":"3.0","priority":3,"properties":{}},{"name":"DontCallThreadRun","category":"multithreading","since":"4.3","priority":4,"properties":{}},{"name":"AvoidFileStream","category":"performance","since":"6.0.0","priority":1,"properties":{}},{"name":"StringInstantiation","category":"performance","since":"1.0","priority":2,"properties":{}},{"name":"AddEmptyString","category":"performance","since":"4.0","priority":3,"properties":{}},{"name":"AppendCharacterWithChar","category":"performance","since":"3.5","priority":3,"properties":{}},{"name":"AvoidArrayLoops","category":"performance","since":"3.5","priority":3,"properties":{}},{"name":"AvoidCalendarDateCreation","category":"performance","since":"6.25.0","priority":3,"properties":{}},{"name":"AvoidInstantiatingObjectsInLoops","category":"performance","since":"2.2","priority":3,"properties":{}},{"name":"BigIntegerInstantiation","category":"performance","since":"3.9","priority":3,"properties":{}},{"name":"ConsecutiveAppendsShouldReuse","category":"performance","since":"5.1","priority":3,"properties":{}},{"name":"ConsecutiveLiteralAppends","category":"performance","since":"3.5","priority":3,"properties":{}},{"name":"InefficientEmptyStringCheck","category":"performance","since":"3.6","priority":3,"properties":{}},{"name":"InefficientStringBuffering","category":"performance","since":"3.4","priority":3,"properties":{}},{"name":"InsufficientStringBufferDeclaration","category":"performance","since":"3.6","priority":3,"properties":{}},{"name":"OptimizableToArrayCall","category":"performance","since":"1.8","priority":3,"properties":{}},{"name":"RedundantFieldInitializer","category":"performance","since":"5.0","priority":3,"properties":{}},{"name":"StringToString","category":"performance","since":"1.0","priority":3,"properties":{}},{"name":"TooFewBranchesForSwitch","category":"performance","since":"4.2","priority":3,"properties":{"minimumNumberCaseForASwitch":"3"}},{"name":"UseArrayListInsteadOfVector","category":"performance","since":"3.0","priority":3,"properties":{}},{"name":"UseArraysAsList","category":"performance","since":"3.5","priority":3,"properties":{}},{"name":"UseIndexOfChar","category":"performance","since":"3.5","priority":3,"properties":{}},{"name":"UseIOStreamsWithApacheCommonsFileItem","category":"performance","since":"6.25.0","priority":3,"properties":{}},{"name":"UselessStringValueOf","category":"performance","since":"3.8","priority":3,"properties":{}},{"name":"UseStringBufferForStringAppends","category":"performance","since":"3.1","priority":3,"properties":{}},{"name":"UseStringBufferLength","category":"performance","since":"3.4","priority":3,"properties":{}},{"name":"HardCodedCryptoKey","category":"security","since":"6.4.0","priority":3,"properties":{}},{"name":"InsecureCryptoIv","category":"security","since":"6.3.0","priority":3,"properties":{}}],"aliases":[{"name":"DefaultLabelNotLastInSwitchStmt","category":"bestpractices","deprecated":true,"target":"DefaultLabelNotLastInSwitch"},{"name":"SwitchStmtsShouldHaveDefault","category":"bestpractices","deprecated":true,"target":"NonExhaustiveSwitch"},{"name":"JUnitAssertionsShouldIncludeMessage","category":"bestpractices","deprecated":true,"target":"UnitTestAssertionsShouldIncludeMessage"},{"name":"JUnitTestContainsTooManyAsserts","category":"bestpractices","deprecated":true,"target":"UnitTestContainsTooManyAsserts"},{"name":"JUnitTestsShouldIncludeAssert","category":"bestpractices","deprecated":true,"target":"UnitTestShouldIncludeAssert"},{"name":"JUnit4TestShouldUseAfterAnnotation","category":"bestpractices","deprecated":true,"target":"UnitTestShouldUseAfterAnnotation"},{"name":"JUnit4TestShouldUseBeforeAnnotation","category":"bestpractices","deprecated":true,"target":"UnitTestShouldUseBeforeAnnotation"},{"name":"JUnit4TestShouldUseTestAnnotation","category":"bestpractices","deprecated":true,"target":"UnitTestShouldUseTestAnnotation"},{"name":"AvoidCatchingGenericException","category":"design","deprecated":true,"target":"AvoidCatchingGenericException"},{"name":"NonCaseLabelInSwitchStatement","category":"errorprone","deprecated":true,"target":"NonCaseLabelInSwitch"},{"name":"TooFewBranchesForASwitchStatement","category":"performance","deprecated":true,"target":"TooFewBranchesForSwitch"}]}];
@@ -0,0 +1,500 @@
+// app.js 필터 / 개수 / 페이지 테스트
+//
+// Loads index.html with its scripts in jsdom, with the rules of
+// test/fixtures/rules.json in place of rules_data.js, and drives the sidebar and
+// the search box like a user would.
+//
+// Needs the jsdom devDependency (npm install).
+// Usage: npm test
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const jsdom = require('jsdom');
+const fixtureRules = require('./fixtures/rules.json');
+
+const ROOT = path.join(__dirname, '..');
+const SEARCH_DEBOUNCE_MS = 350;
+
+// highlight.js comes from a CDN; the tests never look at highlighting
+const HLJS_STUB = 'window.hljs = { registerLanguage() {}, highlightElement() {} };';
+
+// Serves the page's files from the repository, the fixture rules (and tier
+// profiles, if given) as rules_data.js and nothing from the network (an empty
+// highlight.js when the CDN is down)
+function fixtureLoader(rules, { cdnDown = false, tierProfiles = null } = {}) {
+  return new class extends jsdom.ResourceLoader {
+    fetch(url) {
+      const { protocol, pathname } = new URL(url);
+      let body = '';
+      if (protocol !== 'http:') {
+        if (pathname.endsWith('/highlight.min.js') && !cdnDown) body = HLJS_STUB;
+      } else if (pathname === '/rules_data.js') {
+        body = `const RULES_DATA = ${JSON.stringify(rules)};`;
+        if (tierProfiles) body += `\nconst TIER_PROFILES = ${JSON.stringify(tierProfiles)};`;
+      } else if (pathname === '/snapshots_data.js') {
+        body = 'const RULE_SNAPSHOTS = [];';
+      } else {
+        body = fs.readFileSync(path.join(ROOT, pathname));
+      }
+      return Promise.resolve(Buffer.from(body));
+    }
+  }();
+}
+
+let window = null;
+
+async function loadPage(rules = fixtureRules, options = {}) {
+  const dom = await jsdom.JSDOM.fromFile(path.join(ROOT, 'index.html'), {
+    url: 'http://localhost/index.html',
+    runScripts: 'dangerously',
+    resources: fixtureLoader(rules, options),
+    pretendToBeVisual: true
+  });
+  window = dom.window;
+  if (window.document.readyState !== 'complete') {
+    await new Promise(resolve => window.addEventListener('load', resolve));
+  }
+  return window;
+}
+
+// `let` globals of the page scripts are not window properties
+function pageGlobal(name) {
+  return window.eval(name);
+}
+
+// Copied into this realm, as strict assertions compare prototypes
+function filteredNames() {
+  return Array.from(pageGlobal('filteredRules'), rule => rule.name);
+}
+
+function $(selector) {
+  return window.document.querySelector(selector);
+}
+
+function count(id) {
+  return Number(window.document.getElementById(id).textContent);
+}
+
+function click(selector) {
+  $(selector).click();
+}
+
+// Leave only the given values of a checkbox facet checked
+function checkOnly(attr, values) {
+  window.document.querySelectorAll(`[data-${attr}]`).forEach(cb => {
+    if (cb.checked !== values.includes(cb.dataset[attr])) cb.click();
+  });
+}
+
+async function search(text) {
+  const input = $('#searchInput');
+  input.value = text;
+  input.dispatchEvent(new window.Event('input'));
+  await new Promise(resolve => setTimeout(resolve, SEARCH_DEBOUNCE_MS));
+}
+
+function tierCounts() {
+  return Object.fromEntries(['1', '2', '3', 'skip'].map(tier => [tier, count(`count-tier-${tier}`)]));
+}
+
+function categoryCounts() {
+  return Object.fromEntries(
+    [...window.document.querySelectorAll('[data-category]')].map(cb => [cb.dataset.category, count(`count-${cb.dataset.category}`)]));
+}
+
+describe('app.js', () => {
+  afterEach(() => {
+    if (window) window.close();
+    window = null;
+  });
+
+  describe('facet counts', () => {
+    it('counts every rule when nothing is filtered', async () => {
+      await loadPage();
+      assert.equal(count('totalCount'), fixtureRules.length);
+      assert.equal(count('filteredCount'), fixtureRules.length);
+      assert.deepEqual(tierCounts(), { 1: 4, 2: 3, 3: 3, skip: 2 });
+      assert.deepEqual(categoryCounts(), {
+        bestpractices: 3,
+        codestyle: 1,
+        design: 1,
+        documentation: 1,
+        errorprone: 3,
+        multithreading: 1,
+        performance: 1,
+        security: 1
+      });
+      assert.deepEqual([1, 2, 3, 4, 5].map(p => count(`count-p${p}`)), [1, 1, 9, 1, 0]);
+    });
+
+    it('counts each facet without its own selection', async () => {
+      await loadPage();
+      checkOnly('tier', ['1']);
+
+      assert.equal(count('filteredCount'), 4);
+      // Tier options still show what checking them would add
+      assert.deepEqual(tierCounts(), { 1: 4, 2: 3, 3: 3, skip: 2 });
+      assert.deepEqual(categoryCounts(), {
+        bestpractices: 1,
+        codestyle: 0,
+        design: 0,
+        documentation: 0,
+        errorprone: 2,
+        multithreading: 0,
+        performance: 0,
+        security: 1
+      });
+      assert.deepEqual([1, 2, 3, 4, 5].map(p => count(`count-p${p}`)), [1, 0, 3, 0, 0]);
+
+      checkOnly('category', ['errorprone']);
+      assert.deepEqual(filteredNames(), ['EmptyCatchBlock', 'NullAssignment']);
+      assert.deepEqual(tierCounts(), { 1: 2, 2: 1, 3: 0, skip: 0 });
+      assert.equal(count('count-errorprone'), 2);
+      assert.equal(count('count-security'), 1);
+    });
+
+    it('applies the Java version filter to every facet', async () => {
+      await loadPage();
+      const select = $('#javaVersion');
+      select.value = '8';
+      select.dispatchEvent(new window.Event('change'));
+
+      assert.ok(!filteredNames().includes('HardCodedCryptoKey'));
+      assert.equal(count('count-security'), 0);
+      assert.equal(count('count-tier-1'), 3);
+
+      select.value = '17';
+      select.dispatchEvent(new window.Event('change'));
+      assert.ok(filteredNames().includes('HardCodedCryptoKey'));
+      assert.ok(!filteredNames().includes('AccessorClassGeneration'));
+      assert.equal(count('count-bestpractices'), 2);
+    });
+  });
+
+  describe('toggle-all checkboxes', () => {
+    it('is indeterminate while only some options are checked', async () => {
+      await loadPage();
+      const toggle = $('#toggleTier');
+      assert.equal(toggle.checked, true);
+      assert.equal(toggle.indeterminate, false);
+
+      click('[data-tier="2"]');
+      assert.equal(toggle.checked, false);
+      assert.equal(toggle.indeterminate, true);
+
+      checkOnly('tier', []);
+      assert.equal(toggle.checked, false);
+      assert.equal(toggle.indeterminate, false);
+      // Nothing checked filters nothing
+      assert.equal(count('filteredCount'), fixtureRules.length);
+    });
+
+    it('checks and unchecks the whole section', async () => {
+      await loadPage();
+      click('[data-category="design"]');
+      const toggle = $('#toggleCategory');
+      assert.equal(toggle.indeterminate, true);
+
+      // A click on an indeterminate checkbox checks it
+      toggle.click();
+      assert.ok([...window.document.querySelectorAll('[data-category]')].every(cb => cb.checked));
+      assert.equal(count('filteredCount'), fixtureRules.length);
+
+      toggle.click();
+      assert.ok([...window.document.querySelectorAll('[data-category]')].every(cb => !cb.checked));
+    });
+  });
+
+  describe('tier profiles', () => {
+    // "backend" makes SystemPrintln tier 1 and HardCodedCryptoKey tier 2
+    const backendTiers = { SystemPrintln: 1, HardCodedCryptoKey: 2 };
+    const rules = fixtureRules.map(rule => ({
+      ...rule,
+      tiers: { default: rule.tier, backend: backendTiers[rule.name] || rule.tier }
+    }));
+    const tierProfiles = {
+      primary: 'default',
+      profiles: [
+        { name: 'default', label: 'Default', description: '' },
+        { name: 'backend', label: 'Backend', description: '' }
+      ]
+    };
+
+    it('switches tier badges, counts and filters to the chosen profile', async () => {
+      await loadPage(rules, { tierProfiles });
+      const select = $('#tierProfile');
+      const badge = name => $(`.rule-card[data-name="${name}"] .tier-badge`).textContent;
+      assert.equal(select.hidden, false);
+      assert.deepEqual([...select.options].map(o => o.value), ['default', 'backend']);
+
+      checkOnly('tier', ['1']);
+      assert.ok(!filteredNames().includes('SystemPrintln'));
+      assert.ok(filteredNames().includes('HardCodedCryptoKey'));
+
+      select.value = 'backend';
+      select.dispatchEvent(new window.Event('change'));
+      assert.ok(filteredNames().includes('SystemPrintln'));
+      assert.ok(!filteredNames().includes('HardCodedCryptoKey'));
+      assert.equal(badge('SystemPrintln'), '1');
+      assert.deepEqual(tierCounts(), { 1: 4, 2: 3, 3: 3, skip: 2 });
+
+      checkOnly('tier', []);
+      assert.equal(badge('HardCodedCryptoKey'), '2');
+    });
+  });
+
+  describe('pagination', () => {
+    it('keeps the page window inside the page range', async () => {
+      await loadPage();
+      const pageWindow = (page, total) => ({ ...window.pageWindow(page, total) });
+      assert.deepEqual(pageWindow(1, 12), { startPage: 1, endPage: 5 });
+      assert.deepEqual(pageWindow(3, 12), { startPage: 1, endPage: 5 });
+      assert.deepEqual(pageWindow(6, 12), { startPage: 4, endPage: 8 });
+      assert.deepEqual(pageWindow(11, 12), { startPage: 8, endPage: 12 });
+      assert.deepEqual(pageWindow(12, 12), { startPage: 8, endPage: 12 });
+      assert.deepEqual(pageWindow(2, 3), { startPage: 1, endPage: 3 });
+    });
+
+    it('renders page buttons with gaps and moves between pages', async () => {
+      // 8 pages of 20
+      const rules = [];
+      for (let i = 0; rules.length < 150; i++) {
+        fixtureRules.forEach(rule => rules.push({ ...rule, name: `${rule.name}${i}` }));
+      }
+      await loadPage(rules.slice(0, 150));
+
+      const pages = () => [...window.document.querySelectorAll('#pagination > *')]
+        .slice(1, -2)
+        .map(el => el.textContent);
+      assert.deepEqual(pages(), ['1', '2', '3', '4', '5', '...', '8']);
+      assert.equal($('#pagination button').disabled, true);
+      assert.equal($('#pagination [aria-current="page"]').textContent, '1');
+      assert.equal(window.document.querySelectorAll('#rulesGrid .rule-card').length, 20);
+
+      click('#pagination button[data-page="8"]');
+      assert.deepEqual(pages(), ['1', '...', '4', '5', '6', '7', '8']);
+      assert.equal($('#pagination .page-info:last-child').textContent, '8 / 8');
+      assert.equal(window.document.querySelectorAll('#rulesGrid .rule-card').length, 10);
+
+      click('#pagination button[data-page="6"]');
+      assert.deepEqual(pages(), ['1', '...', '4', '5', '6', '7', '8']);
+      click('#pagination button[data-page="4"]');
+      assert.deepEqual(pages(), ['1', '2', '3', '4', '5', '6', '...', '8']);
+    });
+
+    it('hides pagination for a single page', async () => {
+      await loadPage();
+      assert.equal($('#pagination').innerHTML, '');
+    });
+  });
+
+  describe('without browser extras', () => {
+    it('works without highlight.js from the CDN', async () => {
+      const errors = [];
+      await loadPage(fixtureRules, { cdnDown: true });
+      window.addEventListener('error', e => errors.push(e.message));
+      window.selectRule('NullAssignment');
+      assert.equal(pageGlobal('selectedRuleName'), 'NullAssignment');
+      assert.deepEqual(errors, []);
+    });
+
+    it('reports a failed copy when there is no clipboard API', async () => {
+      await loadPage();
+      const button = window.document.createElement('button');
+      window.copyToClipboard('<rule ref="x"/>', button);
+      await new Promise(resolve => setTimeout(resolve, 0));
+      assert.equal(button.textContent, '\uBCF5\uC0AC \uC2E4\uD328');
+    });
+  });
+
+  describe('examples', () => {
+    it('pairs a fix shown before its violation, violation first', async () => {
+      const good = 'if (list.isEmpty()) { }';
+      const bad = 'if (list.size() == 0) { }';
+      const rules = fixtureRules.map(rule => rule.name !== 'NullAssignment' ? rule : {
+        ...rule,
+        examples: [`${good}\n${bad}`],
+        exampleSegments: [[{ kind: 'good', code: good }, { kind: 'bad', code: bad }]]
+      });
+      await loadPage(rules);
+      window.selectRule('NullAssignment');
+
+      const panes = [...window.document.querySelectorAll('#ruleDetail .example-pair .example-pane')];
+      assert.deepEqual(panes.map(pane => pane.classList[1]), ['bad', 'good']);
+      assert.deepEqual([...window.document.querySelectorAll('#ruleDetail .diff-line')].map(line => line.textContent),
+        [`- ${bad}`, `+ ${good}`]);
+    });
+
+    it('places the flagged line overlays by line index, leaving the offsets to the stylesheet', async () => {
+      const rules = fixtureRules.map(rule => rule.name !== 'NullAssignment' ? rule : {
+        ...rule,
+        examples: ['a();\nb = null;\nc();'],
+        exampleSegments: [null],
+        exampleViolations: [[2]]
+      });
+      await loadPage(rules);
+      window.selectRule('NullAssignment');
+
+      const overlays = [...window.document.querySelectorAll('#ruleDetail pre.has-violations > span')];
+      assert.deepEqual(overlays.map(span => [span.className, span.getAttribute('style')]), [
+        ['violation-line', '--line: 1'],
+        ['violation-marker', '--line: 1']
+      ]);
+    });
+  });
+
+  describe('ruleset import', () => {
+    it('keeps the file name inside the coverage badge title', async () => {
+      await loadPage();
+      const fileName = 'x" onmouseover="alert(1).xml';
+      window.importRulesetText(fileName, `<?xml version="1.0"?>
+<ruleset name="t" xmlns="http://pmd.sourceforge.net/ruleset/2.0.0">
+  <rule ref="category/java/errorprone.xml/EmptyCatchBlock"/>
+</ruleset>`);
+      const badge = $('#rulesGrid .coverage-badge');
+      assert.ok(badge.title.startsWith(`${fileName}: `));
+      assert.equal(badge.getAttribute('onmouseover'), null);
+    });
+
+    it('reports a dropped file that cannot be read', async () => {
+      await loadPage();
+      const alerts = [];
+      window.alert = message => alerts.push(message);
+      window.console.error = () => {};
+
+      const drop = new window.Event('drop', { cancelable: true });
+      const file = { name: 'pmd.xml', text: () => Promise.reject(new Error('permission denied')) };
+      Object.defineProperty(drop, 'dataTransfer', { value: { files: [file] } });
+      window.document.dispatchEvent(drop);
+      await new Promise(resolve => setTimeout(resolve));
+
+      assert.deepEqual(alerts, ['pmd.xml: permission denied']);
+    });
+  });
+
+  describe('search', () => {
+    it('finds rules by their text, best match first', async () => {
+      await loadPage();
+      await search('null');
+      assert.equal(filteredNames()[0], 'NullAssignment');
+      assert.equal(count('filteredCount'), filteredNames().length);
+    });
+
+    it('drives the sidebar from qualifiers and excludes -words', async () => {
+      await loadPage();
+      await search('tier:1 -null');
+
+      assert.deepEqual(filteredNames().sort(), ['EmptyCatchBlock', 'HardCodedCryptoKey', 'UnusedLocalVariable']);
+      assert.deepEqual([...window.document.querySelectorAll('[data-tier]:checked')].map(cb => cb.dataset.tier), ['1']);
+      assert.equal($('#toggleTier').indeterminate, true);
+    });
+
+    it('writes sidebar changes back into the box', async () => {
+      await loadPage();
+      await search('catch');
+      checkOnly('category', ['errorprone']);
+      assert.equal($('#searchInput').value, 'cat:errorprone catch');
+      assert.deepEqual(filteredNames(), ['EmptyCatchBlock']);
+    });
+
+    it('marks unknown qualifiers', async () => {
+      await loadPage();
+      await search('tier:9');
+      assert.ok($('#searchInput').classList.contains('query-error'));
+      assert.equal(count('filteredCount'), fixtureRules.length);
+    });
+
+    it('opens the rule a deprecated name points to', async () => {
+      await loadPage();
+      await search('EmptyCatchBlockOld');
+      assert.deepEqual(filteredNames(), ['EmptyCatchBlock']);
+      assert.equal(pageGlobal('selectedRuleName'), 'EmptyCatchBlock');
+      assert.ok($('#ruleDetail').textContent.includes('EmptyCatchBlockOld'));
+      assert.equal($('.alias-label').textContent, 'deprecated alias');
+    });
+
+    it('opens the alias rule once, and again on Enter', async () => {
+      await loadPage();
+      await search('EmptyCatchBlockOld');
+      window.selectRule('NullAssignment');
+
+      click('[data-tier="3"]');
+      await search('EmptyCatchBlockOld ');
+      assert.equal(pageGlobal('selectedRuleName'), 'NullAssignment');
+
+      $('#searchInput').dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter' }));
+      assert.equal(pageGlobal('selectedRuleName'), 'EmptyCatchBlock');
+    });
+
+    it('labels a moved rule name as not deprecated', async () => {
+      const rules = fixtureRules.map(rule => rule.name !== 'EmptyCatchBlock' ? rule : {
+        ...rule,
+        aliases: [{ name: 'EmptyCatchBlockMoved', category: 'bestpractices', deprecated: false }]
+      });
+      await loadPage(rules);
+      await search('EmptyCatchBlockMoved');
+      assert.equal(pageGlobal('selectedRuleName'), 'EmptyCatchBlock');
+      assert.equal($('.alias-label').textContent, 'moved rule');
+    });
+  });
+
+  describe('keyboard', () => {
+    // Returns whether the page took the key for itself
+    function keydown(el, key) {
+      const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+      el.dispatchEvent(event);
+      return event.defaultPrevented;
+    }
+
+    async function loadKeyboardPage() {
+      await loadPage();
+      // Not implemented by jsdom
+      window.Element.prototype.scrollIntoView = () => {};
+    }
+
+    it('moves through the list only while the focus is in it', async () => {
+      await loadKeyboardPage();
+      const [first, second] = filteredNames();
+      $(`.rule-card[data-name="${first}"]`).focus();
+      assert.ok(keydown(window.document.activeElement, 'j'));
+      assert.equal(window.document.activeElement.dataset.name, second);
+
+      window.selectRule(first);
+      const tab = $('#ruleDetail .detail-tab');
+      tab.focus();
+      assert.ok(!keydown(tab, 'ArrowDown'));
+      assert.ok(!keydown(tab, 'k'));
+      assert.equal(window.document.activeElement, tab);
+    });
+
+    it('lays the cards out as grid rows with one of them in the tab order', async () => {
+      await loadKeyboardPage();
+      assert.equal($('#rulesGrid').getAttribute('role'), 'grid');
+      const cards = [...window.document.querySelectorAll('#rulesGrid .rule-card')];
+      assert.ok(cards.every(card => card.getAttribute('role') === 'row' && card.querySelector(':scope > [role="gridcell"]')));
+
+      const tabbable = () => [...window.document.querySelectorAll('#rulesGrid [tabindex="0"]')]
+        .map(el => el.dataset.name || el.classList[0]);
+      assert.deepEqual(tabbable(), [cards[0].dataset.name, 'pin-toggle']);
+
+      cards[2].querySelector('.pin-toggle').focus();
+      assert.deepEqual(tabbable(), [cards[2].dataset.name, 'pin-toggle']);
+    });
+
+    it('leaves Enter and Space on the card buttons to the buttons', async () => {
+      await loadKeyboardPage();
+      const [first, second] = filteredNames();
+      window.selectRule(first);
+      const card = $(`.rule-card[data-name="${second}"]`);
+      const pin = card.querySelector('.pin-toggle');
+      assert.ok(!keydown(pin, 'Enter'));
+      assert.ok(!keydown(pin, ' '));
+      assert.equal(pageGlobal('selectedRuleName'), first);
+
+      assert.ok(keydown(card, 'Enter'));
+      assert.equal(pageGlobal('selectedRuleName'), second);
+    });
+  });
+});
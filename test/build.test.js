@@ -0,0 +1,276 @@
+// build.js 파싱 함수 테스트
+//
+// Unit tests on hand-made <rule> element trees, fixture rulesets in
+// test/fixtures/resources (broken ones in test/fixtures/broken), and a
+// snapshot of the whole catalog built from resources/ (Korean only, without
+// example violation lines, so the result does not depend on what is installed
+// locally).
+//
+// Usage: npm test
+//   UPDATE_SNAPSHOTS=1 npm test   rewrite test/snapshots/ after an intended
+//                                 change to the output
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  RULESET_NS,
+  extractAttr,
+  extractFirstElement,
+  extractExamples,
+  extractProperties,
+  splitExample,
+  parseXmlFile,
+  buildRulesData
+} = require('../build');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'resources');
+// One broken ruleset per category, next to well-formed ones
+const BROKEN_DIR = path.join(__dirname, 'fixtures', 'broken');
+const SNAPSHOTS_DIR = path.join(__dirname, 'snapshots');
+const MISSING = path.join(__dirname, 'fixtures', 'missing');
+
+// Element tree as parseXmlFile collects it
+function el(local, attrs = {}, ...children) {
+  return { local, uri: RULESET_NS, attrs, children, line: 1, column: 1 };
+}
+
+function assertSnapshot(name, value) {
+  const file = path.join(SNAPSHOTS_DIR, `${name}.json`);
+  if (process.env.UPDATE_SNAPSHOTS || !fs.existsSync(file)) {
+    fs.writeFileSync(file, `${JSON.stringify(value, null, 2)}\n`, 'utf-8');
+    return;
+  }
+  assert.deepEqual(JSON.parse(JSON.stringify(value)), JSON.parse(fs.readFileSync(file, 'utf-8')),
+    `${path.relative(process.cwd(), file)} is out of date (UPDATE_SNAPSHOTS=1 to rewrite it)`);
+}
+
+function fixtureRules(file, category) {
+  return parseXmlFile(path.join(FIXTURES_DIR, file), category);
+}
+
+describe('extractAttr', () => {
+  it('returns the attribute value', () => {
+    assert.equal(extractAttr(el('rule', { name: 'Foo' }), 'name'), 'Foo');
+  });
+
+  it('returns an empty string for a missing attribute', () => {
+    assert.equal(extractAttr(el('rule', {}), 'since'), '');
+  });
+});
+
+describe('extractFirstElement', () => {
+  it('returns the trimmed text of the first matching child', () => {
+    const rule = el('rule', {},
+      el('priority', {}, ' 2 '),
+      el('priority', {}, '4'));
+    assert.equal(extractFirstElement(rule, 'priority'), '2');
+  });
+
+  it('joins text nested in other elements', () => {
+    const rule = el('rule', {}, el('description', {}, '\n  a ', el('b', {}, 'bold'), ' c\n'));
+    assert.equal(extractFirstElement(rule, 'description'), 'a bold c');
+  });
+
+  it('ignores elements outside the ruleset namespace', () => {
+    const other = { ...el('description', {}, 'other'), uri: 'urn:other' };
+    assert.equal(extractFirstElement(el('rule', {}, other), 'description'), '');
+  });
+});
+
+describe('extractExamples', () => {
+  it('returns every example, trimmed, skipping empty ones', () => {
+    const rule = el('rule', {},
+      el('example', {}, '\n  int a;\n'),
+      el('example', {}, '   '),
+      el('example', {}, 'int b;'));
+    assert.deepEqual(extractExamples(rule), ['int a;', 'int b;']);
+  });
+});
+
+describe('splitExample', () => {
+  const kinds = code => splitExample(code) && splitExample(code).map(seg => seg.kind);
+
+  it('labels code said not to be reported as neutral, not as a fix', () => {
+    assert.deepEqual(kinds([
+      'foo(null); // bad',
+      '',
+      'foo(bar); // good',
+      '',
+      'foo(BAR); // not reported'
+    ].join('\n')), ['bad', 'good', 'neutral']);
+    assert.deepEqual(kinds([
+      '// 위반',
+      'foo(null);',
+      '// 올바른 사용',
+      'foo(bar);',
+      '// 보고되지 않음',
+      'foo(BAR);'
+    ].join('\n')), ['bad', 'good', 'neutral']);
+  });
+
+  it('leaves an example whole when only unreported code follows the violation', () => {
+    assert.equal(splitExample([
+      'x.equals("2"); // should be "2".equals(x)',
+      '',
+      'CONSTANT.equals("literal"); // not reported'
+    ].join('\n')), null);
+  });
+});
+
+describe('extractProperties', () => {
+  it('reads value attributes and <value> elements', () => {
+    const rule = el('rule', {}, el('properties', {},
+      el('property', { name: 'a', type: 'Boolean', value: 'true', description: 'A' }),
+      el('property', { name: 'b', description: 'B' }, el('value', {}, ' x,y '))));
+    assert.deepEqual(extractProperties(rule), [
+      { name: 'a', defaultValue: 'true', description: 'A', type: 'Boolean' },
+      { name: 'b', defaultValue: 'x,y', description: 'B' }
+    ]);
+  });
+
+  it('keeps min, max and delimiter', () => {
+    const rule = el('rule', {}, el('properties', {},
+      el('property', { name: 'n', value: '5', min: '1', max: '10', delimiter: '|' })));
+    assert.deepEqual(extractProperties(rule), [
+      { name: 'n', defaultValue: '5', description: '', min: 1, max: 10, delimiter: '|' }
+    ]);
+  });
+
+  it('leaves out the xpath and version properties', () => {
+    const rule = el('rule', {}, el('properties', {},
+      el('property', { name: 'xpath' }, el('value', {}, '//Foo')),
+      el('property', { name: 'version', value: '2.0' })));
+    assert.deepEqual(extractProperties(rule), []);
+  });
+});
+
+describe('parseXmlFile', () => {
+  let result;
+  beforeEach(() => {
+    result = fixtureRules('bestpractices_ko.xml', 'bestpractices');
+  });
+
+  it('parses the fixture without errors', () => {
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.rules.map(r => r.name), ['CdataRule', 'PropertyRule']);
+  });
+
+  it('takes CDATA sections verbatim and decodes entities outside them', () => {
+    const rule = result.rules.find(r => r.name === 'CdataRule');
+    assert.equal(rule.message, 'CDATA & 엔티티가 들어간 규칙');
+    assert.equal(rule.description, '설명의 <code>태그</code>는 CDATA 안에서 그대로 남습니다. 그리고 <엔티티>는 풀립니다.');
+    assert.equal(rule.examples[0], '// 위반\nif (a < b && b > c) { }');
+  });
+
+  it('splits examples into violation and fix segments', () => {
+    const rule = result.rules.find(r => r.name === 'CdataRule');
+    assert.equal(rule.exampleSegments[0], null);
+    assert.deepEqual(rule.exampleSegments[1].map(s => s.kind), ['bad', 'good']);
+  });
+
+  it('reads self-closing and multi-value properties', () => {
+    const rule = result.rules.find(r => r.name === 'PropertyRule');
+    assert.deepEqual(rule.properties, [
+      { name: 'enabled', defaultValue: 'true', description: '자기 닫힘 속성', type: 'Boolean' },
+      { name: 'limit', defaultValue: '10', description: '범위가 있는 속성', type: 'Integer', min: 1, max: 100 },
+      { name: 'names', defaultValue: 'foo|bar|baz', description: '여러 값 속성', type: 'List[String]', delimiter: '|' },
+      { name: 'patterns', defaultValue: 'get.*,set.*', description: 'value 요소로 준 여러 값 속성', type: 'List[Regex]' }
+    ]);
+  });
+
+  it('rewrites ${pmd.website.baseurl} in externalInfoUrl', () => {
+    const rule = result.rules.find(r => r.name === 'PropertyRule');
+    assert.equal(rule.externalInfoUrl, 'https://docs.pmd-code.org/latest/pmd_rules_java_bestpractices.html#propertyrule');
+  });
+
+  it('returns ref entries as aliases instead of rules', () => {
+    assert.deepEqual(result.aliases.map(({ name, deprecated, target }) => ({ name, deprecated, target })), [
+      { name: 'OldPropertyRule', deprecated: true, target: { category: 'bestpractices', name: 'PropertyRule' } },
+      { name: 'MovedRule', deprecated: false, target: { category: 'errorprone', name: 'XPathFixtureRule' } }
+    ]);
+  });
+
+  it('reads the XPath expression and version', () => {
+    const { rules, errors } = fixtureRules('errorprone_ko.xml', 'errorprone');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(rules[0].xpath, { expression: "//MethodCall\n    [@MethodName = 'foo']", version: '2.0' });
+    assert.equal(rules[0].properties, undefined);
+  });
+});
+
+describe('parse errors', () => {
+  const brokenRules = (file, category) => parseXmlFile(path.join(BROKEN_DIR, file), category);
+  const messages = ({ errors }) => errors.map(err => err.message);
+
+  it('reports a mismatched closing tag where it is', () => {
+    assert.deepEqual(messages(brokenRules('codestyle_ko.xml', 'codestyle')), [
+      'test/fixtures/broken/codestyle_ko.xml:11:38: Closing tag </descripton> does not match <description> opened at line 11'
+    ]);
+  });
+
+  it('reports unterminated comments and CDATA sections, keeping the rules read before them', () => {
+    const design = brokenRules('design_ko.xml', 'design');
+    assert.deepEqual(messages(design), ['test/fixtures/broken/design_ko.xml:15:5: Unterminated comment']);
+    assert.deepEqual(design.rules.map(r => r.name), ['CommentedRule']);
+    assert.deepEqual(messages(brokenRules('documentation_ko.xml', 'documentation')), [
+      'test/fixtures/broken/documentation_ko.xml:14:1: Unterminated CDATA section'
+    ]);
+  });
+
+  it('reports an invalid priority at its element and keeps the other rules', () => {
+    const result = brokenRules('performance_ko.xml', 'performance');
+    assert.deepEqual(messages(result), [
+      'test/fixtures/broken/performance_ko.xml:12:9: Rule BadPriorityRule has invalid priority "7" (expected 1-5)'
+    ]);
+    assert.deepEqual(result.rules.map(r => r.name), ['GoodPerformanceRule']);
+  });
+
+  it('builds the other categories past a broken file', () => {
+    const { rules, errors } = buildRulesData({
+      resourcesDir: BROKEN_DIR,
+      enResourcesDir: MISSING,
+      violationsFile: MISSING
+    });
+    assert.deepEqual(errors.map(err => `${err.file}:${err.line}:${err.column}`), [
+      'test/fixtures/broken/codestyle_ko.xml:11:38',
+      'test/fixtures/broken/design_ko.xml:15:5',
+      'test/fixtures/broken/documentation_ko.xml:14:1',
+      'test/fixtures/broken/performance_ko.xml:12:9'
+    ]);
+    assert.deepEqual(rules.map(r => r.name), ['CommentedRule', 'GoodPerformanceRule', 'GoodSecurityRule']);
+  });
+});
+
+describe('buildRulesData', () => {
+  it('links aliases and sorts the fixture catalog', () => {
+    const { rules, errors } = buildRulesData({
+      resourcesDir: FIXTURES_DIR,
+      enResourcesDir: MISSING,
+      violationsFile: MISSING
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(rules.map(r => r.name), ['CdataRule', 'PropertyRule', 'XPathFixtureRule']);
+    assert.deepEqual(rules[1].aliases, [{ name: 'OldPropertyRule', category: 'bestpractices', deprecated: true }]);
+    assert.deepEqual(rules[2].aliases, [{ name: 'MovedRule', category: 'bestpractices', deprecated: false }]);
+  });
+
+  it('links rules that name each other, by name or old name', () => {
+    const { rules } = buildRulesData({
+      resourcesDir: FIXTURES_DIR,
+      enResourcesDir: MISSING,
+      violationsFile: MISSING
+    });
+    const reasons = (from, to) => rules.find(r => r.name === from).related.find(r => r.name === to).reasons;
+    // PropertyRule names MovedRule, the old name of XPathFixtureRule, which names PropertyRule
+    assert.deepEqual(reasons('PropertyRule', 'XPathFixtureRule'), ['alias', 'mentionedBy']);
+    assert.deepEqual(reasons('XPathFixtureRule', 'PropertyRule'), ['aliasMentionedBy', 'mentions']);
+  });
+
+  it('matches the RULES_DATA snapshot', () => {
+    const { rules, errors } = buildRulesData({ enResourcesDir: MISSING, violationsFile: MISSING });
+    assert.deepEqual(errors, []);
+    assertSnapshot('rules_data', rules);
+  });
+});
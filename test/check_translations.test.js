@@ -0,0 +1,37 @@
+// check_translations.js 번역 드리프트 검사 테스트
+//
+// Usage: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { buildReport, exitCode } = require('../check_translations');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+// Korean fixture rulesets against test/fixtures/en, which only has
+// errorprone.xml, with a different "since" for XPathFixtureRule
+const partialUpstream = {
+  resourcesDir: path.join(FIXTURES_DIR, 'resources'),
+  enResourcesDir: path.join(FIXTURES_DIR, 'en')
+};
+
+describe('check_translations', () => {
+  it('reports drift in the categories that have an upstream ruleset', () => {
+    const report = buildReport(partialUpstream);
+    assert.deepEqual(report.issues, [
+      { category: 'errorprone', rule: 'XPathFixtureRule', type: 'since', ko: '5.0', en: '5.1' }
+    ]);
+    assert.equal(report.summary.errors, 7);
+  });
+
+  it('exits 1 on drift even when other categories could not be compared', () => {
+    assert.equal(exitCode(buildReport(partialUpstream)), 1);
+  });
+
+  it('exits 2 only when nothing drifted and some rulesets were not compared', () => {
+    const report = buildReport({ ...partialUpstream, enResourcesDir: path.join(FIXTURES_DIR, 'missing') });
+    assert.equal(report.summary.comparedRules, 0);
+    assert.equal(exitCode(report), 2);
+    assert.equal(exitCode({ summary: { issues: 0, errors: 0 } }), 0);
+  });
+});
@@ -0,0 +1,66 @@
+// rules_data.schema.json 검사 테스트
+//
+// Usage: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fixtureRules = require('./fixtures/rules.json');
+const { validateRules } = require('../rule_schema');
+const { buildRulesData } = require('../build');
+
+// build.js output for the fixture rules: without the tier fields
+function untiered(rule) {
+  const { tier, ...rest } = rule;
+  return rest;
+}
+
+function tiered(rule) {
+  return { ...rule, claude_comment: '', tiers: { default: rule.tier } };
+}
+
+describe('validateRules', () => {
+  it('accepts the catalog built from resources/', () => {
+    const { rules } = buildRulesData();
+    assert.deepEqual(validateRules(rules), []);
+  });
+
+  it('accepts rules before and after add_tiers.js', () => {
+    assert.deepEqual(validateRules(fixtureRules.map(untiered)), []);
+    assert.deepEqual(validateRules(fixtureRules.map(tiered), { tiered: true }), []);
+  });
+
+  it('requires the tier fields after add_tiers.js', () => {
+    const errors = validateRules([untiered(fixtureRules[0])], { tiered: true });
+    assert.deepEqual(errors, [
+      'RULES_DATA[0] SystemPrintln /: missing "tier"',
+      'RULES_DATA[0] SystemPrintln /: missing "claude_comment"',
+      'RULES_DATA[0] SystemPrintln /: missing "tiers"'
+    ]);
+  });
+
+  it('allows tiers 1-3 as numbers and "skip" only', () => {
+    const rule = tiered(fixtureRules[0]);
+    assert.deepEqual(validateRules([{ ...rule, tier: 'skip' }], { tiered: true }), []);
+    assert.deepEqual(validateRules([{ ...rule, tier: '1' }], { tiered: true }), [
+      'RULES_DATA[0] SystemPrintln /tier: must be one of 1, 2, 3, "skip", got "1"'
+    ]);
+    assert.equal(validateRules([{ ...rule, tiers: { default: 4 } }], { tiered: true }).length, 1);
+  });
+
+  it('reports wrong types, unknown fields and bad nested records', () => {
+    const rule = {
+      ...untiered(fixtureRules[0]),
+      priority: 6,
+      examples: ['int a;'],
+      exampleSegments: [[{ kind: 'fixed', code: 'int a;' }]],
+      properties: [{ name: 'limit', defaultValue: 10, description: '' }],
+      typo: true
+    };
+    assert.deepEqual(validateRules([rule]), [
+      'RULES_DATA[0] SystemPrintln /: unknown field "typo"',
+      'RULES_DATA[0] SystemPrintln /priority: must be <= 5',
+      'RULES_DATA[0] SystemPrintln /exampleSegments/0: matches none of the allowed shapes',
+      'RULES_DATA[0] SystemPrintln /properties/0/defaultValue: must be string, got integer'
+    ]);
+  });
+});
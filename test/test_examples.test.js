@@ -0,0 +1,46 @@
+// test_examples.js 예제 문법 검사 테스트
+//
+// Usage: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { KNOWN_SYNTAX_ERRORS, checkJavaSyntax, syntaxProblems } = require('../test_examples');
+const { collectExamples } = require('../mark_violations');
+
+describe('checkJavaSyntax', () => {
+  it('accepts compilation units, members and statements', () => {
+    assert.equal(checkJavaSyntax('public class Foo {\n  void bar(String... args) { }\n}'), null);
+    assert.equal(checkJavaSyntax('private int count;\nint count() { return count; }'), null);
+    assert.equal(checkJavaSyntax('if (s.indexOf(\'d\') >= 0) { } // "x\nString t = """\n  {\n""";'), null);
+  });
+
+  it('rejects code that only looks balanced', () => {
+    assert.equal(checkJavaSyntax('int x = ;'), 'line 1:9: unexpected \';\'');
+    assert.equal(checkJavaSyntax('foo(]'), 'line 1:5: unexpected \']\'');
+  });
+
+  it('reports unterminated blocks and literals', () => {
+    assert.equal(checkJavaSyntax('for (;;) {\n  foo();\n'), 'unexpected end of code');
+    assert.equal(checkJavaSyntax('String s = "abc;'), 'line 1:12: unexpected character \'"\'');
+  });
+
+  it('reads "..." placeholders as left-out code', () => {
+    assert.equal(checkJavaSyntax('public class Greeter { public static Foo foo = new Foo(); ... }'), null);
+    assert.equal(checkJavaSyntax('void foo(int a,\n    . . . .\n    int b) { ... }'), null);
+  });
+});
+
+describe('examples in resources/', () => {
+  const examples = collectExamples();
+
+  it('all parse, except the known upstream errors', () => {
+    const failures = examples
+      .flatMap(example => syntaxProblems(example).map(problem => `${example.rule}#${example.index + 1}: ${problem}`));
+    assert.deepEqual(failures, []);
+  });
+
+  it('lists only examples that exist', () => {
+    const names = new Set(examples.map(example => `${example.rule}#${example.index + 1}`));
+    assert.deepEqual(Object.keys(KNOWN_SYNTAX_ERRORS).filter(name => !names.has(name)), []);
+  });
+});
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+// 예제 코드 검사 스크립트
+//
+// Checks every rule's <example> code and prints a pass/fail line per rule:
+//   syntax   each example parses as Java with java-parser (npm), as is or
+//            wrapped in a class / method like mark_violations.js does.
+//            "..." placeholders for left-out code are read as nothing.
+//            Examples that are already broken upstream are listed in
+//            KNOWN_SYNTAX_ERRORS; one of them that parses again fails, so
+//            the list stays accurate.
+//   parse    with PMD: each example parses with PMD's own Java parser, as is
+//            or wrapped in a class / method (see mark_violations.js)
+//   trigger  with PMD: the rule reports at least one violation on its
+//            examples (usually the "bad" one; the fixed code may be clean)
+//
+// PMD is looked up like mark_violations.js does; without it only the syntax
+// check runs.
+//
+// Usage: node test_examples.js [--pmd <path>] [--no-pmd] [--failed]
+//   --no-pmd  syntax check only, even when PMD is found (npm run check:examples)
+//   --failed  list failing rules only
+// Exit code: 0 all passed, 1 failures, 2 PMD failed
+
+const { parse } = require('java-parser');
+const { WRAPPERS, findPmd, pmdVersion, collectExamples, analyzeExamples } = require('./mark_violations');
+
+// Upstream examples (pmd-java, kept as is in the translations) that are not
+// valid Java, by "<rule>#<example number>"
+const KNOWN_SYNTAX_ERRORS = {
+  'AbstractClassWithoutAbstractMethod#1': 'method declared "void int"',
+  'AtLeastOneConstructor#1': 'method without a parameter list',
+  'ForLoopVariableCount#1': 'loop body is never closed',
+  'LongVariable#1': 'loop body is never closed',
+  'ModifierOrder#1': 'method without a return type',
+  'UnnecessaryModifier#1': 'void annotation element',
+  'LoosePackageCoupling#1': 'package name "some.package" uses a keyword',
+  'AvoidAssertAsIdentifier#1': '"assert" as an identifier (pre-Java 1.4 code)',
+  'AvoidEnumAsIdentifier#1': '"enum" as an identifier (pre-Java 5 code)',
+  'CheckSkipResult#1': 'class is never closed',
+  'CloneMethodMustBePublic#1': 'method without a body',
+  'UseIndexOfChar#1': 'if condition is never closed'
+};
+
+// A "..." of its own (not varargs, "String... args") or a line of dots stands
+// for code left out of an example; blanked without touching line breaks so
+// positions stay the same
+function dropPlaceholders(code) {
+  return code
+    .replace(/(^|[\s{(;])\.\.\.(?=[\s})]|$)/gm, '$1   ')
+    .replace(/^[ \t]*(\.[ \t]*){3,}$/gm, '');
+}
+
+// java-parser error as { line, column, message }, line and column in the
+// parsed text (null at the end of input)
+function parseError(err) {
+  const position = err.message.match(/line: (\d+), column: (\d+)/);
+  const found = err.message.match(/but found(?::| -->) '(.*?)'/);
+  const character = err.message.match(/unexpected character: ->(.*?)<-/);
+  let message = 'unexpected end of code';
+  if (character) message = `unexpected character '${character[1]}'`;
+  else if (found && found[1]) message = `unexpected '${found[1]}'`;
+  return {
+    line: position ? Number(position[1]) : null,
+    column: position ? Number(position[2]) : null,
+    message
+  };
+}
+
+// Parses the example as Java. Returns null or 'line N:C: problem', reported
+// for the wrapping that got furthest into the example
+function checkJavaSyntax(code) {
+  const source = dropPlaceholders(code);
+  let furthest = null;
+  for (const wrapper of WRAPPERS) {
+    try {
+      parse(wrapper.wrap(source));
+      return null;
+    } catch (err) {
+      const error = parseError(err);
+      const line = error.line === null ? Infinity : error.line - wrapper.offset;
+      if (!furthest || line > furthest.line || (line === furthest.line && error.column > furthest.column)) {
+        furthest = { ...error, line };
+      }
+    }
+  }
+  return furthest.line === Infinity
+    ? furthest.message
+    : `line ${furthest.line}:${furthest.column}: ${furthest.message}`;
+}
+
+// Syntax problems of one example, taking KNOWN_SYNTAX_ERRORS into account
+function syntaxProblems(example) {
+  const problem = checkJavaSyntax(example.code);
+  const known = KNOWN_SYNTAX_ERRORS[`${example.rule}#${example.index + 1}`];
+  if (known) return problem ? [] : [`syntax: parses now, remove it from KNOWN_SYNTAX_ERRORS (${known})`];
+  return problem ? [`syntax ${problem}`] : [];
+}
+
+// { rule, category, results: [{ example, problems }], triggered }
+function groupByRule(examples) {
+  const byRule = new Map();
+  examples.forEach(example => {
+    if (!byRule.has(example.rule)) {
+      byRule.set(example.rule, { rule: example.rule, category: example.category, results: [], triggered: null });
+    }
+    byRule.get(example.rule).results.push({ example, problems: syntaxProblems(example) });
+  });
+  return [...byRule.values()];
+}
+
+function applyPmd(pmd, rules) {
+  const examples = rules.flatMap(r => r.results.map(result => result.example));
+  const { lines, unparsed } = analyzeExamples(pmd, examples);
+  const failed = new Set(unparsed);
+
+  rules.forEach(r => {
+    r.results.forEach(result => {
+      if (failed.has(result.example)) result.problems.push('PMD could not parse it');
+    });
+    r.triggered = r.results.some(result => (lines.get(result.example) || []).length > 0);
+  });
+}
+
+function ruleProblems(r) {
+  const problems = [];
+  r.results.forEach(({ example, problems: exampleProblems }) => {
+    exampleProblems.forEach(problem => problems.push(`example ${example.index + 1}: ${problem}`));
+  });
+  if (r.triggered === false && r.results.length > 0) problems.push('no violation reported on its examples');
+  return problems;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const examples = collectExamples();
+  const rules = groupByRule(examples);
+
+  const pmd = args.includes('--no-pmd') ? null : findPmd();
+  if (pmd) {
+    console.log(`Using ${pmd} (PMD ${pmdVersion(pmd)})`);
+    try {
+      applyPmd(pmd, rules);
+    } catch (err) {
+      console.error(err.message);
+      process.exit(2);
+    }
+  } else {
+    console.log('PMD not used: syntax check only');
+  }
+  console.log('');
+
+  let failedCount = 0;
+  rules.forEach(r => {
+    const problems = ruleProblems(r);
+    if (problems.length > 0) failedCount++;
+    if (problems.length === 0 && args.includes('--failed')) return;
+
+    const status = problems.length > 0 ? 'FAIL' : 'pass';
+    console.log(`${status}  ${r.category}/${r.rule} (${r.results.length} example(s))`);
+    problems.forEach(problem => console.log(`        ${problem}`));
+  });
+
+  console.log(`\n${rules.length - failedCount} passed, ${failedCount} failed (${examples.length} examples)`);
+  process.exit(failedCount > 0 ? 1 : 0);
+}
+
+if (require.main === module) main();
+
+module.exports = { KNOWN_SYNTAX_ERRORS, checkJavaSyntax, syntaxProblems };
@@ -0,0 +1,143 @@
+// URL 상태 동기화 (공유 가능한 링크)
+// Keeps the selected rule, search, filters and page in the URL hash, e.g.
+//   index.html#rule=SystemPrintln&q=log&tier=1,2&cat=errorprone&java=17&since=6.0.0..&sort=since-desc&page=2&profile=backend&lang=both&pin=A,B
+// Selecting another rule adds a history entry, so back/forward move between
+// selected rules; other changes replace the current entry.
+
+// Facet checkbox groups stored in the URL: param -> data attribute
+const URL_FACETS = {
+  tier: 'tier',
+  cat: 'category',
+  p: 'priority'
+};
+
+let restoringUrlState = false;
+let detailPlaceholderHtml = '';
+
+function getCheckedValues(attr) {
+  const boxes = Array.from(document.querySelectorAll(`[data-${attr}]`));
+  const checked = boxes.filter(cb => cb.checked).map(cb => cb.dataset[attr]);
+  // All checked and none checked both mean "no filter", so neither is stored
+  return checked.length === boxes.length ? [] : checked;
+}
+
+// Serialize the current view state as a hash fragment ('' when at defaults)
+function buildUrlHash() {
+  const params = new URLSearchParams();
+  if (selectedRuleName) params.set('rule', selectedRuleName);
+
+  const search = searchInput.value.trim();
+  if (search) params.set('q', search);
+
+  Object.entries(URL_FACETS).forEach(([param, attr]) => {
+    const values = getCheckedValues(attr);
+    if (values.length > 0) params.set(param, values.join(','));
+  });
+
+  const javaVersion = document.getElementById('javaVersion').value;
+  if (javaVersion) params.set('java', javaVersion);
+  const sinceFrom = document.getElementById('sinceFrom').value;
+  const sinceTo = document.getElementById('sinceTo').value;
+  if (sinceFrom || sinceTo) params.set('since', `${sinceFrom}..${sinceTo}`);
+
+  // Sort as "<key>" or "<key>-desc"
+  const sortKey = document.getElementById('sortKey').value;
+  if (sortKey) {
+    params.set('sort', document.getElementById('sortDir').dataset.dir === 'desc' ? `${sortKey}-desc` : sortKey);
+  }
+
+  if (currentPage > 1) params.set('page', currentPage);
+  if (typeof TIER_PROFILES !== 'undefined' && activeTierProfile !== TIER_PROFILES.primary) {
+    params.set('profile', activeTierProfile);
+  }
+  if (displayLanguage !== 'ko') params.set('lang', displayLanguage);
+  if (pinnedRules.length > 0) params.set('pin', pinnedRules.join(','));
+
+  // Keep list separators readable in shared links
+  const query = params.toString().replace(/%2C/g, ',');
+  return query ? `#${query}` : '';
+}
+
+// Write the view state to the URL. A change of selected rule pushes a new
+// history entry; anything else replaces the current one.
+function syncUrlState() {
+  if (restoringUrlState) return;
+
+  const hash = buildUrlHash();
+  if (hash === location.hash || (hash === '' && location.hash === '#')) return;
+
+  const url = `${location.pathname}${location.search}${hash}`;
+  const previousRule = new URLSearchParams(location.hash.slice(1)).get('rule');
+  if (selectedRuleName && selectedRuleName !== previousRule) {
+    history.pushState(null, '', url);
+  } else {
+    history.replaceState(null, '', url);
+  }
+}
+
+// Apply a hash fragment to the checkboxes, search box, page and selection
+function restoreUrlState(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  restoringUrlState = true;
+
+  try {
+    if (typeof TIER_PROFILES !== 'undefined') {
+      const profile = params.get('profile');
+      activeTierProfile = TIER_PROFILES.profiles.some(p => p.name === profile) ? profile : TIER_PROFILES.primary;
+      const select = document.getElementById('tierProfile');
+      if (select) select.value = activeTierProfile;
+    }
+
+    setDisplayLanguage(params.get('lang'));
+    restorePinned(params.has('pin') ? params.get('pin').split(',') : []);
+
+    Object.entries(URL_FACETS).forEach(([param, attr]) => {
+      const values = params.has(param) ? params.get(param).split(',') : null;
+      const boxes = document.querySelectorAll(`[data-${attr}]`);
+      boxes.forEach(cb => { cb.checked = !values || values.includes(cb.dataset[attr]); });
+      if (boxes.length > 0) updateToggleState(boxes[0]);
+    });
+
+    // Unknown values fall back to the first option ("all")
+    const [sinceFrom, sinceTo] = (params.get('since') || '').split('..');
+    [['javaVersion', params.get('java')], ['sinceFrom', sinceFrom], ['sinceTo', sinceTo]].forEach(([id, value]) => {
+      const select = document.getElementById(id);
+      select.value = value || '';
+      if (select.selectedIndex === -1) select.selectedIndex = 0;
+    });
+
+    const [sortKey, sortDir] = (params.get('sort') || '').split('-');
+    const sortSelect = document.getElementById('sortKey');
+    sortSelect.value = sortKey || '';
+    if (sortSelect.selectedIndex === -1) sortSelect.selectedIndex = 0;
+    setSortDirection(sortSelect.value && sortDir === 'desc' ? 'desc' : 'asc');
+
+    // Qualifiers typed into a shared query (q=tier:1) win over the facet params
+    searchInput.value = params.get('q') || '';
+    applyFacetsToSidebar({ ...readSidebarFacets(), ...parseSearchQuery(searchInput.value).facets });
+    applyFilters();
+
+    const totalPages = Math.max(1, Math.ceil(filteredRules.length / RULES_PER_PAGE));
+    const page = parseInt(params.get('page')) || 1;
+    currentPage = Math.min(Math.max(page, 1), totalPages);
+    renderRules();
+
+    const ruleName = params.get('rule');
+    if (ruleName && findRule(ruleName)) {
+      selectRule(ruleName);
+    } else {
+      selectedRuleName = null;
+      ruleDetail.innerHTML = detailPlaceholderHtml;
+      document.querySelectorAll('.rule-card.active').forEach(card => card.classList.remove('active'));
+    }
+  } finally {
+    restoringUrlState = false;
+  }
+}
+
+function setupUrlState() {
+  detailPlaceholderHtml = ruleDetail.innerHTML;
+  if (location.hash.length > 1) restoreUrlState(location.hash);
+
+  window.addEventListener('popstate', () => restoreUrlState(location.hash));
+}
@@ -0,0 +1,293 @@
+// 스트리밍 XML 파서 (PMD ruleset 파일 파싱용)
+//
+// Walks the document once and emits SAX-style events instead of building a
+// full DOM. Handles comments, CDATA sections, processing instructions,
+// self-closing tags, quoted attributes containing '>' and namespace prefixes.
+// Every event and every error carries the line/column where it starts.
+
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+
+const PREDEFINED_ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'"
+};
+
+class XmlParseError extends Error {
+  constructor(reason, file, line, column) {
+    super(`${file ? `${file}:` : ''}${line}:${column}: ${reason}`);
+    this.name = 'XmlParseError';
+    this.reason = reason;
+    this.file = file;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+function isNameStart(ch) {
+  return /[A-Za-z_:\u00C0-\uFFFF]/.test(ch);
+}
+
+function isNameChar(ch) {
+  return /[A-Za-z0-9_:.\-\u00B7\u00C0-\uFFFF]/.test(ch);
+}
+
+function splitQName(qname) {
+  const idx = qname.indexOf(':');
+  return idx === -1
+    ? { prefix: '', local: qname }
+    : { prefix: qname.slice(0, idx), local: qname.slice(idx + 1) };
+}
+
+/**
+ * Parse an XML string, calling the given handlers as the document is read.
+ *
+ * Handlers (all optional):
+ *   onOpen({ name, prefix, local, uri, attrs, selfClosing, line, column })
+ *   onClose({ name, prefix, local, uri, line, column })
+ *   onText(text, { line, column })     - entity-decoded character data
+ *   onCdata(text, { line, column })    - raw CDATA section content
+ *   onComment(text, { line, column })
+ *
+ * `attrs` maps each qualified attribute name to its decoded value; namespace
+ * declarations are resolved but not reported as attributes.
+ *
+ * Throws XmlParseError on malformed input.
+ */
+function parseXml(xml, handlers = {}, file = '') {
+  const stack = [];
+  let pos = 0;
+  let line = 1;
+  let column = 1;
+  let rootClosed = false;
+  let rootSeen = false;
+
+  if (xml.charCodeAt(0) === 0xFEFF) pos = 1;
+
+  function fail(reason, atLine = line, atColumn = column) {
+    throw new XmlParseError(reason, file, atLine, atColumn);
+  }
+
+  function advanceTo(end) {
+    while (pos < end) {
+      if (xml[pos] === '\n') {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+      pos++;
+    }
+  }
+
+  function expectEnd(terminator, what) {
+    const end = xml.indexOf(terminator, pos);
+    if (end === -1) fail(`Unterminated ${what}`);
+    return end;
+  }
+
+  function decodeEntities(text, atLine, atColumn) {
+    return text.replace(/&([^;&\s]*);?/g, (match, ref) => {
+      if (!match.endsWith(';')) fail(`Unescaped '&' in ${JSON.stringify(text.slice(0, 40))}`, atLine, atColumn);
+      if (ref.startsWith('#x')) {
+        const code = parseInt(ref.slice(2), 16);
+        if (Number.isNaN(code)) fail(`Invalid character reference &${ref};`, atLine, atColumn);
+        return String.fromCodePoint(code);
+      }
+      if (ref.startsWith('#')) {
+        const code = parseInt(ref.slice(1), 10);
+        if (Number.isNaN(code)) fail(`Invalid character reference &${ref};`, atLine, atColumn);
+        return String.fromCodePoint(code);
+      }
+      if (!(ref in PREDEFINED_ENTITIES)) fail(`Unknown entity &${ref};`, atLine, atColumn);
+      return PREDEFINED_ENTITIES[ref];
+    });
+  }
+
+  function resolvePrefix(prefix, namespaces, atLine, atColumn) {
+    if (prefix === 'xml') return XML_NS;
+    if (prefix === 'xmlns') return XMLNS_NS;
+    if (!(prefix in namespaces)) {
+      if (prefix === '') return '';
+      fail(`Undeclared namespace prefix '${prefix}'`, atLine, atColumn);
+    }
+    return namespaces[prefix];
+  }
+
+  function readName() {
+    const start = pos;
+    if (!isNameStart(xml[pos] || '')) fail(`Expected a name but found ${JSON.stringify(xml[pos] || 'end of input')}`);
+    let end = pos + 1;
+    while (end < xml.length && isNameChar(xml[end])) end++;
+    advanceTo(end);
+    return xml.slice(start, end);
+  }
+
+  function skipWhitespace() {
+    let end = pos;
+    while (end < xml.length && /\s/.test(xml[end])) end++;
+    advanceTo(end);
+  }
+
+  function readStartTag() {
+    const tagLine = line;
+    const tagColumn = column;
+    advanceTo(pos + 1); // '<'
+    const name = readName();
+    const rawAttrs = [];
+
+    for (;;) {
+      const hadSpace = /\s/.test(xml[pos] || '');
+      skipWhitespace();
+      if (pos >= xml.length) fail(`Unterminated start tag <${name}>`, tagLine, tagColumn);
+      if (xml.startsWith('/>', pos)) {
+        advanceTo(pos + 2);
+        return { name, rawAttrs, selfClosing: true, line: tagLine, column: tagColumn };
+      }
+      if (xml[pos] === '>') {
+        advanceTo(pos + 1);
+        return { name, rawAttrs, selfClosing: false, line: tagLine, column: tagColumn };
+      }
+      if (!hadSpace) fail(`Expected whitespace before attribute in <${name}>`);
+
+      const attrLine = line;
+      const attrColumn = column;
+      const attrName = readName();
+      skipWhitespace();
+      if (xml[pos] !== '=') fail(`Attribute '${attrName}' has no value`, attrLine, attrColumn);
+      advanceTo(pos + 1);
+      skipWhitespace();
+      const quote = xml[pos];
+      if (quote !== '"' && quote !== "'") fail(`Attribute '${attrName}' value must be quoted`);
+      const valueEnd = xml.indexOf(quote, pos + 1);
+      if (valueEnd === -1) fail(`Unterminated value for attribute '${attrName}'`, attrLine, attrColumn);
+      const rawValue = xml.slice(pos + 1, valueEnd);
+      if (rawValue.includes('<')) fail(`'<' is not allowed in attribute '${attrName}'`, attrLine, attrColumn);
+      advanceTo(valueEnd + 1);
+
+      if (rawAttrs.some(a => a.name === attrName)) {
+        fail(`Duplicate attribute '${attrName}' in <${name}>`, attrLine, attrColumn);
+      }
+      rawAttrs.push({
+        name: attrName,
+        value: decodeEntities(rawValue, attrLine, attrColumn),
+        line: attrLine,
+        column: attrColumn
+      });
+    }
+  }
+
+  function openElement(tag) {
+    if (rootClosed) fail(`Content after the root element: <${tag.name}>`, tag.line, tag.column);
+    rootSeen = true;
+
+    const parentNamespaces = stack.length > 0 ? stack[stack.length - 1].namespaces : Object.create(null);
+    const namespaces = Object.create(parentNamespaces);
+    for (const attr of tag.rawAttrs) {
+      if (attr.name === 'xmlns') namespaces[''] = attr.value;
+      else if (attr.name.startsWith('xmlns:')) namespaces[attr.name.slice(6)] = attr.value;
+    }
+
+    const { prefix, local } = splitQName(tag.name);
+    const uri = resolvePrefix(prefix, namespaces, tag.line, tag.column);
+
+    const attrs = {};
+    for (const attr of tag.rawAttrs) {
+      if (attr.name === 'xmlns' || attr.name.startsWith('xmlns:')) continue;
+      const attrPrefix = splitQName(attr.name).prefix;
+      if (attrPrefix) resolvePrefix(attrPrefix, namespaces, attr.line, attr.column);
+      attrs[attr.name] = attr.value;
+    }
+
+    const element = { name: tag.name, prefix, local, uri, line: tag.line, column: tag.column };
+    if (handlers.onOpen) handlers.onOpen({ ...element, attrs, selfClosing: tag.selfClosing });
+
+    if (tag.selfClosing) {
+      if (handlers.onClose) handlers.onClose(element);
+      if (stack.length === 0) rootClosed = true;
+    } else {
+      stack.push({ ...element, namespaces });
+    }
+  }
+
+  function closeElement() {
+    const tagLine = line;
+    const tagColumn = column;
+    advanceTo(pos + 2); // '</'
+    const name = readName();
+    skipWhitespace();
+    if (xml[pos] !== '>') fail(`Expected '>' to close </${name}>`);
+    advanceTo(pos + 1);
+
+    const open = stack.pop();
+    if (!open) fail(`Unexpected closing tag </${name}>`, tagLine, tagColumn);
+    if (open.name !== name) {
+      fail(`Closing tag </${name}> does not match <${open.name}> opened at line ${open.line}`, tagLine, tagColumn);
+    }
+    if (handlers.onClose) {
+      handlers.onClose({
+        name: open.name,
+        prefix: open.prefix,
+        local: open.local,
+        uri: open.uri,
+        line: open.line,
+        column: open.column
+      });
+    }
+    if (stack.length === 0) rootClosed = true;
+  }
+
+  while (pos < xml.length) {
+    const startLine = line;
+    const startColumn = column;
+    const loc = { line: startLine, column: startColumn };
+
+    if (xml.startsWith('<!--', pos)) {
+      const end = expectEnd('-->', 'comment');
+      const text = xml.slice(pos + 4, end);
+      advanceTo(end + 3);
+      if (handlers.onComment) handlers.onComment(text, loc);
+    } else if (xml.startsWith('<![CDATA[', pos)) {
+      if (stack.length === 0) fail('CDATA section outside of the root element');
+      const end = expectEnd(']]>', 'CDATA section');
+      const text = xml.slice(pos + 9, end);
+      advanceTo(end + 3);
+      if (handlers.onCdata) handlers.onCdata(text, loc);
+    } else if (xml.startsWith('<?', pos)) {
+      const end = expectEnd('?>', 'processing instruction');
+      advanceTo(end + 2);
+    } else if (xml.startsWith('<!DOCTYPE', pos)) {
+      if (rootSeen) fail('DOCTYPE must appear before the root element');
+      const end = expectEnd('>', 'DOCTYPE declaration');
+      if (xml.slice(pos, end).includes('[')) fail('DOCTYPE internal subsets are not supported');
+      advanceTo(end + 1);
+    } else if (xml.startsWith('</', pos)) {
+      closeElement();
+    } else if (xml[pos] === '<') {
+      openElement(readStartTag());
+    } else {
+      let end = xml.indexOf('<', pos);
+      if (end === -1) end = xml.length;
+      const raw = xml.slice(pos, end);
+      advanceTo(end);
+      if (stack.length === 0) {
+        if (raw.trim()) fail('Text content outside of the root element', startLine, startColumn);
+        continue;
+      }
+      if (raw.includes(']]>')) fail("']]>' is not allowed in character data", startLine, startColumn);
+      const text = decodeEntities(raw, startLine, startColumn);
+      if (handlers.onText) handlers.onText(text, loc);
+    }
+  }
+
+  if (stack.length > 0) {
+    const open = stack[stack.length - 1];
+    fail(`Unclosed element <${open.name}> opened at line ${open.line}`);
+  }
+  if (!rootSeen) fail('Document has no root element');
+}
+
+module.exports = { parseXml, XmlParseError };